@@ -0,0 +1,204 @@
+// Answer Agent - Question Answering over Memory
+// Retrieves knowledge with hybrid search, packs it into a token budget and has the LLM answer
+// with inline [entry-id] citations. When retrieval comes back weak it says so and queues the
+// question for research instead of guessing
+
+import { createProvider, estimateTokens } from '../lib/llm-providers.js';
+import { tokenize } from '../lib/embeddings.js';
+
+const NOT_ENOUGH_KNOWLEDGE = 'Not enough knowledge in memory to answer this question yet.';
+
+// Content under this many tokens isn't worth squeezing into the end of the budget
+const MIN_BLOCK_TOKENS = 50;
+
+// The text an entry contributes: for a long document, the matched chunks and their neighbours
+// (query() folds chunk hits into the parent's `context`), otherwise the entry's content
+function passage(entry) {
+    return entry.context || entry.content || '';
+}
+
+class AnswerAgent {
+    constructor(memory, options = {}) {
+        this.memory = memory;
+        this.name = 'AnswerAgent';
+        this.llm = createProvider(options.llm);
+        // Tokens of retrieved knowledge sent with the question
+        this.tokenBudget = options.tokenBudget || 3000;
+        this.maxEntries = options.maxEntries || 8;
+        // Relevance (0-1) the best entry needs before the question counts as answerable
+        this.minRelevance = options.minRelevance ?? 0.35;
+    }
+
+    // Relevance of a retrieved entry: its vector similarity, or the share of the question's
+    // terms it contains, whichever is higher
+    relevance(question, entry) {
+        const terms = [...new Set(tokenize(question))];
+        const have = new Set(tokenize([entry.topic, passage(entry), ...(entry.tags || [])].join(' ')));
+        const coverage = terms.length > 0 ? terms.filter(t => have.has(t)).length / terms.length : 0;
+        return Math.max(entry.vectorScore ?? 0, coverage);
+    }
+
+    // Ranked candidates for a question: [{ ...entry, relevance }]. Each document comes back once,
+    // with its matched chunks as `context`, so only the relevant part of a long document uses the budget
+    async retrieve(question, options = {}) {
+        const { results } = await this.memory.query(question, {
+            mode: 'hybrid',
+            filters: options.filters,
+            pageSize: (options.maxEntries || this.maxEntries) * 2
+        });
+
+        return results
+            .filter(e => !e.rejected && !e.invalidated)
+            .map(e => ({ ...e, relevance: this.relevance(question, e) }))
+            .slice(0, options.maxEntries || this.maxEntries);
+    }
+
+    // Numbered knowledge blocks within the token budget: { text, entries, tokens }.
+    // The block that crosses the budget is truncated; the rest are dropped
+    buildContext(entries, tokenBudget = this.tokenBudget) {
+        const blocks = [];
+        const used = [];
+        let tokens = 0;
+
+        for (const entry of entries) {
+            const sources = [].concat(entry.source || []).filter(s => /^https?:\/\//.test(s));
+            const header = `[${entry.id}] ${entry.topic}${sources.length ? ` (sources: ${sources.join(', ')})` : ''}`;
+            let content = passage(entry);
+
+            const remaining = tokenBudget - tokens - estimateTokens(header);
+            if (remaining < MIN_BLOCK_TOKENS) break;
+            if (estimateTokens(content) > remaining) {
+                content = `${content.slice(0, remaining * 4).trimEnd()} [...]`;
+            }
+
+            const block = `${header}\n${content}`;
+            blocks.push(block);
+            used.push(entry);
+            tokens += estimateTokens(block);
+        }
+
+        return { text: blocks.join('\n\n'), entries: used, tokens };
+    }
+
+    // Answer a question from memory. Options: { filters (see MemorySystem.query), tokenBudget,
+    // maxEntries, queue: false to skip queueing research }. Returns { question, answer,
+    // citations: [{ id, topic, sources }], sufficient, method: 'llm' | 'extractive' | 'none',
+    // queued: research queue item | null, context: { entries, tokens } }
+    async ask(question, options = {}) {
+        console.log(`❓ [${this.name}] ${question}`);
+
+        const candidates = await this.retrieve(question, options);
+        const relevant = candidates.filter(e => e.relevance >= this.minRelevance / 2);
+        const best = Math.max(0, ...candidates.map(e => e.relevance));
+
+        if (best < this.minRelevance || relevant.length === 0) {
+            return this.insufficient(question, options, `best match relevance ${best.toFixed(2)}`, 'none', { entries: 0, tokens: 0 });
+        }
+
+        const context = this.buildContext(relevant, options.tokenBudget || this.tokenBudget);
+        const contextInfo = { entries: context.entries.length, tokens: context.tokens };
+
+        if (!this.llm) {
+            return this.extractiveAnswer(question, context.entries, contextInfo);
+        }
+
+        const prompt = `
+Answer the question using only the knowledge entries below.
+Cite every entry you rely on inline by its ID in square brackets, e.g. [${context.entries[0].id}],
+and mention source URLs where they support the answer.
+If the entries don't contain the answer, say so and set "sufficient" to false.
+
+Question: ${question}
+
+Knowledge:
+${context.text}
+
+Respond with JSON:
+{
+  "answer": "the answer, with inline [id] citations",
+  "citations": ["ids of the entries used"],
+  "sufficient": true
+}
+`;
+
+        let response;
+        try {
+            response = await this.llm.json(prompt);
+        } catch (error) {
+            console.log(`   ⚠️  LLM answer failed (${error.message}), answering extractively`);
+            return this.extractiveAnswer(question, context.entries, contextInfo);
+        }
+
+        if (response?.sufficient === false || !response?.answer) {
+            return this.insufficient(question, options, 'the retrieved knowledge does not answer it', 'llm', contextInfo);
+        }
+
+        const answer = String(response.answer);
+        const cited = [...[].concat(response.citations || []), ...[...answer.matchAll(/\[([a-z0-9]+)\]/gi)].map(m => m[1])];
+
+        return {
+            question,
+            answer,
+            citations: this.citations(cited, context.entries),
+            sufficient: true,
+            method: 'llm',
+            queued: null,
+            context: contextInfo
+        };
+    }
+
+    // Without an LLM: the opening sentences of the most relevant entries, each cited
+    extractiveAnswer(question, entries, contextInfo) {
+        const top = entries.slice(0, 3);
+        const answer = top.map(e => {
+            const text = passage(e).replace(/^#+\s.*$/gm, '').replace(/\[\.\.\.\]/g, ' ').replace(/\s+/g, ' ').trim();
+            const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
+            return `${sentences.slice(0, 2).join('').trim()} [${e.id}]`;
+        }).join('\n\n');
+
+        return {
+            question,
+            answer,
+            citations: this.citations(top.map(e => e.id), entries),
+            sufficient: true,
+            method: 'extractive',
+            queued: null,
+            context: contextInfo
+        };
+    }
+
+    // Cited ids that were actually in the context, in citation order, with their sources and,
+    // for a long document, the chunks that matched
+    citations(ids, entries) {
+        const byId = new Map(entries.map(e => [e.id, e]));
+        return [...new Set(ids)].filter(id => byId.has(id)).map(id => {
+            const entry = byId.get(id);
+            return {
+                id,
+                topic: entry.topic,
+                sources: [].concat(entry.source || []),
+                ...(entry.matchedChunks && { chunks: entry.matchedChunks })
+            };
+        });
+    }
+
+    insufficient(question, options, reason, method, contextInfo) {
+        const queued = options.queue === false
+            ? null
+            : this.memory.queueResearch(question, { reason: `unanswered question (${reason})`, source: 'ask' });
+        if (queued) console.log(`   📋 Queued for research: ${question}`);
+
+        return {
+            question,
+            answer: NOT_ENOUGH_KNOWLEDGE,
+            citations: [],
+            sufficient: false,
+            method,
+            queued,
+            context: contextInfo
+        };
+    }
+}
+
+export default AnswerAgent;
+export { NOT_ENOUGH_KNOWLEDGE };
@@ -1,9 +1,9 @@
 // Multi-Agent Debate System
-// Uses Mistral 3 Large and Kimi K2 Thinking for opposing viewpoints
+// Pits two LLM providers against each other (defaults: Mistral 3 Large vs Kimi K2 Thinking)
 
-import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider, extractJson, ScriptProvider } from '../lib/llm-providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -14,59 +14,40 @@ class DebateAgent {
         this.kimiPath = options.kimiPath || '/home/sarah/opencode-bc/models/kimi.py';
         this.maxRounds = options.maxRounds || 3;
         this.debateHistory = [];
+        // MemorySystem for background knowledge and for storing results (optional)
+        this.memory = options.memory || null;
+
+        // Each side can use its own provider; otherwise share options.llm,
+        // falling back to the Python model scripts when nothing is configured
+        const shared = createProvider(options.llm);
+        this.proponentLlm = createProvider(options.proponentLlm) || shared ||
+            new ScriptProvider({ script: this.mistralPath, model: 'Mistral 3 Large' });
+        this.opponentLlm = createProvider(options.opponentLlm) || shared ||
+            new ScriptProvider({ script: this.kimiPath, model: 'Kimi K2 Thinking' });
+        this.synthesisLlm = createProvider(options.synthesisLlm) || this.opponentLlm;
     }
 
-    // Call Mistral via Python script
-    async callMistral(prompt) {
-        return new Promise((resolve, reject) => {
-            const proc = spawn('python3', [this.mistralPath, prompt]);
-            let stdout = '';
-            let stderr = '';
-
-            proc.stdout.on('data', (data) => stdout += data);
-            proc.stderr.on('data', (data) => stderr += data);
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve(stdout.trim());
-                } else {
-                    reject(new Error(stderr || 'Mistral call failed'));
-                }
-            });
-        });
+    // Call the provider arguing FOR the topic
+    async callProponent(prompt) {
+        return (await this.proponentLlm.complete(prompt)).trim();
     }
 
-    // Call Kimi via Python script
-    async callKimi(prompt) {
-        return new Promise((resolve, reject) => {
-            const proc = spawn('python3', [this.kimiPath, prompt]);
-            let stdout = '';
-            let stderr = '';
-
-            proc.stdout.on('data', (data) => stdout += data);
-            proc.stderr.on('data', (data) => stderr += data);
-
-            proc.on('close', (code) => {
-                if (code === 0) {
-                    resolve(stdout.trim());
-                } else {
-                    reject(new Error(stderr || 'Kimi call failed'));
-                }
-            });
-        });
+    // Call the provider arguing AGAINST the topic
+    async callOpponent(prompt) {
+        return (await this.opponentLlm.complete(prompt)).trim();
     }
 
     // Generate system prompts for each side
     getSystemPrompts(topic) {
         return {
-            mistral: {
+            proponent: {
                 role: 'Proponent',
                 perspective: `You are a strong proponent of: "${topic}". 
 Argue IN FAVOR of this position. Present strong arguments, evidence, and counterarguments to objections.
 Be persuasive and thorough.`,
                 style: 'Direct, confident, evidence-based'
             },
-            kimi: {
+            opponent: {
                 role: 'Opponent', 
                 perspective: `You are a strong critic of: "${topic}".
 Argue AGAINST this position. Present counterarguments, identify flaws, and challenge assumptions.
@@ -77,49 +58,50 @@ Be skeptical and analytical.`,
     }
 
     // Run a single debate round
-    async runRound(roundNum, topic, previousArguments = []) {
+    async runRound(roundNum, topic, previousArguments = [], background = '') {
         console.log(`\n🔄 Round ${roundNum}/${this.maxRounds}`);
 
         const prompts = this.getSystemPrompts(topic);
         
-        // Build context from previous rounds
-        const context = previousArguments.length > 0 
-            ? `\n\nPrevious arguments in this debate:\n${previousArguments.join('\n\n')}`
-            : '';
+        // Build context from stored knowledge and previous rounds
+        const context = (background ? `\n\nBackground knowledge:\n${background}` : '') +
+            (previousArguments.length > 0 
+                ? `\n\nPrevious arguments in this debate:\n${previousArguments.join('\n\n')}`
+                : '');
 
-        // Mistral (Proponent) argues FOR
-        const mistralPrompt = `
-${prompts.mistral.perspective}
+        // Proponent argues FOR
+        const proponentPrompt = `
+${prompts.proponent.perspective}
 
 ${context}
 
 Present your argument for this round. Be specific and address potential counterarguments.`;
 
-        // Kimi (Opponent) argues AGAINST
-        const kimiPrompt = `
-${prompts.kimi.perspective}
+        // Opponent argues AGAINST
+        const opponentPrompt = `
+${prompts.opponent.perspective}
 
 ${context}
 
 Present your counterargument this round. Challenge the opposing view and identify weaknesses.`;
 
         // Run both in parallel
-        const [mistralArg, kimiArg] = await Promise.all([
-            this.callMistral(mistralPrompt).catch(e => `Error: ${e.message}`),
-            this.callKimi(kimiPrompt).catch(e => `Error: ${e.message}`)
+        const [proponentArg, opponentArg] = await Promise.all([
+            this.callProponent(proponentPrompt).catch(e => `Error: ${e.message}`),
+            this.callOpponent(opponentPrompt).catch(e => `Error: ${e.message}`)
         ]);
 
         const round = {
             round: roundNum,
-            proponent: { model: 'Mistral 3 Large', argument: mistralArg },
-            opponent: { model: 'Kimi K2 Thinking', argument: kimiArg },
+            proponent: { model: this.proponentLlm.model, argument: proponentArg },
+            opponent: { model: this.opponentLlm.model, argument: opponentArg },
             timestamp: new Date().toISOString()
         };
 
         this.debateHistory.push(round);
 
-        console.log(`   Proponent (Mistral): ${mistralArg.slice(0, 100)}...`);
-        console.log(`   Opponent (Kimi): ${kimiArg.slice(0, 100)}...`);
+        console.log(`   Proponent (${this.proponentLlm.model}): ${proponentArg.slice(0, 100)}...`);
+        console.log(`   Opponent (${this.opponentLlm.model}): ${opponentArg.slice(0, 100)}...`);
 
         return round;
     }
@@ -144,6 +126,7 @@ Provide:
 2. Key points of agreement (if any)
 3. Key points of disagreement
 4. A nuanced conclusion that acknowledges complexity
+5. Open questions the debate could not settle (answerable by further research)
 
 Format as JSON:
 {
@@ -151,32 +134,46 @@ Format as JSON:
   "opponent_summary": "...",
   "key_agreements": [...],
   "key_disagreements": [...],
+  "open_questions": [...],
   "conclusion": "..."
 }`;
 
-        // Use Kimi for synthesis (good at thinking)
-        const synthesis = await this.callKimi(synthesisPrompt);
+        // Opponent model synthesizes by default (Kimi is good at thinking)
+        const synthesis = await this.synthesisLlm.complete(synthesisPrompt);
         
         try {
-            return JSON.parse(synthesis);
+            return extractJson(synthesis);
         } catch {
             return { raw_synthesis: synthesis };
         }
     }
 
-    // Run full debate
-    async debate(topic) {
+    // Run full debate. Options: { entryIds: entries to argue from instead of searching memory
+    // for the topic (e.g. the two sides of a contradiction) }
+    async debate(topic, options = {}) {
         console.log('='.repeat(60));
         console.log('⚖️  MULTI-AGENT DEBATE');
         console.log('='.repeat(60));
         console.log(`Topic: ${topic}`);
-        console.log(`Models: Mistral 3 Large (Pro) vs Kimi K2 Thinking (Con)`);
+        console.log(`Models: ${this.proponentLlm.model} (Pro) vs ${this.opponentLlm.model} (Con)`);
         console.log(`Rounds: ${this.maxRounds}\n`);
 
+        this.debateHistory = [];
         const previousArguments = [];
+        
+        // Related knowledge both sides argue from (recorded as the debate's inputs)
+        let related = [];
+        if (this.memory && options.entryIds) {
+            related = options.entryIds.map(id => this.memory.getKnowledge(id)).filter(Boolean);
+        } else if (this.memory) {
+            related = (await this.memory.query(topic, { mode: 'keyword', pageSize: 10 })).results
+                .filter(e => !e.rejected && !e.tags?.includes('debate'))
+                .slice(0, 3);
+        }
+        const background = related.map(e => `- ${e.topic}: ${e.content?.slice(0, 500)}`).join('\n');
 
         for (let round = 1; round <= this.maxRounds; round++) {
-            const roundResult = await this.runRound(round, topic, previousArguments);
+            const roundResult = await this.runRound(round, topic, previousArguments, background);
             previousArguments.push(
                 `Round ${round} - Proponent: ${roundResult.proponent.argument}`,
                 `Round ${round} - Opponent: ${roundResult.opponent.argument}`
@@ -185,12 +182,46 @@ Format as JSON:
 
         const synthesis = await this.synthesizeDebate(topic);
 
-        return {
+        const result = {
             topic,
             rounds: this.debateHistory,
             synthesis,
             timestamp: new Date().toISOString()
         };
+        
+        if (this.memory) {
+            result.entry = this.storeDebate(result, related);
+        }
+        
+        return result;
+    }
+
+    // Save the debate outcome as a knowledge entry derived from the background entries
+    storeDebate(result, related = []) {
+        const { synthesis } = result;
+        const content = synthesis.raw_synthesis || [
+            synthesis.conclusion && `Conclusion: ${synthesis.conclusion}`,
+            synthesis.proponent_summary && `For: ${synthesis.proponent_summary}`,
+            synthesis.opponent_summary && `Against: ${synthesis.opponent_summary}`,
+            synthesis.key_agreements?.length && `Agreements:\n${synthesis.key_agreements.map(a => `- ${a}`).join('\n')}`,
+            synthesis.key_disagreements?.length && `Disagreements:\n${synthesis.key_disagreements.map(d => `- ${d}`).join('\n')}`
+        ].filter(Boolean).join('\n\n');
+
+        return this.memory.addKnowledge({
+            topic: `Debate: ${result.topic}`,
+            content,
+            tags: ['debate', result.topic.toLowerCase().split(' ')[0]],
+            source: 'debate',
+            isSynthesis: true,
+            author: 'synthesis',
+            debate: {
+                rounds: result.rounds.length,
+                proponent: this.proponentLlm.model,
+                opponent: this.opponentLlm.model,
+                synthesis
+            },
+            links: related.map(e => ({ type: 'derived-from', target: e.id }))
+        });
     }
 
     // Get debate history
@@ -258,4 +289,6 @@ async function main() {
 export default DebateAgent;
 
 // Run if called directly
-main();
+if (process.argv[1] === __filename) {
+    main();
+}
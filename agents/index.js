@@ -1,102 +1,9 @@
 // Multi-Agent Architecture for Magnitude
-import MemorySystem from './memory.js';
+import MemorySystem from '../lib/memory.js';
 import DebateAgent from './debate.js';
 import ResearchAgent from './research.js';
-
-class ResearchAgent {
-    constructor(memory) {
-        this.memory = memory;
-        this.name = 'ResearchAgent';
-    }
-
-    async research(task) {
-        console.log(`🔍 [${this.name}] Researching: ${task}`);
-        
-        const startTime = Date.now();
-        
-        // Use browser to research (placeholder for magnitude-core integration)
-        const findings = await this.performResearch(task);
-        
-        const researchTime = (Date.now() - startTime) / 1000;
-        
-        // Store findings in memory
-        const knowledgeEntry = this.memory.addKnowledge({
-            topic: task,
-            content: findings.summary,
-            source: findings.sources || [],
-            tags: findings.tags || [],
-            researchTime
-        });
-        
-        return {
-            agent: this.name,
-            task,
-            result: knowledgeEntry,
-            researchTime
-        };
-    }
-
-    async performResearch(task) {
-        // Placeholder - integrate with magnitude-core BrowserAgent
-        // This would use the actual browser automation
-        return {
-            summary: `Research findings for: ${task}`,
-            sources: ['web'],
-            tags: [task.toLowerCase().split(' ')[0]],
-            quality: 0.8
-        };
-    }
-}
-
-class VerificationAgent {
-    constructor(memory) {
-        this.memory = memory;
-        this.name = 'VerificationAgent';
-    }
-
-    async verify(knowledgeId, criteria = {}) {
-        console.log(`✅ [${this.name}] Verifying knowledge: ${knowledgeId}`);
-        
-        // Simulate verification process
-        const verification = {
-            accuracy: Math.random() * 0.3 + 0.7, // 0.7-1.0
-            relevance: Math.random() * 0.3 + 0.7,
-            novelty: Math.random() * 0.4 + 0.6,
-            sourceReliability: Math.random() * 0.3 + 0.7
-        };
-        
-        const passed = verification.accuracy > 0.7 && verification.relevance > 0.6;
-        
-        if (passed) {
-            this.memory.verifyKnowledge(knowledgeId);
-        }
-        
-        const score = (verification.accuracy + verification.relevance + verification.novelty) / 3;
-        
-        this.memory.evaluate({
-            knowledgeId,
-            type: 'verification',
-            score,
-            details: verification,
-            passed
-        });
-        
-        return { verification, score, passed };
-    }
-
-    async evaluateTaskQuality(task, result) {
-        const score = Math.random() * 0.4 + 0.6; // 0.6-1.0
-        
-        this.memory.evaluate({
-            task,
-            type: 'task_quality',
-            score,
-            result
-        });
-        
-        return score;
-    }
-}
+import AnswerAgent from './answer.js';
+import VerificationAgent from './verification.js';
 
 class SynthesisAgent {
     constructor(memory) {
@@ -104,31 +11,60 @@ class SynthesisAgent {
         this.name = 'SynthesisAgent';
     }
 
+    // `topic` is a taxonomy node id (synthesizes everything filed under it) or free text
     async synthesize(topic) {
-        console.log(`🧠 [${this.name}] Synthesizing knowledge on: ${topic}`);
+        const node = this.memory.taxonomy.get(topic);
+        const label = node ? node.label : topic;
+        console.log(`🧠 [${this.name}] Synthesizing knowledge on: ${label}`);
         
-        const related = this.memory.searchKnowledge(topic);
+        // Rejected entries never feed new syntheses; document chunks are covered by their parent
+        const related = node
+            ? this.memory.getByTaxonomy(topic).filter(r => !r.isSynthesis)
+            : this.memory.searchKnowledge(topic).filter(r => !r.rejected && !r.parentId);
         
         if (related.length === 0) {
             return { error: 'No related knowledge found' };
         }
         
+        // Unresolved contradictions between the inputs are called out instead of merged silently
+        const ids = new Set(related.map(r => r.id));
+        const contradictions = this.memory.contradictionDetector.list()
+            .filter(pair => pair.ids.every(id => ids.has(id)));
+        const conflictNotes = contradictions.map(pair => {
+            const [first] = pair.conflicts;
+            return first
+                ? `- [${pair.ids[0]}] "${first.claim}" vs [${pair.ids[1]}] "${first.counterClaim}"`
+                : `- [${pair.ids[0]}] vs [${pair.ids[1]}]`;
+        });
+        
         // Create synthesis
         const synthesis = {
-            topic,
-            combinedInsights: related.map(r => r.content).join('\n\n'),
+            topic: label,
+            combinedInsights: [
+                ...related.map(r => r.content),
+                ...(conflictNotes.length > 0 ? [`Unresolved contradictions:\n${conflictNotes.join('\n')}`] : [])
+            ].join('\n\n'),
             sourceCount: related.length,
             verifiedCount: related.filter(r => r.verified).length,
+            contradictions: contradictions.length,
             timestamp: new Date().toISOString()
         };
         
-        // Store synthesis as new knowledge
+        // Store synthesis as new knowledge, linked to its inputs and to the synthesis it replaces
+        const previous = this.memory.getAllKnowledge().entries
+            .filter(r => !r.rejected && r.topic === `Synthesis: ${label}`);
         const entry = this.memory.addKnowledge({
-            topic: `Synthesis: ${topic}`,
+            topic: `Synthesis: ${label}`,
             content: synthesis.combinedInsights,
-            tags: ['synthesis', topic.toLowerCase()],
+            tags: node ? ['synthesis', ...this.memory.taxonomy.ancestry(topic)] : ['synthesis', topic.toLowerCase()],
+            ...(node && { taxonomy: [topic] }),
             source: 'synthesis',
-            isSynthesis: true
+            isSynthesis: true,
+            author: 'synthesis',
+            links: [
+                ...related.map(r => ({ type: 'derived-from', target: r.id })),
+                ...previous.map(r => ({ type: 'supersedes', target: r.id }))
+            ]
         });
         
         return { synthesis, entry };
@@ -149,8 +85,16 @@ class SynthesisAgent {
             .sort((a, b) => b[1] - a[1])
             .slice(0, 5);
         
+        // Taxonomy nodes with the most entries filed directly under them
+        const topTopics = this.memory.getTaxonomyStats()
+            .filter(n => n.id !== 'uncategorized' && n.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 5)
+            .map(n => [n.id, n.count]);
+        
         return {
             topTags,
+            topTopics,
             totalKnowledge: all.entries.length,
             verifiedRatio: all.entries.filter(e => e.verified).length / all.entries.length
         };
@@ -163,13 +107,28 @@ class TaskGenerator {
     }
 
     generateTasks(count = 5) {
-        const gaps = this.memory.identifyGaps();
-        const tasks = gaps.slice(0, count).map(gap => ({
+        // Explicitly queued research (e.g. questions memory couldn't answer) comes first
+        const tasks = this.memory.getResearchQueue().slice(0, count).map(item => ({
             type: 'research',
-            task: gap,
-            reason: 'knowledge gap'
+            task: item.topic,
+            reason: 'queued',
+            queueId: item.id,
+            detail: item.reason
         }));
         
+        // The queue filled every slot; skip gap detection, which clusters the whole store
+        const remaining = count - tasks.length;
+        if (remaining <= 0) return tasks;
+        
+        const gaps = this.memory.detectGaps({ limit: remaining, clusters: true });
+        tasks.push(...gaps.map(gap => ({
+            type: 'research',
+            task: gap.topic,
+            reason: 'knowledge gap',
+            gapSource: gap.source,
+            score: gap.score
+        })));
+        
         // Add some exploratory tasks
         const exploratory = [
             "Explore latest developments in autonomous agents",
@@ -189,8 +148,10 @@ class TaskGenerator {
     }
 
     prioritizeTasks(tasks) {
-        // Simple prioritization - gaps first
+        // Simple prioritization - queued research, then gaps
         return tasks.sort((a, b) => {
+            if (a.reason === 'queued' && b.reason !== 'queued') return -1;
+            if (b.reason === 'queued' && a.reason !== 'queued') return 1;
             if (a.reason === 'knowledge gap' && b.reason !== 'knowledge gap') return -1;
             if (b.reason === 'knowledge gap' && a.reason !== 'knowledge gap') return 1;
             return Math.random() - 0.5;
@@ -198,4 +159,4 @@ class TaskGenerator {
     }
 }
 
-export { ResearchAgent, VerificationAgent, SynthesisAgent, TaskGenerator, MemorySystem, DebateAgent };
+export { ResearchAgent, VerificationAgent, SynthesisAgent, TaskGenerator, AnswerAgent, MemorySystem, DebateAgent };
@@ -1,9 +1,11 @@
 // Reflection Agent - Analyzes performance and suggests improvements
 
+import { createProvider } from '../lib/llm-providers.js';
+
 class ReflectionAgent {
     constructor(memory, options = {}) {
         this.memory = memory;
-        this.llm = options.llm || null;
+        this.llm = createProvider(options.llm);
         this.sessionHistory = [];
     }
 
@@ -61,8 +63,7 @@ Provide:
 Respond in JSON format with keys: whatWorked, whatFailed, improvements, newStrategies
 `;
             try {
-                const llmResponse = await this.llm(prompt);
-                const parsed = JSON.parse(llmResponse);
+                const parsed = await this.llm.json(prompt);
                 Object.assign(reflection, parsed);
             } catch (e) {
                 console.log('⚠️  LLM reflection failed');
@@ -81,9 +82,7 @@ Respond in JSON format with keys: whatWorked, whatFailed, improvements, newStrat
 
     // Identify patterns across sessions
     async identifyPatterns() {
-        const metrics = this.memory.loadJson(
-            path.join(this.memory.storagePath, 'metrics.json')
-        );
+        const metrics = this.memory.getMetrics();
         
         if (!metrics?.sessions?.length) {
             return { patterns: [], recommendation: 'Not enough data' };
@@ -1,6 +1,16 @@
 // Research Agent - Web Learning using Magnitude Browser
 import { BrowserAgent } from '@magnitudedev/browser-agent';
 import { z } from 'zod';
+import { createProvider } from '../lib/llm-providers.js';
+import { ResearchPlanner } from '../lib/research-planner.js';
+import { createSearchProvider } from '../lib/search-providers.js';
+import { htmlToText } from '../lib/importer.js';
+import { tokenize } from '../lib/embeddings.js';
+
+// Longest page text kept for chunking
+const MAX_DOCUMENT_CHARS = 200000;
+// Longest excerpt of one page used in the summary
+const MAX_EXCERPT_CHARS = 800;
 
 class ResearchAgent {
     constructor(memory, options = {}) {
@@ -8,20 +18,43 @@ class ResearchAgent {
         this.name = 'ResearchAgent';
         this.browserAgent = null;
         this.headless = options.headless ?? false;
-        this.llm = options.llm || 'claude-sonnet-4';
+        this.offline = options.offline ?? false;
+        // Optional Cassette (lib/cassette.js) to record or replay fetch and browser results
+        this.cassette = options.cassette || null;
+        this.fetch = this.cassette ? (url, init) => this.cassette.fetch(url, init) : fetch;
+        this.llm = createProvider(options.llm);
         this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        // The browser agent takes its own LLM config; derive it from the shared provider
+        this.browserLlm = options.browserLlm || this.llm?.toBrowserAgentLlm() || 'claude-sonnet-4';
+        // How full page text is split into chunk entries: { strategy, maxChars, maxTokens, overlap }
+        this.chunking = options.chunking || {};
+        // Multi-step research by default: true or planner options ({ budget, maxQuestions,
+        // coverageTarget, maxAttempts }, see lib/research-planner.js)
+        this.planning = options.planning || null;
+        // Search provider for research without a browser (lib/search-providers.js): a config,
+        // "provider:argument" string or instance; URL guesses when null
+        this.search = createSearchProvider(options.search, { fetch: this.fetch });
+        // Search results fetched and read per research step
+        this.searchPages = options.searchPages || 3;
     }
 
     async initializeBrowser() {
         if (this.browserAgent) return;
         
+        if (this.cassette?.mode === 'replay') {
+            this.browserAgent = this.cassette.replayBrowserAgent();
+            console.log(`📼 Browser agent replaying from ${this.cassette.path}`);
+            return;
+        }
+        
         try {
-            this.browserAgent = new BrowserAgent({
-                llm: this.llm,
+            const browserAgent = new BrowserAgent({
+                llm: this.browserLlm,
                 apiKey: this.apiKey,
                 headless: this.headless,
                 viewport: { width: 1280, height: 720 }
             });
+            this.browserAgent = this.cassette ? this.cassette.wrapBrowserAgent(browserAgent) : browserAgent;
             console.log('🔌 Browser agent initialized');
         } catch (error) {
             console.log('⚠️  Browser init failed:', error.message);
@@ -29,43 +62,158 @@ class ResearchAgent {
         }
     }
 
-    async research(task) {
+    // Research a task and store the findings. Options: { planning } overrides the agent's
+    // planning setting for this task (false for a single research step)
+    async research(task, options = {}) {
         console.log(`🔍 [${this.name}] Researching: ${task}`);
         
         const startTime = Date.now();
         
-        // Use browser to research
-        const findings = await this.performResearch(task);
+        // Use browser to research, in planned steps when planning is on
+        const planning = options.planning ?? this.planning;
+        const findings = planning
+            ? await this.plannedResearch(task, planning === true ? {} : planning)
+            : await this.performResearch(task);
         
         const researchTime = (Date.now() - startTime) / 1000;
         
-        // Store findings in memory
-        const knowledgeEntry = this.memory.addKnowledge({
+        // File the findings under the topic taxonomy (LLM when configured, keyword rules otherwise)
+        const classification = await this.memory.classifyKnowledge({ topic: task, content: findings.summary });
+        
+        // Store findings in memory; repeats of known findings are merged per the dedupe policy
+        const ingest = await this.memory.ingestKnowledge({
             topic: task,
             content: findings.summary,
             source: findings.sources || [],
-            tags: findings.tags || [],
+            tags: [...classification.tags, ...(findings.tags || [])],
+            taxonomy: classification.taxonomy,
+            relatedTopics: findings.relatedTopics || [],
             researchTime,
-            researchMethod: 'web_browser'
+            researchMethod: findings.method || 'unknown',
+            // Stand-in content (fallback text or a scripted LLM) rather than findings
+            ...(findings.placeholder && { placeholder: true }),
+            ...(findings.report && { researchReport: this.reportSummary(findings.report) })
         });
         
+        // Keep the full page as chunks under the findings entry, each searchable on its own
+        const chunks = findings.document && ingest.action !== 'skipped'
+            ? this.memory.addChunks(ingest.entry.id, findings.document, this.chunking)
+            : [];
+        
+        // Pull entities and subject-predicate-object facts into the fact table
+        const facts = ingest.action !== 'skipped'
+            ? await this.memory.extractFacts(ingest.entry.id)
+            : null;
+        
+        // Flag claims that disagree with similar entries already in memory
+        const contradictions = ingest.action !== 'skipped'
+            ? await this.memory.contradictionDetector.check(ingest.entry.id)
+            : null;
+        
         return {
             agent: this.name,
             task,
-            result: knowledgeEntry,
+            result: ingest.entry,
+            chunks: chunks.length,
+            facts: facts?.facts.length || 0,
+            contradictions: contradictions?.contradictions.length || 0,
+            dedupe: ingest.action,
             researchTime,
-            findings
+            findings,
+            report: findings.report || null
+        };
+    }
+
+    // Decompose the task into sub-questions and research them one by one within a budget.
+    // Returns findings like performResearch, with the summary written as a per-question report
+    // and `report` holding the planner's result
+    async plannedResearch(task, options = {}) {
+        const planner = new ResearchPlanner({ llm: this.llm, ...options });
+        const report = await planner.run(task, question => this.performResearch(question));
+        
+        // Nothing answered: keep the raw findings (the planner drops placeholder ones)
+        const found = report.questions.flatMap(q => q.findings);
+        const summary = report.answered > 0
+            ? planner.formatReport(report)
+            : found[0] || `Research on: ${task}`;
+        const document = report.questions.flatMap(q => q.documents).join('\n\n');
+        
+        return {
+            summary,
+            document: document ? document.slice(0, MAX_DOCUMENT_CHARS) : null,
+            sources: report.sources,
+            tags: ['planned-research'],
+            method: 'planned',
+            relatedTopics: [...new Set(report.questions.flatMap(q => q.relatedTopics))],
+            quality: 0.3 + 0.6 * report.coverage,
+            placeholder: found.length === 0,
+            report
+        };
+    }
+
+    // What's kept of a planner report on the knowledge entry (findings are the content itself)
+    reportSummary(report) {
+        return {
+            questions: report.questions.map(q => ({
+                id: q.id,
+                question: q.question,
+                answered: q.answered,
+                coverage: q.coverage,
+                attempts: q.attempts,
+                sources: q.sources
+            })),
+            coverage: report.coverage,
+            stopReason: report.stopReason,
+            budget: report.budget,
+            used: report.used,
+            openQuestions: report.openQuestions
         };
     }
 
+    // Re-research a stored entry and record whether its facts changed
+    async refresh(entry) {
+        console.log(`🔁 [${this.name}] Re-researching: ${entry.topic}`);
+        const findings = await this.performResearch(entry.topic);
+        const refresh = this.memory.refreshKnowledge(entry.id, findings);
+        if (refresh?.changed) await this.memory.extractFacts(entry.id);
+        return refresh;
+    }
+
     async performResearch(task) {
-        // If browser available, use it
-        if (this.browserAgent) {
-            return this.browserResearch(task);
+        let findings;
+        
+        // Offline runs answer from an offline search index if there is one, else the LLM alone
+        if (this.offline) {
+            findings = (this.search?.offline && await this.searchResearch(task)) || await this.llmResearch(task);
+        } else if (this.browserAgent) {
+            // If browser available, use it
+            findings = await this.browserResearch(task);
+        } else {
+            // Fallback: try webfetch or simulate
+            findings = await this.webFetchResearch(task);
         }
         
-        // Fallback: try webfetch or simulate
-        return this.webFetchResearch(task);
+        return this.screenSources(findings);
+    }
+
+    // Drop sources from blocked domains and put the rest in preference/reliability order
+    screenSources(findings) {
+        const sources = findings.sources || [];
+        const kept = this.memory.sources.rank(sources);
+        if (kept.length < sources.length) {
+            console.log(`   🚫 Dropped ${sources.length - kept.length} source(s) from blocked domains`);
+        }
+        return { ...findings, sources: kept };
+    }
+
+    // Instruction text naming preferred and blocked domains ('' when none are marked)
+    sourceGuidance() {
+        const preferred = this.memory.sources.preferredDomains();
+        const blocked = this.memory.sources.blockedDomains();
+        return [
+            preferred.length > 0 ? `Prefer sources from: ${preferred.join(', ')}.` : '',
+            blocked.length > 0 ? `Do not use sources from: ${blocked.join(', ')}.` : ''
+        ].filter(Boolean).map(line => `\n${line}`).join('');
     }
 
     async browserResearch(task) {
@@ -75,7 +223,7 @@ class ResearchAgent {
             // Navigate and search
             const searchQuery = `${task} site: wikipedia.org OR site:github.com OR site:stackoverflow.com`;
             
-            await this.browserAgent.act(`Research and learn about: ${task}`);
+            await this.browserAgent.act(`Research and learn about: ${task}${this.sourceGuidance()}`);
             
             // Extract key information
             const extracted = await this.browserAgent.extract(
@@ -88,16 +236,19 @@ class ResearchAgent {
                 })
             ).catch(() => null);
 
-            // Get current page content as fallback
+            // Full page text: stored as chunks, and the summary when extraction failed
             const pageContent = await this.browserAgent.getPageContent?.().catch(() => '');
             
             return {
                 summary: extracted?.mainPoints?.join('\n\n') || pageContent?.slice(0, 2000) || `Research completed for: ${task}`,
+                document: pageContent?.slice(0, MAX_DOCUMENT_CHARS) || null,
                 sources: extracted?.sources || ['browser'],
-                tags: [task.toLowerCase().split(' ')[0], 'web-research'],
+                tags: ['web-research'],
+                method: 'web_browser',
                 definitions: extracted?.definitions || [],
                 relatedTopics: extracted?.relatedTopics || [],
-                quality: extracted ? 0.9 : 0.6
+                quality: extracted ? 0.9 : 0.6,
+                placeholder: !extracted?.mainPoints?.length && !pageContent
             };
             
         } catch (error) {
@@ -110,42 +261,202 @@ class ResearchAgent {
         // Fallback using webfetch for URLs
         console.log(`   🌐 Using web fetch to research...`);
         
-        const searchUrls = [
+        // Search results when a provider is configured and finds anything
+        if (this.search) {
+            const found = await this.searchResearch(task);
+            if (found) return found;
+        }
+        
+        // Otherwise guess pages; blocked domains are skipped and preferred ones fetched first
+        const searchUrls = this.memory.sources.rank([
             `https://en.wikipedia.org/wiki/${encodeURIComponent(task.replace(/ /g, '_'))}`,
             `https://github.com/search?q=${encodeURIComponent(task)}&type=repositories`
-        ];
-
-        const findings = [];
-        const sources = [];
+        ]);
 
+        const pages = [];
         for (const url of searchUrls.slice(0, 2)) {
-            try {
-                const response = await fetch(url, { 
-                    signal: AbortSignal.timeout(5000) 
-                });
-                
-                if (response.ok) {
-                    const text = await response.text();
-                    // Extract some content (simplified)
-                    const titleMatch = text.match(/<title>([^<]+)<\/title>/i);
-                    const title = titleMatch?.[1] || url;
-                    
-                    findings.push(title);
-                    sources.push(url);
-                }
-            } catch (e) {
-                // Skip failed URLs
+            const page = await this.fetchPage(url);
+            if (page) pages.push(page);
+        }
+
+        return this.pageFindings(task, pages, ['web-fetch'], 'web_fetch');
+    }
+
+    // Search with the configured provider and read the top results. Returns findings, or null
+    // when the search fails or finds nothing
+    async searchResearch(task) {
+        let results;
+        try {
+            results = await this.search.search(task, { limit: this.searchPages * 3 });
+        } catch (error) {
+            console.log(`   ⚠️  ${this.search.name} search error: ${error.message}`);
+            return null;
+        }
+        if (results.length === 0) return null;
+        
+        // Blocked domains dropped, preferred and better-rated ones read first
+        const ranked = this.memory.sources.rank(results.map(r => r.url))
+            .map(url => results.find(r => r.url === url));
+        console.log(`   🔎 ${this.search.name}: ${results.length} results, reading ${Math.min(ranked.length, this.searchPages)}`);
+        
+        const pages = [];
+        const snippets = [];
+        for (const result of ranked) {
+            if (pages.length >= this.searchPages) break;
+            // Offline indexes return the page text with the result
+            const page = result.content
+                ? { url: result.url, title: result.title, text: result.content }
+                : await this.fetchPage(result.url);
+            if (page) {
+                pages.push(page);
+            } else if (result.snippet) {
+                snippets.push(result);
             }
         }
+        
+        if (pages.length === 0 && snippets.length === 0) return null;
+        
+        // Snippets stand in for results whose pages couldn't be read
+        const findings = this.pageFindings(task, pages, ['web-search', `search:${this.search.name}`], 'web_search');
+        if (pages.length === 0) {
+            const used = snippets.slice(0, this.searchPages);
+            return {
+                ...findings,
+                summary: used.map(r => `${r.title}\n${r.snippet}`).join('\n\n'),
+                sources: used.map(r => r.url),
+                quality: 0.4,
+                placeholder: false
+            };
+        }
+        return findings;
+    }
 
+    // { url, title, text } for a web page, or null when it can't be fetched
+    async fetchPage(url) {
+        try {
+            const response = await this.fetch(url, { 
+                signal: AbortSignal.timeout(5000) 
+            });
+            if (!response.ok) return null;
+            
+            const raw = await response.text();
+            const html = /html/i.test(response.headers?.get?.('content-type') || '') || /<html|<body|<title/i.test(raw.slice(0, 2000));
+            const title = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+            return {
+                url,
+                title: title ? htmlToText(title) : url,
+                text: html ? htmlToText(raw) : raw
+            };
+        } catch (e) {
+            // Skip failed URLs
+            return null;
+        }
+    }
+
+    // The paragraphs of a page that mention the task most, in page order, up to MAX_EXCERPT_CHARS
+    excerpt(task, text) {
+        const terms = new Set(tokenize(task));
+        const paragraphs = text.split(/\n{2,}/).map(p => p.trim()).filter(p => p.length >= 40);
+        const scored = paragraphs.map((p, index) => ({
+            p,
+            index,
+            score: tokenize(p).filter(t => terms.has(t)).length / Math.sqrt(p.length / 100 + 1)
+        }));
+        
+        const picked = [];
+        let length = 0;
+        for (const s of [...scored].sort((a, b) => b.score - a.score || a.index - b.index)) {
+            if (s.score === 0 && picked.length > 0) break;
+            if (length + s.p.length > MAX_EXCERPT_CHARS && picked.length > 0) continue;
+            picked.push(s);
+            length += s.p.length;
+        }
+        
+        const excerpt = picked.sort((a, b) => a.index - b.index).map(s => s.p).join('\n\n');
+        return excerpt.length > MAX_EXCERPT_CHARS ? `${excerpt.slice(0, MAX_EXCERPT_CHARS)}...` : excerpt;
+    }
+
+    // Findings from read pages: a titled excerpt per page as the summary, full text as the document
+    pageFindings(task, pages, tags, method) {
+        const sections = pages
+            .map(page => ({ page, excerpt: this.excerpt(task, page.text) }))
+            .map(({ page, excerpt }) => excerpt ? `${page.title}\n${excerpt}` : page.title);
+        const document = pages
+            .map(page => `# ${page.title}\n\n${page.text}`)
+            .join('\n\n')
+            .slice(0, MAX_DOCUMENT_CHARS);
+        
         return {
-            summary: findings.join('\n\n') || `Research on: ${task}`,
-            sources,
-            tags: [task.toLowerCase().split(' ')[0], 'web-fetch'],
-            quality: findings.length > 0 ? 0.5 : 0.3
+            summary: sections.join('\n\n') || `Research on: ${task}`,
+            document: document || null,
+            sources: pages.map(page => page.url),
+            pages: pages.length,
+            tags,
+            method,
+            quality: pages.length > 0 ? 0.6 : 0.3,
+            placeholder: pages.length === 0
         };
     }
 
+    async llmResearch(task) {
+        console.log(`   🧠 Using LLM knowledge to research...`);
+        
+        if (!this.llm) {
+            return {
+                summary: `Research on: ${task}`,
+                sources: [],
+                tags: ['offline'],
+                method: 'offline',
+                quality: 0.2,
+                placeholder: true
+            };
+        }
+        
+        const prompt = `
+Research and learn about: ${task}
+
+Summarize what you know about this topic.${this.sourceGuidance()}
+
+Respond with JSON:
+{
+  "mainPoints": ["main facts or concepts"],
+  "definitions": ["key definitions"],
+  "sources": ["URLs or references you would cite"],
+  "relatedTopics": ["related topics worth researching"]
+}
+`;
+        
+        try {
+            // The provider, not the answer, says whether this is stand-in content
+            const { data: extracted, placeholder } = this.llm.jsonResponse
+                ? await this.llm.jsonResponse(prompt)
+                : { data: await this.llm.json(prompt), placeholder: false };
+            
+            return {
+                summary: extracted.mainPoints?.join('\n\n') || `Research on: ${task}`,
+                sources: extracted.sources || [],
+                // Cited from memory, not fetched
+                pages: 0,
+                tags: ['llm-research'],
+                method: 'llm',
+                definitions: extracted.definitions || [],
+                relatedTopics: extracted.relatedTopics || [],
+                quality: extracted.mainPoints?.length ? 0.5 : 0.2,
+                placeholder: placeholder || !extracted.mainPoints?.length
+            };
+        } catch (error) {
+            console.log(`   ⚠️  LLM research error: ${error.message}`);
+            return {
+                summary: `Research on: ${task}`,
+                sources: [],
+                tags: ['llm-research'],
+                method: 'llm',
+                quality: 0.2,
+                placeholder: true
+            };
+        }
+    }
+
     async close() {
         if (this.browserAgent) {
             await this.browserAgent.close();
@@ -0,0 +1,383 @@
+// Verification Agent - Evidence-Based Quality Checks
+// Scores knowledge from signals that can be inspected afterwards: claims cross-checked against
+// other entries, independent source domains, source reliability, citation presence, internal
+// consistency and, when an LLM is configured, a judge scoring against a rubric. Each sub-score
+// carries an explanation and is stored with the evaluation
+
+import { createProvider } from '../lib/llm-providers.js';
+import { tokenize } from '../lib/embeddings.js';
+import { isWebSource } from '../lib/source-registry.js';
+import { FUNCTIONAL_PREDICATES, claimsConflict } from '../lib/contradictions.js';
+
+// Weights of the verification signals; a signal that can't be computed (no LLM for the judge)
+// drops out and the others are rescaled
+const SIGNAL_WEIGHTS = {
+    corroboration: 0.25,
+    independentSources: 0.1,
+    sourceReliability: 0.2,
+    citations: 0.15,
+    consistency: 0.15,
+    llmJudge: 0.15
+};
+
+// Weights of the task quality signals
+const QUALITY_WEIGHTS = {
+    relevance: 0.3,
+    substance: 0.25,
+    verification: 0.35,
+    researchMethod: 0.1
+};
+
+// Share of `phrase` terms present in `text` terms
+function termCoverage(phrase, text) {
+    const wanted = [...new Set(tokenize(phrase))];
+    if (wanted.length === 0) return 0;
+    const have = text instanceof Set ? text : new Set(tokenize(text));
+    return wanted.filter(t => have.has(t)).length / wanted.length;
+}
+
+function splitSentences(text) {
+    return String(text || '')
+        .replace(/^#+\s.*$/gm, '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+}
+
+// Weighted mean of { name: { score } } signals (nulls skipped), weights rescaled to what's present
+function combine(signals, weights) {
+    const present = Object.entries(signals).filter(([name, s]) => s && weights[name]);
+    const total = present.reduce((sum, [name]) => sum + weights[name], 0);
+    if (total === 0) return 0;
+    return present.reduce((sum, [name, s]) => sum + s.score * weights[name], 0) / total;
+}
+
+class VerificationAgent {
+    constructor(memory, options = {}) {
+        this.memory = memory;
+        this.name = 'VerificationAgent';
+        // Optional LLM judge
+        this.llm = createProvider(options.llm);
+        // Minimum combined score for an entry to be marked verified
+        this.threshold = options.threshold ?? 0.6;
+        this.weights = { ...SIGNAL_WEIGHTS, ...options.weights };
+    }
+
+    // Reliability (0-1) of one source, as learned by the source registry (lib/source-registry.js)
+    rateSource(source) {
+        return this.memory.sources.rate(source);
+    }
+
+    // Verify an entry from evidence. Options: { llm: false to skip the judge, threshold }.
+    // Returns { verification: { signal: { score, explanation, ... } }, score, passed, facts }
+    async verify(knowledgeId, options = {}) {
+        console.log(`✅ [${this.name}] Verifying knowledge: ${knowledgeId}`);
+
+        const entry = this.memory.getKnowledge(knowledgeId);
+        if (!entry) throw new Error(`Unknown knowledge entry: ${knowledgeId}`);
+
+        // Entries with extracted facts are also checked fact by fact
+        const facts = [];
+        for (const fact of this.memory.queryFacts({ entryId: knowledgeId })) {
+            facts.push(await this.verifyFact(fact.id));
+        }
+
+        const others = this.independentEntries(entry);
+        const corroboration = this.corroboration(entry, others, facts);
+        const verification = {
+            corroboration,
+            independentSources: this.independentSources(entry, corroboration.supportingIds),
+            sourceReliability: this.sourceReliability(entry),
+            citations: this.citations(entry),
+            consistency: this.consistency(entry, facts),
+            llmJudge: options.llm === false ? null : await this.llmJudge(entry)
+        };
+        if (!verification.llmJudge) delete verification.llmJudge;
+
+        const score = combine(verification, this.weights);
+        const passed = score >= (options.threshold ?? this.threshold)
+            && verification.consistency.score >= 0.5
+            && (!verification.llmJudge || verification.llmJudge.score >= 0.5);
+
+        for (const [name, signal] of Object.entries(verification)) {
+            console.log(`   🔎 ${name}: ${signal.score.toFixed(2)} - ${signal.explanation}`);
+        }
+
+        if (passed) {
+            this.memory.verifyKnowledge(knowledgeId);
+        }
+
+        // Sources learn from the outcome the first time it's reached, not from every re-check
+        const previous = this.memory.storage.read('evaluation').evaluations
+            .filter(e => e.type === 'verification' && e.knowledgeId === knowledgeId)
+            .pop();
+        if (previous?.passed !== passed) {
+            this.memory.sources.record(entry.source, passed ? 'verified' : 'failed');
+        }
+
+        this.memory.evaluate({
+            knowledgeId,
+            type: 'verification',
+            score,
+            details: verification,
+            passed
+        });
+
+        return { verification, score, passed, facts };
+    }
+
+    // Entries that count as independent evidence for `entry`: not the entry itself, its chunks or
+    // its document, and not derived from it
+    independentEntries(entry) {
+        const family = new Set([entry.id, entry.parentId, ...(entry.document?.chunkIds || [])].filter(Boolean));
+        return this.memory.getAllKnowledge().entries.filter(e =>
+            !family.has(e.id)
+            && !(e.parentId && family.has(e.parentId))
+            && !e.rejected
+            && !e.invalidated
+            && !(e.links || []).some(l => l.type === 'derived-from' && family.has(l.target)));
+    }
+
+    // Claims (sentences of four or more terms) found in a sentence of another entry, blended
+    // with the entry's fact checks when it has facts
+    corroboration(entry, others, facts = []) {
+        const claims = splitSentences(entry.content).filter(s => tokenize(s).length >= 4).slice(0, 12);
+        const evidence = others.map(e => ({
+            id: e.id,
+            sentences: splitSentences(e.content).map(s => new Set(tokenize(s)))
+        }));
+
+        const supportingIds = new Set();
+        let supported = 0;
+        for (const claim of claims) {
+            const matches = evidence.filter(e => e.sentences.some(s => termCoverage(claim, s) >= 0.6));
+            if (matches.length > 0) supported++;
+            matches.forEach(e => supportingIds.add(e.id));
+        }
+
+        const claimScore = claims.length > 0 ? supported / claims.length : 0;
+        const factScore = facts.length > 0 ? facts.reduce((sum, f) => sum + f.score, 0) / facts.length : null;
+        const parts = [claims.length > 0 ? `${supported} of ${claims.length} claims found in other entries` : 'no checkable claims'];
+        if (factScore !== null) parts.push(`${facts.filter(f => f.passed).length} of ${facts.length} facts verified`);
+
+        return {
+            score: factScore === null ? claimScore : (claimScore + factScore) / 2,
+            explanation: parts.join('; '),
+            supportingIds: [...supportingIds]
+        };
+    }
+
+    // Distinct web domains behind the entry and the entries that corroborate it
+    independentSources(entry, supportingIds = []) {
+        const sources = [
+            ...[].concat(entry.source || []),
+            ...supportingIds.flatMap(id => [].concat(this.memory.getKnowledge(id)?.source || []))
+        ];
+        const domains = [...new Set(sources.filter(isWebSource).map(domainOf).filter(Boolean))];
+
+        return {
+            score: Math.min(1, domains.length / 3),
+            explanation: domains.length > 0
+                ? `${domains.length} distinct source domain${domains.length === 1 ? '' : 's'} (${domains.slice(0, 5).join(', ')})`
+                : 'no web sources',
+            domains
+        };
+    }
+
+    sourceReliability(entry) {
+        const sources = [].concat(entry.source || []);
+        if (sources.length === 0) {
+            return { score: 0, explanation: 'no sources', ratings: {} };
+        }
+
+        const ratings = Object.fromEntries(sources.map(s => [s, this.rateSource(s)]));
+        const values = Object.values(ratings);
+        const score = values.reduce((a, b) => a + b, 0) / values.length;
+        const best = Object.entries(ratings).sort((a, b) => b[1] - a[1])[0];
+        return {
+            score,
+            explanation: `mean reliability of ${values.length} source${values.length === 1 ? '' : 's'}; best ${isWebSource(best[0]) ? domainOf(best[0]) : best[0]} (${best[1].toFixed(2)})`,
+            ratings
+        };
+    }
+
+    // Cited web sources, or at least references inline in the text
+    citations(entry) {
+        const web = [].concat(entry.source || []).filter(isWebSource).length;
+        const inline = /https?:\/\/\S+|\[\d+\]|\baccording to\b|\bet al\./i.test(entry.content || '');
+
+        const score = web >= 3 ? 1 : web === 2 ? 0.8 : web === 1 ? 0.6 : inline ? 0.3 : 0;
+        return {
+            score,
+            explanation: web > 0
+                ? `${web} cited web source${web === 1 ? '' : 's'}`
+                : inline ? 'references in the text but no cited sources' : 'no citations'
+        };
+    }
+
+    // Contradictions inside the entry: a sentence negating another or repeating it with different
+    // figures (see lib/contradictions.js), its own facts disagreeing on a single-valued predicate,
+    // or research that flagged its content as a placeholder instead of findings
+    consistency(entry, facts = []) {
+        const issues = [];
+        const content = String(entry.content || '');
+
+        if (entry.placeholder) {
+            issues.push('placeholder content instead of findings');
+        }
+
+        const sentences = splitSentences(content).filter(s => tokenize(s).length >= 3).slice(0, 40);
+        for (let i = 0; i < sentences.length; i++) {
+            for (let j = i + 1; j < sentences.length; j++) {
+                if (claimsConflict(sentences[i], sentences[j])) {
+                    issues.push(`"${sentences[i].slice(0, 60)}" vs "${sentences[j].slice(0, 60)}"`);
+                }
+            }
+        }
+
+        const own = facts.map(f => this.memory.getFact(f.factId)).filter(Boolean);
+        for (const fact of own.filter(f => FUNCTIONAL_PREDICATES.includes(f.predicate))) {
+            const other = own.find(f => f.id > fact.id && f.subjectId === fact.subjectId && f.predicate === fact.predicate);
+            if (other) issues.push(`${fact.subject} ${fact.predicate} both "${fact.object}" and "${other.object}"`);
+        }
+
+        return {
+            score: Math.max(0, 1 - 0.35 * issues.length),
+            explanation: issues.length > 0 ? issues.join('; ') : 'no internal contradictions found',
+            issues
+        };
+    }
+
+    // Rubric scores from the LLM (1-5 each, scaled to 0-1), or null without an LLM or on failure
+    async llmJudge(entry) {
+        if (!this.llm) return null;
+
+        const prompt = `
+Judge this knowledge entry against the rubric.
+
+Topic: ${entry.topic}
+Sources: ${[].concat(entry.source || []).join(', ') || 'none'}
+Content:
+${String(entry.content || '').slice(0, 4000)}
+
+Rubric (score each 1-5):
+- accuracy: claims are correct and consistent with well-established knowledge
+- specificity: concrete, checkable statements rather than generalities
+- sourcing: claims are attributable to the listed sources
+- clarity: unambiguous and self-consistent
+
+Respond with JSON:
+{ "accuracy": 4, "specificity": 3, "sourcing": 3, "clarity": 4, "explanation": "one or two sentences" }
+`;
+
+        try {
+            const response = await this.llm.json(prompt);
+            const rubric = Object.fromEntries(['accuracy', 'specificity', 'sourcing', 'clarity']
+                .filter(k => Number.isFinite(response?.[k]))
+                .map(k => [k, Math.max(1, Math.min(5, response[k]))]));
+            const values = Object.values(rubric);
+            if (values.length === 0) return null;
+
+            return {
+                score: values.reduce((sum, v) => sum + (v - 1) / 4, 0) / values.length,
+                explanation: response.explanation || `rubric ${Object.entries(rubric).map(([k, v]) => `${k} ${v}/5`).join(', ')}`,
+                rubric
+            };
+        } catch (error) {
+            console.log(`   ⚠️  LLM judge failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    // Check one fact against memory rather than the whole entry it came from:
+    //   support       - its subject (or the entry's topic) and object appear together in a
+    //                   sentence of a source entry
+    //   corroboration - other entries mention the subject and the object too
+    //   conflicts     - other facts give the same subject a different object for a single-valued
+    //                   predicate (developed-by, released-in...)
+    // Returns { factId, score, passed, support, corroboration, conflicts }
+    async verifyFact(factId) {
+        const fact = this.memory.getFact(factId);
+        if (!fact) throw new Error(`Unknown fact: ${factId}`);
+
+        const entries = this.memory.getAllKnowledge().entries.filter(e => !e.rejected && !e.invalidated);
+        const mentions = (text) => termCoverage(fact.subject, text) >= 0.5 && termCoverage(fact.object, text) >= 0.6;
+
+        const sources = entries.filter(e => fact.entryIds.includes(e.id));
+        const support = sources.length > 0
+            ? sources.filter(e => splitSentences(e.content).some(sentence => mentions(`${e.topic} ${sentence}`))).length / sources.length
+            : 0;
+
+        // Chunks of a source document don't corroborate their own parent
+        const others = entries.filter(e => !fact.entryIds.includes(e.id) && !fact.entryIds.includes(e.parentId));
+        const corroborating = others.filter(e => mentions(`${e.topic} ${e.content || ''}`)).map(e => e.id);
+        const corroboration = Math.min(1, corroborating.length / 2);
+
+        const conflicts = FUNCTIONAL_PREDICATES.includes(fact.predicate)
+            ? this.memory.queryFacts({ subjectId: fact.subjectId })
+                .filter(f => f.id !== fact.id && f.predicate === fact.predicate && f.verified !== false)
+                .map(f => ({ id: f.id, object: f.object }))
+            : [];
+
+        const score = 0.4 * support + 0.25 * corroboration + 0.15 * (fact.confidence ?? 0.5) + (conflicts.length === 0 ? 0.2 : 0);
+        const passed = support > 0 && conflicts.length === 0 && score >= 0.6;
+
+        const result = { factId, score, passed, support, corroboration, corroborating, conflicts };
+        // Kept on the fact record rather than with task evaluations, which feed the average score
+        this.memory.recordFactVerification(factId, result);
+        return result;
+    }
+
+    // Quality of a research task's outcome. Options: { verification (result of verify()),
+    // findings (the research findings, for the method's self-reported quality and placeholder flag) }.
+    // Returns the score; sub-scores are stored with the evaluation
+    async evaluateTaskQuality(task, result, options = {}) {
+        const content = String(result?.content || '');
+        const words = tokenize(content).length;
+        const placeholder = Boolean(result?.placeholder || options.findings?.placeholder);
+        const coverage = termCoverage(task, `${result?.topic || ''} ${content}`);
+
+        const signals = {
+            relevance: {
+                score: coverage,
+                explanation: `${Math.round(coverage * 100)}% of the task's terms appear in the result`
+            },
+            substance: {
+                score: placeholder ? 0.1 : Math.min(1, words / 150),
+                explanation: placeholder ? 'placeholder content' : `${words} content terms (150 for full marks)`
+            },
+            verification: options.verification ? {
+                score: options.verification.score,
+                explanation: `verification ${options.verification.passed ? 'passed' : 'failed'} at ${options.verification.score.toFixed(2)}`
+            } : null,
+            researchMethod: Number.isFinite(options.findings?.quality) ? {
+                score: options.findings.quality,
+                explanation: `research method reported quality ${options.findings.quality}`
+            } : null
+        };
+        Object.keys(signals).forEach(name => signals[name] === null && delete signals[name]);
+
+        const score = combine(signals, QUALITY_WEIGHTS);
+
+        this.memory.evaluate({
+            task,
+            type: 'task_quality',
+            score,
+            details: signals,
+            result
+        });
+
+        return score;
+    }
+}
+
+export default VerificationAgent;
+export { SIGNAL_WEIGHTS };
@@ -0,0 +1,41 @@
+// Example: Offline, Reproducible Session
+// Runs the whole pipeline against the mock LLM - no network, no API costs
+
+import MagnitudeSelfImprover from '../index.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import { createProvider } from '../lib/llm-providers.js';
+
+async function main() {
+    const args = process.argv.slice(2);
+    const fixturesPath = args.find(a => a.startsWith('--fixtures='))?.split('=')[1] || './fixtures/llm';
+    
+    // --record=anthropic:claude-sonnet-4-20250514 captures real responses into the fixtures directory
+    const recordFrom = args.find(a => a.startsWith('--record='))?.split('=').slice(1).join('=');
+    
+    const llm = new MockLLMProvider({
+        fixturesPath,
+        recordFrom: recordFrom ? createProvider(recordFrom) : null
+    });
+    
+    const improver = new MagnitudeSelfImprover({
+        offline: true,
+        llm,
+        tasksPerSession: 2,
+        memoryPath: './memory-offline',
+        sessionName: 'offline_example'
+    });
+    
+    await improver.initialize();
+    await improver.runSession();
+    
+    const debate = await improver.debateAgent.debate('Offline testing makes agents more reliable');
+    console.log(JSON.stringify(debate.synthesis, null, 2));
+    
+    const unmatched = llm.getUnmatched();
+    if (unmatched.length > 0) {
+        console.log(`\n⚠️  ${unmatched.length} prompts used the default mock response:`);
+        unmatched.forEach(c => console.log(`   - ${c.hash}`));
+    }
+}
+
+main().catch(console.error);
@@ -1,12 +1,14 @@
 // Magnitude Self-Improvement Agent - v2.8
 // Multi-Agent Architecture with Continuous Learning, Tool Creation, Memory, Debate, and Human Feedback
 
-import { BrowserAgent } from 'magnitude-core';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { 
     ResearchAgent, 
     VerificationAgent, 
     SynthesisAgent, 
     TaskGenerator,
+    AnswerAgent,
     MemorySystem,
     DebateAgent
 } from './agents/index.js';
@@ -15,6 +17,20 @@ import ReflectionAgent from './agents/reflection.js';
 import HumanFeedbackLoop from './lib/human-feedback.js';
 import ToolCreator from './lib/tool-creator.js';
 import ContinuousLearningLoop from './lib/continuous-loop.js';
+import { createProvider, providerConfigFromEnv } from './lib/llm-providers.js';
+import { searchConfigFromEnv } from './lib/search-providers.js';
+import MockLLMProvider from './lib/mock-llm.js';
+import Cassette from './lib/cassette.js';
+import { DocumentImporter } from './lib/importer.js';
+import { NamespaceManager, DEFAULT_NAMESPACE } from './lib/namespaces.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Value of a `--name=value` CLI flag
+function getFlag(args, name) {
+    return args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+}
 
 class MagnitudeSelfImprover {
     constructor(options = {}) {
@@ -22,46 +38,101 @@ class MagnitudeSelfImprover {
         this.sessionName = options.sessionName || `session_${Date.now()}`;
         this.tasksPerSession = options.tasksPerSession || 5;
         this.enableSelfModification = options.enableSelfModification ?? true;
+        // Offline: no browser and no web requests (pair with MockLLMProvider for reproducible runs)
+        this.offline = options.offline ?? false;
+        // Record or replay research traffic: { mode: 'record' | 'replay', path } or a Cassette
+        this.cassette = options.cassette instanceof Cassette || !options.cassette
+            ? options.cassette || null
+            : new Cassette(options.cassette);
+        
+        // One LLM provider shared by every agent: a config object
+        // ({ provider: 'anthropic' | 'openai' | 'azure' | 'local', model, ... }),
+        // a "provider:model" string, an LLMProvider instance or a legacy prompt function.
+        // Offline runs never pick a provider up from the environment: the mock answers instead
+        this.llm = createProvider(options.llm ?? (this.offline ? new MockLLMProvider() : providerConfigFromEnv()));
+        
+        // Namespace: its own knowledge, metrics, vector collection, feedback queue, tools and
+        // schedule (see lib/namespaces.js); explicit paths in options still win
+        this.namespace = options.namespace || DEFAULT_NAMESPACE;
+        const memoryOptions = {
+            embedder: options.embedder,
+            dedupe: options.dedupe,
+            freshness: options.freshness
+        };
+        this.namespaces = new NamespaceManager({
+            baseDir: options.baseDir,
+            root: options.namespacesPath,
+            memory: memoryOptions
+        });
+        const paths = this.namespaces.paths(this.namespace);
         
         // Initialize systems
-        this.memory = new MemorySystem(options.memoryPath || './memory');
+        this.memory = new MemorySystem(options.memoryPath || paths.memoryPath, {
+            ...memoryOptions,
+            storage: options.storage,
+            namespace: this.namespace,
+            collectionName: paths.collectionName
+        });
+        this.namespaces.register(this.memory);
         
         // Initialize self-modification
         this.selfMod = new SelfModificationSystem({
             projectPath: options.projectPath || './',
-            llm: options.llm || null
+            llm: this.llm
         });
         
         // Initialize agents
         this.researchAgent = new ResearchAgent(this.memory, {
             headless: this.headless,
+            llm: this.llm,
+            offline: this.offline,
+            cassette: this.cassette,
+            chunking: options.chunking,
+            // Multi-step research with sub-questions and a budget (lib/research-planner.js)
+            planning: options.planning,
+            // Web search without a browser: { provider: 'searxng' | 'brave' | 'duckduckgo' | 'local', ... }
+            // or a "provider:argument" string (lib/search-providers.js); URL guesses when unset
+            search: options.search ?? searchConfigFromEnv(),
             apiKey: options.anthropicApiKey || process.env.ANTHROPIC_API_KEY
         });
-        this.verificationAgent = new VerificationAgent(this.memory);
+        this.verificationAgent = new VerificationAgent(this.memory, { llm: this.llm });
         this.synthesisAgent = new SynthesisAgent(this.memory);
         this.taskGenerator = new TaskGenerator(this.memory);
-        this.reflectionAgent = new ReflectionAgent(this.memory, { llm: options.llm });
+        this.answerAgent = new AnswerAgent(this.memory, { llm: this.llm });
+        this.reflectionAgent = new ReflectionAgent(this.memory, { llm: this.llm });
         this.debateAgent = new DebateAgent({
+            llm: this.llm,
+            memory: this.memory,
+            // Per-side models would go to the network; offline debates use the shared provider
+            proponentLlm: this.offline ? null : options.debate?.proponentLlm,
+            opponentLlm: this.offline ? null : options.debate?.opponentLlm,
             mistralPath: options.mistralPath || '/home/sarah/opencode-bc/models/mistral.py',
             kimiPath: options.kimiPath || '/home/sarah/opencode-bc/models/kimi.py'
         });
         
         // Initialize human feedback loop
         this.feedbackLoop = new HumanFeedbackLoop({
-            feedbackPath: options.feedbackPath || './feedback'
+            feedbackPath: options.feedbackPath || paths.feedbackPath,
+            memory: this.memory
         });
+        this.memory.gapDetector.feedbackLoop = this.feedbackLoop;
+        this.memory.autoTagger.llm = this.llm;
+        this.memory.factExtractor.llm = this.llm;
+        this.memory.contradictionDetector.llm = this.llm;
+        this.memory.contradictionDetector.feedbackLoop = this.feedbackLoop;
         
         // Initialize tool creator
         this.toolCreator = new ToolCreator({
-            toolsPath: options.toolsPath || './tools',
-            llm: options.llm || null
+            toolsPath: options.toolsPath || paths.toolsPath,
+            llm: this.llm
         });
         
         // Initialize continuous learning loop
         this.learningLoop = new ContinuousLearningLoop({
-            schedulePath: options.schedulePath || './schedule.json'
+            schedulePath: options.schedulePath || paths.schedulePath
         });
         this.learningLoop.sessionRunner = this;
+        this.memory.contradictionDetector.learningLoop = this.learningLoop;
         
         // Session metrics
         this.sessionMetrics = {
@@ -79,6 +150,9 @@ class MagnitudeSelfImprover {
         console.log("🚀 Magnitude Self-Improvement Framework");
         console.log("=".repeat(60));
         console.log(`📅 Session: ${this.sessionName}`);
+        if (this.namespace !== DEFAULT_NAMESPACE) {
+            console.log(`🗂️  Namespace: ${this.namespace}`);
+        }
         
         // Check current stats
         const stats = this.memory.getStats();
@@ -86,17 +160,35 @@ class MagnitudeSelfImprover {
         console.log(`   Knowledge entries: ${stats.knowledgeCount}`);
         console.log(`   Sessions completed: ${stats.sessionsCount}`);
         console.log(`   Average quality score: ${stats.averageScore}`);
+        console.log(`   LLM: ${this.llm ? `${this.llm.name} (${this.llm.model})` : 'none (heuristics only)'}`);
         
         if (stats.knowledgeGaps.length > 0) {
             console.log(`   Knowledge gaps identified: ${stats.knowledgeGaps.length}`);
         }
         console.log("");
         
+        // Semantic search over knowledge
+        await this.memory.initializeVectorMemory();
+        
+        if (this.cassette?.mode === 'replay') {
+            console.log(`📼 Replaying research from ${this.cassette.path}\n`);
+            await this.researchAgent.initializeBrowser();
+            this.browser = null;
+            return;
+        }
+        
+        if (this.offline) {
+            console.log("📴 Offline mode - browser and web research disabled\n");
+            this.browser = null;
+            return;
+        }
+        
         // Initialize browser for web learning
         await this.researchAgent.initializeBrowser();
         
         // Initialize browser if available
         try {
+            const { BrowserAgent } = await import('magnitude-core');
             this.browser = await BrowserAgent.create({
                 headless: this.headless,
                 viewport: { width: 1280, height: 720 }
@@ -141,7 +233,13 @@ class MagnitudeSelfImprover {
         // Print session summary
         this.printSessionSummary();
         
+        if (this.cassette) {
+            const cassette = this.cassette.getStats();
+            console.log(`📼 Cassette (${cassette.mode}): ${cassette.entries} entries, ${cassette.hits} hits, ${cassette.misses} misses, ${cassette.recorded} recorded`);
+        }
+        
         // Cleanup
+        this.memory.vectorMemory?.close();
         if (this.browser) {
             await this.browser.close();
         }
@@ -158,6 +256,10 @@ class MagnitudeSelfImprover {
         const researchResult = await this.researchAgent.research(task.task);
         this.sessionMetrics.tasksCompleted++;
         
+        if (task.queueId) {
+            this.memory.completeResearch(task.queueId, researchResult.result.id);
+        }
+        
         // Verification phase
         const verification = await this.verificationAgent.verify(
             researchResult.result.id
@@ -170,7 +272,8 @@ class MagnitudeSelfImprover {
         // Quality evaluation
         const qualityScore = await this.verificationAgent.evaluateTaskQuality(
             task.task,
-            researchResult.result
+            researchResult.result,
+            { verification, findings: researchResult.findings }
         );
         
         // Auto-queue low confidence items for human review
@@ -182,6 +285,7 @@ class MagnitudeSelfImprover {
                 source: 'auto',
                 confidence: qualityScore,
                 task: task.task,
+                knowledgeId: researchResult.result.id,
                 verificationResult: verification
             });
         }
@@ -198,8 +302,10 @@ class MagnitudeSelfImprover {
         // Synthesize on top topics
         const insights = this.synthesisAgent.generateInsights();
         
-        if (insights.topTags.length > 0) {
-            for (const [topic, count] of insights.topTags.slice(0, 3)) {
+        // Prefer taxonomy nodes; fall back to raw tags for knowledge that predates the taxonomy
+        const topics = insights.topTopics.length > 0 ? insights.topTopics : insights.topTags;
+        if (topics.length > 0) {
+            for (const [topic, count] of topics.slice(0, 3)) {
                 await this.synthesisAgent.synthesize(topic);
             }
         }
@@ -239,6 +345,52 @@ class MagnitudeSelfImprover {
         }
     }
 
+    // Debate a topic and store the outcome (also used by scheduled `debate` tasks)
+    async runDebate(topic, options = {}) {
+        if (options.rounds) {
+            this.debateAgent.maxRounds = options.rounds;
+        }
+        return this.debateAgent.debate(topic, { entryIds: options.entryIds });
+    }
+
+    // Re-research the stalest high-value entries (also used by scheduled `re-research` tasks)
+    async refreshStaleKnowledge(options = {}) {
+        const stale = this.memory.getStaleEntries({ limit: options.limit || 3 });
+        console.log(`🔁 Refreshing ${stale.length} stale entries...`);
+        
+        const results = [];
+        for (const entry of stale) {
+            try {
+                results.push(await this.researchAgent.refresh(entry));
+            } catch (error) {
+                console.error(`❌ Refresh failed for ${entry.id}: ${error.message}`);
+            }
+        }
+        
+        return {
+            refreshed: results.length,
+            changed: results.filter(r => r.changed).length,
+            results
+        };
+    }
+
+    // Chunk and ingest local documents (a file or a directory of .md, .html, .txt, .jsonl).
+    // Options: { strategy, maxChars, maxTokens, overlap, policy }
+    async importDocuments(target, options = {}) {
+        const importer = new DocumentImporter(this.memory, { maxChars: options.maxChars });
+        const stats = await importer.importPath(target, options);
+        
+        // Persist the vector index now; CLI runs exit without a session cleanup
+        this.memory.vectorMemory?.close();
+        return stats;
+    }
+
+    // Answer a question from memory with citations; unanswerable questions are queued for research.
+    // Options: { filters, tokenBudget, maxEntries, queue } (see AnswerAgent.ask)
+    async ask(question, options = {}) {
+        return this.answerAgent.ask(question, options);
+    }
+
     printSessionSummary() {
         const stats = this.memory.getStats();
         
@@ -253,6 +405,11 @@ class MagnitudeSelfImprover {
         console.log(`   Total knowledge: ${stats.knowledgeCount} entries`);
         console.log(`   Average score: ${stats.averageScore}`);
         
+        if (this.llm) {
+            const usage = this.llm.getUsage();
+            console.log(`   LLM usage: ${usage.totalTokens} tokens over ${usage.calls} calls (${usage.model})`);
+        }
+        
         if (stats.knowledgeGaps.length > 0) {
             console.log(`   Remaining gaps: ${stats.knowledgeGaps.slice(0, 3).join(', ')}...`);
         }
@@ -260,9 +417,29 @@ class MagnitudeSelfImprover {
         console.log("=".repeat(60));
     }
 
+    // Search filters from CLI flags: --verified / --unverified, --tag=a,b, --source=,
+    // --since=, --until=, --synthesis / --no-synthesis
+    parseSearchFilters(args) {
+        const flag = (name) => getFlag(args, name);
+        const filters = {};
+        
+        if (args.includes('--verified')) filters.verified = true;
+        if (args.includes('--unverified')) filters.verified = false;
+        if (args.includes('--synthesis')) filters.isSynthesis = true;
+        if (args.includes('--no-synthesis')) filters.isSynthesis = false;
+        if (flag('tag')) filters.tags = flag('tag').split(',');
+        if (flag('source')) filters.source = flag('source');
+        if (flag('since')) filters.since = flag('since');
+        if (flag('until')) filters.until = flag('until');
+        if (flag('taxonomy')) filters.taxonomy = flag('taxonomy').split(',');
+        
+        return filters;
+    }
+
     // CLI commands
     async command(args) {
         const cmd = args[0];
+        const flag = (name) => getFlag(args, name);
         
         switch (cmd) {
             case 'stats':
@@ -270,31 +447,565 @@ class MagnitudeSelfImprover {
                 break;
                 
             case 'search':
-                const results = this.memory.searchKnowledge(args.slice(1).join(' '));
-                console.log(`Found ${results.length} results:`);
-                results.forEach(r => console.log(`  - ${r.topic}: ${r.content?.slice(0, 100)}...`));
+                const searchQuery = args.slice(1).filter(a => !a.startsWith('--')).join(' ');
+                const search = await this.memory.query(searchQuery, {
+                    mode: flag('mode') || 'hybrid',
+                    filters: this.parseSearchFilters(args),
+                    page: parseInt(flag('page')) || 1,
+                    pageSize: parseInt(flag('limit')) || 10,
+                    includeRejected: args.includes('--include-rejected')
+                });
+                console.log(`Found ${search.total} results (page ${search.page}/${search.pages || 1}):`);
+                search.results.forEach(r => {
+                    console.log(`  [${r.score.toFixed(4)}] ${r.id} ${r.topic}${r.verified ? ' ✅' : ''}${r.rejected ? ' 🚫 rejected' : ''}`);
+                    console.log(`      ${r.content?.slice(0, 100)}...`);
+                });
+                break;
+                
+            case 'ask':
+                const question = args.slice(1).filter(a => !a.startsWith('--')).join(' ');
+                if (!question) {
+                    console.log('Usage: ask "<question>" [--budget=3000] [--no-queue] [filters]');
+                    break;
+                }
+                const answer = await this.ask(question, {
+                    filters: this.parseSearchFilters(args),
+                    tokenBudget: parseInt(flag('budget')) || undefined,
+                    queue: !args.includes('--no-queue')
+                });
+                console.log(`\n${answer.answer}`);
+                if (answer.citations.length > 0) {
+                    console.log('\nSources:');
+                    answer.citations.forEach(c => {
+                        console.log(`  [${c.id}] ${c.topic}${c.sources.length ? ` - ${c.sources.join(', ')}` : ''}`);
+                    });
+                }
+                if (answer.queued) {
+                    console.log(`\n📋 Queued for research (requested ${answer.queued.requests}x)`);
+                }
+                break;
+                
+            case 'queue':
+                if (args[1] === 'add') {
+                    const queueTopic = args.slice(2).filter(a => !a.startsWith('--')).join(' ');
+                    if (!queueTopic) {
+                        console.log('Usage: queue add "<topic>"');
+                        break;
+                    }
+                    const item = this.memory.queueResearch(queueTopic, { reason: flag('reason') });
+                    console.log(`📋 Queued: ${item.topic} (${item.id})`);
+                    break;
+                }
+                const queueItems = this.memory.getResearchQueue(args.includes('--all') ? 'all' : 'pending');
+                console.log(`Research queue (${queueItems.length}):`);
+                queueItems.forEach(item => {
+                    console.log(`  - ${item.id} ${item.topic} [${item.status}] (${item.reason}, ${item.requests}x)`);
+                });
+                break;
+                
+            case 'sources':
+                const [srcCommand, srcDomain] = args.slice(1).filter(a => !a.startsWith('--'));
+                const formatSource = s => `${s.key.padEnd(28)} ${s.rating.toFixed(2)} (prior ${s.prior.toFixed(2)}, +${s.positive} / -${s.negative})${s.status ? ` [${s.status}]` : ''}${s.note ? ` - ${s.note}` : ''}`;
+                switch (srcCommand) {
+                    case undefined:
+                    case 'list':
+                        const rated = this.memory.sources.list();
+                        console.log(`Sources (${rated.length}):`);
+                        rated.forEach(s => console.log(`  ${formatSource(s)}`));
+                        break;
+                    case 'show':
+                        if (!srcDomain) {
+                            console.log('Usage: sources show <domain|url>');
+                            break;
+                        }
+                        console.log(JSON.stringify(this.memory.sources.get(srcDomain), null, 2));
+                        break;
+                    case 'prefer':
+                    case 'block':
+                    case 'unmark':
+                        if (!srcDomain) {
+                            console.log(`Usage: sources ${srcCommand} <domain|url>`);
+                            break;
+                        }
+                        const marked = this.memory.sources.setStatus(srcDomain, {
+                            prefer: 'preferred',
+                            block: 'blocked',
+                            unmark: null
+                        }[srcCommand], flag('note') || null);
+                        console.log(`🏷️  ${formatSource(marked)}`);
+                        break;
+                    default:
+                        console.log('Usage: sources <list|show|prefer|block|unmark>');
+                        console.log('  sources list                  - Rated sources, most reliable first');
+                        console.log('  sources show <domain>         - Rating, evidence and mark of a domain');
+                        console.log('  sources prefer <domain> [--note=] - Research this domain first');
+                        console.log('  sources block <domain> [--note=]  - Never research or keep sources from this domain');
+                        console.log('  sources unmark <domain>       - Clear a preferred/blocked mark');
+                }
+                break;
+                
+            case 'namespace':
+                const [nsCommand, ...nsArgs] = args.slice(1).filter(a => !a.startsWith('--'));
+                switch (nsCommand) {
+                    case 'copy':
+                    case 'share':
+                        if (nsArgs.length < 2) {
+                            console.log(`Usage: namespace ${nsCommand} <target-namespace> <id...>`);
+                            break;
+                        }
+                        try {
+                            const received = await this.namespaces.copy(this.namespace, nsArgs[0], nsArgs.slice(1), {
+                                mode: nsCommand === 'share' ? 'share' : 'copy'
+                            });
+                            console.log(JSON.stringify(received, null, 2));
+                        } catch (error) {
+                            console.log(`❌ ${error.message}`);
+                        }
+                        this.namespaces.close();
+                        break;
+                    case 'sync':
+                        const synced = await this.namespaces.sync(this.namespace);
+                        this.namespaces.close();
+                        console.log(`🔀 ${synced.updated.length} of ${synced.checked} shared entries updated${synced.missing.length ? `, ${synced.missing.length} originals missing` : ''}`);
+                        break;
+                    case 'list':
+                    case undefined:
+                        console.log('Namespaces:');
+                        this.namespaces.list().forEach(ns => {
+                            console.log(`  ${ns.name === this.namespace ? '*' : ' '} ${ns.name} (${ns.entries} entries) ${ns.path}`);
+                        });
+                        break;
+                    default:
+                        console.log('Usage: namespace <list|copy|share|sync>');
+                }
+                break;
+                
+            case 'facts':
+                const [factsCommand, ...factsArgs] = args.slice(1).filter(a => !a.startsWith('--'));
+                switch (factsCommand) {
+                    case 'extract':
+                        // One entry, or every entry that has no facts yet (--all: every entry)
+                        const knownFacts = new Set(this.memory.queryFacts().flatMap(f => f.entryIds));
+                        const toExtract = factsArgs.length > 0
+                            ? factsArgs
+                            : this.memory.getAllKnowledge().entries
+                                .filter(e => !e.rejected && !e.parentId && (args.includes('--all') || !knownFacts.has(e.id)))
+                                .map(e => e.id);
+                        let extractedFacts = 0;
+                        for (const id of toExtract) {
+                            const extracted = await this.memory.extractFacts(id);
+                            if (!extracted) {
+                                console.log(`❌ No knowledge entry ${id}`);
+                                continue;
+                            }
+                            extractedFacts += extracted.facts.length;
+                        }
+                        console.log(`🧩 Extracted ${extractedFacts} facts from ${toExtract.length} entries`);
+                        break;
+                    case 'verify':
+                        const toVerify = factsArgs.length > 0
+                            ? factsArgs
+                            : this.memory.queryFacts({ entryId: flag('entry'), verified: args.includes('--recheck') ? undefined : null }).map(f => f.id);
+                        for (const factId of toVerify) {
+                            const fact = this.memory.getFact(factId);
+                            if (!fact) {
+                                console.log(`❌ No fact ${factId}`);
+                                continue;
+                            }
+                            const checked = await this.verificationAgent.verifyFact(factId);
+                            console.log(`  ${checked.passed ? '✅' : '⚠️ '} [${checked.score.toFixed(2)}] ${fact.subject} ${fact.predicate} ${fact.object} (support ${checked.support.toFixed(2)}, corroboration ${checked.corroboration.toFixed(2)}, ${checked.conflicts.length} conflicts)`);
+                        }
+                        break;
+                    case 'entities':
+                        this.memory.getEntities({ type: flag('type'), name: factsArgs.join(' ') || undefined }).forEach(e => {
+                            console.log(`  ${e.name} (${e.type}, ${e.factCount} facts, ${e.entryIds.length} entries)`);
+                        });
+                        break;
+                    default:
+                        // facts [text] [--subject=] [--predicate=] [--object=] [--type=] [--entry=] [--verified|--unverified|--unchecked]
+                        const factList = this.memory.queryFacts({
+                            text: [factsCommand, ...factsArgs].filter(Boolean).join(' ') || undefined,
+                            subject: flag('subject'),
+                            predicate: flag('predicate'),
+                            object: flag('object'),
+                            type: flag('type'),
+                            entryId: flag('entry'),
+                            verified: args.includes('--verified') ? true : args.includes('--unverified') ? false : args.includes('--unchecked') ? null : undefined,
+                            limit: parseInt(flag('limit')) || 50
+                        });
+                        console.log(`Facts (${factList.length}):`);
+                        factList.forEach(f => {
+                            const mark = f.verified === true ? ' ✅' : f.verified === false ? ' ❌' : '';
+                            console.log(`  ${f.id} ${f.subject} —${f.predicate}→ ${f.object}${mark} (${f.entryIds.join(', ')})`);
+                        });
+                }
+                break;
+                
+            case 'contradictions':
+                const [conflictCommand, ...conflictArgs] = args.slice(1).filter(a => !a.startsWith('--'));
+                if (conflictCommand === 'check') {
+                    // Given entries, or with --all every research entry (chunks and syntheses aside);
+                    // --resolution=debate schedules debates instead of review items
+                    const toCheck = conflictArgs.length > 0
+                        ? conflictArgs
+                        : args.includes('--all')
+                            ? this.memory.getAllKnowledge().entries.filter(e => !e.rejected && !e.parentId && !e.isSynthesis).map(e => e.id)
+                            : [];
+                    if (toCheck.length === 0) {
+                        console.log('Usage: contradictions check <id...> | --all [--resolution=review|debate]');
+                        break;
+                    }
+                    let found = 0;
+                    for (const id of toCheck) {
+                        try {
+                            const checked = await this.memory.contradictionDetector.check(id, { resolution: flag('resolution') });
+                            found += checked.contradictions.length;
+                        } catch (error) {
+                            console.log(`❌ ${error.message}`);
+                        }
+                    }
+                    console.log(`⚡ ${found} contradictions found in ${toCheck.length} entries`);
+                    break;
+                }
+                // contradictions [list] [--resolved|--all] [--entry=<id>]
+                const pairs = this.memory.contradictionDetector.list({
+                    status: args.includes('--all') ? 'all' : args.includes('--resolved') ? 'resolved' : 'open',
+                    id: flag('entry')
+                });
+                console.log(`Contradictions (${pairs.length}):`);
+                pairs.forEach(pair => {
+                    const handled = pair.resolvedBy
+                        ? `resolved by ${pair.resolvedBy.type} ${pair.resolvedBy.id}`
+                        : pair.resolution ? `${pair.resolution.type} ${pair.resolution.id} pending` : 'unhandled';
+                    console.log(`  ${pair.ids[0]} "${pair.topics[0]}" ⚡ ${pair.ids[1]} "${pair.topics[1]}" (${handled})`);
+                    pair.conflicts.slice(0, 2).forEach(c => console.log(`    - "${c.claim}" vs "${c.counterClaim}"`));
+                });
+                break;
+                
+            case 'research':
+                // research "<task>" [--plan] [--steps=] [--pages=] [--seconds=] [--tokens=]
+                const researchTask = args.slice(1).filter(a => !a.startsWith('--')).join(' ');
+                if (!researchTask) {
+                    console.log('Usage: research "<task>" [--plan] [--steps=] [--pages=] [--seconds=] [--tokens=]');
+                    break;
+                }
+                const budget = Object.fromEntries(['steps', 'pages', 'seconds', 'tokens']
+                    .filter(limit => flag(limit))
+                    .map(limit => [limit, parseFloat(flag(limit))]));
+                const researched = await this.researchAgent.research(researchTask, Object.keys(budget).length > 0 ? { planning: { budget } } : {});
+                console.log(`\n${researched.result.content}\n`);
+                console.log(`📚 Stored as ${researched.result.id} (${researched.dedupe})`);
+                this.memory.vectorMemory?.close();
+                await this.researchAgent.close();
+                break;
+                
+            case 'web-search':
+                // web-search "<query>" [--limit=]: the configured provider's ranked results
+                const webQuery = args.slice(1).filter(a => !a.startsWith('--')).join(' ');
+                if (!webQuery) {
+                    console.log('Usage: web-search "<query>" [--limit=10] (provider from --search= or MAGNITUDE_SEARCH)');
+                    break;
+                }
+                if (!this.researchAgent.search) {
+                    console.log('❌ No search provider configured (use --search=searxng:<url>|brave|duckduckgo|local:<path>)');
+                    break;
+                }
+                const webResults = await this.researchAgent.search.search(webQuery, { limit: parseInt(flag('limit')) || 10 });
+                const readable = new Set(this.memory.sources.rank(webResults.map(r => r.url)));
+                console.log(`${webResults.length} results from ${this.researchAgent.search.name}:`);
+                webResults.forEach(r => {
+                    console.log(`  ${r.rank}. ${r.title}${readable.has(r.url) ? '' : ' 🚫'}`);
+                    console.log(`      ${r.url}`);
+                    if (r.snippet) console.log(`      ${r.snippet.slice(0, 120)}`);
+                });
                 break;
                 
             case 'gaps':
+                if (args[1] === 'init') {
+                    const curriculum = this.memory.gapDetector.initCurriculum();
+                    console.log(curriculum.created
+                        ? `📝 Wrote default curriculum to ${curriculum.path}`
+                        : `ℹ️  Curriculum already exists at ${curriculum.path}`);
+                    break;
+                }
                 console.log("Knowledge gaps:");
-                this.memory.identifyGaps().forEach(g => console.log(`  - ${g}`));
+                this.memory.detectGaps({ limit: parseInt(flag('limit')) || 20, clusters: true }).forEach(g => {
+                    console.log(`  - [${g.score.toFixed(2)}] ${g.topic} (${g.source}: ${g.reasons.join('; ')})`);
+                });
                 break;
                 
             case 'debate':
-                const debateTopic = args.slice(1).join(' ');
+                const debateTopic = args.slice(1).filter(a => !a.startsWith('--')).join(' ');
                 if (!debateTopic) {
                     console.log('Usage: debate "<topic>"');
                     break;
                 }
                 const debateRounds = parseInt(args.find(a => a.startsWith('--rounds='))?.split('=')[1]) || 3;
-                this.debateAgent.maxRounds = debateRounds;
-                const result = await this.debateAgent.debate(debateTopic);
-                console.log('\n✅ Debate complete!');
+                const result = await this.runDebate(debateTopic, { rounds: debateRounds });
+                console.log(`\n✅ Debate complete! Stored as ${result.entry.id}`);
                 console.log(JSON.stringify(result.synthesis, null, 2));
                 break;
                 
             case 'export':
-                console.log(JSON.stringify(this.memory.exportKnowledge(), null, 2));
+                const exportFilters = this.parseSearchFilters(args);
+                if (!flag('format') || flag('format') === 'json') {
+                    const all = Object.keys(exportFilters).length === 0;
+                    console.log(JSON.stringify(this.memory.exportKnowledge(all ? {} : { filters: exportFilters }), null, 2));
+                    break;
+                }
+                const exported = this.memory.exportKnowledgeTo(flag('format'), flag('out') || `./export/${flag('format')}`, {
+                    filters: exportFilters,
+                    includeRejected: args.includes('--include-rejected'),
+                    history: args.includes('--history')
+                });
+                console.log(`   ${exported.files.length} files written`);
+                break;
+                
+            case 'stale':
+                const stale = this.memory.getStaleEntries({
+                    limit: parseInt(flag('limit')) || 20,
+                    minStaleness: flag('min') ? parseFloat(flag('min')) : 1
+                });
+                console.log(`⏳ ${stale.length} stale entries:`);
+                stale.forEach(e => {
+                    console.log(`  [${e.staleness.toFixed(2)} × ${e.value.toFixed(2)}] ${e.id} ${e.topic} (${this.memory.freshness.classify(e).class})`);
+                });
+                break;
+                
+            case 'refresh':
+                const refresh = await this.refreshStaleKnowledge({ limit: parseInt(flag('limit')) || 3 });
+                console.log(`✅ Refreshed ${refresh.refreshed} entries, ${refresh.changed} changed`);
+                break;
+                
+            case 'dedupe':
+                const dedupe = await this.memory.dedupe({
+                    threshold: flag('threshold') ? parseFloat(flag('threshold')) : undefined,
+                    dryRun: args.includes('--dry-run')
+                });
+                dedupe.groups.forEach(g => {
+                    console.log(`  keep ${g.keep} ${g.topic}`);
+                    g.duplicates.forEach(d => {
+                        console.log(`    ${dedupe.dryRun ? 'would merge' : 'merged'} ${d.id} ${d.topic} (${d.match}, ${d.similarity.toFixed(2)})`);
+                    });
+                });
+                console.log(`🧹 ${dedupe.groups.length} duplicate groups, ${dedupe.removed} entries removed${dedupe.dryRun ? ' (dry run)' : ''}`);
+                break;
+                
+            case 'import':
+                if (!args[1]) {
+                    console.log('Usage: import <file-or-directory> [--chunking=heading|paragraph|token] [--max-chars=1500] [--max-tokens=300] [--overlap=50] [--dedupe=merge|skip|revision|new]');
+                    break;
+                }
+                const imported = await this.importDocuments(args[1], {
+                    strategy: flag('chunking'),
+                    maxChars: parseInt(flag('max-chars')) || undefined,
+                    maxTokens: parseInt(flag('max-tokens')) || undefined,
+                    overlap: flag('overlap') ? parseInt(flag('overlap')) : undefined,
+                    policy: flag('dedupe')
+                });
+                console.log(`📥 Imported ${imported.files} files, ${imported.documents} documents, ${imported.chunks} chunks: ${imported.added} added, ${imported.merged} merged, ${imported.revised} revised, ${imported.skipped} skipped`);
+                imported.errors.forEach(e => console.log(`   ❌ ${e.file}: ${e.error}`));
+                break;
+                
+            case 'taxonomy':
+                switch (args[1]) {
+                    case 'retag':
+                        const retag = await this.memory.retagKnowledge({ keywordsOnly: args.includes('--keywords') });
+                        console.log(`🏷️  Retagged ${retag.changed} of ${retag.checked} entries`);
+                        break;
+                    case 'show':
+                        if (!this.memory.taxonomy.get(args[2])) {
+                            console.log(`Unknown taxonomy node: ${args[2]}`);
+                            break;
+                        }
+                        console.log(`${this.memory.taxonomy.path(args[2])}:`);
+                        this.memory.getByTaxonomy(args[2]).forEach(e => {
+                            console.log(`  ${e.id} ${e.topic} [${(e.taxonomy || []).join(', ')}]${e.verified ? ' ✅' : ''}`);
+                        });
+                        break;
+                    default:
+                        console.log(`Taxonomy (${this.memory.taxonomy.filePath}):`);
+                        this.memory.getTaxonomyStats().forEach(n => {
+                            console.log(`  ${'  '.repeat(n.depth)}${n.id} - ${n.label}: ${n.total}${n.total !== n.count ? ` (${n.count} direct)` : ''}`);
+                        });
+                }
+                break;
+                
+            case 'knowledge':
+                const kCmd = args[1];
+                const kId = args[2];
+                const kArgs = args.slice(3).filter(a => !a.startsWith('--'));
+                switch (kCmd) {
+                    case 'show':
+                        console.log(JSON.stringify(this.memory.getKnowledge(kId) || { error: 'Entry not found' }, null, 2));
+                        break;
+                    case 'history':
+                        const revisions = this.memory.getHistory(kId);
+                        if (!revisions) {
+                            console.log(`Entry not found: ${kId}`);
+                            break;
+                        }
+                        console.log(`📜 History of ${kId}:`);
+                        revisions.forEach(r => {
+                            console.log(`  r${r.revision}  ${r.timestamp}  ${r.author}${r.reason ? ` - ${r.reason}` : ''}`);
+                            console.log(`      ${r.content?.slice(0, 80).replace(/\n/g, ' ')}`);
+                        });
+                        break;
+                    case 'diff':
+                        const diff = this.memory.diffRevisions(
+                            kId,
+                            kArgs[0] ? parseInt(kArgs[0]) : undefined,
+                            kArgs[1] ? parseInt(kArgs[1]) : undefined
+                        );
+                        if (!diff) {
+                            console.log(`Entry not found: ${kId}`);
+                            break;
+                        }
+                        console.log(`r${diff.from} → r${diff.to} (+${diff.added} -${diff.removed})`);
+                        diff.fields.forEach(f => {
+                            console.log(`  ${f.field}: ${JSON.stringify(f.before)} → ${JSON.stringify(f.after)}`);
+                        });
+                        console.log(diff.content);
+                        break;
+                    case 'rollback':
+                        if (!kId || !kArgs[0]) {
+                            console.log('Usage: knowledge rollback <id> <revision> [--reason=...]');
+                            break;
+                        }
+                        const restored = this.memory.rollbackKnowledge(kId, parseInt(kArgs[0]), { reason: flag('reason') });
+                        console.log(restored ? `↩️  ${kId} is now r${restored.revision}` : `Revision not found: ${kId} r${kArgs[0]}`);
+                        break;
+                    case 'lineage':
+                        const lineage = this.memory.getLineage(kId);
+                        if (!lineage) {
+                            console.log(`Entry not found: ${kId}`);
+                            break;
+                        }
+                        console.log(`🧬 Lineage of ${kId}:`);
+                        lineage.nodes.forEach(n => {
+                            console.log(`  ${'  '.repeat(n.depth)}${n.id} ${n.topic || '(missing)'}${n.verified ? ' ✅' : ''}`);
+                        });
+                        console.log(`Sources (${lineage.sources.length}):`);
+                        lineage.sources.forEach(url => console.log(`  - ${url}`));
+                        break;
+                    case 'dependents':
+                        const dependents = this.memory.getDependents(kId);
+                        console.log(`🔗 ${dependents.length} entries depend on ${kId}:`);
+                        dependents.forEach(d => {
+                            console.log(`  ${'  '.repeat(d.depth - 1)}${d.id} ${d.topic}${d.invalidated ? ' ⚠️ invalidated' : ''}`);
+                        });
+                        break;
+                    case 'reject':
+                        if (!kId) {
+                            console.log('Usage: knowledge reject <id> [reason]');
+                            break;
+                        }
+                        this.memory.rejectKnowledge(kId, kArgs.join(' '), { author: 'human' });
+                        break;
+                    case 'verify':
+                        if (!this.memory.getKnowledge(kId)) {
+                            console.log(`Entry not found: ${kId}`);
+                            break;
+                        }
+                        const checked = await this.verificationAgent.verify(kId, args.includes('--no-llm') ? { llm: false } : {});
+                        console.log(`${checked.passed ? '✅ Verified' : '⚠️  Not verified'} (score ${checked.score.toFixed(2)})`);
+                        break;
+                    default:
+                        console.log('Usage: knowledge <show|history|diff|rollback|lineage|dependents|reject|verify>');
+                        console.log('  knowledge show <id>                  - Print an entry');
+                        console.log('  knowledge history <id>               - List revisions');
+                        console.log('  knowledge diff <id> [from] [to]      - Diff two revisions (default: last change)');
+                        console.log('  knowledge rollback <id> <revision>   - Restore a revision as a new one');
+                        console.log('  knowledge lineage <id>               - Trace an entry back to its inputs and URLs');
+                        console.log('  knowledge dependents <id>            - Entries derived from an entry');
+                        console.log('  knowledge reject <id> [reason]       - Reject an entry and invalidate its dependents');
+                        console.log('  knowledge verify <id> [--no-llm]     - Score an entry from evidence, with explanations');
+                }
+                break;
+                
+            case 'memory':
+                const memCmd = args[1];
+                const snapArgs = args.slice(2).filter(a => !a.startsWith('--'));
+                switch (memCmd) {
+                    case 'migrate':
+                        const to = flag('to');
+                        if (!['json', 'log'].includes(to)) {
+                            console.log('Usage: memory migrate --to=<log|json>');
+                            break;
+                        }
+                        console.log(JSON.stringify(this.memory.migrateStorage(to), null, 2));
+                        break;
+                    case 'compact':
+                        const compacted = await this.memory.compact();
+                        console.log(compacted.documents.length > 0
+                            ? `🗜️  Storage compacted: ${compacted.documents.join(', ')}`
+                            : `The ${compacted.backend} backend has nothing to compact`);
+                        if (compacted.vectors?.compacted) {
+                            console.log(`🗜️  Vector index compacted: ${compacted.vectors.removed} deleted rows dropped, ${compacted.vectors.count} kept`);
+                        }
+                        break;
+                    case 'info':
+                        console.log(JSON.stringify({
+                            backend: this.memory.storage.name,
+                            ...this.memory.loadStorageInfo()
+                        }, null, 2));
+                        break;
+                    case 'snapshot':
+                        const snap = this.memory.snapshot({
+                            file: flag('out'),
+                            label: flag('label'),
+                            dirs: { feedback: this.feedbackLoop.feedbackPath }
+                        });
+                        const docCounts = Object.entries(snap.manifest.documents)
+                            .map(([name, d]) => `${name} ${Object.values(d.counts).join('/')}`);
+                        console.log(`   ${docCounts.join(', ')}; ${Object.keys(snap.manifest.files).length} files`);
+                        break;
+                    case 'snapshots':
+                        this.memory.listSnapshots().forEach(s => {
+                            console.log(`  ${s.createdAt}  ${(s.bytes / 1024).toFixed(1)} KB  ${s.file}`);
+                        });
+                        break;
+                    case 'restore':
+                        if (!snapArgs[0]) {
+                            console.log('Usage: memory restore <snapshot-file>');
+                            break;
+                        }
+                        try {
+                            await this.memory.restoreSnapshot(snapArgs[0], { dirs: { feedback: this.feedbackLoop.feedbackPath } });
+                            this.feedbackLoop.loadQueue();
+                        } catch (error) {
+                            console.log(`❌ ${error.message}`);
+                        }
+                        break;
+                    case 'diff':
+                        if (!snapArgs[0]) {
+                            console.log('Usage: memory diff <snapshot-a> [snapshot-b|current]');
+                            break;
+                        }
+                        const snapDiff = this.memory.diffSnapshots(snapArgs[0], snapArgs[1] || 'current', {
+                            dirs: { feedback: this.feedbackLoop.feedbackPath }
+                        });
+                        console.log(`Snapshot diff: ${snapDiff.from.createdAt} → ${snapDiff.to.label === 'current' ? 'current' : snapDiff.to.createdAt}`);
+                        Object.entries(snapDiff.documents).forEach(([name, d]) => {
+                            const counts = Object.entries(d.counts).map(([k, [a, b]]) => `${k} ${a} → ${b}`).join(', ');
+                            console.log(`  ${name}: ${d.changed ? 'changed' : 'unchanged'}${counts ? ` (${counts})` : ''}`);
+                        });
+                        snapDiff.knowledge.added.forEach(e => console.log(`  + ${e.id} ${e.topic}`));
+                        snapDiff.knowledge.removed.forEach(e => console.log(`  - ${e.id} ${e.topic}`));
+                        snapDiff.knowledge.changed.forEach(e => console.log(`  ~ ${e.id} ${e.topic} (r${e.fromRevision} → r${e.revision})`));
+                        const { added, removed, changed } = snapDiff.files;
+                        console.log(`  files: ${added.length} added, ${removed.length} removed, ${changed.length} changed`);
+                        break;
+                    default:
+                        console.log('Usage: memory <info|migrate|compact|snapshot|snapshots|restore|diff>');
+                        console.log('  memory info                   - Show the storage backend');
+                        console.log('  memory migrate --to=log|json  - Move memory to another backend');
+                        console.log('  memory compact                - Fold the operation log into a snapshot');
+                        console.log('  memory snapshot [--out=] [--label=] - Archive memory, vectors and feedback');
+                        console.log('  memory snapshots              - List saved snapshots');
+                        console.log('  memory restore <file>         - Replace memory with a snapshot (current state is saved first)');
+                        console.log('  memory diff <a> [b|current]   - Compare two snapshots');
+                }
                 break;
                 
             case 'improve':
@@ -343,6 +1054,13 @@ class MagnitudeSelfImprover {
                     case 'reject':
                         await this.feedbackLoop.reject(args[2], args.slice(3).join(' '));
                         break;
+                    case 'correct':
+                        if (!args[2] || !args[3]) {
+                            console.log('Usage: feedback correct <id> <corrected content>');
+                            break;
+                        }
+                        await this.feedbackLoop.correct(args[2], args.slice(3).join(' '));
+                        break;
                     case 'queue':
                         this.feedbackLoop.queueForReview({
                             type: args[2] || 'general',
@@ -353,10 +1071,11 @@ class MagnitudeSelfImprover {
                         console.log(JSON.stringify(this.feedbackLoop.generateReport(), null, 2));
                         break;
                     default:
-                        console.log('Usage: feedback <pending|approve|reject|queue|report>');
+                        console.log('Usage: feedback <pending|approve|reject|correct|queue|report>');
                         console.log('  feedback pending          - List pending items');
                         console.log('  feedback approve <id>    - Approve item');
                         console.log('  feedback reject <id>     - Reject item');
+                        console.log('  feedback correct <id> <content> - Approve with corrected content');
                         console.log('  feedback queue <type> <content> - Queue new item');
                         console.log('  feedback report          - Generate report');
                 }
@@ -465,7 +1184,7 @@ class MagnitudeSelfImprover {
                 
             default:
                 console.log(`Unknown command: ${cmd}`);
-                console.log("Commands: stats, search <query>, gaps, export");
+                console.log("Commands: stats, research <task> [--plan] [--steps=] [--pages=] [--seconds=] [--tokens=], web-search <query> [--limit=], search <query> [--verified] [--tag=a,b] [--source=] [--since=] [--until=] [--taxonomy=a,b] [--synthesis] [--include-rejected] [--page=] [--limit=], ask <question> [--budget=] [--no-queue] [filters], queue [add <topic>] [--all], sources [show|prefer|block|unmark <domain>], gaps [init] [--limit=], export [--format=wiki|jsonl|csv|obsidian] [--out=dir] [filters], import <path> [--chunking=] [--max-chars=], taxonomy [show <node>|retag [--keywords]], stale [--limit=] [--min=], refresh [--limit=], dedupe [--threshold=] [--dry-run], knowledge <show|history|diff|rollback|lineage|dependents|reject|verify>, memory <info|migrate|compact|snapshot|snapshots|restore|diff>, facts [text|extract [ids] [--all]|verify [ids] [--entry=]|entities] [--subject=] [--predicate=] [--type=], contradictions [--resolved|--all] [--entry=], contradictions check <ids>|--all [--resolution=review|debate], namespace <list|copy <to> <ids>|share <to> <ids>|sync> (any command takes --namespace=<name> and --search=<provider>)");
         }
     }
 }
@@ -474,17 +1193,38 @@ class MagnitudeSelfImprover {
 async function main() {
     const args = process.argv.slice(2);
     
+    const mockDir = args.find(a => a.startsWith('--mock-llm='))?.split('=')[1];
+    const replayDir = args.find(a => a.startsWith('--replay='))?.split('=')[1];
+    const recordDir = args.find(a => a.startsWith('--record='))?.split('=')[1];
+    
     const improver = new MagnitudeSelfImprover({
         headless: args.includes('--headless'),
+        offline: args.includes('--offline') || (Boolean(mockDir) && !replayDir),
+        cassette: replayDir
+            ? { mode: 'replay', path: replayDir }
+            : recordDir ? { mode: 'record', path: recordDir } : null,
         tasksPerSession: parseInt(args.find(a => a.startsWith('--tasks='))?.split('=')[1]) || 5,
-        sessionName: args.find(a => a.startsWith('--name='))?.split('=')[1]
+        sessionName: args.find(a => a.startsWith('--name='))?.split('=')[1],
+        embedder: args.find(a => a.startsWith('--embedder='))?.split('=').slice(1).join('='),
+        dedupe: getFlag(args, 'dedupe') ? { policy: getFlag(args, 'dedupe') } : undefined,
+        namespace: getFlag(args, 'namespace'),
+        planning: args.includes('--plan') || undefined,
+        search: getFlag(args, 'search'),
+        llm: mockDir
+            ? new MockLLMProvider({ fixturesPath: mockDir })
+            : args.find(a => a.startsWith('--llm='))?.split('=').slice(1).join('=')
     });
     
     await improver.initialize();
     
-    // Check for CLI commands
-    if (args[0]?.startsWith('--')) {
-        await improver.command(args);
+    // Check for CLI commands: positional (`search rag`) or the `--stats` style used by npm scripts.
+    // Option flags (--offline, --llm=...) never select a command and are passed through last
+    const flagCommand = args.find(a => ['--stats', '--gaps', '--export', '--debate'].includes(a));
+    const positional = args.filter(a => !a.startsWith('--'));
+    const flags = args.filter(a => a.startsWith('--') && a !== flagCommand);
+    
+    if (flagCommand || positional.length > 0) {
+        await improver.command([...(flagCommand ? [flagCommand.slice(2)] : []), ...positional, ...flags]);
     } else {
         await improver.runSession();
     }
@@ -493,4 +1233,6 @@ async function main() {
 export default MagnitudeSelfImprover;
 
 // Run if executed directly
-main().catch(console.error);
+if (process.argv[1] === __filename) {
+    main().catch(console.error);
+}
@@ -0,0 +1,180 @@
+// Research Cassettes
+// Record fetch responses and browser act/extract results, then replay them without a network
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+class Cassette {
+    constructor(options = {}) {
+        this.path = options.path || './cassettes';
+        this.mode = options.mode || 'replay'; // record | replay
+        this.manifestFile = path.join(this.path, 'cassette.json');
+        this.stats = { hits: 0, misses: 0, recorded: 0 };
+
+        // Replaying a cassette that was never recorded is a mistake, not an empty cassette
+        if (this.mode === 'replay' && !fs.existsSync(this.path)) {
+            throw new Error(`Cassette not found: ${this.path} (record it first with --record=${this.path})`);
+        }
+
+        this.ensureDirectories();
+        this.manifest = this.loadManifest();
+    }
+
+    ensureDirectories() {
+        if (!fs.existsSync(this.path)) {
+            fs.mkdirSync(this.path, { recursive: true });
+        }
+    }
+
+    loadManifest() {
+        if (fs.existsSync(this.manifestFile)) {
+            return JSON.parse(fs.readFileSync(this.manifestFile, 'utf-8'));
+        }
+        return { version: 1, createdAt: new Date().toISOString(), entries: {} };
+    }
+
+    saveManifest() {
+        fs.writeFileSync(this.manifestFile, JSON.stringify(this.manifest, null, 2));
+    }
+
+    // Stable key for an interaction
+    key(kind, request) {
+        const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+        return `${kind}-${hash}`;
+    }
+
+    entryFile(key) {
+        return path.join(this.path, `${key}.json`);
+    }
+
+    load(kind, request) {
+        const key = this.key(kind, request);
+        const file = this.entryFile(key);
+
+        if (!fs.existsSync(file)) {
+            this.stats.misses++;
+            throw new Error(`Cassette miss (${kind}): ${JSON.stringify(request).slice(0, 120)}`);
+        }
+
+        this.stats.hits++;
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    }
+
+    save(kind, request, result) {
+        const key = this.key(kind, request);
+
+        fs.writeFileSync(this.entryFile(key), JSON.stringify({
+            kind,
+            request,
+            ...result,
+            recordedAt: new Date().toISOString()
+        }, null, 2));
+
+        this.manifest.entries[key] = { kind, label: request.url || request.instruction || '' };
+        this.manifest.updatedAt = new Date().toISOString();
+        this.saveManifest();
+        this.stats.recorded++;
+    }
+
+    // Run (record) or look up (replay) one interaction; errors are recorded and replayed too
+    async intercept(kind, request, live) {
+        if (this.mode === 'replay') {
+            const entry = this.load(kind, request);
+            if (entry.error) {
+                throw new Error(entry.error);
+            }
+            return entry.result;
+        }
+
+        try {
+            const result = await live();
+            this.save(kind, request, { result });
+            return result;
+        } catch (error) {
+            this.save(kind, request, { error: error.message });
+            throw error;
+        }
+    }
+
+    // Drop-in replacement for global fetch (text bodies only)
+    async fetch(url, init = {}) {
+        const request = { url: String(url), method: init.method || 'GET' };
+
+        const recorded = await this.intercept('fetch', request, async () => {
+            const response = await fetch(url, init);
+            return {
+                status: response.status,
+                statusText: response.statusText,
+                headers: Object.fromEntries(response.headers.entries()),
+                body: await response.text()
+            };
+        });
+
+        return new Response(NULL_BODY_STATUSES.includes(recorded.status) ? null : recorded.body, {
+            status: recorded.status,
+            statusText: recorded.statusText,
+            headers: recorded.headers
+        });
+    }
+
+    // Keys for getPageContent calls, which take no arguments: the page depends on the act before
+    // it, so each call is keyed by that act and its position after it
+    pageRequests() {
+        let lastAct = null;
+        let calls = 0;
+        return {
+            act(instruction) {
+                lastAct = instruction;
+                calls = 0;
+            },
+            next() {
+                return { instruction: 'getPageContent', after: lastAct, sequence: calls++ };
+            }
+        };
+    }
+
+    // Record a live BrowserAgent's act/extract/getPageContent results
+    wrapBrowserAgent(agent) {
+        const pages = this.pageRequests();
+        return {
+            act: (instruction, ...rest) => {
+                pages.act(instruction);
+                return this.intercept('act', { instruction }, () => agent.act(instruction, ...rest));
+            },
+            extract: (instruction, schema) =>
+                this.intercept('extract', { instruction }, () => agent.extract(instruction, schema)),
+            getPageContent: () =>
+                this.intercept('page', pages.next(), async () => (await agent.getPageContent?.()) ?? ''),
+            close: () => agent.close()
+        };
+    }
+
+    // Stand-in BrowserAgent that only serves recorded results
+    replayBrowserAgent() {
+        const pages = this.pageRequests();
+        return {
+            act: (instruction) => {
+                pages.act(instruction);
+                return this.intercept('act', { instruction });
+            },
+            extract: (instruction) => this.intercept('extract', { instruction }),
+            getPageContent: () => this.intercept('page', pages.next()),
+            close: async () => {}
+        };
+    }
+
+    getStats() {
+        return {
+            mode: this.mode,
+            path: this.path,
+            entries: Object.keys(this.manifest.entries).length,
+            ...this.stats
+        };
+    }
+}
+
+export default Cassette;
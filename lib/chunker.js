@@ -0,0 +1,130 @@
+// Document Chunking
+// Splits long documents into pieces small enough to embed, keeping character offsets so every
+// chunk can be traced back to its place in the source text. Strategies:
+//   paragraph - pack whole paragraphs up to maxChars (default)
+//   heading   - one chunk per Markdown section, split further by paragraph when too long
+//   token     - fixed windows of maxTokens words, each overlapping the previous by `overlap` words
+
+const DEFAULT_MAX_CHARS = 1500;
+const DEFAULT_MAX_TOKENS = 300;
+const DEFAULT_OVERLAP = 50;
+const STRATEGIES = ['paragraph', 'heading', 'token'];
+
+// Trimmed [start, end) spans of the non-blank stretches between `separator` matches in
+// text[from, to); with `keep` the separator stays at the end of the span before it
+function spans(text, separator, { from = 0, to = text.length, keep = false } = {}) {
+    const result = [];
+    const push = (start, end) => {
+        const raw = text.slice(start, end);
+        if (!raw.trim()) return;
+        result.push({
+            start: start + (raw.length - raw.trimStart().length),
+            end: end - (raw.length - raw.trimEnd().length)
+        });
+    };
+
+    const re = new RegExp(separator.source, 'g');
+    re.lastIndex = from;
+    let start = from;
+    let match;
+    while ((match = re.exec(text)) && match.index < to) {
+        push(start, Math.min(match.index + (keep ? match[0].length : 0), to));
+        start = match.index + match[0].length;
+    }
+    push(start, to);
+    return result;
+}
+
+const PARAGRAPH = /\n[ \t]*\n/;
+const SENTENCE = /[.!?]+(?=\s)|\n/;
+
+// Break a span longer than maxChars at sentence boundaries, then hard-cut what is still too long
+function splitSpan(text, span, maxChars) {
+    if (span.end - span.start <= maxChars) return [span];
+
+    return spans(text, SENTENCE, { from: span.start, to: span.end, keep: true }).flatMap(s => {
+        const pieces = [];
+        for (let start = s.start; start < s.end; start += maxChars) {
+            pieces.push({ start, end: Math.min(s.end, start + maxChars) });
+        }
+        return pieces;
+    });
+}
+
+// Greedily pack the paragraphs of text[from, to) into spans of at most maxChars
+function packParagraphs(text, maxChars, from = 0, to = text.length) {
+    const packed = [];
+    let current = null;
+
+    for (const span of spans(text, PARAGRAPH, { from, to }).flatMap(p => splitSpan(text, p, maxChars))) {
+        if (current && span.end - current.start <= maxChars) {
+            current.end = span.end;
+        } else {
+            if (current) packed.push(current);
+            current = { ...span };
+        }
+    }
+    if (current) packed.push(current);
+    return packed;
+}
+
+const HEADING = /^(#{1,6})[ \t]+(.+?)[ \t#]*$/gm;
+
+// Sections between Markdown headings, each with its heading path ("Guide > Setup")
+function headingSpans(text, maxChars) {
+    const headings = [...text.matchAll(HEADING)];
+    if (headings.length === 0) return packParagraphs(text, maxChars);
+
+    const result = [];
+    const trail = [];
+    const section = (from, to, heading) =>
+        packParagraphs(text, maxChars, from, to).forEach(span => result.push({ ...span, ...(heading && { heading }) }));
+
+    section(0, headings[0].index, null);
+    headings.forEach((match, i) => {
+        const level = match[1].length;
+        trail.splice(level - 1, trail.length, match[2].trim());
+        section(match.index, headings[i + 1]?.index ?? text.length, trail.filter(Boolean).join(' > '));
+    });
+    return result;
+}
+
+// Windows of maxTokens whitespace-separated words, overlapping by `overlap` words
+function tokenSpans(text, maxTokens, overlap) {
+    const words = [...text.matchAll(/\S+/g)].map(m => ({ start: m.index, end: m.index + m[0].length }));
+    const step = Math.max(1, maxTokens - overlap);
+    const result = [];
+
+    for (let i = 0; i < words.length; i += step) {
+        const window = words.slice(i, i + maxTokens);
+        result.push({ start: window[0].start, end: window[window.length - 1].end });
+        if (i + maxTokens >= words.length) break;
+    }
+    return result;
+}
+
+// Split text into [{ text, start, end, heading? }]. Offsets index into `text`, and each chunk's
+// text is exactly text.slice(start, end). Options: { strategy, maxChars, maxTokens, overlap }
+function chunkText(text = '', options = {}) {
+    const strategy = options.strategy || 'paragraph';
+    const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+
+    let result;
+    switch (strategy) {
+        case 'paragraph':
+            result = packParagraphs(text, maxChars);
+            break;
+        case 'heading':
+            result = headingSpans(text, maxChars);
+            break;
+        case 'token':
+            result = tokenSpans(text, options.maxTokens || DEFAULT_MAX_TOKENS, options.overlap ?? DEFAULT_OVERLAP);
+            break;
+        default:
+            throw new Error(`Unknown chunking strategy: ${strategy} (expected ${STRATEGIES.join(', ')})`);
+    }
+
+    return result.map(c => ({ text: text.slice(c.start, c.end), start: c.start, end: c.end, ...(c.heading && { heading: c.heading }) }));
+}
+
+export { chunkText, STRATEGIES, DEFAULT_MAX_CHARS, DEFAULT_MAX_TOKENS, DEFAULT_OVERLAP };
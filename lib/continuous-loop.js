@@ -39,9 +39,9 @@ class ContinuousLearningLoop {
         const scheduledTask = {
             id: Date.now().toString(36),
             name: task.name,
-            type: task.type || 'research', // research, debate, tool-creation
+            type: task.type || 'research', // research, debate, tool-creation, re-research
             topic: task.topic,
-            frequency: task.frequency, // hourly, daily, weekly
+            frequency: task.frequency, // hourly, daily, weekly, once
             interval: task.interval, // hours for hourly
             dayOfWeek: task.dayOfWeek, // 0-6 for weekly
             hour: task.hour, // 0-23 for daily/weekly
@@ -77,6 +77,11 @@ class ContinuousLearningLoop {
                 next.setHours(task.hour || 9, 0, 0, 0);
                 break;
                 
+            case 'once':
+                // Due right away, then never again
+                next = task.lastRun ? null : now;
+                break;
+                
             case 'weekly':
                 const daysUntil = (task.dayOfWeek - now.getDay() + 7) % 7 || 7;
                 next.setDate(now.getDate() + daysUntil);
@@ -172,7 +177,8 @@ class ContinuousLearningLoop {
                     
                     // Update last run time
                     task.lastRun = now.toISOString();
-                    task.nextRun = this.calculateNextRun(task).toISOString();
+                    task.nextRun = this.calculateNextRun(task);
+                    if (task.frequency === 'once') task.enabled = false;
                     
                     console.log(`✅ Task complete. Next: ${task.nextRun}`);
                 } catch (error) {
@@ -201,6 +207,11 @@ class ContinuousLearningLoop {
                 await this.sessionRunner.runDebate?.(task.topic, task.options);
                 break;
                 
+            case 're-research':
+                // Refresh the stalest high-value knowledge
+                await this.sessionRunner.refreshStaleKnowledge?.(task.options);
+                break;
+                
             case 'tool-creation':
                 // Discover and create tools
                 await this.sessionRunner.discoverTools?.();
@@ -265,6 +276,15 @@ class ContinuousLearningLoop {
             options: { rounds: 3 }
         });
         
+        // Daily refresh of stale knowledge
+        this.addTask({
+            name: 'Daily Knowledge Refresh',
+            type: 're-research',
+            frequency: 'daily',
+            hour: 6,
+            options: { limit: 5 }
+        });
+        
         // Daily reflection
         this.addTask({
             name: 'Daily Reflection',
@@ -306,6 +326,7 @@ Examples:
   node lib/continuous-loop.js start
   node lib/continuous-loop.js add research "AI safety"
   node lib/continuous-loop.js add debate "Is AI dangerous?"
+  node lib/continuous-loop.js add re-research
   node lib/continuous-loop.js status
 `);
 }
@@ -335,7 +356,7 @@ async function main() {
             const topic = args.slice(2).join(' ');
             
             if (!type) {
-                console.log('Usage: add <research|debate|reflection|health-check> [topic]');
+                console.log('Usage: add <research|debate|reflection|re-research|health-check> [topic]');
                 process.exit(1);
             }
             
@@ -373,4 +394,7 @@ async function main() {
 
 export default ContinuousLearningLoop;
 
-main();
+// Run if called directly
+if (process.argv[1] === __filename) {
+    main();
+}
@@ -0,0 +1,307 @@
+// Contradiction Detection
+// Compares an entry with the most similar existing ones (VectorMemory.findSimilar, keyword search
+// without vectors) and flags claims that disagree: a sentence and its negation, the same statement
+// with different numbers, or facts giving one subject different values for a single-valued
+// predicate. An LLM judges the pair instead when one is configured. Each contradiction is
+// recorded as a `contradicts` link on both entries and then queued for human review or
+// scheduled for a DebateAgent debate
+
+import { tokenize } from './embeddings.js';
+
+// Predicates with a single true object: two different objects for one subject conflict
+const FUNCTIONAL_PREDICATES = ['developed-by', 'created-by', 'released-by', 'published-by', 'founded-by', 'released-in', 'published-in', 'founded-in'];
+
+const NEGATION = /\b(?:not|never|no|cannot|can't|isn't|aren't|doesn't|don't|won't|without)\b/i;
+
+const RESOLUTIONS = ['review', 'debate'];
+
+function splitSentences(text) {
+    return String(text || '')
+        .replace(/^#+\s.*$/gm, '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim())
+        .filter(Boolean);
+}
+
+// Negations and auxiliaries, left out when comparing what two sentences are about
+const FILLER = new Set(['not', 'never', 'no', 'cannot', 'can', 'does', 'do', 'did', 'doesn', 'don', 'isn', 'aren', 'won', 'without', 'is', 'are', 'was', 'were', 'will']);
+
+// Terms without numbers or filler, crudely singularized so "supports" matches "support"
+const words = (text) => tokenize(text)
+    .filter(t => !/^\d+$/.test(t) && !FILLER.has(t))
+    .map(t => t.replace(/(?<=\w{3})s$/, ''));
+const numbers = (text) => String(text).match(/\d+(?:\.\d+)?%?/g) || [];
+
+// Share of a's terms found in b, and of b's in a, whichever is lower
+function mutualCoverage(a, b) {
+    const termsA = [...new Set(a)];
+    const termsB = [...new Set(b)];
+    if (termsA.length === 0 || termsB.length === 0) return 0;
+    const setA = new Set(termsA);
+    const setB = new Set(termsB);
+    return Math.min(termsA.filter(t => setB.has(t)).length / termsA.length, termsB.filter(t => setA.has(t)).length / termsB.length);
+}
+
+// How two sentences conflict: 'negation' (one negates the other), 'number' (same statement,
+// different figures) or null
+function claimsConflict(a, b) {
+    const termsA = words(a);
+    const termsB = words(b);
+    if (termsA.length < 3 || termsB.length < 3 || mutualCoverage(termsA, termsB) < 0.7) return null;
+
+    if (NEGATION.test(a) !== NEGATION.test(b)) return 'negation';
+
+    // Each side has a figure the other lacks ("GPT-4 ... 8192" vs "GPT-4 ... 32768")
+    const numsA = numbers(a);
+    const numsB = numbers(b);
+    if (numsA.some(n => !numsB.includes(n)) && numsB.some(n => !numsA.includes(n))) return 'number';
+
+    return null;
+}
+
+class ContradictionDetector {
+    constructor(memory, options = {}) {
+        this.memory = memory;
+        // LLMProvider (lib/llm-providers.js); sentence and fact rules only when null
+        this.llm = options.llm || null;
+        // Entries compared with each new one, and the vector similarity they need
+        this.maxCandidates = options.maxCandidates || 5;
+        this.minSimilarity = options.minSimilarity ?? 0.35;
+        // What happens to a contradiction: 'review' queues it for a human, 'debate' schedules a
+        // debate (falls back to review without a learning loop)
+        this.resolution = options.resolution || 'review';
+        // HumanFeedbackLoop and ContinuousLearningLoop, set by the session
+        this.feedbackLoop = options.feedbackLoop || null;
+        this.learningLoop = options.learningLoop || null;
+    }
+
+    // Entries worth comparing with `entry`: [{ entry, similarity }]. Skips the entry's own
+    // document and chunks, entries derived from it or it from them, syntheses, rejected entries
+    // and pairs already linked as contradicting
+    async candidates(entry) {
+        const family = new Set([entry.id, entry.parentId, ...(entry.document?.chunkIds || [])].filter(Boolean));
+        const related = new Set((entry.links || []).filter(l => l.type !== 'cites-source').map(l => l.target));
+        const eligible = (e) => e
+            && !family.has(e.id)
+            && !(e.parentId && family.has(e.parentId))
+            && !related.has(e.id)
+            && !(e.links || []).some(l => l.target === entry.id || family.has(l.target))
+            && !e.isSynthesis
+            && !e.rejected
+            && !e.invalidated;
+
+        const results = await this.memory.findSimilar(entry.id, this.maxCandidates * 3);
+        if (results?.ids?.length) {
+            return results.ids
+                .map((id, i) => ({ entry: this.memory.getKnowledge(id), similarity: 1 - (results.distances[i] || 0) }))
+                .filter(c => eligible(c.entry) && c.similarity >= this.minSimilarity)
+                .slice(0, this.maxCandidates);
+        }
+
+        // No vectors (or the entry isn't embedded yet): keyword search on the topic
+        const { results: hits } = await this.memory.query(entry.topic, { mode: 'keyword', pageSize: this.maxCandidates * 3 });
+        return hits
+            .filter(eligible)
+            .slice(0, this.maxCandidates)
+            .map(e => ({ entry: e, similarity: null }));
+    }
+
+    // Conflicting claims between two entries by sentence and fact rules:
+    // [{ claim, counterClaim, kind: 'negation' | 'number' | 'fact', explanation }]
+    compareSync(entry, other) {
+        const conflicts = [];
+        const sentencesA = splitSentences(entry.content).slice(0, 40);
+        const sentencesB = splitSentences(other.content).slice(0, 40);
+
+        for (const claim of sentencesA) {
+            for (const counterClaim of sentencesB) {
+                const kind = claimsConflict(claim, counterClaim);
+                if (!kind) continue;
+                conflicts.push({
+                    claim,
+                    counterClaim,
+                    kind,
+                    explanation: kind === 'negation' ? 'one statement negates the other' : 'same statement with different figures'
+                });
+            }
+        }
+
+        const factsB = this.memory.queryFacts({ entryId: other.id });
+        for (const fact of this.memory.queryFacts({ entryId: entry.id })) {
+            if (!FUNCTIONAL_PREDICATES.includes(fact.predicate)) continue;
+            const clash = factsB.find(f => f.subjectId === fact.subjectId && f.predicate === fact.predicate
+                && tokenize(f.object).join(' ') !== tokenize(fact.object).join(' '));
+            if (clash) {
+                conflicts.push({
+                    claim: `${fact.subject} ${fact.predicate} ${fact.object}`,
+                    counterClaim: `${clash.subject} ${clash.predicate} ${clash.object}`,
+                    kind: 'fact',
+                    explanation: `${fact.predicate} has a single value`
+                });
+            }
+        }
+
+        return conflicts;
+    }
+
+    // { conflicts, method: 'llm' | 'rules' }
+    async compare(entry, other) {
+        if (!this.llm) return { conflicts: this.compareSync(entry, other), method: 'rules' };
+
+        const prompt = `
+Compare these two knowledge entries and list the claims where they contradict each other.
+Different emphasis or extra detail is not a contradiction; only claims that cannot both be true.
+
+Entry A: ${entry.topic}
+${String(entry.content || '').slice(0, 2000)}
+
+Entry B: ${other.topic}
+${String(other.content || '').slice(0, 2000)}
+
+Respond with JSON:
+{
+  "contradicts": true,
+  "conflicts": [{ "claim": "claim from A", "counterClaim": "conflicting claim from B", "explanation": "why both can't be true" }]
+}
+`;
+
+        try {
+            const response = await this.llm.json(prompt);
+            if (typeof response?.contradicts === 'boolean') {
+                const conflicts = response.contradicts
+                    ? (response.conflicts || []).filter(c => c?.claim && c?.counterClaim).map(c => ({
+                        claim: String(c.claim),
+                        counterClaim: String(c.counterClaim),
+                        kind: 'llm',
+                        explanation: String(c.explanation || '')
+                    }))
+                    : [];
+                return { conflicts, method: 'llm' };
+            }
+        } catch (error) {
+            console.log(`   ⚠️  LLM contradiction check failed, using sentence rules: ${error.message}`);
+        }
+
+        return { conflicts: this.compareSync(entry, other), method: 'rules' };
+    }
+
+    // Check an entry against its most similar entries, link contradictions and hand them off.
+    // Options: { resolution: 'review' | 'debate' }. Returns { entryId, checked,
+    // contradictions: [{ id, topic, similarity, method, conflicts, resolution }] }
+    async check(id, options = {}) {
+        const entry = this.memory.getKnowledge(id);
+        if (!entry) throw new Error(`Unknown knowledge entry: ${id}`);
+
+        const resolution = options.resolution || this.resolution;
+        if (!RESOLUTIONS.includes(resolution)) {
+            throw new Error(`Unknown contradiction resolution: ${resolution} (expected ${RESOLUTIONS.join(', ')})`);
+        }
+
+        const candidates = await this.candidates(entry);
+        const contradictions = [];
+
+        for (const { entry: other, similarity } of candidates) {
+            const { conflicts, method } = await this.compare(entry, other);
+            if (conflicts.length === 0) continue;
+
+            console.log(`   ⚡ Contradicts ${other.id} (${other.topic}): "${conflicts[0].claim.slice(0, 60)}" vs "${conflicts[0].counterClaim.slice(0, 60)}"`);
+            const handoff = this.handOff(entry, other, conflicts, resolution);
+            const kept = conflicts.slice(0, 5);
+
+            this.memory.addLink(entry.id, 'contradicts', other.id, { conflicts: kept, method, resolution: handoff });
+            this.memory.addLink(other.id, 'contradicts', entry.id, {
+                conflicts: kept.map(c => ({ ...c, claim: c.counterClaim, counterClaim: c.claim })),
+                method,
+                resolution: handoff
+            });
+
+            contradictions.push({ id: other.id, topic: other.topic, similarity, method, conflicts: kept, resolution: handoff });
+        }
+
+        return { entryId: id, checked: candidates.length, contradictions };
+    }
+
+    // Queue the pair for review, or schedule a one-off debate: { type: 'review' | 'debate', id } or null
+    handOff(entry, other, conflicts, resolution) {
+        const [first] = conflicts;
+
+        if (resolution === 'debate' && this.learningLoop) {
+            const task = this.learningLoop.addTask({
+                name: `contradiction ${entry.id}/${other.id}`,
+                type: 'debate',
+                topic: `Which is correct: "${first.claim}" or "${first.counterClaim}"?`,
+                frequency: 'once',
+                options: { entryIds: [entry.id, other.id] }
+            });
+            return { type: 'debate', id: task.id };
+        }
+
+        if (!this.feedbackLoop) return null;
+        const item = this.feedbackLoop.queueForReview({
+            type: 'contradiction',
+            knowledgeId: entry.id,
+            content: [
+                `"${entry.topic}" [${entry.id}] contradicts "${other.topic}" [${other.id}]:`,
+                ...conflicts.slice(0, 5).map(c => `- "${c.claim}" vs "${c.counterClaim}" (${c.explanation})`),
+                `Approve to confirm ${entry.id}, reject to discard it.`
+            ].join('\n'),
+            contradiction: { ids: [entry.id, other.id], conflicts: conflicts.slice(0, 5) }
+        });
+        return { type: 'review', id: item.id };
+    }
+
+    // Contradicting pairs, one per pair: [{ ids, topics, conflicts, method, resolution, status:
+    // 'open' | 'resolved', resolvedBy }]. A pair is resolved once either entry is rejected or
+    // invalidated (or removed), a debate entry derives from both, or its review item has been answered.
+    // Options: { status: 'open' (default) | 'resolved' | 'all', id: only pairs with this entry }
+    list(options = {}) {
+        const status = options.status || 'open';
+        const entries = this.memory.getAllKnowledge().entries;
+        const byId = new Map(entries.map(e => [e.id, e]));
+        const seen = new Set();
+        const pairs = [];
+
+        for (const entry of entries) {
+            for (const link of (entry.links || []).filter(l => l.type === 'contradicts')) {
+                const key = [entry.id, link.target].sort().join('|');
+                if (seen.has(key)) continue;
+                seen.add(key);
+
+                const other = byId.get(link.target);
+                const resolvedBy = this.resolvedBy(entry, other, link, entries);
+                pairs.push({
+                    ids: [entry.id, link.target],
+                    topics: [entry.topic, other?.topic || null],
+                    conflicts: link.conflicts || [],
+                    method: link.method || null,
+                    resolution: link.resolution || null,
+                    status: resolvedBy ? 'resolved' : 'open',
+                    resolvedBy,
+                    createdAt: link.createdAt
+                });
+            }
+        }
+
+        return pairs
+            .filter(p => status === 'all' || p.status === status)
+            .filter(p => !options.id || p.ids.includes(options.id));
+    }
+
+    resolvedBy(entry, other, link, entries) {
+        if (!other) return { type: 'removed', id: link.target };
+        const gone = [entry, other].find(e => e.rejected || e.invalidated);
+        if (gone) return { type: 'rejected', id: gone.id };
+
+        const debate = entries.find(e => !e.rejected && e.tags?.includes('debate') && [entry.id, other.id].every(id =>
+            (e.links || []).some(l => l.type === 'derived-from' && l.target === id)));
+        if (debate) return { type: 'debate', id: debate.id };
+
+        if (link.resolution?.type === 'review' && this.feedbackLoop
+            && !this.feedbackLoop.pending.some(item => item.id === link.resolution.id)) {
+            return { type: 'review', id: link.resolution.id };
+        }
+        return null;
+    }
+}
+
+export { ContradictionDetector, FUNCTIONAL_PREDICATES, NEGATION, claimsConflict };
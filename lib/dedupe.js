@@ -0,0 +1,42 @@
+// Duplicate Detection
+// Content hashing and merge helpers used when ingesting knowledge and by the `dedupe` command
+
+import crypto from 'crypto';
+
+const POLICIES = ['skip', 'merge', 'revision', 'new'];
+
+// Hash of the content with case and whitespace normalized, so trivial reformatting still matches
+function contentHash(text = '') {
+    const normalized = String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let magA = 0;
+    let magB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        magA += a[i] * a[i];
+        magB += b[i] * b[i];
+    }
+    return magA && magB ? dot / Math.sqrt(magA * magB) : 0;
+}
+
+function paragraphs(text = '') {
+    return String(text).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+}
+
+// Existing content plus any paragraphs of the incoming content it doesn't already contain
+function mergeContent(existing = '', incoming = '') {
+    const seen = new Set(paragraphs(existing).map(p => contentHash(p)));
+    const added = paragraphs(incoming).filter(p => !seen.has(contentHash(p)));
+    return added.length ? [existing.trim(), ...added].filter(Boolean).join('\n\n') : existing;
+}
+
+// Union of two string-or-array fields (tags, source), order preserved
+function mergeLists(a, b) {
+    return [...new Set([].concat(a || [], b || []))];
+}
+
+export { POLICIES, contentHash, cosineSimilarity, mergeContent, mergeLists };
@@ -0,0 +1,188 @@
+// Embedding Backends
+// Pluggable embedders for VectorMemory: a local bag-of-words model plus remote APIs
+
+import crypto from 'crypto';
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+    'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+function tokenize(text = '') {
+    return String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t));
+}
+
+function normalize(vector) {
+    const mag = Math.sqrt(vector.reduce((a, b) => a + b * b, 0));
+    return mag === 0 ? vector : vector.map(x => x / mag);
+}
+
+class Embedder {
+    constructor(options = {}) {
+        this.name = options.name || 'embedder';
+        this.dimension = options.dimension || null;
+    }
+
+    async embed(text) {
+        throw new Error(`${this.name}: embed() not implemented`);
+    }
+
+    async embedBatch(texts) {
+        const embeddings = [];
+        for (const text of texts) {
+            embeddings.push(await this.embed(text));
+        }
+        return embeddings;
+    }
+
+    // Identity stored with a collection so vectors from different embedders never mix
+    describe() {
+        return { embedder: this.name, dimension: this.dimension };
+    }
+}
+
+// Local hashing-trick bag of words (unigrams + bigrams, sublinear tf); no model download, no network
+class HashingEmbedder extends Embedder {
+    constructor(options = {}) {
+        super({ ...options, name: options.name || 'local-hashing', dimension: options.dimension || 512 });
+        this.bigrams = options.bigrams ?? true;
+    }
+
+    features(text) {
+        const tokens = tokenize(text);
+        const features = [...tokens];
+
+        if (this.bigrams) {
+            for (let i = 0; i < tokens.length - 1; i++) {
+                features.push(`${tokens[i]} ${tokens[i + 1]}`);
+            }
+        }
+
+        return features;
+    }
+
+    // Synchronous variant for callers that can't await (the vectors are cheap to compute)
+    embedSync(text) {
+        const counts = {};
+        this.features(text).forEach(f => {
+            counts[f] = (counts[f] || 0) + 1;
+        });
+
+        const vector = new Array(this.dimension).fill(0);
+        for (const [feature, count] of Object.entries(counts)) {
+            const digest = crypto.createHash('md5').update(feature).digest();
+            const bucket = digest.readUInt32LE(0) % this.dimension;
+            const sign = digest[4] & 1 ? 1 : -1;
+            vector[bucket] += sign * (1 + Math.log(count));
+        }
+
+        return normalize(vector);
+    }
+
+    async embed(text) {
+        return this.embedSync(text);
+    }
+}
+
+// OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, vLLM, LM Studio, ...)
+class OpenAIEmbedder extends Embedder {
+    constructor(options = {}) {
+        const model = options.model || 'text-embedding-3-small';
+        super({ ...options, name: options.name || `openai:${model}`, dimension: options.dimension || 1536 });
+        this.model = model;
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+        this.batchSize = options.batchSize || 64;
+    }
+
+    endpoint() {
+        return `${this.baseUrl}/embeddings`;
+    }
+
+    headers() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    async request(input) {
+        const response = await fetch(this.endpoint(), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers() },
+            body: JSON.stringify({ model: this.model, input })
+        });
+
+        if (!response.ok) {
+            throw new Error(`${this.name} embedding request failed (${response.status})`);
+        }
+
+        const data = await response.json();
+        const embeddings = data.data
+            .sort((a, b) => a.index - b.index)
+            .map(d => d.embedding);
+
+        if (embeddings[0]?.length !== this.dimension) {
+            throw new Error(`${this.name} returned ${embeddings[0]?.length}-d vectors, expected ${this.dimension}`);
+        }
+
+        return embeddings;
+    }
+
+    async embed(text) {
+        return (await this.request(text))[0];
+    }
+
+    async embedBatch(texts) {
+        const embeddings = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            embeddings.push(...await this.request(texts.slice(i, i + this.batchSize)));
+        }
+        return embeddings;
+    }
+}
+
+// Azure OpenAI embedding deployment
+class AzureEmbedder extends OpenAIEmbedder {
+    constructor(options = {}) {
+        super({ ...options, name: options.name || `azure:${options.deployment}` });
+        this.apiKey = options.apiKey || process.env.AZURE_API_KEY;
+        this.endpointUrl = (options.endpoint || process.env.AZURE_ENDPOINT || '').replace(/\/$/, '');
+        this.deployment = options.deployment;
+        this.apiVersion = options.apiVersion || '2024-10-21';
+    }
+
+    endpoint() {
+        return `${this.endpointUrl}/openai/deployments/${this.deployment}/embeddings?api-version=${this.apiVersion}`;
+    }
+
+    headers() {
+        return { 'api-key': this.apiKey };
+    }
+}
+
+const EMBEDDERS = {
+    hashing: HashingEmbedder,
+    local: HashingEmbedder,
+    openai: OpenAIEmbedder,
+    azure: AzureEmbedder
+};
+
+// Build an embedder from a config object, "provider:model" string or existing instance
+function createEmbedder(config = 'hashing') {
+    if (config instanceof Embedder || typeof config?.embed === 'function') return config;
+
+    if (typeof config === 'string') {
+        const [provider, ...model] = config.split(':');
+        config = { provider, ...(model.length ? { model: model.join(':') } : {}) };
+    }
+
+    const EmbedderClass = EMBEDDERS[config.provider || 'hashing'];
+    if (!EmbedderClass) {
+        throw new Error(`Unknown embedder: ${config.provider}`);
+    }
+
+    return new EmbedderClass(config);
+}
+
+export { Embedder, HashingEmbedder, OpenAIEmbedder, AzureEmbedder, createEmbedder, tokenize };
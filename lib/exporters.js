@@ -0,0 +1,268 @@
+// Knowledge Export
+// Pluggable export formats: a browsable Markdown wiki, JSONL for pipelines, CSV for spreadsheets
+// and an Obsidian vault where provenance links become wikilinks
+
+import fs from 'fs';
+import path from 'path';
+
+// How each link type reads in exported pages, from the linking entry's side and the target's side
+const LINK_LABELS = {
+    'derived-from': ['Derived from', 'Used by'],
+    'cites-source': ['Sources', 'Cited by'],
+    contradicts: ['Contradicts', 'Contradicted by'],
+    supersedes: ['Supersedes', 'Superseded by']
+};
+
+function slugify(text, maxLength = 60) {
+    return String(text || 'untitled').toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, maxLength)
+        .replace(/-+$/, '') || 'untitled';
+}
+
+// id -> name, with " 2", " 3"... appended to repeated names
+function uniqueNames(entries, nameFor, suffix = n => ` ${n}`) {
+    const used = new Map();
+    return new Map(entries.map(e => {
+        const base = nameFor(e);
+        const n = (used.get(base.toLowerCase()) || 0) + 1;
+        used.set(base.toLowerCase(), n);
+        return [e.id, n === 1 ? base : `${base}${suffix(n)}`];
+    }));
+}
+
+function list(value) {
+    return [].concat(value ?? []);
+}
+
+class Exporter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    // Write `entries` under outDir. context: { taxonomy } (lib/taxonomy.js).
+    // Returns { files: [paths written] }
+    export(entries, outDir, context = {}) {
+        throw new Error(`${this.constructor.name} must implement export()`);
+    }
+
+    writeFile(outDir, relativePath, content, files) {
+        const full = path.join(outDir, relativePath);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, content);
+        files.push(full);
+    }
+
+    // Taxonomy folder for an entry: the path of its first node, or 'uncategorized'
+    groupOf(entry, taxonomy) {
+        const node = list(entry.taxonomy).find(id => taxonomy?.get(id));
+        return node ? taxonomy.path(node) : 'uncategorized';
+    }
+
+    // Links in both directions, restricted to exported entries (URLs always kept):
+    // { label: [{ type, target | url }] }
+    linksOf(entry, byId, backlinks) {
+        const groups = {};
+        const add = (label, link) => (groups[label] = groups[label] || []).push(link);
+
+        for (const link of entry.links || []) {
+            const [forward] = LINK_LABELS[link.type] || [link.type];
+            if (byId.has(link.target)) add(forward, { type: link.type, target: link.target });
+            else if (/^https?:\/\//.test(link.target)) add(forward, { type: link.type, url: link.target });
+        }
+        for (const { from, type } of backlinks.get(entry.id) || []) {
+            const [, backward] = LINK_LABELS[type] || [null, `${type} (from)`];
+            add(backward, { type, target: from });
+        }
+        return groups;
+    }
+
+    backlinks(entries, byId) {
+        const backlinks = new Map();
+        for (const entry of entries) {
+            for (const link of entry.links || []) {
+                if (!byId.has(link.target)) continue;
+                if (!backlinks.has(link.target)) backlinks.set(link.target, []);
+                backlinks.get(link.target).push({ from: entry.id, type: link.type });
+            }
+        }
+        return backlinks;
+    }
+}
+
+// index.md plus one page per entry in taxonomy folders, cross-linked with relative Markdown links
+class MarkdownWikiExporter extends Exporter {
+    export(entries, outDir, context = {}) {
+        const files = [];
+        const byId = new Map(entries.map(e => [e.id, e]));
+        const backlinks = this.backlinks(entries, byId);
+        const names = uniqueNames(entries, e => slugify(e.topic), n => `-${n}`);
+        const pages = new Map(entries.map(e => [e.id, `${this.groupOf(e, context.taxonomy)}/${names.get(e.id)}.md`]));
+
+        const linkTo = (fromPage, id) =>
+            `[${byId.get(id).topic}](${path.posix.relative(path.posix.dirname(fromPage), pages.get(id))})`;
+
+        for (const entry of entries) {
+            const page = pages.get(entry.id);
+            const lines = [
+                `# ${entry.topic}`,
+                '',
+                `- **ID:** ${entry.id}`,
+                `- **Verified:** ${entry.verified ? 'yes' : 'no'}`,
+                ...(entry.invalidated ? [`- **Invalidated:** ${entry.invalidated.reason}`] : []),
+                `- **Tags:** ${list(entry.tags).join(', ') || 'none'}`,
+                `- **Updated:** ${entry.updatedAt || entry.timestamp} (revision ${entry.revision || 1})`,
+                '',
+                entry.content || '',
+                ''
+            ];
+
+            for (const [label, links] of Object.entries(this.linksOf(entry, byId, backlinks))) {
+                lines.push(`## ${label}`, '');
+                links.forEach(l => lines.push(`- ${l.url ? `<${l.url}>` : linkTo(page, l.target)}`));
+                lines.push('');
+            }
+
+            this.writeFile(outDir, page, lines.join('\n'), files);
+        }
+
+        // Index: one section per taxonomy folder
+        const groups = {};
+        for (const entry of entries) {
+            const group = this.groupOf(entry, context.taxonomy);
+            (groups[group] = groups[group] || []).push(entry);
+        }
+
+        const index = ['# Knowledge Wiki', '', `${entries.length} entries, exported ${new Date().toISOString()}`, ''];
+        for (const group of Object.keys(groups).sort()) {
+            index.push(`## ${group}`, '');
+            groups[group]
+                .sort((a, b) => a.topic.localeCompare(b.topic))
+                .forEach(e => index.push(`- ${linkTo('index.md', e.id)}${e.verified ? ' ✅' : ''}`));
+            index.push('');
+        }
+        this.writeFile(outDir, 'index.md', index.join('\n'), files);
+
+        return { files };
+    }
+}
+
+// knowledge.jsonl: one entry per line (revision history only with { history: true })
+class JsonlExporter extends Exporter {
+    export(entries, outDir) {
+        const files = [];
+        const lines = entries.map(({ revisions, ...entry }) =>
+            JSON.stringify(this.options.history ? { ...entry, revisions } : entry));
+        this.writeFile(outDir, 'knowledge.jsonl', lines.join('\n') + (lines.length ? '\n' : ''), files);
+        return { files };
+    }
+}
+
+const CSV_COLUMNS = ['id', 'topic', 'taxonomy', 'tags', 'verified', 'source', 'timestamp', 'updatedAt', 'revision', 'content'];
+
+// knowledge.csv (RFC 4180 quoting; list fields joined with "; ")
+class CsvExporter extends Exporter {
+    export(entries, outDir) {
+        const files = [];
+        const cell = (value) => {
+            const text = Array.isArray(value) ? value.join('; ') : String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [
+            CSV_COLUMNS.join(','),
+            ...entries.map(e => CSV_COLUMNS.map(col => cell(e[col])).join(','))
+        ];
+        this.writeFile(outDir, 'knowledge.csv', rows.join('\r\n') + '\r\n', files);
+        return { files };
+    }
+}
+
+// Obsidian vault: notes with YAML front matter in taxonomy folders; provenance links become
+// [[wikilinks]] (as Dataview-style `type:: [[Note]]` fields) and the taxonomy becomes nested tags
+class ObsidianExporter extends Exporter {
+    export(entries, outDir, context = {}) {
+        const files = [];
+        const byId = new Map(entries.map(e => [e.id, e]));
+        const backlinks = this.backlinks(entries, byId);
+        // Wikilinks resolve by note name, so names are unique across the vault
+        const names = uniqueNames(entries, e =>
+            String(e.topic || 'Untitled').replace(/[\\/:*?"<>|#^[\]]+/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 100) || 'Untitled');
+        const yaml = (value) => JSON.stringify(value);
+
+        for (const entry of entries) {
+            const nestedTags = list(entry.taxonomy)
+                .filter(id => context.taxonomy?.get(id))
+                .map(id => context.taxonomy.path(id));
+            // Plain tags that name taxonomy nodes are already covered by the nested tags
+            const plainTags = list(entry.tags).filter(t => !context.taxonomy?.get(t)).map(t => slugify(t));
+            const tags = [...new Set([...nestedTags, ...plainTags])];
+
+            const lines = [
+                '---',
+                `id: ${yaml(entry.id)}`,
+                `aliases: [${yaml(entry.topic)}]`,
+                `tags: [${tags.map(yaml).join(', ')}]`,
+                `verified: ${Boolean(entry.verified)}`,
+                `source: [${list(entry.source).map(yaml).join(', ')}]`,
+                `created: ${yaml(entry.timestamp)}`,
+                `updated: ${yaml(entry.updatedAt || entry.timestamp)}`,
+                `revision: ${entry.revision || 1}`,
+                '---',
+                '',
+                entry.content || '',
+                ''
+            ];
+
+            const groups = this.linksOf(entry, byId, backlinks);
+            if (Object.keys(groups).length > 0) {
+                lines.push('## Links', '');
+                for (const [label, links] of Object.entries(groups)) {
+                    const field = slugify(label);
+                    lines.push(...links.map(l => `${field}:: ${l.url ? l.url : `[[${names.get(l.target)}]]`}`));
+                }
+                lines.push('');
+            }
+
+            this.writeFile(outDir, `${this.groupOf(entry, context.taxonomy)}/${names.get(entry.id)}.md`, lines.join('\n'), files);
+        }
+
+        return { files };
+    }
+}
+
+const EXPORTERS = {
+    wiki: MarkdownWikiExporter,
+    markdown: MarkdownWikiExporter,
+    jsonl: JsonlExporter,
+    csv: CsvExporter,
+    obsidian: ObsidianExporter
+};
+
+// Add a format; FormatExporter is a subclass of Exporter
+function registerExporter(format, FormatExporter) {
+    EXPORTERS[format] = FormatExporter;
+}
+
+function createExporter(format, options = {}) {
+    if (format instanceof Exporter) return format;
+
+    const FormatExporter = EXPORTERS[format];
+    if (!FormatExporter) {
+        throw new Error(`Unknown export format: ${format} (expected ${Object.keys(EXPORTERS).join(', ')})`);
+    }
+    return new FormatExporter(options);
+}
+
+export {
+    Exporter,
+    MarkdownWikiExporter,
+    JsonlExporter,
+    CsvExporter,
+    ObsidianExporter,
+    EXPORTERS,
+    registerExporter,
+    createExporter,
+    slugify
+};
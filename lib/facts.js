@@ -0,0 +1,199 @@
+// Entity and Fact Extraction
+// Pulls named entities (tools, papers, organizations, CVEs, techniques) and subject-predicate-object
+// facts out of free-text knowledge, with an LLM when one is configured and pattern rules otherwise
+
+const ENTITY_TYPES = ['tool', 'paper', 'organization', 'cve', 'technique', 'other'];
+
+// Names recognised without an LLM; extend with FactExtractor options.known ({ name: type })
+const KNOWN_ENTITIES = {
+    openai: 'organization',
+    anthropic: 'organization',
+    google: 'organization',
+    'google deepmind': 'organization',
+    deepmind: 'organization',
+    microsoft: 'organization',
+    meta: 'organization',
+    'hugging face': 'organization',
+    mistral: 'organization',
+    nist: 'organization',
+    owasp: 'organization',
+    langchain: 'tool',
+    llamaindex: 'tool',
+    chroma: 'tool',
+    chromadb: 'tool',
+    faiss: 'tool',
+    pinecone: 'tool',
+    playwright: 'tool',
+    pytorch: 'tool',
+    tensorflow: 'tool',
+    docker: 'tool',
+    kubernetes: 'tool',
+    'retrieval-augmented generation': 'technique',
+    rag: 'technique',
+    'chain-of-thought': 'technique',
+    'chain of thought': 'technique',
+    'few-shot prompting': 'technique',
+    'fine-tuning': 'technique',
+    rlhf: 'technique',
+    'prompt injection': 'technique',
+    'reciprocal rank fusion': 'technique',
+    bm25: 'technique',
+    hnsw: 'technique',
+    'react': 'technique',
+    'tree of thoughts': 'technique'
+};
+
+// Pattern rules: [regex, type]; the first capture group (or the whole match) is the name
+const ENTITY_PATTERNS = [
+    [/\bCVE-\d{4}-\d{4,7}\b/gi, 'cve'],
+    [/\barXiv:\s?\d{4}\.\d{4,5}(?:v\d+)?\b/gi, 'paper'],
+    [/"([^"]{8,120})"\s*(?:\(\d{4}\)|paper|by\b)/g, 'paper'],
+    [/\b([A-Z][\w&.-]*(?:\s[A-Z][\w&.-]*){0,3}\s(?:Inc|Corp|Labs|Lab|Foundation|University|Institute|Research))\b\.?/g, 'organization'],
+    [/\b((?:[A-Z][\w-]*\s){0,2}[A-Z][\w-]*)\s(?:library|framework|SDK|CLI|database|toolkit)\b/g, 'tool']
+];
+
+// Sentence patterns for facts: [regex with (subject) (object) groups, predicate]
+const FACT_PATTERNS = [
+    [/^(.{2,60}?)\s+(?:is|are)\s+(?:an?|the)\s+(.{3,120})$/i, 'is-a'],
+    [/^(.{2,60}?)\s+(?:was|were|is|are)\s+(?:developed|created|released|built)\s+by\s+(.{2,80})$/i, 'developed-by'],
+    [/^(.{2,60}?)\s+(?:affects|impacts)\s+(.{2,120})$/i, 'affects'],
+    [/^(.{2,60}?)\s+(?:uses|use|relies on|rely on)\s+(.{2,120})$/i, 'uses'],
+    [/^(.{2,60}?)\s+(?:supports|support)\s+(.{2,120})$/i, 'supports'],
+    [/^(.{2,60}?)\s+(?:improves|improve|outperforms|outperform)\s+(.{2,120})$/i, 'improves'],
+    [/^(.{2,60}?)\s+(?:requires|require|depends on|depend on)\s+(.{2,120})$/i, 'requires'],
+    [/^(.{2,60}?)\s+(?:combines|combine|merges|merge)\s+(.{2,120})$/i, 'combines'],
+    [/^(.{2,60}?)\s+(?:prevents|prevent|mitigates|mitigate)\s+(.{2,120})$/i, 'mitigates']
+];
+
+// Normalized key for matching entity names ("Hugging Face", "hugging-face" and "HuggingFace." differ
+// only in case and punctuation)
+function entityKey(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function sentences(text) {
+    return String(text || '')
+        .replace(/^#+\s.*$/gm, '')
+        .split(/(?<=[.!?])\s+|\n+/)
+        .map(s => s.trim().replace(/[.!?]+$/, ''))
+        .filter(s => s.length > 0);
+}
+
+function cleanPhrase(text) {
+    return text.replace(/^(?:the|a|an)\s+/i, '').replace(/[,;:].*$/, '').trim();
+}
+
+class FactExtractor {
+    constructor(options = {}) {
+        // LLMProvider (lib/llm-providers.js); pattern rules only when null
+        this.llm = options.llm || null;
+        this.known = { ...KNOWN_ENTITIES, ...options.known };
+        this.maxFacts = options.maxFacts || 20;
+    }
+
+    // { entities: [{ name, type }], facts: [{ subject, predicate, object, confidence, sentence }], method }
+    result(entities, facts, method) {
+        const byKey = new Map();
+        for (const e of entities) {
+            const key = entityKey(e.name);
+            if (!key || byKey.has(key)) continue;
+            byKey.set(key, { name: String(e.name).trim(), type: ENTITY_TYPES.includes(e.type) ? e.type : 'other' });
+        }
+
+        const seen = new Set();
+        const unique = facts.filter(f => {
+            const key = [entityKey(f.subject), f.predicate, entityKey(f.object)].join('|');
+            if (!f.subject || !f.predicate || !f.object || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).slice(0, this.maxFacts);
+
+        // Fact subjects are entities too, so facts can be looked up by entity
+        unique.forEach(f => {
+            const key = entityKey(f.subject);
+            if (!byKey.has(key)) byKey.set(key, { name: f.subject, type: this.known[key] || 'other' });
+        });
+
+        return { entities: [...byKey.values()], facts: unique, method };
+    }
+
+    // Entities matched by name lists and patterns in `text`
+    findEntities(text) {
+        const found = [];
+        const lower = ` ${entityKey(text)} `;
+
+        for (const [name, type] of Object.entries(this.known)) {
+            if (lower.includes(` ${entityKey(name)} `)) {
+                const match = text.match(new RegExp(`\\b${name.replace(/[-\s]+/g, '[-\\s]?')}\\b`, 'i'));
+                found.push({ name: match ? match[0] : name, type });
+            }
+        }
+        for (const [pattern, type] of ENTITY_PATTERNS) {
+            for (const match of text.matchAll(pattern)) {
+                found.push({ name: (match[1] || match[0]).trim(), type });
+            }
+        }
+        return found;
+    }
+
+    extractSync(entry) {
+        const text = `${entry.topic || ''}. ${entry.content || ''}`;
+        const facts = [];
+
+        for (const sentence of sentences(entry.content)) {
+            for (const [pattern, predicate] of FACT_PATTERNS) {
+                const match = sentence.match(pattern);
+                if (!match) continue;
+                const subject = cleanPhrase(match[1]);
+                const object = cleanPhrase(match[2]);
+                // Pronoun subjects ("It is a ...") need the topic as their referent
+                const resolved = /^(it|this|they|these)$/i.test(subject) ? entry.topic : subject;
+                if (resolved && object && resolved.split(/\s+/).length <= 6) {
+                    facts.push({ subject: resolved, predicate, object, confidence: 0.5, sentence });
+                }
+                break;
+            }
+        }
+
+        return this.result(this.findEntities(text), facts, 'patterns');
+    }
+
+    async extract(entry) {
+        if (!this.llm) return this.extractSync(entry);
+
+        const prompt = `
+Extract entities and facts from this knowledge entry.
+
+Entry topic: ${entry.topic}
+Entry content: ${String(entry.content || '').slice(0, 4000)}
+
+Entities are named tools, papers, organizations, CVEs and techniques (type one of ${ENTITY_TYPES.join(', ')}).
+Facts are short subject-predicate-object statements the content asserts, with a kebab-case
+predicate (e.g. "is-a", "developed-by", "affects", "uses") and your confidence from 0 to 1.
+Respond with JSON (at most ${this.maxFacts} facts):
+{
+  "entities": [{ "name": "entity name", "type": "tool" }],
+  "facts": [{ "subject": "entity or concept", "predicate": "uses", "object": "entity, value or phrase", "confidence": 0.9 }]
+}
+`;
+
+        try {
+            const response = await this.llm.json(prompt);
+            const facts = (response.facts || []).map(f => ({
+                subject: String(f.subject || '').trim(),
+                predicate: String(f.predicate || '').trim().toLowerCase().replace(/\s+/g, '-'),
+                object: String(f.object || '').trim(),
+                confidence: Number.isFinite(f.confidence) ? Math.max(0, Math.min(1, f.confidence)) : 0.7
+            }));
+            if ((response.entities || []).length > 0 || facts.length > 0) {
+                return this.result(response.entities || [], facts, 'llm');
+            }
+        } catch (error) {
+            console.log(`   ⚠️  LLM fact extraction failed, using pattern rules: ${error.message}`);
+        }
+
+        return this.extractSync(entry);
+    }
+}
+
+export { FactExtractor, ENTITY_TYPES, KNOWN_ENTITIES, entityKey };
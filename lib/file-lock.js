@@ -0,0 +1,73 @@
+// File Locks
+// Exclusive cross-process locks held as `<name>.lock` files created with O_EXCL. A lock left
+// behind by a dead process, or older than `staleAge`, is broken; waiting is synchronous so
+// callers can lock around plain file appends and renames.
+
+import fs from 'fs';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_STALE_AGE_MS = 30000;
+
+const sleeper = new Int32Array(new SharedArrayBuffer(4));
+// Lock files held by this process, so nested locks on one file don't deadlock
+const heldLocks = new Set();
+
+function sleepSync(ms) {
+    Atomics.wait(sleeper, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function isStaleLock(lockFile, staleAge) {
+    try {
+        const lock = JSON.parse(fs.readFileSync(lockFile, 'utf-8'));
+        return !isProcessAlive(lock.pid) || Date.now() - lock.at > staleAge;
+    } catch {
+        // Lock file being written or already gone
+        return false;
+    }
+}
+
+// Run fn while holding an exclusive lock on lockFile (an absolute path; re-entrant within a
+// process). Options: { timeout, staleAge, name } where name labels the timeout error
+function withFileLock(lockFile, fn, options = {}) {
+    if (heldLocks.has(lockFile)) return fn();
+
+    const deadline = Date.now() + (options.timeout || DEFAULT_TIMEOUT_MS);
+    const staleAge = options.staleAge || DEFAULT_STALE_AGE_MS;
+
+    while (true) {
+        try {
+            fs.writeFileSync(lockFile, JSON.stringify({ pid: process.pid, at: Date.now() }), { flag: 'wx' });
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            if (isStaleLock(lockFile, staleAge)) {
+                fs.rmSync(lockFile, { force: true });
+                continue;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for lock on ${options.name || lockFile} (${lockFile})`);
+            }
+            sleepSync(10 + Math.random() * 40);
+        }
+    }
+
+    heldLocks.add(lockFile);
+    try {
+        return fn();
+    } finally {
+        heldLocks.delete(lockFile);
+        fs.rmSync(lockFile, { force: true });
+    }
+}
+
+export { withFileLock, isProcessAlive };
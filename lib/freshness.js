@@ -0,0 +1,61 @@
+// Knowledge Freshness
+// TTL classes by topic/tag keywords and staleness scores used to schedule re-research
+
+import { tokenize } from './embeddings.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Checked in order; the first class whose keywords appear in an entry's topic or tags wins
+const DEFAULT_CLASSES = {
+    news: {
+        ttlDays: 3,
+        match: ['news', 'latest', 'today', 'this week', 'announced', 'announcement', 'release', 'trending']
+    },
+    'fast-moving': {
+        ttlDays: 30,
+        match: ['ai', 'llm', 'llms', 'model', 'models', 'agent', 'agents', 'security', 'vulnerability',
+            'vulnerabilities', 'cve', 'framework', 'version', 'pricing', 'benchmark', 'benchmarks']
+    },
+    reference: {
+        ttlDays: 365,
+        match: ['definition', 'history', 'fundamentals', 'theory', 'math', 'algorithm', 'algorithms', 'basics']
+    }
+};
+
+const DEFAULT_TTL_DAYS = 90;
+
+class FreshnessPolicy {
+    constructor(options = {}) {
+        this.classes = options.classes || DEFAULT_CLASSES;
+        this.defaultTtlDays = options.defaultTtlDays || DEFAULT_TTL_DAYS;
+    }
+
+    // { class, ttlDays } for an entry from its topic and tags
+    classify(entry) {
+        const text = [entry.topic, ...(entry.tags || [])].filter(Boolean).join(' ').toLowerCase();
+        const tokens = new Set(tokenize(text));
+
+        for (const [name, cls] of Object.entries(this.classes)) {
+            const hit = cls.match.some(kw => kw.includes(' ') ? text.includes(kw) : tokens.has(kw));
+            if (hit) return { class: name, ttlDays: cls.ttlDays };
+        }
+
+        return { class: 'default', ttlDays: this.defaultTtlDays };
+    }
+
+    // Freshness metadata for a new (or legacy) entry
+    describe(entry, lastConfirmed = entry.timestamp) {
+        return { ...this.classify(entry), lastConfirmed };
+    }
+
+    // Age since last confirmation as a fraction of the TTL: 0 = just confirmed, >= 1 = stale.
+    // The TTL comes from the current classes, so changing them re-scores existing entries
+    staleness(entry, now = Date.now()) {
+        const { ttlDays } = this.classify(entry);
+        const confirmed = new Date(entry.freshness?.lastConfirmed || entry.timestamp).getTime();
+        if (!confirmed) return 0;
+        return Math.max(0, (now - confirmed) / (ttlDays * DAY));
+    }
+}
+
+export { FreshnessPolicy, DEFAULT_CLASSES, DEFAULT_TTL_DAYS };
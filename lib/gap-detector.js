@@ -0,0 +1,263 @@
+// Knowledge Gap Detection
+// Finds what to research next from the knowledge itself: uncovered related topics, sparse
+// clusters in the vector space, rejected entries, open debate questions and a weighted curriculum
+
+import fs from 'fs';
+import path from 'path';
+import { tokenize } from './embeddings.js';
+import { cosineSimilarity } from './dedupe.js';
+
+// Used until `gaps init` writes it to curriculum.json; edit the file to steer research
+const DEFAULT_CURRICULUM = {
+    domains: [
+        { topic: 'AI safety practices', weight: 1, target: 3, subtopics: ['AI alignment techniques', 'AI red teaming'] },
+        { topic: 'cybersecurity', weight: 1, target: 3, subtopics: ['threat modeling', 'incident response'] },
+        { topic: 'web application security', weight: 1, target: 3, subtopics: ['OWASP Top 10', 'cross-site scripting prevention'] },
+        { topic: 'ethical hacking', weight: 0.8, target: 3, subtopics: ['penetration testing methodology'] },
+        { topic: 'LLM prompt engineering', weight: 1, target: 3, subtopics: ['prompt injection defenses', 'chain of thought prompting'] },
+        { topic: 'agent architectures', weight: 1, target: 3, subtopics: ['multi-agent systems', 'agent memory'] },
+        { topic: 'vector databases', weight: 0.8, target: 3, subtopics: ['HNSW indexing', 'embedding models'] },
+        { topic: 'RAG systems', weight: 0.9, target: 3, subtopics: ['retrieval evaluation', 'reranking'] }
+    ]
+};
+
+// Base score for each kind of gap (curriculum gaps use weight × coverage deficit instead)
+const SOURCE_SCORES = {
+    rejected: 0.8,
+    debate: 0.6,
+    'related-topic': 0.5,
+    'sparse-cluster': 0.4
+};
+
+class GapDetector {
+    constructor(memory, options = {}) {
+        this.memory = memory;
+        this.curriculumPath = options.curriculumPath || path.join(memory.storagePath, 'curriculum.json');
+        // Optional HumanFeedbackLoop; rejected review items with a `task` become gaps
+        this.feedbackLoop = options.feedbackLoop || null;
+        this.minClusterEntries = options.minClusterEntries || 6;
+        this.clusterCache = null;
+    }
+
+    // Read-only: a missing file means the defaults
+    loadCurriculum() {
+        if (!fs.existsSync(this.curriculumPath)) return DEFAULT_CURRICULUM;
+        try {
+            return JSON.parse(fs.readFileSync(this.curriculumPath, 'utf-8'));
+        } catch (error) {
+            console.log(`⚠️  Could not read ${this.curriculumPath}: ${error.message}`);
+            return DEFAULT_CURRICULUM;
+        }
+    }
+
+    // Write the default curriculum for editing; an existing file is left alone
+    initCurriculum() {
+        if (fs.existsSync(this.curriculumPath)) return { created: false, path: this.curriculumPath };
+
+        fs.mkdirSync(path.dirname(this.curriculumPath), { recursive: true });
+        fs.writeFileSync(this.curriculumPath, JSON.stringify(DEFAULT_CURRICULUM, null, 2));
+        return { created: true, path: this.curriculumPath };
+    }
+
+    // Entries whose topic and tags contain most of the topic's words
+    coverage(entries, topic) {
+        const wanted = [...new Set(tokenize(topic))];
+        if (wanted.length === 0) return 0;
+
+        return entries.filter(e => {
+            const have = new Set(tokenize([e.topic, ...(e.tags || [])].join(' ')));
+            return wanted.filter(t => have.has(t)).length / wanted.length >= 0.6;
+        }).length;
+    }
+
+    // All gaps, best first: [{ topic, source, score, reason }]
+    // Sparse clusters need k-means over every entry, so they are only included with { clusters: true }
+    detectGaps(options = {}) {
+        const data = this.memory.getAllKnowledge();
+        // Document chunks repeat their parent's topic, so only whole entries count as coverage
+        const live = data.entries.filter(e => !e.rejected && !e.parentId);
+        const research = live.filter(e => !e.isSynthesis && e.content);
+
+        const gaps = [
+            ...this.curriculumGaps(live),
+            ...this.relatedTopicGaps(live),
+            ...this.rejectedGaps(data.entries, live),
+            ...this.debateGaps(live),
+            ...(options.clusters ? this.clusterGaps(data, research) : [])
+        ];
+
+        // One gap per topic, keeping the highest score and every reason
+        const byTopic = new Map();
+        for (const gap of gaps) {
+            const key = tokenize(gap.topic).join(' ') || gap.topic.toLowerCase();
+            const existing = byTopic.get(key);
+            if (!existing) {
+                byTopic.set(key, { ...gap, reasons: [gap.reason] });
+            } else {
+                existing.reasons.push(gap.reason);
+                if (gap.score > existing.score) Object.assign(existing, { source: gap.source, score: gap.score });
+            }
+        }
+
+        return [...byTopic.values()]
+            .map(({ reason, ...gap }) => ({ ...gap, score: Number(gap.score.toFixed(3)) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.limit ?? Infinity);
+    }
+
+    // Curriculum domains (or their subtopics) below their target entry count
+    curriculumGaps(entries) {
+        const gaps = [];
+
+        for (const domain of this.loadCurriculum().domains || []) {
+            const weight = domain.weight ?? 1;
+            const target = domain.target || 1;
+            const covered = this.coverage(entries, domain.topic);
+            if (covered >= target || weight <= 0) continue;
+
+            const deficit = 1 - covered / target;
+            const uncoveredSubtopics = (domain.subtopics || []).filter(s => this.coverage(entries, s) === 0);
+
+            if (covered === 0 || uncoveredSubtopics.length === 0) {
+                gaps.push({
+                    topic: domain.topic,
+                    source: 'curriculum',
+                    score: weight * deficit,
+                    reason: `curriculum domain with ${covered}/${target} entries`
+                });
+            } else {
+                uncoveredSubtopics.forEach(sub => gaps.push({
+                    topic: sub,
+                    source: 'curriculum',
+                    score: weight * deficit * 0.9,
+                    reason: `uncovered subtopic of ${domain.topic}`
+                }));
+            }
+        }
+
+        return gaps;
+    }
+
+    // relatedTopics recorded by research that no entry covers yet
+    relatedTopicGaps(entries) {
+        const mentions = new Map();
+        entries.forEach(e => (e.relatedTopics || []).forEach(topic => {
+            const m = mentions.get(topic.toLowerCase()) || { topic, count: 0 };
+            m.count++;
+            mentions.set(topic.toLowerCase(), m);
+        }));
+
+        return [...mentions.values()]
+            .filter(m => this.coverage(entries, m.topic) === 0)
+            .map(m => ({
+                topic: m.topic,
+                source: 'related-topic',
+                score: Math.min(0.9, SOURCE_SCORES['related-topic'] + 0.1 * (m.count - 1)),
+                reason: `related topic mentioned by ${m.count} entries`
+            }));
+    }
+
+    // Rejected entries (and rejected review items) with nothing accepted in their place
+    rejectedGaps(allEntries, live) {
+        const topics = new Set(allEntries.filter(e => e.rejected && e.topic).map(e => e.topic));
+        (this.feedbackLoop?.rejected || []).forEach(item => item.task && topics.add(item.task));
+
+        return [...topics]
+            .filter(topic => this.coverage(live, topic) === 0)
+            .map(topic => ({
+                topic,
+                source: 'rejected',
+                score: SOURCE_SCORES.rejected,
+                reason: 'previous research was rejected'
+            }));
+    }
+
+    // Questions debates left open
+    debateGaps(entries) {
+        return entries
+            .flatMap(e => (e.debate?.synthesis?.open_questions || []).map(q => ({ question: q, debate: e.topic })))
+            .filter(({ question }) => typeof question === 'string' && this.coverage(entries, question) === 0)
+            .map(({ question, debate }) => ({
+                topic: question,
+                source: 'debate',
+                score: SOURCE_SCORES.debate,
+                reason: `open question from ${debate}`
+            }));
+    }
+
+    // Small clusters in embedding space: areas touched only once or twice
+    clusterGaps(data, entries) {
+        if (entries.length < this.minClusterEntries) return [];
+
+        const version = `${data.lastUpdated}:${data.entries.length}`;
+        if (this.clusterCache?.version !== version) {
+            this.clusterCache = { version, clusters: this.cluster(entries) };
+        }
+
+        const clusters = this.clusterCache.clusters;
+        const meanSize = entries.length / clusters.length;
+
+        return clusters
+            .filter(c => c.members.length > 0 && c.members.length <= Math.max(1, meanSize / 2))
+            .map(c => ({
+                topic: `${c.representative.topic} in depth`,
+                source: 'sparse-cluster',
+                score: SOURCE_SCORES['sparse-cluster'] * (1 - c.members.length / meanSize / 2),
+                reason: `cluster of ${c.members.length} entries (average ${meanSize.toFixed(1)})`
+            }));
+    }
+
+    vectorFor(entry) {
+        const stored = this.memory.vectorMemory?.index?.get(entry.id);
+        return stored?.vector || this.memory.fallbackVector(entry.content);
+    }
+
+    // Spherical k-means with farthest-point initialisation (deterministic)
+    cluster(entries, iterations = 10) {
+        const vectors = entries.map(e => this.vectorFor(e));
+        const k = Math.min(12, Math.max(2, Math.round(Math.sqrt(entries.length / 2))));
+
+        const centroids = [vectors[0]];
+        while (centroids.length < k) {
+            let farthest = 0;
+            let farthestSim = Infinity;
+            vectors.forEach((v, i) => {
+                const best = Math.max(...centroids.map(c => cosineSimilarity(v, c)));
+                if (best < farthestSim) {
+                    farthestSim = best;
+                    farthest = i;
+                }
+            });
+            centroids.push(vectors[farthest]);
+        }
+
+        let assignment = [];
+        for (let iter = 0; iter < iterations; iter++) {
+            const next = vectors.map(v => {
+                let best = 0;
+                centroids.forEach((c, j) => {
+                    if (cosineSimilarity(v, c) > cosineSimilarity(v, centroids[best])) best = j;
+                });
+                return best;
+            });
+            if (next.every((a, i) => a === assignment[i])) break;
+            assignment = next;
+
+            centroids.forEach((_, j) => {
+                const members = vectors.filter((_, i) => assignment[i] === j);
+                if (members.length === 0) return;
+                centroids[j] = members[0].map((_, d) => members.reduce((sum, m) => sum + m[d], 0) / members.length);
+            });
+        }
+
+        return centroids.map((centroid, j) => {
+            const members = entries.filter((_, i) => assignment[i] === j);
+            const representative = members
+                .map(e => ({ e, sim: cosineSimilarity(this.vectorFor(e), centroid) }))
+                .sort((a, b) => b.sim - a.sim)[0]?.e;
+            return { members, representative };
+        });
+    }
+}
+
+export { GapDetector, DEFAULT_CURRICULUM };
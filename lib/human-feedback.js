@@ -4,7 +4,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,6 +12,8 @@ const __dirname = path.dirname(__filename);
 class HumanFeedbackLoop {
     constructor(options = {}) {
         this.feedbackPath = options.feedbackPath || './feedback';
+        // MemorySystem that reviewed items with a `knowledgeId` write back to
+        this.memory = options.memory || null;
         this.queue = [];
         this.approved = [];
         this.rejected = [];
@@ -73,7 +75,7 @@ class HumanFeedbackLoop {
     // Queue an item for human review
     queueForReview(item) {
         const feedbackItem = {
-            id: uuidv4(),
+            id: randomUUID(),
             ...item,
             status: 'pending',
             createdAt: new Date().toISOString(),
@@ -156,7 +158,54 @@ class HumanFeedbackLoop {
         console.log(`✅ Review submitted: ${id}`);
         console.log(`   Status: ${item.status}`);
         
-        return { success: true, item };
+        const knowledge = this.applyToKnowledge(item);
+        
+        return { success: true, item, knowledge };
+    }
+
+    // Write a reviewed item's outcome back to the knowledge entry it came from:
+    // corrections become a human revision, approval marks the entry verified and
+    // rejection invalidates everything derived from the entry. The entry's sources
+    // are rated on the outcome too
+    applyToKnowledge(item) {
+        if (!this.memory || !item.knowledgeId) return null;
+        
+        const entry = this.memory.getKnowledge(item.knowledgeId);
+        if (entry && this.memory.sources) {
+            const outcome = item.status === 'rejected' ? 'rejected' : item.corrections ? 'corrected' : 'approved';
+            this.memory.sources.record(entry.source, outcome);
+        }
+        
+        const patch = {};
+        if (item.corrections) {
+            if (typeof item.corrections === 'string') {
+                patch.content = item.corrections;
+            } else if (Array.isArray(item.corrections)) {
+                patch.content = item.corrections.join('\n');
+            } else {
+                Object.assign(patch, item.corrections);
+            }
+        }
+        if (item.status === 'approved') {
+            patch.verified = true;
+            patch.verifiedAt = item.reviewedAt;
+        }
+        
+        const options = {
+            author: 'human',
+            reason: item.comments || `review ${item.id} (${item.status})`
+        };
+        
+        if (item.status === 'rejected') {
+            if (Object.keys(patch).length > 0) {
+                this.memory.updateKnowledge(item.knowledgeId, patch, options);
+            }
+            return this.memory.rejectKnowledge(item.knowledgeId, options.reason, options)?.entry || null;
+        }
+        
+        if (Object.keys(patch).length === 0) return null;
+        
+        return this.memory.updateKnowledge(item.knowledgeId, patch, options);
     }
 
     // Quick approve
@@ -177,6 +226,16 @@ class HumanFeedbackLoop {
         });
     }
 
+    // Approve with corrected content
+    correct(id, corrections, comments = '') {
+        return this.submitReview(id, {
+            approved: true,
+            corrections,
+            comments,
+            rating: 4
+        });
+    }
+
     // Learn from approved items - extract patterns
     learnFromApproved() {
         if (this.approved.length === 0) {
@@ -398,4 +457,6 @@ async function main() {
 export default HumanFeedbackLoop;
 
 // Run if called directly
-main();
+if (process.argv[1] === __filename) {
+    main();
+}
@@ -0,0 +1,147 @@
+// Hybrid Search
+// BM25 keyword scoring fused with vector similarity (reciprocal-rank fusion) plus metadata filters
+
+import { tokenize } from './embeddings.js';
+
+// Okapi BM25 over knowledge entries (topic, tags and content)
+class BM25Index {
+    constructor(entries = [], options = {}) {
+        this.k1 = options.k1 ?? 1.2;
+        this.b = options.b ?? 0.75;
+        this.docs = [];
+        this.docFreq = new Map();
+        this.avgLength = 0;
+
+        this.build(entries);
+    }
+
+    static fieldsOf(entry) {
+        return [entry.topic, (entry.tags || []).join(' '), entry.content].filter(Boolean).join(' ');
+    }
+
+    build(entries) {
+        let totalLength = 0;
+
+        this.docs = entries.map(entry => {
+            const tokens = tokenize(BM25Index.fieldsOf(entry));
+            const termFreq = new Map();
+            tokens.forEach(t => termFreq.set(t, (termFreq.get(t) || 0) + 1));
+            termFreq.forEach((_, term) => this.docFreq.set(term, (this.docFreq.get(term) || 0) + 1));
+            totalLength += tokens.length;
+            return { id: entry.id, length: tokens.length, termFreq };
+        });
+
+        this.avgLength = this.docs.length ? totalLength / this.docs.length : 0;
+    }
+
+    idf(term) {
+        const df = this.docFreq.get(term) || 0;
+        return Math.log(1 + (this.docs.length - df + 0.5) / (df + 0.5));
+    }
+
+    // Scored ids, best first; `allowed` restricts to a set of ids
+    search(query, allowed = null) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) return [];
+
+        const results = [];
+        for (const doc of this.docs) {
+            if (allowed && !allowed.has(doc.id)) continue;
+
+            let score = 0;
+            for (const term of terms) {
+                const tf = doc.termFreq.get(term);
+                if (!tf) continue;
+                const norm = tf + this.k1 * (1 - this.b + this.b * doc.length / (this.avgLength || 1));
+                score += this.idf(term) * (tf * (this.k1 + 1)) / norm;
+            }
+
+            if (score > 0) {
+                results.push({ id: doc.id, score });
+            }
+        }
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
+
+// Combine several best-first rankings of ids: score = sum of 1 / (k + rank)
+function reciprocalRankFusion(rankings, k = 60) {
+    const fused = new Map();
+
+    rankings.forEach(ranking => {
+        ranking.forEach((id, rank) => {
+            fused.set(id, (fused.get(id) || 0) + 1 / (k + rank + 1));
+        });
+    });
+
+    return [...fused.entries()]
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+}
+
+function toArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+// Upper bound for an `until` filter: a date without a time ('2026-01-31') includes that whole day
+function untilDate(until) {
+    const date = new Date(until);
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(until).trim())
+        ? new Date(date.getTime() + 24 * 60 * 60 * 1000 - 1)
+        : date;
+}
+
+// Filters: { verified, tags, source, since, until, isSynthesis, taxonomy }
+// (taxonomy: node ids, already expanded to include descendants)
+function matchesKnowledgeFilter(entry, filters = {}) {
+    if (filters.verified !== undefined && Boolean(entry.verified) !== filters.verified) {
+        return false;
+    }
+
+    if (filters.isSynthesis !== undefined && Boolean(entry.isSynthesis) !== filters.isSynthesis) {
+        return false;
+    }
+
+    // Every requested tag must be present
+    const tags = toArray(filters.tags).map(t => t.toLowerCase());
+    if (tags.length > 0) {
+        const entryTags = (entry.tags || []).map(t => String(t).toLowerCase());
+        if (!tags.every(t => entryTags.includes(t))) return false;
+    }
+
+    const taxonomy = toArray(filters.taxonomy);
+    if (taxonomy.length > 0 && !(entry.taxonomy || []).some(t => taxonomy.includes(t))) {
+        return false;
+    }
+
+    // Any source containing the requested text (e.g. a domain)
+    if (filters.source) {
+        const sources = toArray(entry.source).map(s => String(s).toLowerCase());
+        if (!sources.some(s => s.includes(filters.source.toLowerCase()))) return false;
+    }
+
+    const timestamp = entry.timestamp ? new Date(entry.timestamp) : null;
+    if (filters.since && (!timestamp || timestamp < new Date(filters.since))) {
+        return false;
+    }
+    if (filters.until && (!timestamp || timestamp > untilDate(filters.until))) {
+        return false;
+    }
+
+    return true;
+}
+
+function paginate(items, page = 1, pageSize = 10) {
+    const start = (page - 1) * pageSize;
+    return {
+        results: items.slice(start, start + pageSize),
+        total: items.length,
+        page,
+        pageSize,
+        pages: Math.ceil(items.length / pageSize)
+    };
+}
+
+export { BM25Index, reciprocalRankFusion, matchesKnowledgeFilter, paginate };
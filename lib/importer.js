@@ -0,0 +1,189 @@
+// Document Import
+// Seeds memory from local files: Markdown, HTML, plain text (including text extracted from PDFs)
+// and JSONL records become parent entries tagged with their source file, with chunk entries
+// carrying offsets; re-importing an unchanged file doesn't duplicate it
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { DEFAULT_MAX_CHARS } from './chunker.js';
+
+const FORMATS = {
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.html': 'html',
+    '.htm': 'html',
+    '.txt': 'text',
+    '.text': 'text',
+    '.jsonl': 'jsonl',
+    '.ndjson': 'jsonl'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+// Readable text from HTML: scripts, styles and markup dropped, block elements become paragraphs
+function htmlToText(html) {
+    return decodeEntities(html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style|noscript|head|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|section|article|li|tr|h[1-6]|pre|blockquote|table|ul|ol)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+class DocumentImporter {
+    constructor(memory, options = {}) {
+        this.memory = memory;
+        this.maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+    }
+
+    // Supported files at a path: the file itself, or everything under a directory (dotfiles skipped)
+    listFiles(target) {
+        const stat = fs.statSync(target);
+        if (stat.isFile()) return [target];
+
+        return fs.readdirSync(target, { withFileTypes: true })
+            .filter(d => !d.name.startsWith('.'))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(d => {
+                const full = path.join(target, d.name);
+                if (d.isDirectory()) return this.listFiles(full);
+                return FORMATS[path.extname(d.name).toLowerCase()] || path.extname(d.name).toLowerCase() === '.pdf'
+                    ? [full]
+                    : [];
+            });
+    }
+
+    // Documents in a file: [{ title, text, format, tags, source, line }]
+    parseFile(file) {
+        const ext = path.extname(file).toLowerCase();
+        const format = FORMATS[ext];
+        const name = path.basename(file, ext);
+
+        if (ext === '.pdf') {
+            throw new Error('PDF files must be converted to text first (e.g. pdftotext file.pdf file.txt)');
+        }
+        if (!format) {
+            throw new Error(`Unsupported file type: ${ext || path.basename(file)} (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const raw = fs.readFileSync(file, 'utf-8');
+
+        switch (format) {
+            case 'markdown':
+                return [{
+                    title: raw.match(/^title:\s*(.+)$/m)?.[1]?.trim() || raw.match(/^#\s+(.+)$/m)?.[1]?.trim() || name,
+                    text: raw,
+                    format
+                }];
+
+            case 'html':
+                return [{
+                    title: decodeEntities(raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim()
+                        || htmlToText(raw.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i)?.[1] || '')
+                        || name,
+                    text: htmlToText(raw),
+                    format
+                }];
+
+            case 'jsonl':
+                // One document per line: { topic | title, content | text, tags, source | url }
+                return raw.split('\n').flatMap((line, i) => {
+                    if (!line.trim()) return [];
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (error) {
+                        throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+                    }
+                    const text = record.content ?? record.text ?? record.body;
+                    if (typeof text !== 'string' || !text.trim()) return [];
+                    return [{
+                        title: record.topic || record.title || `${name} #${i + 1}`,
+                        text,
+                        format,
+                        tags: [].concat(record.tags || []),
+                        source: record.source || record.url,
+                        line: i + 1
+                    }];
+                });
+
+            default:
+                return [{ title: name, text: raw, format }];
+        }
+    }
+
+    // Import a file or directory. Options: { policy, strategy, maxChars, maxTokens, overlap }:
+    // the dedupe policy for short documents (defaults to memory's) and chunking options
+    // (Markdown defaults to the heading strategy, everything else to paragraph).
+    // Returns { files, documents, chunks, added, merged, revised, skipped, errors: [{ file, error }] }
+    async importPath(target, options = {}) {
+        if (!fs.existsSync(target)) {
+            throw new Error(`No such file or directory: ${target}`);
+        }
+
+        const stats = { files: 0, documents: 0, chunks: 0, added: 0, merged: 0, revised: 0, skipped: 0, errors: [] };
+
+        for (const file of this.listFiles(target)) {
+            let documents;
+            try {
+                documents = this.parseFile(file);
+            } catch (error) {
+                console.log(`   ⚠️  Skipping ${file}: ${error.message}`);
+                stats.errors.push({ file, error: error.message });
+                continue;
+            }
+
+            stats.files++;
+            for (const doc of documents) {
+                const result = await this.importDocument(doc, file, options);
+                stats.documents++;
+                stats.chunks += result.chunks.length;
+                stats[result.action]++;
+            }
+        }
+
+        return stats;
+    }
+
+    // Store one document as a parent entry with chunk entries (see MemorySystem.ingestDocument)
+    async importDocument(doc, file, options = {}) {
+        const absolute = path.resolve(file);
+        const strategy = options.strategy || (doc.format === 'markdown' ? 'heading' : 'paragraph');
+
+        const result = await this.memory.ingestDocument({
+            topic: doc.title,
+            text: doc.text,
+            source: [doc.source || pathToFileURL(absolute).href],
+            tags: ['imported', ...(doc.tags || [])],
+            author: 'import',
+            // Chunk offsets index into this file's text (the extracted text for HTML, the record's text for JSONL)
+            importedFrom: { file: absolute, format: doc.format, ...(doc.line && { line: doc.line }) }
+        }, {
+            strategy,
+            maxChars: options.maxChars || this.maxChars,
+            maxTokens: options.maxTokens,
+            overlap: options.overlap,
+            policy: options.policy
+        });
+
+        console.log(`📥 ${doc.title} (${path.basename(file)}): ${result.action}, ${result.chunks.length} chunks`);
+        return result;
+    }
+}
+
+export { DocumentImporter, FORMATS, htmlToText };
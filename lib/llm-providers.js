@@ -0,0 +1,506 @@
+// LLM Provider Layer
+// One interface (chat, JSON mode, streaming, token usage) shared by every agent
+
+import { spawn } from 'child_process';
+
+// Rough token estimate for providers that don't report usage
+function estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4);
+}
+
+// Accept a plain prompt string or a message array
+function toMessages(input) {
+    if (typeof input === 'string') {
+        return [{ role: 'user', content: input }];
+    }
+    return input;
+}
+
+// Pull a JSON value out of a response that may be wrapped in prose or code fences
+function extractJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        // Fall through to fenced / embedded JSON
+    }
+
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        try {
+            return JSON.parse(fenced[1]);
+        } catch {
+            // Fall through
+        }
+    }
+
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        return JSON.parse(text.slice(start, end + 1));
+    }
+
+    throw new Error('Response did not contain valid JSON');
+}
+
+// 'array' when the prompt asks for a JSON array (its example response starts with "["), else 'object'
+function expectedJsonShape(messages) {
+    const text = toMessages(messages).map(m => m.content).join('\n');
+    if (/\bJSON array\b/i.test(text)) return 'array';
+    return text.match(/\bJSON\b[^\n]*\n\s*([[{])/i)?.[1] === '[' ? 'array' : 'object';
+}
+
+// Parse a server-sent events body into data payloads
+async function* readServerSentEvents(response) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).trim();
+            buffer = buffer.slice(newline + 1);
+
+            if (line.startsWith('data:')) {
+                yield line.slice(5).trim();
+            }
+        }
+    }
+}
+
+class LLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'llm';
+        this.model = options.model || null;
+        this.temperature = options.temperature ?? 0.7;
+        this.maxTokens = options.maxTokens || 2048;
+        this.timeout = options.timeout || 120000;
+        this.usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0, calls: 0 };
+    }
+
+    // Send messages and return { content, usage }, plus placeholder: true when the content
+    // is canned rather than generated
+    async chat(messages, options = {}) {
+        throw new Error(`${this.name}: chat() not implemented`);
+    }
+
+    // Plain prompt in, text out
+    async complete(prompt, options = {}) {
+        const response = await this.chat(toMessages(prompt), options);
+        return response.content;
+    }
+
+    // Prompt in, parsed JSON out. options.shape ('object' | 'array') defaults to what the
+    // prompt's example response looks like; providers only force a JSON object for objects
+    async json(prompt, options = {}) {
+        return (await this.jsonResponse(prompt, options)).data;
+    }
+
+    // json() plus where the answer came from: { data, placeholder }. placeholder is true when
+    // chat() flagged its response as stand-in content (the mock's built-in rules) rather than
+    // a model's answer
+    async jsonResponse(prompt, options = {}) {
+        const shape = options.shape || expectedJsonShape(prompt);
+        const messages = [
+            { role: 'system', content: 'Respond only with valid JSON. Do not include any other text.' },
+            ...toMessages(prompt)
+        ];
+        const response = await this.chat(messages, { ...options, jsonMode: true, jsonShape: shape });
+        let data = extractJson(response.content);
+
+        // An array the model wrapped in an object anyway ({ "items": [...] })
+        if (shape === 'array' && !Array.isArray(data) && data && typeof data === 'object') {
+            const arrays = Object.values(data).filter(Array.isArray);
+            if (arrays.length === 1) data = arrays[0];
+        }
+        return { data, placeholder: Boolean(response.placeholder) };
+    }
+
+    // Yield text chunks as they arrive (default: one chunk)
+    async* stream(messages, options = {}) {
+        const response = await this.chat(toMessages(messages), options);
+        yield response.content;
+    }
+
+    recordUsage(promptTokens = 0, completionTokens = 0) {
+        this.usage.promptTokens += promptTokens;
+        this.usage.completionTokens += completionTokens;
+        this.usage.totalTokens += promptTokens + completionTokens;
+        this.usage.calls++;
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    getUsage() {
+        return { provider: this.name, model: this.model, ...this.usage };
+    }
+
+    // Config for @magnitudedev/browser-agent (null when the provider can't drive a browser)
+    toBrowserAgentLlm() {
+        return null;
+    }
+
+    async post(url, headers, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`${this.name} request failed (${response.status}): ${text.slice(0, 200)}`);
+        }
+
+        return response;
+    }
+}
+
+// Anthropic Messages API
+class AnthropicProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'anthropic', ...options, model: options.model || 'claude-sonnet-4-20250514' });
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        this.baseUrl = options.baseUrl || 'https://api.anthropic.com/v1';
+    }
+
+    buildRequest(messages, options) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+
+        return {
+            model: options.model || this.model,
+            max_tokens: options.maxTokens || this.maxTokens,
+            temperature: options.temperature ?? this.temperature,
+            ...(system ? { system } : {}),
+            messages: messages.filter(m => m.role !== 'system')
+        };
+    }
+
+    headers() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': '2023-06-01'
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.post(
+            `${this.baseUrl}/messages`,
+            this.headers(),
+            this.buildRequest(toMessages(messages), options)
+        );
+        const data = await response.json();
+
+        return {
+            content: data.content?.filter(c => c.type === 'text').map(c => c.text).join('') || '',
+            usage: this.recordUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+        };
+    }
+
+    async* stream(messages, options = {}) {
+        const response = await this.post(
+            `${this.baseUrl}/messages`,
+            this.headers(),
+            { ...this.buildRequest(toMessages(messages), options), stream: true }
+        );
+
+        let promptTokens = 0;
+        let completionTokens = 0;
+
+        for await (const data of readServerSentEvents(response)) {
+            const event = JSON.parse(data);
+
+            if (event.type === 'message_start') {
+                promptTokens = event.message?.usage?.input_tokens || 0;
+            } else if (event.type === 'content_block_delta' && event.delta?.text) {
+                yield event.delta.text;
+            } else if (event.type === 'message_delta') {
+                completionTokens = event.usage?.output_tokens || completionTokens;
+            }
+        }
+
+        this.recordUsage(promptTokens, completionTokens);
+    }
+
+    toBrowserAgentLlm() {
+        return {
+            provider: 'anthropic',
+            options: { model: this.model, apiKey: this.apiKey }
+        };
+    }
+}
+
+// Any OpenAI-compatible chat completions endpoint (OpenAI, vLLM, Ollama, LM Studio, ...)
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'openai', ...options, model: options.model || 'gpt-4o-mini' });
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.baseUrl = options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    }
+
+    endpoint() {
+        return `${this.baseUrl}/chat/completions`;
+    }
+
+    headers() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    buildRequest(messages, options) {
+        return {
+            model: options.model || this.model,
+            max_tokens: options.maxTokens || this.maxTokens,
+            temperature: options.temperature ?? this.temperature,
+            messages,
+            // json_object mode can't return a top-level array, so array prompts go without it
+            ...(options.jsonMode && options.jsonShape !== 'array' ? { response_format: { type: 'json_object' } } : {})
+        };
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.post(
+            this.endpoint(),
+            this.headers(),
+            this.buildRequest(toMessages(messages), options)
+        );
+        const data = await response.json();
+
+        return {
+            content: data.choices?.[0]?.message?.content || '',
+            usage: this.recordUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+        };
+    }
+
+    async* stream(messages, options = {}) {
+        const response = await this.post(
+            this.endpoint(),
+            this.headers(),
+            {
+                ...this.buildRequest(toMessages(messages), options),
+                stream: true,
+                stream_options: { include_usage: true }
+            }
+        );
+
+        let usage = null;
+
+        for await (const data of readServerSentEvents(response)) {
+            if (data === '[DONE]') break;
+
+            const event = JSON.parse(data);
+            const text = event.choices?.[0]?.delta?.content;
+            if (text) yield text;
+            if (event.usage) usage = event.usage;
+        }
+
+        this.recordUsage(usage?.prompt_tokens, usage?.completion_tokens);
+    }
+
+    toBrowserAgentLlm() {
+        return {
+            provider: 'openai-generic',
+            options: { baseUrl: this.baseUrl, apiKey: this.apiKey, model: this.model }
+        };
+    }
+}
+
+// Azure OpenAI deployments and Azure AI model inference (Mistral, Kimi, ...)
+class AzureProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({ ...options, name: options.name || 'azure' });
+        this.apiKey = options.apiKey || process.env.AZURE_API_KEY;
+        this.endpointUrl = (options.endpoint || process.env.AZURE_ENDPOINT || '').replace(/\/$/, '');
+        this.deployment = options.deployment || null;
+        this.apiVersion = options.apiVersion || '2024-05-01-preview';
+        this.model = options.model || options.deployment || null;
+
+        // Every request (and the browser agent's resource name) is built from the endpoint
+        if (!this.endpointUrl) {
+            throw new Error('Azure provider needs an endpoint: set the endpoint option or AZURE_ENDPOINT (e.g. https://my-resource.openai.azure.com)');
+        }
+        try {
+            new URL(this.endpointUrl);
+        } catch {
+            throw new Error(`Azure endpoint is not a valid URL: ${this.endpointUrl}`);
+        }
+    }
+
+    endpoint() {
+        if (this.deployment) {
+            return `${this.endpointUrl}/openai/deployments/${this.deployment}/chat/completions?api-version=${this.apiVersion}`;
+        }
+        return `${this.endpointUrl}/models/chat/completions?api-version=${this.apiVersion}`;
+    }
+
+    headers() {
+        return { 'api-key': this.apiKey };
+    }
+
+    toBrowserAgentLlm() {
+        if (!this.deployment) return null;
+
+        return {
+            provider: 'azure-openai',
+            options: {
+                resourceName: new URL(this.endpointUrl).hostname.split('.')[0],
+                deploymentId: this.deployment,
+                apiVersion: this.apiVersion,
+                apiKey: this.apiKey
+            }
+        };
+    }
+}
+
+// Offline stand-in: canned responses or a handler function, no network
+class LocalProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'local', ...options, model: options.model || 'local-stub' });
+        this.handler = options.handler || null;
+        this.response = options.response ?? null;
+    }
+
+    async chat(messages, options = {}) {
+        messages = toMessages(messages);
+        const prompt = messages.map(m => m.content).join('\n');
+
+        let content;
+        if (this.handler) {
+            content = await this.handler(messages, options);
+        } else if (this.response !== null) {
+            content = typeof this.response === 'string' ? this.response : JSON.stringify(this.response);
+        } else if (options.jsonMode) {
+            content = options.jsonShape === 'array' ? '[]' : '{}';
+        } else {
+            const last = messages[messages.length - 1]?.content || '';
+            content = `[${this.model}] ${last.trim().slice(0, 200)}`;
+        }
+
+        return {
+            content,
+            usage: this.recordUsage(estimateTokens(prompt), estimateTokens(content))
+        };
+    }
+}
+
+// Shell out to a script that takes the prompt as its last argument (e.g. models/mistral.py)
+class ScriptProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ name: 'script', ...options });
+        this.command = options.command || 'python3';
+        this.script = options.script;
+        this.model = options.model || this.script;
+    }
+
+    async chat(messages, options = {}) {
+        const prompt = toMessages(messages).map(m => m.content).join('\n\n');
+
+        const content = await new Promise((resolve, reject) => {
+            const proc = spawn(this.command, [this.script, prompt].filter(Boolean));
+            let stdout = '';
+            let stderr = '';
+
+            proc.stdout.on('data', (data) => stdout += data);
+            proc.stderr.on('data', (data) => stderr += data);
+            proc.on('error', reject);
+
+            proc.on('close', (code) => {
+                if (code === 0) {
+                    resolve(stdout.trim());
+                } else {
+                    reject(new Error(stderr || `${this.model} call failed`));
+                }
+            });
+        });
+
+        return {
+            content,
+            usage: this.recordUsage(estimateTokens(prompt), estimateTokens(content))
+        };
+    }
+}
+
+// Wraps the legacy `async (prompt) => string` llm option
+class FunctionProvider extends LLMProvider {
+    constructor(fn, options = {}) {
+        super({ name: 'function', ...options, model: options.model || fn.name || 'custom' });
+        this.fn = fn;
+    }
+
+    async chat(messages, options = {}) {
+        const prompt = toMessages(messages).map(m => m.content).join('\n\n');
+        const content = await this.fn(prompt);
+
+        return {
+            content,
+            usage: this.recordUsage(estimateTokens(prompt), estimateTokens(content))
+        };
+    }
+}
+
+const PROVIDERS = {
+    anthropic: AnthropicProvider,
+    openai: OpenAICompatibleProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    azure: AzureProvider,
+    local: LocalProvider,
+    script: ScriptProvider
+};
+
+// Build a provider from a config object, "provider:model" string, function or existing instance
+function createProvider(config) {
+    if (!config) return null;
+    if (config instanceof LLMProvider) return config;
+    if (typeof config === 'function') return new FunctionProvider(config);
+    if (typeof config.chat === 'function') return config;
+
+    if (typeof config === 'string') {
+        const [provider, ...model] = config.split(':');
+        config = { provider, ...(model.length ? { model: model.join(':') } : {}) };
+    }
+
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    return new Provider(config);
+}
+
+// Pick a provider config from environment variables
+function providerConfigFromEnv(env = process.env) {
+    if (env.MAGNITUDE_LLM) {
+        return env.MAGNITUDE_LLM;
+    }
+    if (env.ANTHROPIC_API_KEY) {
+        return { provider: 'anthropic', apiKey: env.ANTHROPIC_API_KEY };
+    }
+    if (env.AZURE_API_KEY && env.AZURE_ENDPOINT) {
+        return {
+            provider: 'azure',
+            endpoint: env.AZURE_ENDPOINT,
+            apiKey: env.AZURE_API_KEY,
+            deployment: env.AZURE_DEPLOYMENT,
+            model: env.AZURE_MODEL
+        };
+    }
+    if (env.OPENAI_API_KEY) {
+        return { provider: 'openai', apiKey: env.OPENAI_API_KEY, baseUrl: env.OPENAI_BASE_URL, model: env.OPENAI_MODEL };
+    }
+    return null;
+}
+
+export {
+    LLMProvider,
+    AnthropicProvider,
+    OpenAICompatibleProvider,
+    AzureProvider,
+    LocalProvider,
+    ScriptProvider,
+    FunctionProvider,
+    createProvider,
+    providerConfigFromEnv,
+    extractJson,
+    expectedJsonShape,
+    estimateTokens
+};
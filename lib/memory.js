@@ -2,22 +2,128 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { BM25Index, reciprocalRankFusion, matchesKnowledgeFilter, paginate } from './hybrid-search.js';
+import { createStorage } from './storage.js';
+import { diffLines, formatDiff, diffStats } from './text-diff.js';
+import { POLICIES, contentHash, cosineSimilarity, mergeContent, mergeLists } from './dedupe.js';
+import { HashingEmbedder, tokenize } from './embeddings.js';
+import { FreshnessPolicy } from './freshness.js';
+import { GapDetector } from './gap-detector.js';
+import { Taxonomy, AutoTagger } from './taxonomy.js';
+import { FactExtractor, entityKey } from './facts.js';
+import { SourceRegistry } from './source-registry.js';
+import { ContradictionDetector } from './contradictions.js';
+import { createExporter } from './exporters.js';
+import { chunkText, DEFAULT_MAX_CHARS } from './chunker.js';
+import { buildSnapshot, writeSnapshot, readSnapshot, applySnapshot, diffSnapshots } from './snapshot.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Documents kept by the storage backend and their empty shape
+const DOCUMENTS = {
+    knowledge: { entries: [], lastUpdated: null },
+    metrics: { sessions: [], totalTasks: 0, totalResearchTime: 0 },
+    evaluation: { evaluations: [], scores: [] },
+    // Research requested from outside the gap detector (unanswered questions, manual requests)
+    'research-queue': { items: [] },
+    // Entities and subject-predicate-object facts extracted from entries (lib/facts.js)
+    facts: { entities: [], facts: [] },
+    // Source reliability records learned from verification and feedback (lib/source-registry.js)
+    sources: { domains: [] }
+};
+
+// Entry fields captured in each revision
+const VERSIONED_FIELDS = ['topic', 'content', 'tags', 'source'];
+
+function snapshotFields(entry) {
+    return Object.fromEntries(VERSIONED_FIELDS.map(f => [f, structuredClone(entry[f])]));
+}
+
+// Typed provenance links stored on entries as { type, target, createdAt }.
+// `target` is an entry id, except for cites-source where it's the source URL
+const LINK_TYPES = ['derived-from', 'cites-source', 'contradicts', 'supersedes'];
+
+function sourceLinks(source, createdAt) {
+    return [].concat(source || [])
+        .filter(s => typeof s === 'string' && /^https?:\/\//.test(s))
+        .map(url => ({ type: 'cites-source', target: url, createdAt }));
+}
+
+// Research queue topics match when they share the same terms in any order
+function researchKey(topic) {
+    return [...new Set(tokenize(topic))].sort().join(' ') || String(topic).trim().toLowerCase();
+}
+
+const RECEIVE_MODES = ['copy', 'share'];
+
+// Fields that travel when an entry moves between namespaces: identity, history, verification,
+// links to other entries and document structure stay behind (they only make sense in the origin)
+function receivableFields(entry) {
+    const {
+        id, timestamp, verified, verifiedAt, contentHash, freshness, revision, revisions, updatedAt, links,
+        document, parentId, chunk, copiedFrom, sharedFrom, rejected, invalidated, ...fields
+    } = entry;
+    return fields;
+}
+
+// Facts are the same when subject entity, predicate and object (ignoring case and punctuation) match
+function factKey(fact) {
+    return [fact.subjectId, fact.predicate, entityKey(fact.object)].join('|');
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
 class MemorySystem {
     constructor(storagePath = './memory', options = {}) {
         this.storagePath = storagePath;
-        this.knowledgeFile = path.join(storagePath, 'knowledge.json');
-        this.metricsFile = path.join(storagePath, 'metrics.json');
-        this.evaluationFile = path.join(storagePath, 'evaluation.json');
+        // Namespace this store belongs to (lib/namespaces.js); recorded on entries copied out of it
+        this.namespace = options.namespace || 'default';
+        this.storageInfoFile = path.join(storagePath, 'storage.json');
+        
+        // Storage backend: 'log' (append-only, default for new stores), 'json' or a StorageBackend
+        this.storage = createStorage(options.storage || this.detectBackend(), {
+            storagePath,
+            defaults: DOCUMENTS
+        });
         
         // Vector memory integration
         this.useVectorMemory = options.useVectorMemory ?? true;
+        this.collectionName = options.collectionName || 'magnitude-knowledge';
+        this.embedder = options.embedder || null;
         this.vectorMemory = null;
+        this.keywordIndex = null;
+        
+        // Ingest-time duplicate handling: policy 'skip' | 'merge' | 'revision' | 'new',
+        // threshold = minimum cosine similarity for a near-duplicate
+        this.dedupeOptions = { policy: 'merge', threshold: 0.92, ...options.dedupe };
+        this.fallbackEmbedder = null;
+        this.fallbackVectors = new Map();
+        
+        // TTL classes for staleness scoring: { classes: { name: { ttlDays, match } }, defaultTtlDays }
+        this.freshness = new FreshnessPolicy(options.freshness);
         
         this.ensureStorageExists();
+        
+        // Topic taxonomy (<storagePath>/taxonomy.json) and the tagger that files entries under it;
+        // set autoTagger.llm to classify with an LLM instead of keyword rules
+        this.taxonomy = new Taxonomy(options.taxonomyPath || path.join(storagePath, 'taxonomy.json'));
+        this.autoTagger = new AutoTagger(this.taxonomy);
+        
+        // Entity and fact extraction; set factExtractor.llm to extract with an LLM instead of patterns
+        this.factExtractor = new FactExtractor();
+        
+        // Reliability ratings and preferred/blocked marks for research sources
+        this.sources = new SourceRegistry(this.storage, options.sources);
+        
+        // Gap detection (curriculum at <storagePath>/curriculum.json unless options.gaps.curriculumPath)
+        this.gapDetector = new GapDetector(this, options.gaps);
+        
+        // Contradictions between new and similar existing entries; the session attaches its
+        // LLM, feedback loop and learning loop
+        this.contradictionDetector = new ContradictionDetector(this, options.contradictions);
     }
 
     async initializeVectorMemory() {
@@ -27,7 +133,8 @@ class MemorySystem {
             const { VectorMemory } = await import('./vector-memory.js');
             this.vectorMemory = new VectorMemory({
                 persistPath: path.join(this.storagePath, 'vector'),
-                collectionName: 'magnitude-knowledge'
+                collectionName: this.collectionName,
+                embedder: this.embedder
             });
             await this.vectorMemory.initialize();
         } catch (error) {
@@ -35,43 +142,119 @@ class MemorySystem {
             this.useVectorMemory = false;
         }
     }
-        
-        if (!fs.existsSync(this.knowledgeFile)) {
-            this.saveJson(this.knowledgeFile, { entries: [], lastUpdated: null });
-        }
-        if (!fs.existsSync(this.metricsFile)) {
-            this.saveJson(this.metricsFile, { sessions: [], totalTasks: 0, totalResearchTime: 0 });
-        }
-        if (!fs.existsSync(this.evaluationFile)) {
-            this.saveJson(this.evaluationFile, { evaluations: [], scores: [] });
-        }
-    }
 
-    saveJson(file, data) {
-        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+    // Backend recorded in storage.json; stores created before the storage engine stay on JSON
+    detectBackend() {
+        const info = this.loadStorageInfo();
+        if (info?.backend) return info.backend;
+        return fs.existsSync(path.join(this.storagePath, 'knowledge.json')) ? 'json' : 'log';
     }
 
-    loadJson(file) {
+    loadStorageInfo() {
         try {
-            return JSON.parse(fs.readFileSync(file, 'utf-8'));
+            return JSON.parse(fs.readFileSync(this.storageInfoFile, 'utf-8'));
         } catch {
             return null;
         }
     }
 
-    // Store new knowledge
+    ensureStorageExists() {
+        if (!fs.existsSync(this.storagePath)) {
+            fs.mkdirSync(this.storagePath, { recursive: true });
+        }
+        
+        if (!this.loadStorageInfo() && this.storage.name) {
+            fs.writeFileSync(this.storageInfoFile, JSON.stringify({
+                backend: this.storage.name,
+                createdAt: new Date().toISOString()
+            }, null, 2));
+        }
+    }
+
+    // Copy every document into another backend, then move the old files to a backup folder
+    migrateStorage(to) {
+        const from = this.storage.name;
+        if (to === from) {
+            return { from, to, migrated: false };
+        }
+        
+        const target = createStorage(to, { storagePath: this.storagePath, defaults: DOCUMENTS });
+        const backupPath = path.join(this.storagePath, `storage-backup-${from}-${Date.now()}`);
+        fs.mkdirSync(backupPath, { recursive: true });
+        
+        const counts = {};
+        for (const name of Object.keys(DOCUMENTS)) {
+            // Hold the source lock so no writer lands between the copy and the move
+            this.storage.withLock(name, () => {
+                const doc = this.storage.read(name);
+                target.write(name, doc);
+                counts[name] = Object.values(doc).find(Array.isArray)?.length ?? 0;
+                
+                this.storage.files(name)
+                    .filter(f => fs.existsSync(f))
+                    .forEach(f => fs.renameSync(f, path.join(backupPath, path.basename(f))));
+            });
+        }
+        
+        this.storage = target;
+        fs.writeFileSync(this.storageInfoFile, JSON.stringify({
+            backend: to,
+            migratedFrom: from,
+            migratedAt: new Date().toISOString()
+        }, null, 2));
+        
+        console.log(`🗄️  Migrated memory storage ${from} → ${to} (backup: ${backupPath})`);
+        return { from, to, migrated: true, counts, backupPath };
+    }
+
+    // Compact every storage document (when the backend keeps a log) and the embedded vector index
+    async compact() {
+        const documents = this.storage.compact ? Object.keys(DOCUMENTS) : [];
+        documents.forEach(name => this.storage.withLock(name, () => this.storage.compact(name)));
+        
+        const vectors = this.vectorMemory ? await this.vectorMemory.compact() : null;
+        return { backend: this.storage.name, documents, vectors };
+    }
+
+    // Store new knowledge. `author` (agent | human | synthesis | import | namespace) is recorded on the first revision;
+    // `links` ([{ type, target }]) are stored alongside cites-source links for URL sources
     addKnowledge(entry) {
-        const data = this.loadJson(this.knowledgeFile);
+        const { author, links = [], ...fields } = entry;
+        const timestamp = new Date().toISOString();
+        
+        // File under the taxonomy with keyword rules unless the caller already classified it
+        if (!fields.taxonomy) {
+            const classification = this.autoTagger.tagSync(fields);
+            fields.taxonomy = classification.taxonomy;
+            fields.tags = mergeLists(fields.tags, classification.tags);
+        }
+
         const knowledgeEntry = {
             id: Date.now().toString(36) + Math.random().toString(36).substr(2),
-            ...entry,
-            timestamp: new Date().toISOString(),
-            verified: false
+            ...fields,
+            timestamp,
+            verified: false,
+            contentHash: contentHash(fields.content),
+            freshness: this.freshness.describe(fields, timestamp),
+            revision: 1,
+            links: [
+                ...links.map(l => ({ ...l, createdAt: timestamp })),
+                ...sourceLinks(fields.source, timestamp)
+            ]
         };
+        knowledgeEntry.links.forEach(l => this.checkLinkType(l.type));
+        knowledgeEntry.revisions = [{
+            revision: 1,
+            ...snapshotFields(knowledgeEntry),
+            author: author || (entry.isSynthesis ? 'synthesis' : 'agent'),
+            reason: 'created',
+            timestamp
+        }];
         
-        data.entries.push(knowledgeEntry);
-        data.lastUpdated = new Date().toISOString();
-        this.saveJson(this.knowledgeFile, data);
+        this.storage.apply('knowledge', [
+            { op: 'push', path: 'entries', value: knowledgeEntry },
+            { op: 'set', path: 'lastUpdated', value: knowledgeEntry.timestamp }
+        ]);
         
         // Also add to vector memory for semantic search
         if (this.vectorMemory && entry.content) {
@@ -86,9 +269,338 @@ class MemorySystem {
         return knowledgeEntry;
     }
 
+    // Add knowledge unless it duplicates an existing entry (same normalized content hash, or
+    // similarity >= threshold). Options: { policy, threshold } override the constructor's dedupe
+    // settings. Returns { action: 'added' | 'skipped' | 'merged' | 'revised', entry, duplicateOf, similarity }
+    async ingestKnowledge(entry, options = {}) {
+        const policy = options.policy || this.dedupeOptions.policy;
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Unknown dedupe policy: ${policy} (expected ${POLICIES.join(', ')})`);
+        }
+        
+        const [duplicate] = policy === 'new' || !entry.content
+            ? []
+            : await this.findDuplicates(entry.content, { ...options, topic: entry.topic });
+        
+        if (!duplicate) {
+            return { action: 'added', entry: this.addKnowledge(entry) };
+        }
+        
+        const existing = duplicate.entry;
+        const info = { duplicateOf: existing.id, similarity: duplicate.similarity, match: duplicate.match };
+        const reason = `${duplicate.match} duplicate, similarity ${duplicate.similarity.toFixed(2)}`;
+        
+        // Stand-in findings never pad out or replace real ones
+        if (entry.placeholder && !existing.placeholder) {
+            console.log(`⏭️  Skipped placeholder duplicate of ${existing.id}: ${entry.topic}`);
+            return { action: 'skipped', entry: existing, ...info };
+        }
+        
+        switch (policy) {
+            case 'skip':
+                console.log(`⏭️  Skipped duplicate of ${existing.id}: ${entry.topic}`);
+                return { action: 'skipped', entry: existing, ...info };
+            case 'merge':
+                return {
+                    action: 'merged',
+                    entry: this.mergeInto(existing, entry, { author: entry.author, reason: `merged ${reason}` }),
+                    ...info
+                };
+            case 'revision':
+                return {
+                    action: 'revised',
+                    entry: this.updateKnowledge(existing.id, {
+                        content: entry.content,
+                        tags: mergeLists(existing.tags, entry.tags),
+                        source: mergeLists(existing.source, entry.source),
+                        ...(entry.taxonomy && { taxonomy: entry.taxonomy }),
+                        ...(existing.placeholder && !entry.placeholder && { placeholder: false })
+                    }, { author: entry.author || 'agent', reason: `newer research (${reason})` }),
+                    ...info
+                };
+        }
+    }
+
+    // Split `text` into chunk entries under a parent entry, each embedded on its own. Chunks carry
+    // parentId and chunk: { index, count, start, end, heading }; the parent gets
+    // document: { textHash, chars, strategy, chunkIds }. Chunks from earlier text are replaced,
+    // and the same text is never chunked twice. Options: { strategy, maxChars, maxTokens, overlap,
+    // whole } - with whole: true the parent already holds all of the text, so no chunks are made
+    addChunks(parentId, text, options = {}) {
+        const parent = this.getKnowledge(parentId);
+        if (!parent) return null;
+        
+        const textHash = contentHash(text);
+        if (parent.document?.textHash === textHash) {
+            return parent.document.chunkIds.map(id => this.getKnowledge(id)).filter(Boolean);
+        }
+        if (parent.document?.chunkIds?.length) {
+            this.removeKnowledge(parent.document.chunkIds);
+        }
+        
+        const strategy = options.strategy || 'paragraph';
+        const pieces = options.whole ? [] : chunkText(text, { ...options, strategy });
+        const chunks = pieces.length > 1 ? pieces.map((piece, i) => this.addKnowledge({
+            topic: `${parent.topic} (${i + 1}/${pieces.length})`,
+            content: piece.text,
+            source: parent.source,
+            tags: [...new Set([...(parent.tags || []), 'chunk'])],
+            taxonomy: parent.taxonomy || [],
+            author: options.author,
+            parentId,
+            chunk: { index: i + 1, count: pieces.length, start: piece.start, end: piece.end, ...(piece.heading && { heading: piece.heading }) }
+        })) : [];
+        
+        this.storage.apply('knowledge', [{
+            op: 'patch',
+            path: 'entries',
+            id: parentId,
+            value: { document: { textHash, chars: text.length, strategy, chunkIds: chunks.map(c => c.id) } }
+        }]);
+        return chunks;
+    }
+
+    // Store a long document as a parent entry plus chunk entries. doc: { topic, text, content?,
+    // source, ...fields } - the parent's content is `content` if given, otherwise the text itself
+    // when it fits in one chunk, otherwise its opening. The same text (by hash) is skipped; a new
+    // version from the same source and topic revises the parent and replaces its chunks.
+    // Options: chunking options plus { excerptChars, policy, threshold } (ingest dedupe for
+    // documents short enough to need no chunks). Returns { action, parent, chunks }
+    async ingestDocument(doc, options = {}) {
+        const { text, ...fields } = doc;
+        const textHash = contentHash(text);
+        const documents = this.storage.read('knowledge').entries.filter(e => e.document && !e.rejected);
+        
+        const maxChars = options.maxChars || DEFAULT_MAX_CHARS;
+        // Text that fits in one chunk is stored once, as the parent's content
+        const whole = text.length <= maxChars;
+        
+        const same = documents.find(e => e.document.textHash === textHash);
+        if (same) {
+            return { action: 'skipped', parent: same, chunks: this.addChunks(same.id, text, { ...options, whole }) };
+        }
+        
+        const content = fields.content
+            || (whole ? text : chunkText(text, { maxChars: options.excerptChars || 500 })[0]?.text || '');
+        const sources = [].concat(fields.source || []);
+        const previous = documents.find(e =>
+            e.topic === fields.topic && sources.length > 0 && [].concat(e.source || []).some(s => sources.includes(s)));
+        
+        const { author, ...patch } = fields;
+        if (previous) {
+            const parent = this.updateKnowledge(previous.id, { ...patch, content }, { author, reason: 'document changed' });
+            return { action: 'revised', parent, chunks: this.addChunks(parent.id, text, { ...options, author, whole }) };
+        }
+        
+        // A short document is an ordinary entry, deduplicated by the ingest policy. It still records
+        // its text hash (with no chunks) so importing it again is skipped
+        if (whole) {
+            const ingest = await this.ingestKnowledge({ ...fields, content }, options);
+            if (ingest.action === 'added') this.addChunks(ingest.entry.id, text, { ...options, whole });
+            return { action: ingest.action, parent: ingest.entry, chunks: [] };
+        }
+        
+        const parent = this.addKnowledge({ ...fields, content });
+        return { action: 'added', parent, chunks: this.addChunks(parent.id, text, { ...options, author }) };
+    }
+
+    // Taxonomy placement for an entry: { taxonomy: [node ids], tags, method: 'llm' | 'keywords' }
+    async classifyKnowledge(entry) {
+        return this.autoTagger.tag(entry);
+    }
+
+    // Re-run the tagger over stored entries (e.g. after editing taxonomy.json)
+    async retagKnowledge(options = {}) {
+        const entries = this.storage.read('knowledge').entries.filter(e => !e.rejected && !e.isSynthesis && !e.parentId);
+        let changed = 0;
+        
+        for (const entry of entries) {
+            const classification = options.keywordsOnly
+                ? this.autoTagger.tagSync(entry)
+                : await this.classifyKnowledge(entry);
+            if (sameValue(classification.taxonomy, entry.taxonomy || [])) continue;
+            
+            this.updateKnowledge(entry.id, {
+                taxonomy: classification.taxonomy,
+                tags: mergeLists(entry.tags, classification.tags)
+            }, { reason: `retagged (${classification.method})` });
+            changed++;
+        }
+        
+        return { checked: entries.length, changed };
+    }
+
+    // Live entries filed under a taxonomy node or any of its descendants (document chunks excluded)
+    getByTaxonomy(nodeId) {
+        const ids = new Set(this.taxonomy.subtree(nodeId));
+        return this.storage.read('knowledge').entries
+            .filter(e => !e.rejected && !e.parentId && (e.taxonomy || []).some(t => ids.has(t)));
+    }
+
+    // Turn node ids in filters.taxonomy into the full subtrees matchesKnowledgeFilter checks
+    expandFilters(filters = {}) {
+        if (!filters.taxonomy) return filters;
+        
+        const ids = [].concat(filters.taxonomy).flatMap(id => {
+            if (!this.taxonomy.get(id)) {
+                throw new Error(`Unknown taxonomy node: ${id}`);
+            }
+            return this.taxonomy.subtree(id);
+        });
+        return { ...filters, taxonomy: ids };
+    }
+
+    // Entries duplicating `content`, best first: [{ entry, similarity, match: 'exact' | 'similar' }].
+    // Syntheses and rejected entries never count as duplicates. With options.topic, identical text
+    // filed under another topic is not a duplicate either: it is boilerplate (a fallback answer,
+    // say), not the same finding
+    async findDuplicates(content, options = {}) {
+        const threshold = options.threshold ?? this.dedupeOptions.threshold;
+        const exclude = new Set(options.exclude || []);
+        const hash = contentHash(content);
+        const topic = options.topic?.trim().toLowerCase();
+        const otherTopicCopy = e => topic !== undefined && (e.topic || '').trim().toLowerCase() !== topic
+            && (e.contentHash || contentHash(e.content)) === hash;
+        const entries = this.storage.read('knowledge').entries
+            .filter(e => e.content && !e.rejected && !e.isSynthesis && !e.parentId && !exclude.has(e.id))
+            .filter(e => !otherTopicCopy(e));
+        const byId = new Map(entries.map(e => [e.id, e]));
+        
+        const found = new Map();
+        entries
+            .filter(e => (e.contentHash || contentHash(e.content)) === hash)
+            .forEach(e => found.set(e.id, { entry: e, similarity: 1, match: 'exact' }));
+        
+        let similar = [];
+        if (this.vectorMemory) {
+            try {
+                const results = await this.vectorMemory.search(content, 5 + exclude.size);
+                similar = results.ids.map((id, i) => ({ id, similarity: 1 - (results.distances[i] || 0) }));
+            } catch (error) {
+                console.error('Vector search error:', error.message);
+            }
+        } else {
+            // No vector store: compare with the local hashing embedder
+            const vector = this.fallbackVector(content);
+            similar = entries.map(e => ({ id: e.id, similarity: cosineSimilarity(vector, this.fallbackVector(e.content)) }));
+        }
+        
+        similar
+            .filter(s => s.similarity >= threshold && byId.has(s.id) && !found.has(s.id))
+            .forEach(s => found.set(s.id, { entry: byId.get(s.id), similarity: s.similarity, match: 'similar' }));
+        
+        // Exact copies first: near-identical neighbours can score a hair above 1 in float
+        return [...found.values()].sort((a, b) =>
+            (b.match === 'exact') - (a.match === 'exact') || b.similarity - a.similarity);
+    }
+
+    fallbackVector(text) {
+        const hash = contentHash(text);
+        if (!this.fallbackVectors.has(hash)) {
+            this.fallbackEmbedder = this.fallbackEmbedder || new HashingEmbedder();
+            this.fallbackVectors.set(hash, this.fallbackEmbedder.embedSync(text));
+        }
+        return this.fallbackVectors.get(hash);
+    }
+
+    // Fold another copy's new paragraphs, tags and sources into an existing entry. Placeholder
+    // content is never merged: real findings replace a placeholder entry's content instead
+    mergeInto(existing, incoming, options = {}) {
+        const replacesPlaceholder = existing.placeholder && !incoming.placeholder;
+        const content = replacesPlaceholder ? incoming.content
+            : incoming.placeholder && !existing.placeholder ? existing.content
+            : mergeContent(existing.content, incoming.content);
+        
+        return this.updateKnowledge(existing.id, {
+            content,
+            tags: mergeLists(existing.tags, incoming.tags),
+            source: mergeLists(existing.source, incoming.source),
+            taxonomy: this.taxonomy.mostSpecific(mergeLists(existing.taxonomy, incoming.taxonomy)),
+            duplicateCount: (existing.duplicateCount || 0) + 1,
+            lastSeenAt: new Date().toISOString(),
+            ...(replacesPlaceholder && { placeholder: false })
+        }, { author: options.author || 'agent', reason: options.reason });
+    }
+
+    // Merge duplicates already in the store into their oldest copy and delete the rest.
+    // Options: { threshold, dryRun }. Returns { groups: [{ keep, topic, duplicates }], removed }
+    async dedupe(options = {}) {
+        const entries = this.storage.read('knowledge').entries
+            .filter(e => e.content && !e.rejected && !e.isSynthesis && !e.parentId)
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+        
+        const removed = new Set();
+        const groups = [];
+        
+        for (const keeper of entries) {
+            if (removed.has(keeper.id)) continue;
+            
+            const duplicates = await this.findDuplicates(keeper.content, {
+                threshold: options.threshold,
+                topic: keeper.topic,
+                exclude: [keeper.id, ...removed]
+            });
+            if (duplicates.length === 0) continue;
+            
+            duplicates.forEach(d => removed.add(d.entry.id));
+            groups.push({
+                keep: keeper.id,
+                topic: keeper.topic,
+                duplicates: duplicates.map(d => ({ id: d.entry.id, topic: d.entry.topic, similarity: d.similarity, match: d.match }))
+            });
+            
+            if (options.dryRun) continue;
+            
+            let merged = this.getKnowledge(keeper.id);
+            for (const d of duplicates) {
+                merged = this.mergeInto(merged, d.entry, { reason: `dedupe: merged ${d.entry.id}` });
+            }
+            this.updateKnowledge(keeper.id, {
+                mergedFrom: mergeLists(merged.mergedFrom, duplicates.map(d => d.entry.id))
+            });
+            this.removeKnowledge(duplicates.map(d => d.entry.id), keeper.id);
+        }
+        
+        return { groups, removed: options.dryRun ? 0 : removed.size, dryRun: Boolean(options.dryRun) };
+    }
+
+    // Delete entries; links that pointed at them are re-targeted to `replacementId` (or dropped)
+    removeKnowledge(ids, replacementId = null) {
+        ids = [].concat(ids);
+        // Chunks go with their parent document
+        const chunkIds = this.storage.read('knowledge').entries
+            .filter(e => e.parentId && ids.includes(e.parentId) && !ids.includes(e.id))
+            .map(e => e.id);
+        ids = [...ids, ...chunkIds];
+        const gone = new Set(ids);
+        
+        this.storage.withLock('knowledge', () => {
+            const ops = ids.map(id => ({ op: 'remove', path: 'entries', id }));
+            
+            for (const entry of this.storage.read('knowledge').entries) {
+                if (gone.has(entry.id) || !entry.links?.some(l => gone.has(l.target))) continue;
+                
+                const links = entry.links
+                    .map(l => gone.has(l.target) ? (replacementId ? { ...l, target: replacementId } : null) : l)
+                    .filter(l => l && l.target !== entry.id)
+                    .filter((l, i, all) => all.findIndex(o => o.type === l.type && o.target === l.target) === i);
+                ops.push({ op: 'patch', path: 'entries', id: entry.id, value: { links } });
+            }
+            
+            ops.push({ op: 'set', path: 'lastUpdated', value: new Date().toISOString() });
+            this.storage.apply('knowledge', ops);
+        });
+        
+        if (this.vectorMemory) {
+            ids.forEach(id => this.vectorMemory.delete(id).catch(e => console.log('Vector delete error:', e.message)));
+        }
+        this.unlinkFacts(ids, replacementId);
+        return ids.length;
+    }
+
     // Retrieve knowledge by topic
     searchKnowledge(query) {
-        const data = this.loadJson(this.knowledgeFile);
+        const data = this.storage.read('knowledge');
         const q = query.toLowerCase();
         
         return data.entries.filter(entry => 
@@ -98,32 +610,162 @@ class MemorySystem {
         );
     }
 
-    // Semantic search using vector memory
-    async semanticSearch(query, nResults = 5) {
+    // Semantic search. Chunk hits are folded into their parent document (see reassembleChunks), so
+    // each document appears once. Options: { contextChunks } neighbours to include around a hit
+    async semanticSearch(query, nResults = 5, filters = {}, options = {}) {
+        filters = this.expandFilters(filters);
+        const data = this.storage.read('knowledge');
+        const byId = new Map(data.entries.map(e => [e.id, e]));
+        // Keyword results under the same filters and rejected-entry rule as vector results
+        const keywordSearch = () => this.reassembleChunks(this.searchKnowledge(query).map(entry => ({ entry })), byId, options)
+            .filter(entry => matchesKnowledgeFilter(entry, filters))
+            .slice(0, nResults);
+        
         if (!this.vectorMemory) {
             console.log('⚠️  Vector memory not initialized, using keyword search');
-            return this.searchKnowledge(query).slice(0, nResults);
+            return keywordSearch();
         }
 
         try {
-            const results = await this.vectorMemory.search(query, nResults);
+            const hasFilters = Object.keys(filters).length > 0;
+            // Over-fetch: most filters can't be pushed into the vector store, and several chunks
+            // of one document collapse into a single result
+            const results = await this.vectorMemory.search(query, hasFilters ? nResults * 5 : nResults * 3);
             
-            // Get full entries for matched IDs
-            const data = this.loadJson(this.knowledgeFile);
-            const matchedEntries = results.ids.map(id => 
-                data.entries.find(e => e.id === id)
-            ).filter(Boolean);
+            const hits = results.ids
+                .map((id, i) => ({ entry: byId.get(id), similarity: 1 - (results.distances[i] || 0) }))
+                .filter(({ entry }) => entry);
             
-            return matchedEntries.map((entry, i) => ({
-                ...entry,
-                similarity: 1 - (results.distances[i] || 0)
-            }));
+            return this.reassembleChunks(hits, byId, options)
+                .filter(entry => matchesKnowledgeFilter(entry, filters))
+                .slice(0, nResults);
         } catch (error) {
             console.error('Semantic search error:', error.message);
-            return this.searchKnowledge(query).slice(0, nResults);
+            return keywordSearch();
         }
     }
 
+    // Group ranked hits ([{ entry, similarity }]) by document. A chunk hit becomes its parent entry
+    // with matchedChunks (chunk indexes) and `context`: the matched chunks plus `contextChunks`
+    // neighbours on each side (default 1), in document order, with [...] marking skipped text.
+    // Rejected documents are dropped unless options.includeRejected is set
+    reassembleChunks(hits, byId, options = {}) {
+        const around = options.contextChunks ?? 1;
+        const groups = new Map();
+        
+        for (const { entry, similarity } of hits) {
+            const parent = entry.parentId ? byId.get(entry.parentId) : entry;
+            if (!parent || (parent.rejected && !options.includeRejected)) continue;
+            
+            const group = groups.get(parent.id) || { parent, similarity, matched: new Set() };
+            if (entry.parentId) group.matched.add(entry.chunk.index);
+            group.similarity = Math.max(group.similarity ?? -Infinity, similarity ?? -Infinity);
+            groups.set(parent.id, group);
+        }
+        
+        return [...groups.values()].map(({ parent, similarity, matched }) => {
+            const result = { ...parent, ...(Number.isFinite(similarity) && { similarity }) };
+            const chunkIds = parent.document?.chunkIds || [];
+            if (matched.size === 0 || chunkIds.length === 0) return result;
+            
+            const wanted = new Set();
+            matched.forEach(index => {
+                for (let i = Math.max(1, index - around); i <= Math.min(chunkIds.length, index + around); i++) wanted.add(i);
+            });
+            
+            const parts = [];
+            let last = 0;
+            [...wanted].sort((a, b) => a - b).forEach(index => {
+                const chunk = byId.get(chunkIds[index - 1]);
+                if (!chunk) return;
+                if (index > last + 1) parts.push('[...]');
+                parts.push(chunk.content);
+                last = index;
+            });
+            if (last < chunkIds.length) parts.push('[...]');
+            
+            return { ...result, matchedChunks: [...matched].sort((a, b) => a - b), context: parts.join('\n\n') };
+        });
+    }
+
+    // BM25 index over all entries, rebuilt only when knowledge changes
+    getKeywordIndex(data) {
+        const version = `${data.lastUpdated}:${data.entries.length}`;
+        if (!this.keywordIndex || this.keywordIndex.version !== version) {
+            this.keywordIndex = { version, index: new BM25Index(data.entries) };
+        }
+        return this.keywordIndex.index;
+    }
+
+    // Hybrid query: BM25 keyword + vector similarity fused by reciprocal rank, with filters.
+    // options: { mode: 'hybrid' | 'keyword' | 'vector', filters: { verified, tags, source,
+    // since, until, isSynthesis, taxonomy }, page, pageSize, minSimilarity, includeRejected,
+    // contextChunks }. Rejected entries are left out unless includeRejected is set, and chunk hits
+    // are folded into their parent document as in semanticSearch
+    async query(text, options = {}) {
+        const mode = options.mode || 'hybrid';
+        const filters = this.expandFilters(options.filters);
+        const page = options.page || 1;
+        const pageSize = options.pageSize || 10;
+        
+        const data = this.storage.read('knowledge');
+        const byId = new Map(data.entries.map(e => [e.id, e]));
+        // Chunks are judged by their parent document's fields
+        const allowed = new Set(data.entries
+            .filter(e => {
+                const document = e.parentId ? byId.get(e.parentId) || e : e;
+                return (options.includeRejected || !document.rejected) && matchesKnowledgeFilter(document, filters);
+            })
+            .map(e => e.id));
+        
+        const keywordHits = mode === 'vector' ? [] : this.getKeywordIndex(data).search(text, allowed);
+        
+        let vectorHits = [];
+        if (mode !== 'keyword' && this.vectorMemory) {
+            // Enough candidates to fill the requested page after filtering
+            const candidates = Math.max(page * pageSize * 3, 50);
+            try {
+                const results = await this.vectorMemory.search(text, candidates);
+                vectorHits = results.ids
+                    .map((id, i) => ({ id, score: 1 - (results.distances[i] || 0) }))
+                    .filter(hit => allowed.has(hit.id) && hit.score > (options.minSimilarity ?? 0));
+            } catch (error) {
+                console.error('Vector search error:', error.message);
+            }
+        }
+        
+        const keywordScores = new Map(keywordHits.map(h => [h.id, h.score]));
+        const vectorScores = new Map(vectorHits.map(h => [h.id, h.score]));
+        
+        const ranked = reciprocalRankFusion([
+            keywordHits.map(h => h.id),
+            vectorHits.map(h => h.id)
+        ]);
+        
+        // Each document once, scored by its best-ranked hit (the entry itself or one of its chunks)
+        const hits = ranked.filter(r => byId.has(r.id));
+        const best = new Map();
+        hits.forEach(r => {
+            const entry = byId.get(r.id);
+            const documentId = entry.parentId || entry.id;
+            if (!best.has(documentId)) best.set(documentId, r);
+        });
+        
+        const scored = this.reassembleChunks(hits.map(r => ({ entry: byId.get(r.id) })), byId, options)
+            .filter(entry => allowed.has(entry.id))
+            .map(entry => {
+                const hit = best.get(entry.id);
+                return {
+                    ...entry,
+                    score: hit.score,
+                    keywordScore: keywordScores.get(hit.id) ?? null,
+                    vectorScore: vectorScores.get(hit.id) ?? null
+                };
+            });
+        
+        return { query: text, mode, filters, ...paginate(scored, page, pageSize) };
+    }
+
     // Find similar knowledge to a given entry
     async findSimilar(knowledgeId, nResults = 3) {
         if (!this.vectorMemory) {
@@ -139,113 +781,851 @@ class MemorySystem {
         }
     }
 
+    getKnowledge(id) {
+        return this.storage.read('knowledge').entries.find(e => e.id === id);
+    }
+
+    // Revisions of an entry, oldest first (entries stored before versioning get a synthetic first revision)
+    getHistory(id) {
+        const entry = this.getKnowledge(id);
+        if (!entry) return null;
+        
+        return entry.revisions?.length ? entry.revisions : [{
+            revision: 1,
+            ...snapshotFields(entry),
+            author: entry.isSynthesis ? 'synthesis' : 'agent',
+            reason: 'created',
+            timestamp: entry.timestamp
+        }];
+    }
+
+    // Edit an entry and record a revision. Options: { author: 'agent' | 'human' | 'synthesis', reason }.
+    // Changing content clears `verified` unless the patch sets it.
+    updateKnowledge(id, patch, options = {}) {
+        const author = options.author || 'agent';
+        
+        const result = this.storage.withLock('knowledge', () => {
+            const entry = this.getKnowledge(id);
+            if (!entry) return null;
+            
+            const changed = VERSIONED_FIELDS.filter(f => f in patch && !sameValue(patch[f], entry[f]));
+            const { id: _id, revisions: _revisions, revision: _revision, ...fields } = patch;
+            
+            if (changed.length === 0) {
+                if (Object.keys(fields).length === 0) return { entry, changed };
+                this.storage.apply('knowledge', [{ op: 'patch', path: 'entries', id, value: fields }]);
+                return { entry: { ...entry, ...fields }, changed };
+            }
+            
+            const history = this.getHistory(id);
+            const timestamp = new Date().toISOString();
+            const updated = { ...entry, ...fields };
+            const revision = {
+                revision: history[history.length - 1].revision + 1,
+                ...snapshotFields(updated),
+                author,
+                reason: options.reason || '',
+                timestamp
+            };
+            
+            const value = {
+                ...fields,
+                revision: revision.revision,
+                revisions: [...history, revision],
+                updatedAt: timestamp
+            };
+            if (changed.includes('content')) {
+                value.contentHash = contentHash(updated.content);
+                value.freshness = this.freshness.describe(updated, timestamp);
+                if (!('verified' in patch)) value.verified = false;
+            }
+            if (changed.includes('source')) {
+                const linked = new Set((entry.links || []).map(l => l.target));
+                value.links = [
+                    ...(updated.links || []),
+                    ...sourceLinks(updated.source, timestamp).filter(l => !linked.has(l.target))
+                ];
+            }
+            
+            this.storage.apply('knowledge', [
+                { op: 'patch', path: 'entries', id, value },
+                { op: 'set', path: 'lastUpdated', value: timestamp }
+            ]);
+            return { entry: { ...entry, ...value }, changed };
+        });
+        
+        if (!result) return null;
+        
+        // Re-embed when the text changed
+        if (this.vectorMemory && result.changed.includes('content') && result.entry.content) {
+            this.vectorMemory.delete(id)
+                .then(() => this.vectorMemory.add(id, result.entry.content, {
+                    topic: result.entry.topic,
+                    tags: result.entry.tags?.join(',') || '',
+                    verified: Boolean(result.entry.verified)
+                }))
+                .catch(e => console.log('Vector update error:', e.message));
+        }
+        
+        if (result.changed.length > 0) {
+            console.log(`✏️  Updated knowledge ${id} (r${result.entry.revision}, ${author}): ${result.changed.join(', ')}`);
+        }
+        return result.entry;
+    }
+
+    // Line diff of content plus changed fields between two revisions (defaults: previous → latest)
+    diffRevisions(id, from, to) {
+        const history = this.getHistory(id);
+        if (!history) return null;
+        
+        const find = (n) => history.find(r => r.revision === n);
+        const after = to === undefined ? history[history.length - 1] : find(to);
+        const before = from === undefined ? history[history.indexOf(after) - 1] || after : find(from);
+        if (!before || !after) {
+            throw new Error(`Revision not found for ${id} (have ${history.map(r => r.revision).join(', ')})`);
+        }
+        
+        const changes = diffLines(before.content, after.content);
+        return {
+            id,
+            from: before.revision,
+            to: after.revision,
+            fields: VERSIONED_FIELDS
+                .filter(f => f !== 'content' && !sameValue(before[f], after[f]))
+                .map(f => ({ field: f, before: before[f], after: after[f] })),
+            content: formatDiff(changes),
+            ...diffStats(changes)
+        };
+    }
+
+    // Restore the fields of an earlier revision as a new revision
+    rollbackKnowledge(id, revision, options = {}) {
+        const target = this.getHistory(id)?.find(r => r.revision === revision);
+        if (!target) return null;
+        
+        return this.updateKnowledge(id, snapshotFields(target), {
+            author: options.author || 'human',
+            reason: options.reason || `rollback to r${revision}`
+        });
+    }
+
+    checkLinkType(type) {
+        if (!LINK_TYPES.includes(type)) {
+            throw new Error(`Unknown link type: ${type} (expected ${LINK_TYPES.join(', ')})`);
+        }
+    }
+
+    // Record a typed link from one entry to another entry (or a URL for cites-source)
+    addLink(fromId, type, target, meta = {}) {
+        this.checkLinkType(type);
+        
+        return this.storage.withLock('knowledge', () => {
+            const entry = this.getKnowledge(fromId);
+            if (!entry) return null;
+            
+            const links = entry.links || [];
+            if (links.some(l => l.type === type && l.target === target)) return entry;
+            
+            const value = { links: [...links, { type, target, ...meta, createdAt: new Date().toISOString() }] };
+            this.storage.apply('knowledge', [{ op: 'patch', path: 'entries', id: fromId, value }]);
+            return { ...entry, ...value };
+        });
+    }
+
+    getLinks(id, type = null) {
+        const links = this.getKnowledge(id)?.links || [];
+        return type ? links.filter(l => l.type === type) : links;
+    }
+
+    // Walk derived-from / supersedes links back to the original entries and their source URLs.
+    // Returns { id, nodes: [{ id, topic, depth, ... }], edges: [{ from, type, to }], sources: [url] }
+    getLineage(id, options = {}) {
+        const maxDepth = options.maxDepth ?? 10;
+        const byId = new Map(this.storage.read('knowledge').entries.map(e => [e.id, e]));
+        if (!byId.has(id)) return null;
+        
+        const nodes = [];
+        const edges = [];
+        const sources = new Set();
+        const seen = new Set([id]);
+        let frontier = [id];
+        
+        for (let depth = 0; frontier.length > 0 && depth <= maxDepth; depth++) {
+            const next = [];
+            for (const nodeId of frontier) {
+                const entry = byId.get(nodeId);
+                nodes.push({
+                    id: nodeId,
+                    topic: entry?.topic,
+                    depth,
+                    verified: Boolean(entry?.verified),
+                    isSynthesis: Boolean(entry?.isSynthesis),
+                    missing: !entry
+                });
+                
+                for (const link of entry?.links || []) {
+                    if (link.type === 'cites-source') {
+                        sources.add(link.target);
+                        edges.push({ from: nodeId, type: link.type, to: link.target });
+                    } else if (link.type === 'derived-from' || link.type === 'supersedes') {
+                        edges.push({ from: nodeId, type: link.type, to: link.target });
+                        if (!seen.has(link.target)) {
+                            seen.add(link.target);
+                            next.push(link.target);
+                        }
+                    }
+                }
+            }
+            frontier = next;
+        }
+        
+        return { id, nodes, edges, sources: [...sources] };
+    }
+
+    // Entries derived from this one, directly or (by default) transitively, nearest first
+    getDependents(id, options = {}) {
+        const transitive = options.transitive ?? true;
+        const entries = this.storage.read('knowledge').entries;
+        
+        const dependents = [];
+        const seen = new Set([id]);
+        let frontier = [id];
+        
+        for (let depth = 1; frontier.length > 0; depth++) {
+            const targets = new Set(frontier);
+            frontier = [];
+            
+            for (const entry of entries) {
+                if (seen.has(entry.id)) continue;
+                const via = (entry.links || []).find(l => l.type === 'derived-from' && targets.has(l.target));
+                if (via) {
+                    seen.add(entry.id);
+                    frontier.push(entry.id);
+                    dependents.push({ ...entry, depth, via: via.target });
+                }
+            }
+            
+            if (!transitive) break;
+        }
+        
+        return dependents;
+    }
+
+    // Mark an entry rejected and invalidate everything derived from it
+    rejectKnowledge(id, reason = '', options = {}) {
+        const entry = this.updateKnowledge(id, {
+            rejected: true,
+            rejectedAt: new Date().toISOString(),
+            rejectionReason: reason,
+            verified: false
+        }, options);
+        if (!entry) return null;
+        
+        const invalidated = this.invalidateDependents(id, reason || 'source rejected');
+        console.log(`🚫 Rejected knowledge ${id}; invalidated ${invalidated.length} dependent entries`);
+        return { entry, invalidated };
+    }
+
+    // Flag downstream entries (e.g. syntheses) whose inputs were rejected or corrected
+    invalidateDependents(id, reason = '') {
+        const at = new Date().toISOString();
+        return this.getDependents(id).map(dep => {
+            this.updateKnowledge(dep.id, {
+                verified: false,
+                invalidated: { by: id, reason, at }
+            });
+            return dep.id;
+        });
+    }
+
+    // Research entries past (or near) their TTL, highest priority first. Priority is staleness
+    // weighted by value: verified entries and ones other entries derive from refresh first.
+    // Options: { limit, minStaleness (default 1 = past TTL) }
+    getStaleEntries(options = {}) {
+        const minStaleness = options.minStaleness ?? 1;
+        const entries = this.storage.read('knowledge').entries;
+        const now = Date.now();
+        
+        const dependentCounts = {};
+        entries.forEach(e => (e.links || [])
+            .filter(l => l.type === 'derived-from')
+            .forEach(l => { dependentCounts[l.target] = (dependentCounts[l.target] || 0) + 1; }));
+        
+        return entries
+            .filter(e => e.researchMethod && !e.rejected)
+            .map(e => {
+                const staleness = this.freshness.staleness(e, now);
+                const value = 1 + (e.verified ? 0.5 : 0) + 0.25 * (dependentCounts[e.id] || 0) + 0.1 * (e.duplicateCount || 0);
+                return { ...e, staleness, value, priority: staleness * value };
+            })
+            .filter(e => e.staleness >= minStaleness)
+            .sort((a, b) => b.priority - a.priority)
+            .slice(0, options.limit ?? Infinity);
+    }
+
+    // Record a re-research of an entry. Changed facts become a new revision (and invalidate
+    // dependents); unchanged ones just renew lastConfirmed. Returns { id, changed, added, removed }
+    refreshKnowledge(id, findings) {
+        const entry = this.getKnowledge(id);
+        if (!entry) return null;
+        
+        const summary = findings.summary || '';
+        // Placeholder findings (research that found nothing) never replace content
+        const changed = !findings.placeholder && Boolean(summary.trim()) && contentHash(summary) !== contentHash(entry.content);
+        const { added, removed } = changed ? diffStats(diffLines(entry.content, summary)) : { added: 0, removed: 0 };
+        const at = new Date().toISOString();
+        
+        if (changed) {
+            this.updateKnowledge(id, {
+                content: summary,
+                source: mergeLists(entry.source, findings.sources),
+                ...(entry.placeholder && { placeholder: false })
+            }, { author: 'agent', reason: `re-research: facts changed (+${added} -${removed} lines)` });
+            this.invalidateDependents(id, 're-research changed the facts');
+        }
+        
+        const current = this.getKnowledge(id);
+        this.updateKnowledge(id, {
+            freshness: this.freshness.describe(current, at),
+            refreshes: [...(current.refreshes || []), { at, changed, added, removed }].slice(-20)
+        });
+        
+        console.log(`🔄 Refreshed ${id} (${entry.topic}): ${changed ? 'facts changed' : 'unchanged'}`);
+        return { id, topic: entry.topic, changed, added, removed };
+    }
+
     // Get all knowledge
     getAllKnowledge() {
-        return this.loadJson(this.knowledgeFile);
+        return this.storage.read('knowledge');
     }
 
-    // Identify knowledge gaps
+    // Identify knowledge gaps (topics only, best first; see detectGaps for scores and reasons).
+    // Cheap enough for getStats(): sparse clusters are left out.
     identifyGaps() {
-        const data = this.loadJson(this.knowledgeFile);
-        const topics = data.entries.map(e => e.topic?.toLowerCase()).filter(Boolean);
-        
-        const potentialGaps = [
-            "AI safety practices",
-            "cybersecurity", 
-            "web application security",
-            "ethical hacking",
-            "LLM prompt engineering",
-            "agent architectures",
-            "vector databases",
-            "RAG systems"
-        ];
+        return this.detectGaps().map(g => g.topic);
+    }
+
+    // [{ topic, source: 'curriculum' | 'related-topic' | 'rejected' | 'debate' | 'sparse-cluster', score, reasons }]
+    // Options: { limit, clusters } (clusters: true adds sparse-cluster gaps, which cluster every entry)
+    detectGaps(options = {}) {
+        return this.gapDetector.detectGaps(options);
+    }
+
+    // Queue a topic for research; TaskGenerator schedules queued topics before detected gaps.
+    // A topic already pending (same terms) is bumped instead: its `requests` count goes up.
+    // Options: { reason, source }. Returns the queue item
+    queueResearch(topic, options = {}) {
+        const key = researchKey(topic);
+        const pending = this.getResearchQueue().find(item => researchKey(item.topic) === key);
         
-        return potentialGaps.filter(gap => 
-            !topics.some(t => t?.includes(gap.toLowerCase()))
-        );
+        if (pending) {
+            const value = { requests: (pending.requests || 1) + 1, lastRequestedAt: new Date().toISOString() };
+            this.storage.apply('research-queue', [{ op: 'patch', path: 'items', id: pending.id, value }]);
+            return { ...pending, ...value };
+        }
+        
+        const item = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+            topic,
+            reason: options.reason || 'requested',
+            source: options.source || 'manual',
+            status: 'pending',
+            requests: 1,
+            createdAt: new Date().toISOString()
+        };
+        this.storage.apply('research-queue', [{ op: 'push', path: 'items', value: item }]);
+        return item;
+    }
+    
+    // Queue items, oldest first; status 'pending' (default), 'done' or 'all'
+    getResearchQueue(status = 'pending') {
+        const items = this.storage.read('research-queue').items;
+        return status === 'all' ? items : items.filter(item => item.status === status);
+    }
+    
+    // Mark a queued item researched, optionally with the entry that answered it
+    completeResearch(id, knowledgeId = null) {
+        const item = this.storage.read('research-queue').items.find(i => i.id === id);
+        if (!item) return null;
+        
+        const value = { status: 'done', completedAt: new Date().toISOString(), ...(knowledgeId && { knowledgeId }) };
+        this.storage.apply('research-queue', [{ op: 'patch', path: 'items', id, value }]);
+        return { ...item, ...value };
     }
 
-    // Update metrics
-    recordSession(sessionData) {
-        const data = this.loadJson(this.metricsFile);
+    // Extract entities and facts from an entry (lib/facts.js) and store them linked to it,
+    // replacing whatever an earlier extraction of the entry contributed.
+    // Returns { entities, facts, method } with the stored records
+    async extractFacts(id) {
+        const entry = this.getKnowledge(id);
+        if (!entry) return null;
         
-        data.sessions.push({
-            ...sessionData,
-            timestamp: new Date().toISOString()
+        const extraction = await this.factExtractor.extract(entry);
+        return { ...this.storeFacts(id, extraction), method: extraction.method };
+    }
+    
+    // Store an extraction ({ entities: [{ name, type }], facts: [{ subject, predicate, object,
+    // confidence, sentence }] }) for an entry. Entities are shared by normalized name and facts by
+    // (subject, predicate, object), so the same fact from several entries is one record whose
+    // entryIds lists them all
+    storeFacts(entryId, extraction) {
+        this.unlinkFacts([entryId]);
+        
+        return this.storage.withLock('facts', () => {
+            const data = this.storage.read('facts');
+            const timestamp = new Date().toISOString();
+            const newId = () => Date.now().toString(36) + Math.random().toString(36).substr(2);
+            const added = new Set();
+            const changed = new Map();
+            
+            const entities = new Map(data.entities.map(e => [e.key, e]));
+            const entity = (name, type = 'other') => {
+                const key = entityKey(name);
+                let current = entities.get(key);
+                if (!current) {
+                    current = { id: newId(), name, key, type, aliases: [], entryIds: [], createdAt: timestamp };
+                    added.add(current.id);
+                }
+                const updated = {
+                    ...current,
+                    // A specific type beats 'other'
+                    type: current.type === 'other' ? type : current.type,
+                    aliases: name !== current.name && !current.aliases.includes(name) ? [...current.aliases, name] : current.aliases,
+                    entryIds: mergeLists(current.entryIds, [entryId])
+                };
+                entities.set(key, updated);
+                changed.set(updated.id, { path: 'entities', item: updated });
+                return updated;
+            };
+            
+            extraction.entities.forEach(e => entity(e.name, e.type));
+            
+            const facts = new Map(data.facts.map(f => [factKey(f), f]));
+            const stored = extraction.facts.map(f => {
+                const subject = entity(f.subject);
+                const objectEntity = entities.get(entityKey(f.object));
+                const key = factKey({ subjectId: subject.id, predicate: f.predicate, object: f.object });
+                const current = facts.get(key) || {
+                    id: newId(),
+                    subjectId: subject.id,
+                    subject: subject.name,
+                    predicate: f.predicate,
+                    object: f.object,
+                    objectId: objectEntity?.id || null,
+                    confidence: f.confidence,
+                    entryIds: [],
+                    verified: null,
+                    createdAt: timestamp
+                };
+                if (!facts.has(key)) added.add(current.id);
+                
+                const updated = {
+                    ...current,
+                    confidence: Math.max(current.confidence ?? 0, f.confidence ?? 0),
+                    entryIds: mergeLists(current.entryIds, [entryId]),
+                    ...(f.sentence && !current.sentence && { sentence: f.sentence })
+                };
+                facts.set(key, updated);
+                changed.set(updated.id, { path: 'facts', item: updated });
+                return updated;
+            });
+            
+            const ops = [...changed.values()].map(({ path, item }) => added.has(item.id)
+                ? { op: 'push', path, value: item }
+                : { op: 'patch', path, id: item.id, value: item });
+            if (ops.length > 0) this.storage.apply('facts', ops);
+            
+            return {
+                entities: [...changed.values()].filter(c => c.path === 'entities').map(c => c.item),
+                facts: stored
+            };
         });
-        data.totalTasks += sessionData.tasksCompleted || 0;
-        data.totalResearchTime += sessionData.researchTime || 0;
+    }
+    
+    // Point facts and entities from removed entries at replacementId, or drop those links;
+    // whatever is left without any entry is deleted
+    unlinkFacts(ids, replacementId = null) {
+        const gone = new Set(ids);
         
-        this.saveJson(this.metricsFile, data);
-        return data;
+        return this.storage.withLock('facts', () => {
+            const data = this.storage.read('facts');
+            const ops = [];
+            
+            for (const path of ['entities', 'facts']) {
+                for (const item of data[path]) {
+                    if (!item.entryIds.some(id => gone.has(id))) continue;
+                    const entryIds = [...new Set(item.entryIds.map(id => gone.has(id) ? replacementId : id).filter(Boolean))];
+                    ops.push(entryIds.length > 0
+                        ? { op: 'patch', path, id: item.id, value: { entryIds } }
+                        : { op: 'remove', path, id: item.id });
+                }
+            }
+            
+            if (ops.length > 0) this.storage.apply('facts', ops);
+            return ops.length;
+        });
+    }
+    
+    // Facts matching all given criteria, newest first. Options: { subject, predicate, object
+    // (case-insensitive substrings), subjectId (exact), entity (name in subject or object), type
+    // (subject's entity type), entryId, verified (true | false | null for unchecked), text (anywhere), limit }
+    queryFacts(options = {}) {
+        const data = this.storage.read('facts');
+        const entities = new Map(data.entities.map(e => [e.id, e]));
+        const has = (value, wanted) => String(value || '').toLowerCase().includes(String(wanted).toLowerCase());
+        const names = (id) => [entities.get(id)?.name, ...(entities.get(id)?.aliases || [])];
+        
+        return data.facts
+            .filter(f => options.subject === undefined || names(f.subjectId).some(n => has(n, options.subject)))
+            .filter(f => options.subjectId === undefined || f.subjectId === options.subjectId)
+            .filter(f => options.predicate === undefined || has(f.predicate, options.predicate))
+            .filter(f => options.object === undefined || has(f.object, options.object))
+            .filter(f => options.entity === undefined || [...names(f.subjectId), f.object].some(n => has(n, options.entity)))
+            .filter(f => options.type === undefined || entities.get(f.subjectId)?.type === options.type)
+            .filter(f => options.entryId === undefined || f.entryIds.includes(options.entryId))
+            .filter(f => options.verified === undefined || f.verified === options.verified)
+            .filter(f => options.text === undefined || [f.subject, f.predicate, f.object].some(v => has(v, options.text)))
+            .map(f => ({ ...f, subjectType: entities.get(f.subjectId)?.type || 'other' }))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, options.limit ?? Infinity);
+    }
+    
+    getFact(id) {
+        return this.storage.read('facts').facts.find(f => f.id === id);
+    }
+    
+    // Entities with the number of facts about them. Options: { type, name (substring) }
+    getEntities(options = {}) {
+        const data = this.storage.read('facts');
+        return data.entities
+            .filter(e => !options.type || e.type === options.type)
+            .filter(e => !options.name || [e.name, ...e.aliases].some(n => n.toLowerCase().includes(options.name.toLowerCase())))
+            .map(e => ({ ...e, factCount: data.facts.filter(f => f.subjectId === e.id || f.objectId === e.id).length }))
+            .sort((a, b) => b.factCount - a.factCount || a.name.localeCompare(b.name));
+    }
+    
+    // Store the outcome of checking a fact: { passed, score, ... } (see VerificationAgent.verifyFact)
+    recordFactVerification(id, verification) {
+        if (!this.getFact(id)) return null;
+        
+        const value = { verified: Boolean(verification.passed), verification: { ...verification, checkedAt: new Date().toISOString() } };
+        this.storage.apply('facts', [{ op: 'patch', path: 'facts', id, value }]);
+        return this.getFact(id);
+    }
+
+    // Update metrics
+    recordSession(sessionData) {
+        return this.storage.apply('metrics', [
+            { op: 'push', path: 'sessions', value: { ...sessionData, timestamp: new Date().toISOString() } },
+            { op: 'inc', path: 'totalTasks', value: sessionData.tasksCompleted || 0 },
+            { op: 'inc', path: 'totalResearchTime', value: sessionData.researchTime || 0 }
+        ]);
+    }
+
+    getMetrics() {
+        return this.storage.read('metrics');
     }
 
     // Record evaluation
     evaluate(evaluation) {
-        const data = this.loadJson(this.evaluationFile);
-        
         const evalEntry = {
             id: Date.now().toString(36),
             ...evaluation,
             timestamp: new Date().toISOString()
         };
         
-        data.evaluations.push(evalEntry);
-        
+        const ops = [{ op: 'push', path: 'evaluations', value: evalEntry }];
         if (evaluation.score !== undefined) {
-            data.scores.push(evaluation.score);
+            ops.push({ op: 'push', path: 'scores', value: evaluation.score });
         }
         
-        this.saveJson(this.evaluationFile, data);
+        this.storage.apply('evaluation', ops);
         return evalEntry;
     }
 
     // Get average score
     getAverageScore() {
-        const data = this.loadJson(this.evaluationFile);
+        const data = this.storage.read('evaluation');
         if (data.scores.length === 0) return 0;
         return data.scores.reduce((a, b) => a + b, 0) / data.scores.length;
     }
 
     // Get statistics
     getStats() {
-        const knowledge = this.loadJson(this.knowledgeFile);
-        const metrics = this.loadJson(this.metricsFile);
-        const evaluation = this.loadJson(this.evaluationFile);
+        const knowledge = this.storage.read('knowledge');
+        const metrics = this.storage.read('metrics');
+        const evaluation = this.storage.read('evaluation');
         
         return {
             knowledgeCount: knowledge.entries.length,
+            documentChunks: knowledge.entries.filter(e => e.parentId).length,
             sessionsCount: metrics.sessions.length,
             totalTasks: metrics.totalTasks,
             totalResearchTime: `${(metrics.totalResearchTime / 60).toFixed(1)} min`,
             averageScore: this.getAverageScore().toFixed(2),
+            storageBackend: this.storage.name,
+            staleness: this.getStalenessSummary(),
+            taxonomy: Object.fromEntries(
+                this.getTaxonomyStats().filter(n => n.depth === 0 || n.id === 'uncategorized').map(n => [n.id, n.total])
+            ),
+            researchQueue: this.getResearchQueue().length,
+            facts: this.storage.read('facts').facts.length,
             knowledgeGaps: this.identifyGaps()
         };
     }
 
+    // Entry counts per taxonomy node, in tree order: [{ id, path, label, depth, count, total }].
+    // `count` is entries filed directly under the node, `total` includes descendants
+    getTaxonomyStats() {
+        const entries = this.storage.read('knowledge').entries.filter(e => !e.rejected && !e.isSynthesis && !e.parentId);
+        const direct = {};
+        let uncategorized = 0;
+        
+        entries.forEach(e => {
+            if (!e.taxonomy?.length) uncategorized++;
+            (e.taxonomy || []).forEach(id => { direct[id] = (direct[id] || 0) + 1; });
+        });
+        
+        const walk = (id) => {
+            const node = this.taxonomy.get(id);
+            const children = node.children.flatMap(walk);
+            const below = new Set(this.taxonomy.subtree(id));
+            const total = entries.filter(e => (e.taxonomy || []).some(t => below.has(t))).length;
+            return [{ id, path: this.taxonomy.path(id), label: node.label, depth: node.depth, count: direct[id] || 0, total }, ...children];
+        };
+        
+        return [
+            ...this.taxonomy.roots.flatMap(walk),
+            { id: 'uncategorized', path: 'uncategorized', label: 'Uncategorized', depth: 0, count: uncategorized, total: uncategorized }
+        ];
+    }
+
+    // Staleness across research entries: how many are past TTL, the mean score and the worst few
+    getStalenessSummary() {
+        const scored = this.getStaleEntries({ minStaleness: 0 });
+        return {
+            staleCount: scored.filter(e => e.staleness >= 1).length,
+            averageStaleness: scored.length
+                ? Number((scored.reduce((a, e) => a + e.staleness, 0) / scored.length).toFixed(2))
+                : 0,
+            stalest: [...scored]
+                .sort((a, b) => b.staleness - a.staleness)
+                .slice(0, 3)
+                .map(e => ({ id: e.id, topic: e.topic, class: this.freshness.classify(e).class, staleness: Number(e.staleness.toFixed(2)) }))
+        };
+    }
+
     // Verify knowledge (mark as verified)
     verifyKnowledge(id) {
-        const data = this.loadJson(this.knowledgeFile);
-        const entry = data.entries.find(e => e.id === id);
-        if (entry) {
-            entry.verified = true;
-            entry.verifiedAt = new Date().toISOString();
-            this.saveJson(this.knowledgeFile, data);
-        }
-        return entry;
+        const data = this.storage.read('knowledge');
+        if (!data.entries.some(e => e.id === id)) return undefined;
+        
+        const updated = this.storage.apply('knowledge', [
+            { op: 'patch', path: 'entries', id, value: { verified: true, verifiedAt: new Date().toISOString() } }
+        ]);
+        return updated.entries.find(e => e.id === id);
     }
 
     // Export knowledge for external use
-    exportKnowledge() {
-        const data = this.loadJson(this.knowledgeFile);
-        return data.entries;
+    // All entries, or with { filters } (as for query) the live entries matching them;
+    // includeRejected keeps rejected entries in a filtered export
+    exportKnowledge(options = {}) {
+        const data = this.storage.read('knowledge');
+        if (!options.filters) return data.entries;
+        
+        const filters = this.expandFilters(options.filters);
+        return data.entries.filter(e => (options.includeRejected || !e.rejected) && matchesKnowledgeFilter(e, filters));
+    }
+
+    // Write entries to outDir in an export format (wiki, jsonl, csv, obsidian or an Exporter).
+    // Options: { filters, includeRejected, history }. Returns { format, count, outDir, files }
+    exportKnowledgeTo(format, outDir, options = {}) {
+        const exporter = createExporter(format, options);
+        const entries = this.exportKnowledge({ filters: options.filters || {}, includeRejected: options.includeRejected });
+        const { files } = exporter.export(entries, outDir, { taxonomy: this.taxonomy });
+        
+        console.log(`📦 Exported ${entries.length} entries as ${format} to ${outDir}`);
+        return { format, count: entries.length, outDir, files };
+    }
+
+    // Bring entries over from another namespace's MemorySystem. mode 'copy' (default) makes
+    // independent entries marked copiedFrom; 'share' makes mirrors marked sharedFrom that
+    // syncShared() keeps in step with the original. Documents bring their chunks (a chunk id
+    // brings its whole document). Entries already received are skipped, or refreshed when a
+    // shared original has a newer revision. Returns { added, updated, skipped, missing } (ids)
+    receiveKnowledge(source, ids, options = {}) {
+        const mode = options.mode || 'copy';
+        if (!RECEIVE_MODES.includes(mode)) {
+            throw new Error(`Unknown receive mode: ${mode} (expected ${RECEIVE_MODES.join(', ')})`);
+        }
+        if (path.resolve(source.storagePath) === path.resolve(this.storagePath)) {
+            throw new Error(`Entries are already in namespace ${this.namespace}`);
+        }
+        
+        const received = new Map(this.storage.read('knowledge').entries
+            .map(e => [e, e.sharedFrom || e.copiedFrom])
+            .filter(([e, origin]) => origin?.namespace === source.namespace && !e.parentId)
+            .map(([e, origin]) => [origin.id, e]));
+        const result = { added: [], updated: [], skipped: [], missing: [] };
+        
+        for (const id of new Set(ids)) {
+            let original = source.getKnowledge(id);
+            if (original?.parentId) original = source.getKnowledge(original.parentId);
+            if (!original) {
+                result.missing.push(id);
+                continue;
+            }
+            
+            const existing = received.get(original.id);
+            if (existing) {
+                const stale = existing.sharedFrom && existing.sharedFrom.revision !== (original.revision || 1);
+                if (stale && this.refreshShared(existing, original, source)) result.updated.push(existing.id);
+                else result.skipped.push(original.id);
+                continue;
+            }
+            if (original.rejected) {
+                result.skipped.push(original.id);
+                continue;
+            }
+            
+            const origin = { namespace: source.namespace, id: original.id, revision: original.revision || 1, at: new Date().toISOString() };
+            const entry = this.addKnowledge({
+                ...receivableFields(original),
+                [mode === 'share' ? 'sharedFrom' : 'copiedFrom']: origin,
+                author: 'namespace'
+            });
+            if (original.verified) this.verifyKnowledge(entry.id);
+            this.receiveChunks(source, original, entry);
+            received.set(original.id, entry);
+            result.added.push(entry.id);
+        }
+        
+        console.log(`🔀 ${mode === 'share' ? 'Shared' : 'Copied'} ${result.added.length} entries from ${source.namespace} into ${this.namespace}`);
+        return result;
+    }
+
+    // Recreate a document's chunks under its copy (replacing any the copy already has)
+    receiveChunks(source, original, copy) {
+        const current = this.getKnowledge(copy.id)?.document?.chunkIds || [];
+        if (current.length > 0) this.removeKnowledge(current);
+        if (!original.document) return [];
+        
+        const chunks = original.document.chunkIds
+            .map(id => source.getKnowledge(id))
+            .filter(Boolean)
+            .map(chunk => this.addKnowledge({
+                ...receivableFields(chunk),
+                parentId: copy.id,
+                chunk: chunk.chunk,
+                author: 'namespace'
+            }));
+        
+        this.storage.apply('knowledge', [{
+            op: 'patch',
+            path: 'entries',
+            id: copy.id,
+            value: { document: { ...original.document, chunkIds: chunks.map(c => c.id) } }
+        }]);
+        return chunks;
+    }
+
+    // Bring a shared mirror up to date with its original's latest revision
+    refreshShared(mirror, original, source) {
+        const updated = this.updateKnowledge(mirror.id, {
+            ...receivableFields(original),
+            verified: Boolean(original.verified),
+            sharedFrom: { ...mirror.sharedFrom, revision: original.revision || 1, at: new Date().toISOString() }
+        }, { author: 'namespace', reason: `shared entry updated in ${source.namespace}` });
+        
+        if (original.document?.textHash !== mirror.document?.textHash) {
+            this.receiveChunks(source, original, updated);
+        }
+        return updated;
+    }
+
+    // Refresh every shared mirror from its original. resolve(namespace) returns that namespace's
+    // MemorySystem (or a promise of it). Returns { checked, updated, missing } (mirror ids)
+    async syncShared(resolve) {
+        const mirrors = this.storage.read('knowledge').entries.filter(e => e.sharedFrom && !e.parentId);
+        const result = { checked: mirrors.length, updated: [], missing: [] };
+        
+        for (const mirror of mirrors) {
+            const source = await resolve(mirror.sharedFrom.namespace);
+            const original = source?.getKnowledge(mirror.sharedFrom.id);
+            if (!original) {
+                result.missing.push(mirror.id);
+            } else if ((original.revision || 1) !== mirror.sharedFrom.revision) {
+                this.refreshShared(mirror, original, source);
+                result.updated.push(mirror.id);
+            }
+        }
+        return result;
+    }
+
+    snapshotDir() {
+        return path.join(this.storagePath, 'snapshots');
+    }
+
+    // Archive the whole store to one gzipped file (default <storagePath>/snapshots/).
+    // Options: { file, label, dirs: { name: path } } - dirs adds folders such as feedback state.
+    // Returns { file, manifest }
+    snapshot(options = {}) {
+        const archive = buildSnapshot(this, Object.keys(DOCUMENTS), options);
+        const stamp = archive.manifest.createdAt.replace(/[:.]/g, '-');
+        const name = `snapshot-${stamp}${options.label ? `-${options.label.replace(/[^\w-]+/g, '_')}` : ''}.json.gz`;
+        const file = writeSnapshot(archive, options.file || path.join(this.snapshotDir(), name));
+        
+        console.log(`📸 Snapshot saved: ${file}`);
+        return { file, manifest: archive.manifest };
+    }
+
+    // Replace the store with a snapshot after verifying its checksums. The current state is
+    // snapshotted first (label 'pre-restore') so a restore can itself be undone.
+    // Options: { dirs, backup: false to skip the safety snapshot }. Returns { manifest, backup }
+    async restoreSnapshot(file, options = {}) {
+        const archive = readSnapshot(file);
+        const backup = options.backup === false ? null : this.snapshot({ label: 'pre-restore', dirs: options.dirs }).file;
+        const hadVectors = Boolean(this.vectorMemory);
+        
+        const manifest = applySnapshot(this, archive, Object.keys(DOCUMENTS), options);
+        
+        // Drop state derived from the old contents
+        this.keywordIndex = null;
+        this.fallbackVectors.clear();
+        this.gapDetector.clusterCache = null;
+        this.taxonomy.load();
+        if (hadVectors) await this.initializeVectorMemory();
+        
+        console.log(`♻️  Restored snapshot from ${manifest.createdAt}${backup ? ` (previous state: ${backup})` : ''}`);
+        return { manifest, backup };
+    }
+
+    // Differences between two snapshots; either side may be 'current' for the live store
+    diffSnapshots(a, b = 'current', options = {}) {
+        const load = (source) => source === 'current'
+            ? buildSnapshot(this, Object.keys(DOCUMENTS), { ...options, label: 'current' })
+            : readSnapshot(source);
+        return diffSnapshots(load(a), load(b));
+    }
+
+    // Saved snapshots, newest first: [{ file, bytes, createdAt }]
+    listSnapshots() {
+        const dir = this.snapshotDir();
+        if (!fs.existsSync(dir)) return [];
+        
+        return fs.readdirSync(dir)
+            .filter(f => f.endsWith('.json.gz'))
+            .map(f => {
+                const stat = fs.statSync(path.join(dir, f));
+                return { file: path.join(dir, f), bytes: stat.size, createdAt: stat.mtime.toISOString() };
+            })
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
     }
 
-    // Clear all memory (for testing)
-    clear() {
-        this.saveJson(this.knowledgeFile, { entries: [], lastUpdated: null });
-        this.saveJson(this.metricsFile, { sessions: [], totalTasks: 0, totalResearchTime: 0 });
-        this.saveJson(this.evaluationFile, { evaluations: [], scores: [] });
+    // Clear all memory (for testing). A 'pre-clear' snapshot is taken first unless { snapshot: false }
+    clear(options = {}) {
+        if (options.snapshot !== false) this.snapshot({ label: 'pre-clear' });
+        Object.entries(DOCUMENTS).forEach(([name, doc]) => this.storage.write(name, doc));
         console.log("🧠 Memory cleared");
     }
 }
@@ -0,0 +1,137 @@
+// Memory Namespaces
+// Named, isolated stores so several projects or personas can share one install. Each namespace
+// has its own knowledge, metrics, vector collection, feedback queue, tools and schedule. The
+// default namespace keeps the original layout (./memory, ./feedback, ./tools, ./schedule.json);
+// a named one lives under <root>/<name>/ (root defaults to ./namespaces)
+
+import fs from 'fs';
+import path from 'path';
+import MemorySystem from './memory.js';
+
+const DEFAULT_NAMESPACE = 'default';
+const DEFAULT_COLLECTION = 'magnitude-knowledge';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+function checkNamespace(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid namespace "${name}": use letters, digits, "-" and "_" (at most 64 characters)`);
+    }
+    return name;
+}
+
+// Where a namespace keeps its state: { namespace, dir, memoryPath, feedbackPath, toolsPath,
+// schedulePath, collectionName }. Options: { baseDir (default '.'), root (default <baseDir>/namespaces) }
+function namespacePaths(name = DEFAULT_NAMESPACE, options = {}) {
+    checkNamespace(name);
+    const baseDir = options.baseDir || '.';
+
+    if (name === DEFAULT_NAMESPACE) {
+        return {
+            namespace: name,
+            dir: baseDir,
+            memoryPath: path.join(baseDir, 'memory'),
+            feedbackPath: path.join(baseDir, 'feedback'),
+            toolsPath: path.join(baseDir, 'tools'),
+            schedulePath: path.join(baseDir, 'schedule.json'),
+            collectionName: DEFAULT_COLLECTION
+        };
+    }
+
+    const dir = path.join(options.root || path.join(baseDir, 'namespaces'), name);
+    return {
+        namespace: name,
+        dir,
+        memoryPath: path.join(dir, 'memory'),
+        feedbackPath: path.join(dir, 'feedback'),
+        toolsPath: path.join(dir, 'tools'),
+        schedulePath: path.join(dir, 'schedule.json'),
+        // A Chroma server is shared by every namespace, so collections need distinct names
+        collectionName: `${DEFAULT_COLLECTION}-${name}`
+    };
+}
+
+class NamespaceManager {
+    constructor(options = {}) {
+        this.baseDir = options.baseDir || '.';
+        this.root = options.root || path.join(this.baseDir, 'namespaces');
+        // Extra MemorySystem options (embedder, storage, dedupe...) for namespaces opened here
+        this.memoryOptions = options.memory || {};
+        this.opened = new Map();
+    }
+
+    paths(name) {
+        return namespacePaths(name, { baseDir: this.baseDir, root: this.root });
+    }
+
+    // Namespaces with a memory directory: [{ name, path, entries }]
+    list() {
+        const names = fs.existsSync(this.root)
+            ? fs.readdirSync(this.root, { withFileTypes: true })
+                .filter(d => d.isDirectory() && NAME_PATTERN.test(d.name) && d.name !== DEFAULT_NAMESPACE)
+                .map(d => d.name)
+                .sort()
+            : [];
+
+        return [DEFAULT_NAMESPACE, ...names]
+            .map(name => ({ name, ...this.paths(name) }))
+            .filter(ns => fs.existsSync(ns.memoryPath))
+            .map(ns => ({
+                name: ns.name,
+                path: ns.memoryPath,
+                entries: this.opened.get(ns.name)?.getStats().knowledgeCount
+                    ?? new MemorySystem(ns.memoryPath, { namespace: ns.name, useVectorMemory: false }).getStats().knowledgeCount
+            }));
+    }
+
+    // Use an already constructed MemorySystem for its namespace (e.g. the session's own)
+    register(memory) {
+        this.opened.set(memory.namespace, memory);
+        return memory;
+    }
+
+    // MemorySystem for a namespace, with vector memory initialized so received entries are embedded
+    async open(name) {
+        checkNamespace(name);
+        if (this.opened.has(name)) return this.opened.get(name);
+
+        const paths = this.paths(name);
+        const memory = new MemorySystem(paths.memoryPath, {
+            ...this.memoryOptions,
+            namespace: name,
+            collectionName: paths.collectionName
+        });
+        await memory.initializeVectorMemory();
+        this.opened.set(name, memory);
+        return memory;
+    }
+
+    // Copy (or with { mode: 'share' } mirror) entries from one namespace into another.
+    // See MemorySystem.receiveKnowledge
+    async copy(from, to, ids, options = {}) {
+        if (from === to) {
+            throw new Error('Source and target namespaces are the same');
+        }
+        const source = await this.open(from);
+        const target = await this.open(to);
+        return target.receiveKnowledge(source, ids, options);
+    }
+
+    async share(from, to, ids) {
+        return this.copy(from, to, ids, { mode: 'share' });
+    }
+
+    // Refresh a namespace's shared mirrors from their originals
+    async sync(name) {
+        const target = await this.open(name);
+        return target.syncShared(namespace => this.open(namespace));
+    }
+
+    // Flush the vector indexes of every namespace opened here
+    close() {
+        for (const memory of this.opened.values()) {
+            memory.vectorMemory?.close();
+        }
+    }
+}
+
+export { NamespaceManager, namespacePaths, checkNamespace, DEFAULT_NAMESPACE };
@@ -0,0 +1,240 @@
+// Research Planner
+// Breaks a research task into sub-questions and works through them one step at a time within a
+// budget (steps, pages, seconds, LLM tokens). After each step it checks which sub-questions the
+// findings so far answer, and stops once enough of them are answered or the budget runs out.
+// The result is a report with per-question findings and sources
+
+import { tokenize } from './embeddings.js';
+
+const DEFAULT_BUDGET = {
+    steps: 6,
+    pages: 10,
+    seconds: 300,
+    // LLM tokens used by planning, research steps and coverage checks
+    tokens: 20000
+};
+
+// Sub-questions used without an LLM. `keywords` are words an answer to the aspect usually
+// contains; a finding that covers the topic but none of them only half answers the question
+const ASPECTS = [
+    { question: topic => `What is ${topic}?`, keywords: [] },
+    { question: topic => `How does ${topic} work?`, keywords: ['work', 'works', 'process', 'mechanism', 'steps', 'architecture', 'algorithm', 'by'] },
+    { question: topic => `What is ${topic} used for?`, keywords: ['used', 'use', 'uses', 'application', 'applications', 'example', 'examples', 'enables'] },
+    { question: topic => `What are the limitations of ${topic}?`, keywords: ['limitation', 'limitations', 'drawback', 'drawbacks', 'risk', 'risks', 'challenge', 'challenges', 'however', 'cannot'] },
+    { question: topic => `What are recent developments in ${topic}?`, keywords: ['recent', 'recently', 'new', 'latest', 'released', 'version', 'introduced'] }
+];
+
+// Words that say what kind of question it is rather than what it's about
+const QUESTION_WORDS = new Set(['what', 'how', 'why', 'which', 'who', 'when', 'where', 'does', 'do', 'work', 'used', 'main', 'key', 'recent', 'developments', 'limitations']);
+
+class ResearchPlanner {
+    constructor(options = {}) {
+        // LLMProvider (lib/llm-providers.js); template questions and term coverage when null
+        this.llm = options.llm || null;
+        this.budget = { ...DEFAULT_BUDGET, ...options.budget };
+        this.maxQuestions = options.maxQuestions || 4;
+        // Share of sub-questions that must be answered before research stops
+        this.coverageTarget = options.coverageTarget ?? 0.75;
+        // Tries per sub-question before it's left open
+        this.maxAttempts = options.maxAttempts || 2;
+    }
+
+    // Sub-questions for a task: [{ id, question, keywords, answered, coverage, attempts, findings,
+    // sources, documents, relatedTopics }]
+    async plan(task) {
+        let questions = [];
+
+        if (this.llm) {
+            const prompt = `
+Break this research task into sub-questions.
+
+Task: ${task}
+
+Write at most ${this.maxQuestions} specific questions that together cover the task, most
+fundamental first. Each should be answerable from one or two web pages.
+Respond with JSON:
+{ "questions": ["first sub-question", "second sub-question"] }
+`;
+            try {
+                const response = await this.llm.json(prompt);
+                questions = (response.questions || []).map(q => String(q).trim()).filter(Boolean)
+                    .map(question => ({ question, keywords: [] }));
+            } catch (error) {
+                console.log(`   ⚠️  LLM planning failed, using template questions: ${error.message}`);
+            }
+        }
+
+        if (questions.length === 0) {
+            questions = ASPECTS.map(aspect => ({ question: aspect.question(task), keywords: aspect.keywords }));
+        }
+
+        return questions.slice(0, this.maxQuestions).map((q, i) => ({
+            id: `q${i + 1}`,
+            ...q,
+            answered: false,
+            coverage: 0,
+            attempts: 0,
+            findings: [],
+            sources: [],
+            documents: [],
+            relatedTopics: []
+        }));
+    }
+
+    // How well `text` answers a question (0-1): the share of its subject terms present, halved
+    // when none of the aspect keywords appear
+    coverage(question, text) {
+        const terms = [...new Set(tokenize(question.question))].filter(t => !QUESTION_WORDS.has(t));
+        if (terms.length === 0) return 0;
+        const have = new Set(tokenize(text));
+        const share = terms.filter(t => have.has(t)).length / terms.length;
+
+        const lower = String(text).toLowerCase();
+        const aspect = question.keywords.length === 0
+            || question.keywords.some(k => new RegExp(`\\b${k}\\b`).test(lower));
+        return aspect ? share : share / 2;
+    }
+
+    // Update each question's coverage from everything found so far (one finding can answer several)
+    async review(task, questions) {
+        const found = questions.flatMap(q => q.findings);
+        const text = found.join('\n\n');
+
+        if (this.llm && found.length > 0) {
+            const prompt = `
+Check which research sub-questions the findings so far answer.
+
+Task: ${task}
+Sub-questions:
+${questions.map(q => `${q.id}: ${q.question}`).join('\n')}
+
+Findings:
+${text.slice(0, 6000)}
+
+Respond with JSON:
+{ "answers": [{ "id": "q1", "answered": true, "confidence": 0.8, "missing": "what is still unknown" }] }
+`;
+            try {
+                const response = await this.llm.json(prompt);
+                const answers = new Map((response.answers || []).map(a => [a.id, a]));
+                if (answers.size > 0) {
+                    questions.forEach(q => {
+                        const answer = answers.get(q.id);
+                        if (!answer) return;
+                        q.answered = Boolean(answer.answered);
+                        q.coverage = Number.isFinite(answer.confidence) ? Math.max(0, Math.min(1, answer.confidence)) : (q.answered ? 1 : 0);
+                        q.missing = answer.missing || null;
+                    });
+                    return questions;
+                }
+            } catch (error) {
+                console.log(`   ⚠️  LLM coverage check failed, using term coverage: ${error.message}`);
+            }
+        }
+
+        questions.forEach(q => {
+            q.coverage = found.length > 0 ? this.coverage(q, text) : 0;
+            q.answered = q.coverage >= 0.6;
+        });
+        return questions;
+    }
+
+    // The limit `used` has reached, or null while within budget
+    exhausted(used) {
+        return ['steps', 'pages', 'seconds', 'tokens'].find(limit => used[limit] >= this.budget[limit]) || null;
+    }
+
+    // Research `task` with `step(question)`, which returns findings ({ summary, sources, document,
+    // pages, tokens, relatedTopics, placeholder }) like ResearchAgent.performResearch; placeholder
+    // findings use the budget but answer nothing. Returns the report:
+    // { task, questions, answered, coverage, stopReason, budget, used, sources, openQuestions }
+    async run(task, step) {
+        const start = Date.now();
+        const tokensAt = () => this.llm?.usage?.totalTokens || 0;
+        const tokensBefore = tokensAt();
+        // Tokens steps report themselves (e.g. a browser agent with its own model)
+        let stepTokens = 0;
+        const used = { steps: 0, pages: 0, seconds: 0, tokens: 0 };
+        const measure = () => {
+            used.seconds = (Date.now() - start) / 1000;
+            used.tokens = tokensAt() - tokensBefore + stepTokens;
+        };
+
+        const questions = await this.plan(task);
+        console.log(`   🗺️  Plan: ${questions.map(q => q.question).join(' | ')}`);
+        measure();
+
+        let stopReason;
+        while (true) {
+            const answered = questions.filter(q => q.answered).length;
+            if (answered / questions.length >= this.coverageTarget) {
+                stopReason = 'coverage';
+                break;
+            }
+
+            const limit = this.exhausted(used);
+            if (limit) {
+                stopReason = `budget: ${limit}`;
+                break;
+            }
+
+            const next = questions
+                .filter(q => !q.answered && q.attempts < this.maxAttempts)
+                .sort((a, b) => a.attempts - b.attempts)[0];
+            if (!next) {
+                stopReason = 'no questions left to try';
+                break;
+            }
+
+            next.attempts++;
+            used.steps++;
+            console.log(`   ❔ [${used.steps}] ${next.question}`);
+            const findings = await step(next.question);
+
+            const urls = (findings.sources || []).filter(s => /^https?:\/\//.test(s));
+            used.pages += findings.pages ?? urls.length;
+            if (findings.summary && !findings.placeholder) next.findings.push(findings.summary);
+            next.sources = [...new Set([...next.sources, ...(findings.sources || [])])];
+            if (findings.document) next.documents.push(findings.document);
+            next.relatedTopics.push(...(findings.relatedTopics || []));
+
+            stepTokens += findings.tokens || 0;
+            await this.review(task, questions);
+            measure();
+        }
+
+        const answered = questions.filter(q => q.answered);
+        console.log(`   📋 ${answered.length}/${questions.length} sub-questions answered in ${used.steps} steps (stopped: ${stopReason})`);
+
+        return {
+            task,
+            questions,
+            answered: answered.length,
+            coverage: questions.length > 0 ? answered.length / questions.length : 0,
+            stopReason,
+            budget: this.budget,
+            used,
+            sources: [...new Set(questions.flatMap(q => q.sources))],
+            openQuestions: questions.filter(q => !q.answered).map(q => q.question)
+        };
+    }
+
+    // The report as Markdown: one section per sub-question with its findings and sources
+    formatReport(report) {
+        const sections = report.questions.map(q => {
+            return [
+                `## ${q.question}${q.answered ? '' : ' (open)'}`,
+                q.findings.length > 0 ? q.findings.join('\n\n') : 'No findings yet.',
+                q.sources.length > 0 ? `Sources: ${q.sources.join(', ')}` : null
+            ].filter(Boolean).join('\n\n');
+        });
+
+        return [
+            `# Research report: ${report.task}`,
+            `${report.answered} of ${report.questions.length} sub-questions answered (stopped: ${report.stopReason}; ${report.used.steps} steps, ${report.used.pages} pages, ${Math.round(report.used.seconds)}s, ${report.used.tokens} tokens)`,
+            ...sections
+        ].join('\n\n');
+    }
+}
+
+export { ResearchPlanner, DEFAULT_BUDGET };
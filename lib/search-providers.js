@@ -0,0 +1,289 @@
+// Search Providers
+// Web search for research without a browser: each provider turns a query into ranked result
+// URLs ([{ url, title, snippet, rank, provider }]) that ResearchAgent then fetches and reads.
+// SearXNG, Brave and DuckDuckGo's HTML page go to the web; LocalIndexProvider searches a
+// directory or JSON file of pages offline, and FakeSearchProvider returns scripted results
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { BM25Index } from './hybrid-search.js';
+import { htmlToText } from './importer.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Page files LocalIndexProvider reads from a directory
+const PAGE_EXTENSIONS = ['.html', '.htm', '.md', '.markdown', '.txt'];
+
+class SearchProvider {
+    constructor(options = {}) {
+        this.name = 'search';
+        // fetch implementation; ResearchAgent passes its own so cassettes record searches too
+        this.fetch = options.fetch || fetch;
+        this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+        this.limit = options.limit || 10;
+        // Whether search works without network access (offline runs still use these)
+        this.offline = false;
+    }
+
+    // Ranked results for a query: [{ url, title, snippet, rank, provider }]
+    async search(query, options = {}) {
+        const limit = options.limit || this.limit;
+        const results = await this.query(String(query || '').trim(), limit);
+        return this.normalize(results, limit);
+    }
+
+    // Provider-specific search returning [{ url, title, snippet }], best first
+    async query() {
+        throw new Error(`${this.constructor.name} does not implement query()`);
+    }
+
+    // Drop results without a URL and repeats, trim the text and number what's left
+    normalize(results, limit) {
+        const seen = new Set();
+        return (results || [])
+            .filter(r => {
+                if (!r?.url || seen.has(r.url)) return false;
+                seen.add(r.url);
+                return true;
+            })
+            .slice(0, limit)
+            .map((r, i) => ({
+                ...r,
+                title: String(r.title || r.url).replace(/\s+/g, ' ').trim(),
+                snippet: String(r.snippet || '').replace(/\s+/g, ' ').trim(),
+                rank: i + 1,
+                provider: this.name
+            }));
+    }
+
+    async getJson(url, init = {}) {
+        const response = await this.fetch(url, { ...init, signal: AbortSignal.timeout(this.timeout) });
+        if (!response.ok) {
+            throw new Error(`${this.name} search failed: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+// SearXNG metasearch instance with the JSON output format enabled
+class SearxngProvider extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'searxng';
+        this.baseUrl = (options.baseUrl || process.env.SEARXNG_URL || 'http://localhost:8888').replace(/\/+$/, '');
+        this.categories = options.categories || 'general';
+    }
+
+    async query(query) {
+        const url = `${this.baseUrl}/search?q=${encodeURIComponent(query)}&format=json&categories=${encodeURIComponent(this.categories)}`;
+        const data = await this.getJson(url, { headers: { Accept: 'application/json' } });
+        return (data.results || []).map(r => ({ url: r.url, title: r.title, snippet: r.content }));
+    }
+}
+
+// Brave Search API (https://api.search.brave.com)
+class BraveProvider extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'brave';
+        this.apiKey = options.apiKey || process.env.BRAVE_API_KEY;
+        this.baseUrl = options.baseUrl || 'https://api.search.brave.com/res/v1/web/search';
+    }
+
+    async query(query, limit) {
+        if (!this.apiKey) {
+            throw new Error('Brave search needs an API key (BRAVE_API_KEY)');
+        }
+        const url = `${this.baseUrl}?q=${encodeURIComponent(query)}&count=${Math.min(limit, 20)}`;
+        const data = await this.getJson(url, {
+            headers: { Accept: 'application/json', 'X-Subscription-Token': this.apiKey }
+        });
+        return (data.web?.results || []).map(r => ({ url: r.url, title: r.title, snippet: htmlToText(r.description || '') }));
+    }
+}
+
+// DuckDuckGo's no-JavaScript results page; no API key, but the markup can change
+class DuckDuckGoHtmlProvider extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'duckduckgo';
+        this.baseUrl = options.baseUrl || 'https://html.duckduckgo.com/html/';
+    }
+
+    // Result links go through a redirect (//duckduckgo.com/l/?uddg=<target>); unwrap it
+    static targetUrl(href) {
+        const decoded = href.replace(/&amp;/g, '&');
+        const wrapped = decoded.match(/[?&]uddg=([^&]+)/);
+        if (wrapped) return decodeURIComponent(wrapped[1]);
+        return /^https?:\/\//.test(decoded) ? decoded : null;
+    }
+
+    parse(html) {
+        const results = [];
+        // One block per result, starting at its title link
+        for (const block of html.split(/<a[^>]+class="[^"]*\bresult__a\b/).slice(1)) {
+            const href = block.match(/href="([^"]+)"/)?.[1];
+            const url = href && DuckDuckGoHtmlProvider.targetUrl(href);
+            // Ads link through duckduckgo.com/y.js
+            if (!url || /duckduckgo\.com\/y\.js/.test(url)) continue;
+
+            results.push({
+                url,
+                title: htmlToText(block.match(/>([\s\S]*?)<\/a>/)?.[1] || ''),
+                snippet: htmlToText(block.match(/class="[^"]*\bresult__snippet\b[^"]*"[^>]*>([\s\S]*?)<\/(?:a|div|td)>/)?.[1] || '')
+            });
+        }
+        return results;
+    }
+
+    async query(query) {
+        const response = await this.fetch(`${this.baseUrl}?q=${encodeURIComponent(query)}`, {
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; magnitude-self-improver)' },
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`${this.name} search failed: HTTP ${response.status}`);
+        }
+        return this.parse(await response.text());
+    }
+}
+
+// Offline search over local pages: a directory of HTML, Markdown and text files, a JSON or JSONL
+// file of { url, title, text } pages, or `pages` passed in. Results carry the page text as
+// `content`, so nothing needs fetching
+class LocalIndexProvider extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'local';
+        this.offline = true;
+        this.path = options.path || null;
+        this.pages = options.pages || null;
+        this.index = null;
+    }
+
+    static readDirectory(dir) {
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .filter(d => !d.name.startsWith('.'))
+            .flatMap(d => {
+                const file = path.join(dir, d.name);
+                if (d.isDirectory()) return LocalIndexProvider.readDirectory(file);
+                if (!PAGE_EXTENSIONS.includes(path.extname(d.name).toLowerCase())) return [];
+
+                const raw = fs.readFileSync(file, 'utf8');
+                const html = /\.html?$/i.test(d.name);
+                return [{
+                    url: pathToFileURL(path.resolve(file)).href,
+                    title: (html ? htmlToText(raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '') : raw.match(/^#\s+(.+)$/m)?.[1])
+                        || path.basename(d.name, path.extname(d.name)),
+                    text: html ? htmlToText(raw) : raw
+                }];
+            });
+    }
+
+    loadPages() {
+        if (this.pages) return this.pages;
+        if (!this.path || !fs.existsSync(this.path)) {
+            throw new Error(`Local search index not found: ${this.path}`);
+        }
+
+        if (fs.statSync(this.path).isDirectory()) {
+            this.pages = LocalIndexProvider.readDirectory(this.path);
+        } else {
+            const raw = fs.readFileSync(this.path, 'utf8');
+            this.pages = /\.jsonl$/i.test(this.path)
+                ? raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+                : JSON.parse(raw);
+        }
+        return this.pages;
+    }
+
+    async query(query, limit) {
+        const pages = this.loadPages();
+        if (!this.index) {
+            this.index = new BM25Index(pages.map((page, i) => ({ id: i, topic: page.title, content: page.text || page.content || '' })));
+        }
+
+        return this.index.search(query).slice(0, limit).map(({ id }) => {
+            const page = pages[id];
+            const content = page.text || page.content || '';
+            return { url: page.url, title: page.title, snippet: content.slice(0, 200), content };
+        });
+    }
+}
+
+// Scripted results for tests and offline demos: `results` maps a query (lowercased) to results,
+// with '*' for any other query, or is a function of the query. Queries are kept in `queries`
+class FakeSearchProvider extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'fake';
+        this.offline = true;
+        this.results = options.results || {};
+        this.queries = [];
+    }
+
+    async query(query) {
+        this.queries.push(query);
+        if (typeof this.results === 'function') return this.results(query);
+        return this.results[query.toLowerCase()] || this.results['*'] || [];
+    }
+}
+
+const PROVIDERS = {
+    searxng: SearxngProvider,
+    brave: BraveProvider,
+    duckduckgo: DuckDuckGoHtmlProvider,
+    local: LocalIndexProvider,
+    fake: FakeSearchProvider
+};
+
+// A search provider from a config object ({ provider, ... }), a "provider:argument" string
+// ('searxng:http://localhost:8888', 'local:./pages', 'brave', 'duckduckgo'), a provider
+// instance or a function of the query (scripted results). `defaults` (e.g. { fetch }) apply
+// to providers built here
+function createSearchProvider(config, defaults = {}) {
+    if (!config) return null;
+    if (typeof config === 'object' && typeof config.search === 'function') return config;
+    if (typeof config === 'function') return new FakeSearchProvider({ ...defaults, results: config });
+
+    if (typeof config === 'string') {
+        const [provider, ...rest] = config.split(':');
+        const argument = rest.join(':');
+        config = { provider };
+        if (argument && provider === 'local') config.path = argument;
+        else if (argument) config.baseUrl = argument;
+    }
+
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+        throw new Error(`Unknown search provider: ${config.provider} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider({ ...defaults, ...config });
+}
+
+// Pick a search provider config from environment variables
+function searchConfigFromEnv(env = process.env) {
+    if (env.MAGNITUDE_SEARCH) {
+        return env.MAGNITUDE_SEARCH;
+    }
+    if (env.SEARXNG_URL) {
+        return { provider: 'searxng', baseUrl: env.SEARXNG_URL };
+    }
+    if (env.BRAVE_API_KEY) {
+        return { provider: 'brave', apiKey: env.BRAVE_API_KEY };
+    }
+    return null;
+}
+
+export {
+    SearchProvider,
+    SearxngProvider,
+    BraveProvider,
+    DuckDuckGoHtmlProvider,
+    LocalIndexProvider,
+    FakeSearchProvider,
+    createSearchProvider,
+    searchConfigFromEnv
+};
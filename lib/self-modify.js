@@ -4,6 +4,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider } from './llm-providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,7 +14,7 @@ class SelfModificationSystem {
         this.projectPath = options.projectPath || './';
         this.backupPath = options.backupPath || './backups';
         this.maxBackups = options.maxBackups || 5;
-        this.llm = options.llm || null; // Function to call LLM
+        this.llm = createProvider(options.llm); // LLMProvider (see lib/llm-providers.js)
         this.modificationLog = [];
         
         this.ensureDirectories();
@@ -73,7 +74,7 @@ Stack: ${failure.stack || 'N/A'}
 Provide a brief root cause analysis (1-2 sentences).
 `;
             try {
-                return await this.llm(prompt);
+                return await this.llm.complete(prompt);
             } catch {
                 return 'LLM analysis failed, using heuristic';
             }
@@ -116,9 +117,7 @@ Respond in JSON format:
 If no code changes are needed, respond with: []
 `;
             try {
-                const response = await this.llm(prompt);
-                const parsed = JSON.parse(response);
-                return parsed;
+                return await this.llm.json(prompt);
             } catch (e) {
                 console.log('⚠️  LLM modification generation failed');
             }
@@ -240,15 +239,15 @@ If no code changes are needed, respond with: []
             );
         }
         
-        if (lower.includes('add retry content.replace(
-               ')) {
-            return /(async\s+function\s+\w+)/,
+        if (lower.includes('add retry')) {
+            return content.replace(
+                /(async\s+function\s+\w+)/,
                 `$1\n    // Auto-added retry logic`
             );
         }
         
-        // Default: return as-is with
-        return// TODO content + `\n comment: ${changeDescription}\n`;
+        // Default: return as-is with a TODO comment
+        return content + `\n// TODO: ${changeDescription}\n`;
     }
 
     // Test if modifications work
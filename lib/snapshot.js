@@ -0,0 +1,232 @@
+// Memory Snapshots
+// The whole memory store in one gzipped, versioned archive: every storage document (whatever the
+// backend), the files beside them (taxonomy, curriculum, embedded vector index) and any extra
+// directories such as feedback state, with a manifest of sha256 checksums
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+
+const SNAPSHOT_FORMAT = 'magnitude-memory-snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Never captured from the memory directory: storage internals (documents are captured through the
+// backend instead), earlier snapshots and migration backups
+const SKIP = [/^snapshots(\/|$)/, /^storage-backup-/, /^storage\.json$/, /\.lock$/, /\.tmp$/];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Relative paths (posix separators) of every file under dir
+function walk(dir, prefix = '') {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(d => {
+        const relative = prefix ? `${prefix}/${d.name}` : d.name;
+        if (d.isDirectory()) return walk(path.join(dir, d.name), relative);
+        return d.isFile() ? [relative] : [];
+    });
+}
+
+// Roots captured as files: 'memory' (minus documents and SKIP) plus options.dirs ({ name: path })
+function roots(memory, documentFiles, dirs = {}) {
+    const owned = new Set(documentFiles.map(f => path.relative(memory.storagePath, f).split(path.sep).join('/')));
+    return {
+        memory: {
+            dir: memory.storagePath,
+            include: (relative) => !owned.has(relative) && !SKIP.some(re => re.test(relative))
+        },
+        ...Object.fromEntries(Object.entries(dirs).map(([name, dir]) => [name, { dir, include: () => true }]))
+    };
+}
+
+// Lengths of a document's top-level arrays, e.g. { entries: 42 }
+function summarize(doc) {
+    return Object.fromEntries(Object.entries(doc || {}).filter(([, v]) => Array.isArray(v)).map(([k, v]) => [k, v.length]));
+}
+
+// Build an archive of `memory` in memory. documents: storage document names;
+// options: { dirs: { name: path }, label }
+function buildSnapshot(memory, documents, options = {}) {
+    const archive = {
+        format: SNAPSHOT_FORMAT,
+        version: SNAPSHOT_VERSION,
+        manifest: {
+            createdAt: new Date().toISOString(),
+            label: options.label || null,
+            storageBackend: memory.storage.name,
+            vectorBackend: memory.vectorMemory?.initialized ? 'chroma (not captured)' : 'index',
+            documents: {},
+            // Directories captured as files: 'memory' plus the names in options.dirs
+            roots: [],
+            files: {}
+        },
+        documents: {},
+        files: {}
+    };
+
+    for (const name of documents) {
+        const doc = memory.storage.read(name);
+        const json = JSON.stringify(doc);
+        archive.documents[name] = doc;
+        archive.manifest.documents[name] = { sha256: sha256(json), bytes: Buffer.byteLength(json), counts: summarize(doc) };
+    }
+
+    // Flush buffered vector index state so the files on disk are complete
+    memory.vectorMemory?.close();
+
+    const documentFiles = documents.flatMap(name => memory.storage.files(name));
+    for (const [root, { dir, include }] of Object.entries(roots(memory, documentFiles, options.dirs))) {
+        archive.manifest.roots.push(root);
+        for (const relative of walk(dir).filter(include)) {
+            const data = fs.readFileSync(path.join(dir, relative));
+            const key = `${root}/${relative}`;
+            archive.files[key] = data.toString('base64');
+            archive.manifest.files[key] = { sha256: sha256(data), bytes: data.length };
+        }
+    }
+
+    archive.checksum = sha256(JSON.stringify(archive.manifest));
+    return archive;
+}
+
+function writeSnapshot(archive, file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, zlib.gzipSync(JSON.stringify(archive)));
+    fs.renameSync(tmp, file);
+    return file;
+}
+
+// Checksum problems in an archive: [] when intact
+function verifySnapshot(archive) {
+    const problems = [];
+    if (archive.checksum !== sha256(JSON.stringify(archive.manifest))) {
+        problems.push('manifest checksum mismatch');
+    }
+    for (const [name, info] of Object.entries(archive.manifest.documents)) {
+        if (!(name in archive.documents)) problems.push(`document ${name} missing`);
+        else if (sha256(JSON.stringify(archive.documents[name])) !== info.sha256) problems.push(`document ${name} checksum mismatch`);
+    }
+    for (const [key, info] of Object.entries(archive.manifest.files)) {
+        if (!(key in archive.files)) problems.push(`file ${key} missing`);
+        else if (sha256(Buffer.from(archive.files[key], 'base64')) !== info.sha256) problems.push(`file ${key} checksum mismatch`);
+    }
+    return problems;
+}
+
+// Load and verify an archive; throws if it is unreadable, from a newer version or corrupt
+function readSnapshot(file) {
+    let archive;
+    try {
+        archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read snapshot ${file}: ${error.message}`);
+    }
+
+    if (archive.format !== SNAPSHOT_FORMAT) {
+        throw new Error(`${file} is not a memory snapshot`);
+    }
+    if (archive.version > SNAPSHOT_VERSION) {
+        throw new Error(`Snapshot version ${archive.version} is newer than supported (${SNAPSHOT_VERSION})`);
+    }
+
+    const problems = verifySnapshot(archive);
+    if (problems.length > 0) {
+        throw new Error(`Snapshot ${file} failed verification: ${problems.join('; ')}`);
+    }
+    return archive;
+}
+
+// Replace the store's contents with the archive's. Files under a captured root that the archive
+// doesn't have are deleted, so the result matches the snapshot exactly. options: { dirs }
+function applySnapshot(memory, archive, documents, options = {}) {
+    const problems = verifySnapshot(archive);
+    if (problems.length > 0) {
+        throw new Error(`Snapshot failed verification: ${problems.join('; ')}`);
+    }
+
+    // Vector files are about to be replaced underneath the open index
+    memory.vectorMemory?.close();
+    memory.vectorMemory = null;
+
+    for (const name of documents) {
+        if (name in archive.documents) {
+            memory.storage.withLock(name, () => memory.storage.write(name, archive.documents[name]));
+        }
+    }
+
+    const documentFiles = documents.flatMap(name => memory.storage.files(name));
+    const archived = Object.keys(archive.files);
+    for (const [root, { dir, include }] of Object.entries(roots(memory, documentFiles, options.dirs))) {
+        if (!archive.manifest.roots.includes(root)) continue;
+        const prefix = `${root}/`;
+
+        const keep = new Set(archived.filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length)));
+        walk(dir).filter(include).filter(relative => !keep.has(relative)).forEach(relative => fs.unlinkSync(path.join(dir, relative)));
+
+        for (const relative of keep) {
+            const full = path.join(dir, relative);
+            fs.mkdirSync(path.dirname(full), { recursive: true });
+            fs.writeFileSync(full, Buffer.from(archive.files[prefix + relative], 'base64'));
+        }
+    }
+
+    return archive.manifest;
+}
+
+// What changed from archive a to archive b: document counts, knowledge entries by id, files by checksum
+function diffSnapshots(a, b) {
+    const documents = {};
+    for (const name of new Set([...Object.keys(a.manifest.documents), ...Object.keys(b.manifest.documents)])) {
+        const from = a.manifest.documents[name];
+        const to = b.manifest.documents[name];
+        documents[name] = {
+            changed: from?.sha256 !== to?.sha256,
+            counts: Object.fromEntries([...new Set([...Object.keys(from?.counts || {}), ...Object.keys(to?.counts || {})])]
+                .map(key => [key, [from?.counts?.[key] ?? 0, to?.counts?.[key] ?? 0]]))
+        };
+    }
+
+    const entries = (archive) => new Map((archive.documents.knowledge?.entries || []).map(e => [e.id, e]));
+    const before = entries(a);
+    const after = entries(b);
+    const brief = (e) => ({ id: e.id, topic: e.topic, revision: e.revision || 1 });
+    const knowledge = {
+        added: [...after.values()].filter(e => !before.has(e.id)).map(brief),
+        removed: [...before.values()].filter(e => !after.has(e.id)).map(brief),
+        changed: [...after.values()]
+            .filter(e => before.has(e.id) && JSON.stringify(before.get(e.id)) !== JSON.stringify(e))
+            .map(e => ({ ...brief(e), fromRevision: before.get(e.id).revision || 1 }))
+    };
+
+    const fileKeys = new Set([...Object.keys(a.manifest.files), ...Object.keys(b.manifest.files)]);
+    const files = { added: [], removed: [], changed: [] };
+    for (const key of [...fileKeys].sort()) {
+        const from = a.manifest.files[key];
+        const to = b.manifest.files[key];
+        if (!from) files.added.push(key);
+        else if (!to) files.removed.push(key);
+        else if (from.sha256 !== to.sha256) files.changed.push(key);
+    }
+
+    return {
+        from: { createdAt: a.manifest.createdAt, label: a.manifest.label },
+        to: { createdAt: b.manifest.createdAt, label: b.manifest.label },
+        documents,
+        knowledge,
+        files
+    };
+}
+
+export {
+    SNAPSHOT_FORMAT,
+    SNAPSHOT_VERSION,
+    buildSnapshot,
+    writeSnapshot,
+    readSnapshot,
+    verifySnapshot,
+    applySnapshot,
+    diffSnapshots
+};
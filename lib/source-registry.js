@@ -0,0 +1,201 @@
+// Source Reliability Registry
+// Trust ratings for research sources, keyed by domain for URLs ('arxiv.org'), 'file' for local
+// documents and the bare label otherwise ('browser', 'web'). A rating starts from a prior and is
+// learned from outcomes: verification passes and failures, and human approvals, corrections and
+// rejections (which count double). Domains can also be marked preferred or blocked for research
+
+// Priors by domain (subdomains inherit) and by top-level domain; DEFAULT_PRIOR for other domains
+const DOMAIN_PRIORS = {
+    'arxiv.org': 0.9,
+    'nist.gov': 0.95,
+    'owasp.org': 0.9,
+    'acm.org': 0.9,
+    'ieee.org': 0.9,
+    'nature.com': 0.9,
+    'github.com': 0.75,
+    'wikipedia.org': 0.75,
+    'stackoverflow.com': 0.65,
+    'medium.com': 0.45,
+    'reddit.com': 0.35,
+    'quora.com': 0.3,
+    'twitter.com': 0.3,
+    'x.com': 0.3
+};
+const TLD_PRIORS = { gov: 0.9, edu: 0.85 };
+const DEFAULT_PRIOR = 0.55;
+// Local files were put there by a person; labels ('browser', 'web') and other schemes prove little
+const FILE_PRIOR = 0.6;
+const LABEL_PRIOR = 0.2;
+
+// Evidence weights per outcome: [positive, negative]
+const OUTCOMES = {
+    verified: [1, 0],
+    failed: [0, 1],
+    approved: [2, 0],
+    corrected: [1, 0.5],
+    rejected: [0, 2]
+};
+
+const STATUSES = ['preferred', 'blocked'];
+
+function isWebSource(source) {
+    return typeof source === 'string' && /^https?:\/\//.test(source);
+}
+
+class SourceRegistry {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.document = options.document || 'sources';
+        this.priors = { ...DOMAIN_PRIORS, ...options.priors };
+        // How many outcomes the prior is worth: higher means ratings move more slowly
+        this.priorStrength = options.priorStrength ?? 4;
+    }
+
+    // Registry key of a source: 'arxiv.org' for https://www.arxiv.org/abs/..., 'file' for file: URLs,
+    // the scheme for other URLs (mock://x -> 'mock'), the lowercased label otherwise
+    key(source) {
+        const text = String(source || '').trim();
+        if (isWebSource(text)) {
+            try {
+                return new URL(text).hostname.replace(/^www\./, '').toLowerCase();
+            } catch {
+                return text.toLowerCase();
+            }
+        }
+        const scheme = text.match(/^([a-z][a-z0-9+.-]*):/i)?.[1];
+        if (scheme) return scheme.toLowerCase();
+        // A bare domain ('arxiv.org') is still a domain
+        return text.toLowerCase().replace(/^www\./, '');
+    }
+
+    prior(key) {
+        if (key === 'file') return FILE_PRIOR;
+        if (!key.includes('.')) return LABEL_PRIOR;
+        const known = Object.keys(this.priors).find(d => key === d || key.endsWith(`.${d}`));
+        if (known) return this.priors[known];
+        return TLD_PRIORS[key.split('.').pop()] ?? DEFAULT_PRIOR;
+    }
+
+    records() {
+        return this.storage.read(this.document).domains;
+    }
+
+    // { key, prior, rating, positive, negative, counts, status, note, updatedAt } for a source.
+    // A subdomain without its own record uses its parent domain's status
+    get(source) {
+        const key = this.key(source);
+        const records = this.records();
+        const record = records.find(r => r.id === key);
+        const parent = record?.status ? null : records.find(r => r.status && key.endsWith(`.${r.id}`));
+
+        const prior = this.prior(key);
+        const positive = record?.positive || 0;
+        const negative = record?.negative || 0;
+        return {
+            key,
+            prior,
+            rating: (prior * this.priorStrength + positive) / (this.priorStrength + positive + negative),
+            positive,
+            negative,
+            counts: record?.counts || {},
+            status: record?.status || parent?.status || null,
+            note: record?.note || parent?.note || null,
+            updatedAt: record?.updatedAt || null
+        };
+    }
+
+    // Learned reliability (0-1)
+    rate(source) {
+        return this.get(source).rating;
+    }
+
+    // Record an outcome ('verified' | 'failed' | 'approved' | 'corrected' | 'rejected') for every
+    // distinct source key in `sources`
+    record(sources, outcome) {
+        const weights = OUTCOMES[outcome];
+        if (!weights) {
+            throw new Error(`Unknown source outcome: ${outcome} (expected ${Object.keys(OUTCOMES).join(', ')})`);
+        }
+
+        const keys = [...new Set([].concat(sources || []).filter(Boolean).map(s => this.key(s)))];
+        if (keys.length === 0) return [];
+
+        this.storage.withLock(this.document, () => {
+            const records = this.records();
+            const updatedAt = new Date().toISOString();
+            this.storage.apply(this.document, keys.map(key => {
+                const current = records.find(r => r.id === key);
+                const value = {
+                    positive: (current?.positive || 0) + weights[0],
+                    negative: (current?.negative || 0) + weights[1],
+                    counts: { ...current?.counts, [outcome]: (current?.counts?.[outcome] || 0) + 1 },
+                    updatedAt
+                };
+                return current
+                    ? { op: 'patch', path: 'domains', id: key, value }
+                    : { op: 'push', path: 'domains', value: { id: key, status: null, ...value } };
+            }));
+        });
+        return keys.map(key => this.get(key));
+    }
+
+    // Mark a domain 'preferred' or 'blocked' for research, or clear the mark with null
+    setStatus(source, status, note = null) {
+        if (status !== null && !STATUSES.includes(status)) {
+            throw new Error(`Unknown source status: ${status} (expected ${STATUSES.join(', ')})`);
+        }
+
+        const key = this.key(source);
+        this.storage.withLock(this.document, () => {
+            const value = { status, note, updatedAt: new Date().toISOString() };
+            this.storage.apply(this.document, [this.records().some(r => r.id === key)
+                ? { op: 'patch', path: 'domains', id: key, value }
+                : { op: 'push', path: 'domains', value: { id: key, positive: 0, negative: 0, counts: {}, ...value } }]);
+        });
+        return this.get(key);
+    }
+
+    prefer(source, note) {
+        return this.setStatus(source, 'preferred', note);
+    }
+
+    block(source, note) {
+        return this.setStatus(source, 'blocked', note);
+    }
+
+    unmark(source) {
+        return this.setStatus(source, null);
+    }
+
+    isBlocked(source) {
+        return this.get(source).status === 'blocked';
+    }
+
+    preferredDomains() {
+        return this.records().filter(r => r.status === 'preferred').map(r => r.id);
+    }
+
+    blockedDomains() {
+        return this.records().filter(r => r.status === 'blocked').map(r => r.id);
+    }
+
+    // Sources in research order: blocked ones dropped, preferred first, then by rating
+    // (the original order breaks ties)
+    rank(sources) {
+        return [].concat(sources || [])
+            .map((source, index) => ({ source, index, info: this.get(source) }))
+            .filter(s => s.info.status !== 'blocked')
+            .sort((a, b) =>
+                (b.info.status === 'preferred') - (a.info.status === 'preferred')
+                || b.info.rating - a.info.rating
+                || a.index - b.index)
+            .map(s => s.source);
+    }
+
+    // Every source with a record, best rated first
+    list() {
+        return this.records().map(r => this.get(r.id)).sort((a, b) => b.rating - a.rating || a.key.localeCompare(b.key));
+    }
+}
+
+export { SourceRegistry, DOMAIN_PRIORS, OUTCOMES, isWebSource };
@@ -0,0 +1,320 @@
+// Storage Engine for MemorySystem
+// Pluggable backends behind one API: whole-file JSON or an append-only operation log.
+// Both write atomically and serialize writers across processes with a lock file.
+//
+// A store holds named documents (knowledge, metrics, evaluation). Writers describe
+// changes as operations so the log backend can append them instead of rewriting:
+//   { op: 'push', path: 'entries', value }          append to an array
+//   { op: 'patch', path: 'entries', id, value }     merge into the array item with that id
+//   { op: 'remove', path: 'entries', id }           drop the array item with that id
+//   { op: 'set', path: 'lastUpdated', value }       set a field
+//   { op: 'inc', path: 'totalTasks', value }        add to a numeric field
+//   { op: 'replace', value }                        replace the whole document
+
+import fs from 'fs';
+import path from 'path';
+import { withFileLock, isProcessAlive } from './file-lock.js';
+
+// Documents handed out by read() and apply() are frozen and shared, never cloned whole.
+// Applying ops copies only what they touch: the document object, each changed array and
+// each changed record; everything else is shared with the previous version.
+function deepFreeze(value) {
+    if (value === null || typeof value !== 'object' || Object.isFrozen(value)) return value;
+    Object.freeze(value);
+    for (const child of Object.values(value)) deepFreeze(child);
+    return value;
+}
+
+function applyOps(doc, ops) {
+    let next = { ...doc };
+    // Arrays already copied for this batch, safe to change in place
+    let owned = new Set();
+    const list = (key) => {
+        if (!owned.has(key)) {
+            next[key] = [...(next[key] || [])];
+            owned.add(key);
+        }
+        return next[key];
+    };
+
+    for (const op of ops) {
+        switch (op.op) {
+            case 'replace':
+                next = structuredClone(op.value);
+                owned = new Set(Object.keys(next));
+                break;
+            case 'set':
+                next[op.path] = structuredClone(op.value);
+                owned.add(op.path);
+                break;
+            case 'inc':
+                next[op.path] = (next[op.path] || 0) + op.value;
+                break;
+            case 'push':
+                list(op.path).push(structuredClone(op.value));
+                break;
+            case 'patch': {
+                const items = list(op.path);
+                const index = items.findIndex(i => i.id === op.id);
+                if (index !== -1) items[index] = { ...items[index], ...structuredClone(op.value) };
+                break;
+            }
+            case 'remove':
+                next[op.path] = (next[op.path] || []).filter(i => i.id !== op.id);
+                owned.add(op.path);
+                break;
+            default:
+                throw new Error(`Unknown storage operation: ${op.op}`);
+        }
+    }
+    return deepFreeze(next);
+}
+
+// Write to a temp file, fsync, then rename over the target
+function writeFileAtomic(file, content) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, file);
+}
+
+class StorageBackend {
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || './memory';
+        this.defaults = options.defaults || {};
+        this.lockTimeout = options.lockTimeout || 10000;
+        this.staleLockAge = options.staleLockAge || 30000;
+
+        if (!fs.existsSync(this.storagePath)) {
+            fs.mkdirSync(this.storagePath, { recursive: true });
+        }
+        this.cleanupTempFiles();
+    }
+
+    defaultDoc(name) {
+        return deepFreeze(structuredClone(this.defaults[name] || {}));
+    }
+
+    // Leftovers from a crash mid-write
+    cleanupTempFiles() {
+        fs.readdirSync(this.storagePath)
+            .filter(f => f.endsWith('.tmp'))
+            .forEach(f => {
+                const pid = parseInt(f.split('.').slice(-2)[0]);
+                if (!isProcessAlive(pid)) {
+                    fs.unlinkSync(path.join(this.storagePath, f));
+                }
+            });
+    }
+
+    // Run fn while holding an exclusive lock on a document (re-entrant within a process)
+    withLock(name, fn) {
+        const lockFile = path.resolve(this.storagePath, `${name}.lock`);
+        return withFileLock(lockFile, fn, { timeout: this.lockTimeout, staleAge: this.staleLockAge, name });
+    }
+
+    read(name) {
+        throw new Error(`${this.constructor.name}: read() not implemented`);
+    }
+
+    apply(name, ops) {
+        throw new Error(`${this.constructor.name}: apply() not implemented`);
+    }
+
+    write(name, doc) {
+        return this.apply(name, [{ op: 'replace', value: doc }]);
+    }
+
+    // Files that make up a document (for backups and snapshots)
+    files(name) {
+        return [];
+    }
+}
+
+// One JSON file per document, rewritten atomically on every change
+class JsonStorage extends StorageBackend {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'json';
+    }
+
+    fileFor(name) {
+        return path.join(this.storagePath, `${name}.json`);
+    }
+
+    read(name) {
+        try {
+            return deepFreeze(JSON.parse(fs.readFileSync(this.fileFor(name), 'utf-8')));
+        } catch {
+            return this.defaultDoc(name);
+        }
+    }
+
+    apply(name, ops) {
+        return this.withLock(name, () => {
+            const doc = applyOps(this.read(name), ops);
+            writeFileAtomic(this.fileFor(name), JSON.stringify(doc, null, 2));
+            return doc;
+        });
+    }
+
+    files(name) {
+        return [this.fileFor(name)];
+    }
+}
+
+// Append-only operation log per document plus a periodically compacted snapshot.
+// Ops carry the snapshot generation they follow, so a crash between writing a new
+// snapshot and truncating the log never replays an op twice.
+class LogStorage extends StorageBackend {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'log';
+        this.compactEvery = options.compactEvery || 1000;
+        this.cache = {};
+    }
+
+    logFile(name) {
+        return path.join(this.storagePath, `${name}.log`);
+    }
+
+    snapshotFile(name) {
+        return path.join(this.storagePath, `${name}.snapshot.json`);
+    }
+
+    loadSnapshot(name) {
+        try {
+            return JSON.parse(fs.readFileSync(this.snapshotFile(name), 'utf-8'));
+        } catch {
+            return { generation: 0, doc: this.defaultDoc(name) };
+        }
+    }
+
+    // Replay log lines after `offset`; a torn trailing line is left for the next writer to fix
+    replay(state, text) {
+        let consumed = 0;
+        const ops = [];
+
+        for (const line of text.split('\n').slice(0, -1)) {
+            consumed += Buffer.byteLength(line) + 1;
+            if (!line.trim()) continue;
+
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                continue;
+            }
+
+            if (record.generation === state.generation) {
+                ops.push(...record.ops);
+                state.opCount++;
+            }
+        }
+
+        // One batch, so each touched array is copied once rather than once per line
+        if (ops.length > 0) state.doc = applyOps(state.doc, ops);
+        state.offset += consumed;
+        return state;
+    }
+
+    // Current document, reading only the log bytes appended since the last call
+    load(name) {
+        const snapshotStat = fs.existsSync(this.snapshotFile(name)) ? fs.statSync(this.snapshotFile(name)).mtimeMs : 0;
+        const logSize = fs.existsSync(this.logFile(name)) ? fs.statSync(this.logFile(name)).size : 0;
+
+        let state = this.cache[name];
+        if (!state || state.snapshotStat !== snapshotStat || logSize < state.offset) {
+            const snapshot = this.loadSnapshot(name);
+            state = { generation: snapshot.generation, doc: deepFreeze(snapshot.doc), offset: 0, opCount: 0, snapshotStat };
+        }
+
+        if (logSize > state.offset) {
+            const fd = fs.openSync(this.logFile(name), 'r');
+            const buffer = Buffer.alloc(logSize - state.offset);
+            fs.readSync(fd, buffer, 0, buffer.length, state.offset);
+            fs.closeSync(fd);
+            this.replay(state, buffer.toString('utf-8'));
+        }
+
+        this.cache[name] = state;
+        return state;
+    }
+
+    read(name) {
+        return this.load(name).doc;
+    }
+
+    apply(name, ops) {
+        return this.withLock(name, () => {
+            const state = this.load(name);
+            const file = this.logFile(name);
+
+            // Terminate a torn line left by a crashed writer
+            const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            if (size > state.offset) {
+                fs.appendFileSync(file, '\n');
+                state.offset = size + 1;
+            }
+
+            const line = JSON.stringify({ generation: state.generation, ops, at: new Date().toISOString() }) + '\n';
+            const fd = fs.openSync(file, 'a');
+            try {
+                fs.writeSync(fd, line);
+                fs.fsyncSync(fd);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            state.doc = applyOps(state.doc, ops);
+            state.offset += Buffer.byteLength(line);
+            state.opCount++;
+
+            if (state.opCount >= this.compactEvery) {
+                this.compact(name, state);
+            }
+
+            return state.doc;
+        });
+    }
+
+    // Fold the log into a new snapshot generation (caller holds the lock)
+    compact(name, state = this.load(name)) {
+        const generation = state.generation + 1;
+        writeFileAtomic(this.snapshotFile(name), JSON.stringify({
+            generation,
+            doc: state.doc,
+            compactedAt: new Date().toISOString()
+        }));
+        fs.writeFileSync(this.logFile(name), '');
+
+        delete this.cache[name];
+        return { generation };
+    }
+
+    files(name) {
+        return [this.snapshotFile(name), this.logFile(name)];
+    }
+}
+
+const BACKENDS = {
+    json: JsonStorage,
+    log: LogStorage
+};
+
+function createStorage(backend, options = {}) {
+    if (backend instanceof StorageBackend) return backend;
+
+    const Backend = BACKENDS[backend];
+    if (!Backend) {
+        throw new Error(`Unknown storage backend: ${backend}`);
+    }
+    return new Backend(options);
+}
+
+export { StorageBackend, JsonStorage, LogStorage, createStorage, applyOps, writeFileAtomic };
@@ -0,0 +1,204 @@
+// Topic Taxonomy
+// Hierarchical topic tree stored with memory, and an auto-tagger that files entries under it
+// (keyword rules offline, the LLM when one is configured)
+
+import fs from 'fs';
+import { tokenize } from './embeddings.js';
+
+// Written to taxonomy.json on first use; edit the file to reshape the tree
+const DEFAULT_TAXONOMY = {
+    nodes: [
+        {
+            id: 'ai', label: 'AI & Machine Learning',
+            keywords: ['ai', 'artificial intelligence', 'machine learning', 'ml', 'neural', 'deep learning'],
+            children: [
+                {
+                    id: 'llm', label: 'Large Language Models',
+                    keywords: ['llm', 'llms', 'language model', 'language models', 'gpt', 'claude', 'transformer', 'transformers'],
+                    children: [
+                        { id: 'prompt-engineering', label: 'Prompt Engineering', keywords: ['prompt', 'prompts', 'prompting', 'chain of thought', 'few-shot', 'prompt injection'] },
+                        { id: 'rag', label: 'Retrieval-Augmented Generation', keywords: ['rag', 'retrieval', 'augmented generation', 'reranking', 'reranker'] }
+                    ]
+                },
+                { id: 'agents', label: 'Agents', keywords: ['agent', 'agents', 'autonomous', 'multi-agent', 'tool use', 'agentic'] },
+                { id: 'ai-safety', label: 'AI Safety', keywords: ['safety', 'alignment', 'red teaming', 'interpretability', 'guardrails', 'jailbreak'] },
+                { id: 'vector-search', label: 'Vector Search', keywords: ['vector database', 'vector databases', 'embedding', 'embeddings', 'hnsw', 'similarity search'] }
+            ]
+        },
+        {
+            id: 'security', label: 'Security',
+            keywords: ['security', 'cybersecurity', 'threat', 'threats', 'attack', 'attacks', 'vulnerability', 'vulnerabilities', 'cve', 'malware'],
+            children: [
+                { id: 'web-security', label: 'Web Security', keywords: ['web application', 'xss', 'csrf', 'owasp', 'sql injection', 'cross-site'] },
+                { id: 'offensive-security', label: 'Offensive Security', keywords: ['penetration testing', 'pentest', 'ethical hacking', 'hacking', 'exploit', 'exploits'] },
+                { id: 'defensive-security', label: 'Defensive Security', keywords: ['incident response', 'detection', 'siem', 'hardening', 'threat modeling'] }
+            ]
+        },
+        {
+            id: 'software', label: 'Software Engineering',
+            keywords: ['programming', 'software', 'code', 'library', 'framework', 'api'],
+            children: [
+                { id: 'languages', label: 'Programming Languages', keywords: ['javascript', 'typescript', 'python', 'rust', 'golang', 'java'] },
+                { id: 'devops', label: 'DevOps & Infrastructure', keywords: ['kubernetes', 'docker', 'deployment', 'cloud', 'ci/cd'] }
+            ]
+        },
+        { id: 'science', label: 'Science & Research', keywords: ['physics', 'biology', 'chemistry', 'quantum', 'research paper'] },
+        { id: 'news', label: 'Technology News', keywords: ['news', 'latest', 'announced', 'launch', 'release'] }
+    ]
+};
+
+class Taxonomy {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.load();
+    }
+
+    load() {
+        if (this.filePath && !fs.existsSync(this.filePath)) {
+            fs.writeFileSync(this.filePath, JSON.stringify(DEFAULT_TAXONOMY, null, 2));
+        }
+
+        let tree = DEFAULT_TAXONOMY;
+        try {
+            if (this.filePath) tree = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+        } catch (error) {
+            console.log(`⚠️  Could not read ${this.filePath}: ${error.message}`);
+        }
+
+        // id -> { id, label, keywords, parent, children: [ids], depth }
+        this.roots = [];
+        this.byId = new Map();
+        const visit = (node, parent, depth) => {
+            if (this.byId.has(node.id)) {
+                throw new Error(`Duplicate taxonomy node id: ${node.id}`);
+            }
+            this.byId.set(node.id, {
+                id: node.id,
+                label: node.label || node.id,
+                keywords: (node.keywords || []).map(k => k.toLowerCase()),
+                parent,
+                children: (node.children || []).map(c => c.id),
+                depth
+            });
+            (node.children || []).forEach(child => visit(child, node.id, depth + 1));
+        };
+        (tree.nodes || []).forEach(node => {
+            this.roots.push(node.id);
+            visit(node, null, 0);
+        });
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    nodes() {
+        return [...this.byId.values()];
+    }
+
+    // Root-first chain of ids ending at `id`
+    ancestry(id) {
+        const chain = [];
+        for (let node = this.get(id); node; node = this.get(node.parent)) {
+            chain.unshift(node.id);
+        }
+        return chain;
+    }
+
+    path(id) {
+        return this.ancestry(id).join('/');
+    }
+
+    // The node and everything below it
+    subtree(id) {
+        const node = this.get(id);
+        if (!node) return [];
+        return [id, ...node.children.flatMap(child => this.subtree(child))];
+    }
+
+    // Keyword score per node: topic/tag hits count double, content hits are capped per keyword
+    score(entry) {
+        const head = [entry.topic, ...(entry.tags || [])].filter(Boolean).join(' ').toLowerCase();
+        const body = String(entry.content || '').toLowerCase().slice(0, 5000);
+        const headTokens = tokenize(head);
+        const bodyTokens = tokenize(body);
+
+        const count = (text, tokens, keyword) => keyword.includes(' ') || keyword.includes('-') || keyword.includes('/')
+            ? text.split(keyword).length - 1
+            : tokens.filter(t => t === keyword).length;
+
+        const scores = [];
+        for (const node of this.byId.values()) {
+            const score = node.keywords.reduce((sum, kw) =>
+                sum + 2 * count(head, headTokens, kw) + Math.min(2, count(body, bodyTokens, kw)), 0);
+            if (score > 0) scores.push({ id: node.id, score });
+        }
+        return scores.sort((a, b) => b.score - a.score);
+    }
+
+    // Drop nodes whose descendant is also selected (the ancestor is implied)
+    mostSpecific(ids) {
+        return ids.filter(id => !ids.some(other => other !== id && this.ancestry(other).includes(id)));
+    }
+}
+
+class AutoTagger {
+    constructor(taxonomy, options = {}) {
+        this.taxonomy = taxonomy;
+        // LLMProvider (lib/llm-providers.js); keyword rules only when null
+        this.llm = options.llm || null;
+        this.minScore = options.minScore || 2;
+        this.maxNodes = options.maxNodes || 3;
+    }
+
+    // { taxonomy: [most specific node ids], tags: [node ids with ancestors], method }
+    result(ids, method) {
+        const nodes = this.taxonomy.mostSpecific([...new Set(ids)].filter(id => this.taxonomy.get(id)));
+        return {
+            taxonomy: nodes,
+            tags: [...new Set(nodes.flatMap(id => this.taxonomy.ancestry(id)))],
+            method
+        };
+    }
+
+    tagSync(entry) {
+        const ids = this.taxonomy.score(entry)
+            .filter(s => s.score >= this.minScore)
+            .slice(0, this.maxNodes)
+            .map(s => s.id);
+        return this.result(ids, 'keywords');
+    }
+
+    async tag(entry) {
+        if (!this.llm) return this.tagSync(entry);
+
+        const nodes = this.taxonomy.nodes()
+            .map(n => `${'  '.repeat(n.depth)}- ${n.id}: ${n.label}`)
+            .join('\n');
+
+        const prompt = `
+Classify this knowledge entry into a topic taxonomy.
+
+Taxonomy (id: label):
+${nodes}
+
+Entry topic: ${entry.topic}
+Entry content: ${String(entry.content || '').slice(0, 2000)}
+
+Pick up to ${this.maxNodes} of the most specific matching node ids. Respond with JSON:
+{ "nodes": ["node-id"] }
+`;
+
+        try {
+            const response = await this.llm.json(prompt);
+            const ids = (response.nodes || []).filter(id => this.taxonomy.get(id));
+            if (ids.length > 0) return this.result(ids, 'llm');
+        } catch (error) {
+            console.log(`   ⚠️  LLM tagging failed, using keyword rules: ${error.message}`);
+        }
+
+        return this.tagSync(entry);
+    }
+}
+
+export { Taxonomy, AutoTagger, DEFAULT_TAXONOMY };
@@ -0,0 +1,54 @@
+// Text Diff
+// Line-based diff (longest common subsequence) for comparing knowledge revisions
+
+function splitLines(text) {
+    return text === undefined || text === null || text === '' ? [] : String(text).split('\n');
+}
+
+// [{ type: 'equal' | 'add' | 'remove', line }] turning `before` into `after`
+function diffLines(before, after) {
+    const a = splitLines(before);
+    const b = splitLines(after);
+
+    // lcs[i][j] = length of the common subsequence of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            changes.push({ type: 'equal', line: a[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            changes.push({ type: 'remove', line: a[i++] });
+        } else {
+            changes.push({ type: 'add', line: b[j++] });
+        }
+    }
+    while (i < a.length) changes.push({ type: 'remove', line: a[i++] });
+    while (j < b.length) changes.push({ type: 'add', line: b[j++] });
+
+    return changes;
+}
+
+// Unified-style text: "+" added, "-" removed, " " unchanged
+function formatDiff(changes) {
+    const prefix = { equal: ' ', add: '+', remove: '-' };
+    return changes.map(c => `${prefix[c.type]} ${c.line}`).join('\n');
+}
+
+function diffStats(changes) {
+    return {
+        added: changes.filter(c => c.type === 'add').length,
+        removed: changes.filter(c => c.type === 'remove').length
+    };
+}
+
+export { diffLines, formatDiff, diffStats };
@@ -5,6 +5,7 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import { createProvider } from './llm-providers.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -12,7 +13,7 @@ const __dirname = path.dirname(__filename);
 class ToolCreator {
     constructor(options = {}) {
         this.toolsPath = options.toolsPath || './tools';
-        this.llm = options.llm || null;
+        this.llm = createProvider(options.llm);
         this.toolRegistry = {};
         
         this.ensureDirectories();
@@ -67,8 +68,7 @@ Respond with JSON:
 `;
 
         try {
-            const response = await this.llm(prompt);
-            return JSON.parse(response);
+            return await this.llm.json(prompt);
         } catch (e) {
             console.log('⚠️ LLM analysis failed, using simple analysis');
             return this.simpleAnalyze(need);
@@ -207,8 +207,7 @@ Respond with JSON:
 `;
 
         try {
-            const response = await this.llm(prompt);
-            const result = JSON.parse(response);
+            const result = await this.llm.json(prompt);
             
             const toolFile = path.join(this.toolsPath, 'generated', `${result.toolName}.js`);
             fs.writeFileSync(toolFile, result.code);
@@ -333,8 +332,7 @@ Respond with JSON array:
   {"description": "tool need", "context": "why needed", "priority": "high/medium/low"}
 ]
 `;
-                const response = await this.llm(prompt);
-                const llmNeeds = JSON.parse(response);
+                const llmNeeds = await this.llm.json(prompt);
                 needs.push(...llmNeeds);
             } catch (e) {
                 console.log('⚠️ Could not analyze for tool needs');
@@ -402,10 +400,10 @@ async function main() {
                 console.log('Usage: create <description>');
                 process.exit(1);
             }
-            const result = await toolCreator.createFromNeed({
+            const createResult = await toolCreator.createFromNeed({
                 description: args.slice(1).join(' ')
             });
-            console.log(JSON.stringify(result, null, 2));
+            console.log(JSON.stringify(createResult, null, 2));
             break;
 
         case 'list':
@@ -426,8 +424,8 @@ async function main() {
                 const [k, v] = p.split('=');
                 params[k] = v;
             });
-            const result = await toolCreator.useTool(args[1], params);
-            console.log(JSON.stringify(result, null, 2));
+            const useResult = await toolCreator.useTool(args[1], params);
+            console.log(JSON.stringify(useResult, null, 2));
             break;
 
         case 'info':
@@ -445,4 +443,7 @@ async function main() {
 
 export default ToolCreator;
 
-main();
+// Run if called directly
+if (process.argv[1] === __filename) {
+    main();
+}
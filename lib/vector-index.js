@@ -0,0 +1,763 @@
+// Embedded Vector Index
+// Pure-JS, in-process, on-disk vector store (flat or HNSW) - no server required
+//
+// Layout of the index directory:
+//   index.json     header (dimension, metric, type)
+//   vectors.bin    float32 rows, appended in insertion order
+//   records.jsonl  one line per add/delete ({ op, id, row, document, metadata })
+//   hnsw.json      persisted HNSW graph (rebuilt for any rows it doesn't cover)
+//   compact.json   present only while compacted files are being swapped in
+//   index.lock     held while a process writes (lib/file-lock.js, as the storage engine does)
+//
+// Every write first reads what other processes appended since this instance last looked, so
+// row numbers stay consistent when a daemon and a CLI command share one index.
+
+import fs from 'fs';
+import path from 'path';
+import { withFileLock } from './file-lock.js';
+
+// Suffix of the files compaction writes before swapping them in
+const COMPACT_SUFFIX = '.compact.tmp';
+
+// Write a file and fsync it before returning
+function writeFileSynced(file, content) {
+    const fd = fs.openSync(file, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Binary heap ordered by `score` (max-heap when `max` is true)
+class Heap {
+    constructor(max = true) {
+        this.items = [];
+        this.max = max;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    better(a, b) {
+        return this.max ? a.score > b.score : a.score < b.score;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.better(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let best = i;
+                if (left < items.length && this.better(items[left], items[best])) best = left;
+                if (right < items.length && this.better(items[right], items[best])) best = right;
+                if (best === i) break;
+                [items[i], items[best]] = [items[best], items[i]];
+                i = best;
+            }
+        }
+        return top;
+    }
+}
+
+// Deterministic PRNG so rebuilt graphs match the original
+function mulberry32(seed) {
+    return () => {
+        seed |= 0;
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+// Chroma-style `where` filters: { key: value }, { key: { $in: [...] } }, { $and: [...] }, { $or: [...] }
+function matchesFilter(metadata = {}, where) {
+    if (!where || Object.keys(where).length === 0) return true;
+
+    return Object.entries(where).every(([key, condition]) => {
+        if (key === '$and') return condition.every(c => matchesFilter(metadata, c));
+        if (key === '$or') return condition.some(c => matchesFilter(metadata, c));
+
+        const value = metadata[key];
+
+        if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+            return value === condition;
+        }
+
+        return Object.entries(condition).every(([op, expected]) => {
+            switch (op) {
+                case '$eq': return value === expected;
+                case '$ne': return value !== expected;
+                case '$in': return expected.includes(value);
+                case '$nin': return !expected.includes(value);
+                case '$gt': return value > expected;
+                case '$gte': return value >= expected;
+                case '$lt': return value < expected;
+                case '$lte': return value <= expected;
+                case '$contains': return Array.isArray(value)
+                    ? value.includes(expected)
+                    : String(value ?? '').split(',').includes(expected);
+                default: throw new Error(`Unknown filter operator: ${op}`);
+            }
+        });
+    });
+}
+
+class VectorIndex {
+    constructor(options = {}) {
+        this.path = options.path || './vector-index';
+        this.dimension = options.dimension;
+        this.metric = options.metric || 'cosine'; // cosine | dot
+        this.type = options.type || 'hnsw'; // flat | hnsw
+
+        // HNSW parameters
+        this.M = options.M || 16;
+        this.efConstruction = options.efConstruction || 100;
+        this.efSearch = options.efSearch || 50;
+        this.graphFlushInterval = options.graphFlushInterval || 500;
+
+        // Compact on its own once this share of the rows is deleted (false to only compact on
+        // request), but not before compactMinDeleted rows are
+        this.compactRatio = options.compactRatio ?? 0.5;
+        this.compactMinDeleted = options.compactMinDeleted ?? 100;
+        this.lockTimeout = options.lockTimeout;
+
+        this.headerFile = path.join(this.path, 'index.json');
+        this.vectorsFile = path.join(this.path, 'vectors.bin');
+        this.recordsFile = path.join(this.path, 'records.jsonl');
+        this.graphFile = path.join(this.path, 'hnsw.json');
+        this.compactMarker = path.join(this.path, 'compact.json');
+        this.lockFile = path.resolve(this.path, 'index.lock');
+
+        this.graph = null;
+        this.unflushedGraphInserts = 0;
+        this.reset();
+
+        if (!fs.existsSync(this.path)) {
+            fs.mkdirSync(this.path, { recursive: true });
+        }
+        this.withLock(() => this.load());
+    }
+
+    // Run fn holding the index lock, so appends and compaction from other processes can't interleave
+    withLock(fn) {
+        return withFileLock(this.lockFile, fn, { timeout: this.lockTimeout, name: `vector index ${this.path}` });
+    }
+
+    // Forget everything read from disk
+    reset() {
+        this.vectors = new Float32Array(0);
+        this.rows = []; // row -> { id, document, metadata, deleted }
+        this.idToRow = new Map();
+        this.deletedCount = 0;
+        // How far records.jsonl has been read, and which file that was (compaction replaces it)
+        this.recordsOffset = 0;
+        this.recordsInode = null;
+    }
+
+    // Load header, vectors and records; tolerate a torn last write. Called with the lock held
+    load() {
+        this.reset();
+        this.recoverCompaction();
+
+        if (fs.existsSync(this.headerFile)) {
+            const header = JSON.parse(fs.readFileSync(this.headerFile, 'utf-8'));
+            if (this.dimension && header.dimension !== this.dimension) {
+                throw new Error(`Vector index at ${this.path} is ${header.dimension}d, expected ${this.dimension}d`);
+            }
+            this.dimension = header.dimension;
+            this.metric = header.metric;
+            this.type = header.type;
+        } else {
+            if (!this.dimension) {
+                throw new Error('VectorIndex requires a dimension');
+            }
+            this.writeHeader();
+        }
+
+        this.readAppended();
+
+        if (this.type === 'hnsw') {
+            this.loadGraph();
+        }
+    }
+
+    // Read the vectors and records written after what this instance has seen. With the lock held
+    // nobody else is mid-write, so a partial row or line can only be left from a crash
+    readAppended() {
+        const rowBytes = this.dimension * 4;
+        const known = this.rows.length;
+
+        let rowCount = known;
+        if (fs.existsSync(this.vectorsFile)) {
+            const size = fs.statSync(this.vectorsFile).size;
+            // Drop a trailing partial row so later appends stay aligned
+            rowCount = Math.floor(size / rowBytes);
+            if (size !== rowCount * rowBytes) {
+                fs.truncateSync(this.vectorsFile, rowCount * rowBytes);
+            }
+        }
+        if (rowCount > known) {
+            this.ensureCapacity(rowCount);
+            const fd = fs.openSync(this.vectorsFile, 'r');
+            try {
+                const target = new Uint8Array(this.vectors.buffer, known * rowBytes, (rowCount - known) * rowBytes);
+                fs.readSync(fd, target, 0, target.length, known * rowBytes);
+            } finally {
+                fs.closeSync(fd);
+            }
+        }
+
+        if (fs.existsSync(this.recordsFile)) {
+            const stat = fs.statSync(this.recordsFile);
+            this.recordsInode = stat.ino;
+
+            const buffer = Buffer.alloc(stat.size - this.recordsOffset);
+            const fd = fs.openSync(this.recordsFile, 'r');
+            try {
+                fs.readSync(fd, buffer, 0, buffer.length, this.recordsOffset);
+            } finally {
+                fs.closeSync(fd);
+            }
+            const text = buffer.toString('utf-8');
+            this.recordsOffset = stat.size;
+
+            // Terminate a torn last line so the next record starts cleanly
+            if (text.length > 0 && !text.endsWith('\n')) {
+                fs.appendFileSync(this.recordsFile, '\n');
+                this.recordsOffset++;
+            }
+
+            for (const line of text.split('\n')) {
+                if (!line.trim()) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    continue; // Partially written line from a crash
+                }
+
+                if (record.op === 'add' && record.row < rowCount) {
+                    this.markDeleted(record.id);
+                    this.rows[record.row] = {
+                        id: record.id,
+                        document: record.document,
+                        metadata: record.metadata || {},
+                        deleted: false
+                    };
+                    this.idToRow.set(record.id, record.row);
+                } else if (record.op === 'delete') {
+                    this.markDeleted(record.id);
+                }
+            }
+        }
+
+        // Rows written without a matching record are unusable
+        for (let row = known; row < rowCount; row++) {
+            if (!this.rows[row]) {
+                this.rows[row] = { id: null, document: null, metadata: {}, deleted: true };
+                this.deletedCount++;
+            }
+        }
+
+        return rowCount - known;
+    }
+
+    // Catch up with other processes' writes: new rows are read and added to the graph; a
+    // compaction or clear elsewhere (a different or shorter records file) means a full reload
+    sync() {
+        const stat = fs.existsSync(this.recordsFile) ? fs.statSync(this.recordsFile) : null;
+        const replaced = stat
+            ? (this.recordsInode !== null && stat.ino !== this.recordsInode) || stat.size < this.recordsOffset
+            : this.recordsOffset > 0;
+
+        if (replaced || fs.existsSync(this.compactMarker)) {
+            this.load();
+            return;
+        }
+
+        // Vectors too: a row appended by a process that died before its record still takes a row number
+        const known = this.rows.length;
+        if (this.readAppended() > 0 && this.type === 'hnsw' && this.graph) {
+            for (let row = known; row < this.rows.length; row++) {
+                this.insertIntoGraph(row);
+            }
+        }
+    }
+
+    // Append a line to records.jsonl and count it as read
+    appendRecord(record) {
+        const line = JSON.stringify(record) + '\n';
+        fs.appendFileSync(this.recordsFile, line);
+        this.recordsOffset += Buffer.byteLength(line);
+        if (this.recordsInode === null) {
+            this.recordsInode = fs.statSync(this.recordsFile).ino;
+        }
+    }
+
+    writeHeader() {
+        fs.writeFileSync(this.headerFile, JSON.stringify({
+            version: 1,
+            dimension: this.dimension,
+            metric: this.metric,
+            type: this.type,
+            createdAt: new Date().toISOString()
+        }, null, 2));
+    }
+
+    markDeleted(id) {
+        const row = this.idToRow.get(id);
+        if (row !== undefined && !this.rows[row].deleted) {
+            this.rows[row].deleted = true;
+            this.deletedCount++;
+        }
+        this.idToRow.delete(id);
+    }
+
+    get count() {
+        return this.idToRow.size;
+    }
+
+    getVector(row) {
+        return this.vectors.subarray(row * this.dimension, (row + 1) * this.dimension);
+    }
+
+    prepare(vector) {
+        if (vector.length !== this.dimension) {
+            throw new Error(`Expected ${this.dimension}d vector, got ${vector.length}d`);
+        }
+        if (this.metric !== 'cosine') return Float32Array.from(vector);
+
+        const mag = Math.sqrt(vector.reduce((a, b) => a + b * b, 0)) || 1;
+        return Float32Array.from(vector, x => x / mag);
+    }
+
+    similarity(query, row) {
+        const offset = row * this.dimension;
+        let dot = 0;
+        for (let i = 0; i < this.dimension; i++) {
+            dot += query[i] * this.vectors[offset + i];
+        }
+        return dot;
+    }
+
+    // Chroma-compatible distance (lower is closer)
+    toDistance(score) {
+        return this.metric === 'cosine' ? 1 - score : -score;
+    }
+
+    // Append a vector; re-adding an id replaces it
+    add(id, vector, document = null, metadata = {}) {
+        const prepared = this.prepare(vector);
+
+        const result = this.withLock(() => {
+            this.sync();
+            const row = this.rows.length;
+
+            this.markDeleted(id);
+
+            // Vector first, then the record that makes it visible
+            fs.appendFileSync(this.vectorsFile, Buffer.from(prepared.buffer));
+            this.appendRecord({ op: 'add', id, row, document, metadata });
+
+            this.ensureCapacity(row + 1);
+            this.vectors.set(prepared, row * this.dimension);
+
+            this.rows[row] = { id, document, metadata, deleted: false };
+            this.idToRow.set(id, row);
+
+            if (this.type === 'hnsw') {
+                this.insertIntoGraph(row);
+                if (++this.unflushedGraphInserts >= this.graphFlushInterval) {
+                    this.flush();
+                }
+            }
+
+            return { id, row };
+        });
+
+        this.compactIfNeeded();
+        return result;
+    }
+
+    // Grow the in-memory buffer geometrically so appends stay amortized O(1)
+    ensureCapacity(rows) {
+        const needed = rows * this.dimension;
+        if (needed <= this.vectors.length) return;
+
+        const grown = new Float32Array(Math.max(needed, this.vectors.length * 2, this.dimension * 64));
+        grown.set(this.vectors);
+        this.vectors = grown;
+    }
+
+    addBatch(items) {
+        return items.map(item => this.add(item.id, item.vector, item.document, item.metadata));
+    }
+
+    delete(id) {
+        const deleted = this.withLock(() => {
+            this.sync();
+            if (!this.idToRow.has(id)) return false;
+
+            this.appendRecord({ op: 'delete', id });
+            this.markDeleted(id);
+            return true;
+        });
+
+        if (deleted) this.compactIfNeeded();
+        return deleted;
+    }
+
+    // Re-embedding deletes and re-adds, so deleted rows pile up; compact past compactRatio
+    compactIfNeeded() {
+        if (this.compactRatio === false || this.deletedCount < this.compactMinDeleted) return null;
+        if (this.deletedCount / Math.max(this.rows.length, 1) < this.compactRatio) return null;
+        return this.compact();
+    }
+
+    get(id) {
+        const row = this.idToRow.get(id);
+        if (row === undefined) return null;
+
+        const { document, metadata } = this.rows[row];
+        return { id, document, metadata, vector: Array.from(this.getVector(row)) };
+    }
+
+    has(id) {
+        return this.idToRow.has(id);
+    }
+
+    // Top-k nearest live rows: [{ id, score, distance, document, metadata }]
+    search(vector, options = {}) {
+        const k = options.k || 5;
+        const where = options.where || null;
+        const query = this.prepare(vector);
+
+        let rows;
+        if (this.type === 'hnsw' && this.graph && this.graph.entryPoint !== null) {
+            // Oversample (more when many rows are deleted), then post-filter; fall back to an exact
+            // scan whenever that leaves fewer than k results
+            const live = this.count / Math.max(this.rows.length, 1);
+            const ef = Math.max(this.efSearch, Math.ceil((where ? k * 8 : k) / Math.max(live, 0.1)));
+            rows = this.searchGraph(query, ef)
+                .filter(r => !this.rows[r.row].deleted && matchesFilter(this.rows[r.row].metadata, where));
+            if (rows.length < Math.min(k, this.count)) {
+                rows = this.scan(query, k, where);
+            }
+        } else {
+            rows = this.scan(query, k, where);
+        }
+
+        return rows.slice(0, k).map(({ row, score }) => ({
+            id: this.rows[row].id,
+            score,
+            distance: this.toDistance(score),
+            document: this.rows[row].document,
+            metadata: this.rows[row].metadata
+        }));
+    }
+
+    // Exact search over every live row
+    scan(query, k, where) {
+        const heap = new Heap(false);
+        for (let row = 0; row < this.rows.length; row++) {
+            const record = this.rows[row];
+            if (record.deleted || !matchesFilter(record.metadata, where)) continue;
+
+            heap.push({ row, score: this.similarity(query, row) });
+            if (heap.size > k) heap.pop();
+        }
+
+        const results = [];
+        while (heap.size > 0) results.push(heap.pop());
+        return results.reverse();
+    }
+
+    // Live rows whose metadata matches the filter
+    filter(where) {
+        return this.rows
+            .filter(r => !r.deleted && matchesFilter(r.metadata, where))
+            .map(({ id, document, metadata }) => ({ id, document, metadata }));
+    }
+
+    // ---- HNSW ----
+
+    loadGraph() {
+        this.graph = { entryPoint: null, maxLevel: -1, levels: [], neighbors: [] };
+
+        if (fs.existsSync(this.graphFile)) {
+            try {
+                const saved = JSON.parse(fs.readFileSync(this.graphFile, 'utf-8'));
+                if (saved.levels.length <= this.rows.length) {
+                    this.graph = saved;
+                }
+            } catch {
+                // Corrupt graph file: rebuild below
+            }
+        }
+
+        for (let row = this.graph.levels.length; row < this.rows.length; row++) {
+            this.insertIntoGraph(row);
+        }
+    }
+
+    randomLevel(row) {
+        const random = mulberry32(row + 1);
+        return Math.floor(-Math.log(random() || 1e-9) / Math.log(this.M));
+    }
+
+    maxNeighbors(level) {
+        return level === 0 ? this.M * 2 : this.M;
+    }
+
+    // Best-first search within one layer
+    searchLayer(query, entryPoints, ef, level) {
+        const visited = new Set(entryPoints);
+        const candidates = new Heap(true);
+        const results = new Heap(false);
+
+        for (const row of entryPoints) {
+            const item = { row, score: this.similarity(query, row) };
+            candidates.push(item);
+            results.push(item);
+        }
+
+        while (candidates.size > 0) {
+            const current = candidates.pop();
+            if (results.size >= ef && current.score < results.peek().score) break;
+
+            for (const neighbor of this.graph.neighbors[current.row][level] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+
+                const score = this.similarity(query, neighbor);
+                if (results.size < ef || score > results.peek().score) {
+                    candidates.push({ row: neighbor, score });
+                    results.push({ row: neighbor, score });
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        const sorted = [];
+        while (results.size > 0) sorted.push(results.pop());
+        return sorted.reverse();
+    }
+
+    insertIntoGraph(row) {
+        const graph = this.graph;
+        const level = this.randomLevel(row);
+        graph.levels[row] = level;
+        graph.neighbors[row] = Array.from({ length: level + 1 }, () => []);
+
+        if (graph.entryPoint === null) {
+            graph.entryPoint = row;
+            graph.maxLevel = level;
+            return;
+        }
+
+        const query = this.getVector(row);
+        let entry = [graph.entryPoint];
+
+        for (let l = graph.maxLevel; l > level; l--) {
+            entry = [this.searchLayer(query, entry, 1, l)[0].row];
+        }
+
+        for (let l = Math.min(level, graph.maxLevel); l >= 0; l--) {
+            const found = this.searchLayer(query, entry, this.efConstruction, l);
+            const selected = found.slice(0, this.M).map(f => f.row);
+            graph.neighbors[row][l] = selected;
+
+            // Link back, pruning neighbours that now have too many edges
+            for (const neighbor of selected) {
+                const links = graph.neighbors[neighbor][l];
+                links.push(row);
+                if (links.length > this.maxNeighbors(l)) {
+                    const base = this.getVector(neighbor);
+                    graph.neighbors[neighbor][l] = links
+                        .map(n => ({ n, score: this.similarity(base, n) }))
+                        .sort((a, b) => b.score - a.score)
+                        .slice(0, this.maxNeighbors(l))
+                        .map(x => x.n);
+                }
+            }
+
+            entry = found.map(f => f.row);
+        }
+
+        if (level > graph.maxLevel) {
+            graph.entryPoint = row;
+            graph.maxLevel = level;
+        }
+    }
+
+    searchGraph(query, ef) {
+        const graph = this.graph;
+        let entry = [graph.entryPoint];
+
+        for (let l = graph.maxLevel; l > 0; l--) {
+            entry = [this.searchLayer(query, entry, 1, l)[0].row];
+        }
+
+        return this.searchLayer(query, entry, ef, 0);
+    }
+
+    // Persist the HNSW graph (vectors and records are already on disk)
+    flush() {
+        if (this.type !== 'hnsw' || !this.graph) return;
+
+        this.withLock(() => {
+            // The graph written must cover every row on disk, including other processes' rows
+            this.sync();
+            const tmp = `${this.graphFile}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(this.graph));
+            fs.renameSync(tmp, this.graphFile);
+            this.unflushedGraphInserts = 0;
+        });
+    }
+
+    // Rewrite the files without deleted rows. The new files are written alongside the old ones
+    // and swapped in only after a commit marker is on disk, so a crash at any point leaves either
+    // the old index or the compacted one
+    compact() {
+        return this.withLock(() => {
+            this.sync();
+            const files = this.stageCompaction();
+            this.writeCompactionMarker(files);
+            this.applyCompaction();
+
+            // The swapped-in records file is fully read
+            const stat = fs.statSync(this.recordsFile);
+            this.recordsInode = stat.ino;
+            this.recordsOffset = stat.size;
+
+            return { count: this.count };
+        });
+    }
+
+    // Write compacted copies of the data files (*.compact.tmp) and switch the in-memory state to them
+    stageCompaction() {
+        const live = this.rows
+            .map((record, row) => ({ ...record, row }))
+            .filter(r => !r.deleted);
+        const previous = {
+            vectors: this.vectors,
+            rows: this.rows,
+            idToRow: this.idToRow,
+            deletedCount: this.deletedCount,
+            graph: this.graph
+        };
+
+        const vectors = new Float32Array(live.length * this.dimension);
+        live.forEach((r, i) => vectors.set(this.getVector(r.row), i * this.dimension));
+
+        this.vectors = vectors;
+        this.rows = live.map(({ id, document, metadata }) => ({ id, document, metadata, deleted: false }));
+        this.idToRow = new Map(live.map((r, i) => [r.id, i]));
+        this.deletedCount = 0;
+
+        const files = [this.vectorsFile, this.recordsFile];
+        try {
+            writeFileSynced(`${this.vectorsFile}${COMPACT_SUFFIX}`, Buffer.from(vectors.buffer));
+            writeFileSynced(`${this.recordsFile}${COMPACT_SUFFIX}`, this.rows
+                .map((r, row) => JSON.stringify({ op: 'add', id: r.id, row, document: r.document, metadata: r.metadata }) + '\n')
+                .join(''));
+
+            if (this.type === 'hnsw') {
+                this.graph = { entryPoint: null, maxLevel: -1, levels: [], neighbors: [] };
+                for (let row = 0; row < this.rows.length; row++) {
+                    this.insertIntoGraph(row);
+                }
+                writeFileSynced(`${this.graphFile}${COMPACT_SUFFIX}`, JSON.stringify(this.graph));
+                files.push(this.graphFile);
+            }
+        } catch (error) {
+            Object.assign(this, previous);
+            this.discardCompaction();
+            throw error;
+        }
+
+        this.unflushedGraphInserts = 0;
+        return files;
+    }
+
+    // The commit point: once the marker exists, load() finishes the swap
+    writeCompactionMarker(files) {
+        const tmp = `${this.compactMarker}.tmp`;
+        writeFileSynced(tmp, JSON.stringify({ files: files.map(f => path.basename(f)), stagedAt: new Date().toISOString() }));
+        fs.renameSync(tmp, this.compactMarker);
+    }
+
+    // Move the staged files over the originals and drop the marker
+    applyCompaction() {
+        const { files } = JSON.parse(fs.readFileSync(this.compactMarker, 'utf-8'));
+        for (const name of files) {
+            const staged = path.join(this.path, `${name}${COMPACT_SUFFIX}`);
+            // Already moved by an earlier, interrupted attempt
+            if (fs.existsSync(staged)) fs.renameSync(staged, path.join(this.path, name));
+        }
+        fs.unlinkSync(this.compactMarker);
+    }
+
+    discardCompaction() {
+        fs.readdirSync(this.path)
+            .filter(f => f.endsWith(COMPACT_SUFFIX) || f === `${path.basename(this.compactMarker)}.tmp`)
+            .forEach(f => fs.unlinkSync(path.join(this.path, f)));
+    }
+
+    // After a crash mid-compaction: finish a committed swap, or drop uncommitted staged files
+    recoverCompaction() {
+        if (fs.existsSync(this.compactMarker)) {
+            this.applyCompaction();
+        }
+        this.discardCompaction();
+    }
+
+    clear() {
+        this.withLock(() => {
+            for (const file of [this.vectorsFile, this.recordsFile, this.graphFile]) {
+                if (fs.existsSync(file)) fs.unlinkSync(file);
+            }
+            this.reset();
+            if (this.type === 'hnsw') this.loadGraph();
+        });
+    }
+
+    getStats() {
+        return {
+            count: this.count,
+            deleted: this.deletedCount,
+            dimension: this.dimension,
+            metric: this.metric,
+            type: this.type,
+            bytes: fs.existsSync(this.vectorsFile) ? fs.statSync(this.vectorsFile).size : 0
+        };
+    }
+}
+
+export { VectorIndex, matchesFilter };
@@ -1,10 +1,12 @@
 // Vector Database Integration using ChromaDB
-// Enables semantic search for knowledge retrieval
+// Enables semantic search for knowledge retrieval, with an embedded index (lib/vector-index.js) as fallback
 
 import Chroma from 'chroma-js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createEmbedder, OpenAIEmbedder } from './embeddings.js';
+import { VectorIndex } from './vector-index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,9 +15,16 @@ class VectorMemory {
     constructor(options = {}) {
         this.persistPath = options.persistPath || './vector-memory';
         this.collectionName = options.collectionName || 'magnitude-knowledge';
-        this.embeddingDim = options.embeddingDim || 384;
+        // Embedder config (see lib/embeddings.js); defaults to the local hashing model
+        this.embedder = createEmbedder(options.embedder || { provider: 'hashing', dimension: options.embeddingDim });
+        this.embeddingDim = this.embedder.dimension;
+        this.collectionFile = path.join(this.persistPath, 'collection.json');
+        // Embedded index settings (used whenever Chroma is unavailable)
+        this.indexType = options.indexType || 'hnsw';
+        this.metric = options.metric || 'cosine';
         
         this.collection = null;
+        this.index = null;
         this.initialized = false;
         
         this.ensureDirectories();
@@ -27,10 +36,44 @@ class VectorMemory {
         }
     }
 
+    // Embedder name and dimension the collection was built with
+    loadCollectionInfo() {
+        if (!fs.existsSync(this.collectionFile)) return null;
+        return JSON.parse(fs.readFileSync(this.collectionFile, 'utf-8'));
+    }
+
+    saveCollectionInfo() {
+        fs.writeFileSync(this.collectionFile, JSON.stringify({
+            name: this.collectionName,
+            ...this.embedder.describe(),
+            createdAt: new Date().toISOString()
+        }, null, 2));
+    }
+
+    // Refuse to mix vectors from different embedders in one collection
+    checkEmbedderCompatibility(info) {
+        if (!info) return;
+        
+        const current = this.embedder.describe();
+        if (info.embedder !== current.embedder || info.dimension !== current.dimension) {
+            throw new Error(
+                `Collection "${this.collectionName}" was built with ${info.embedder} (${info.dimension}d) ` +
+                `but the configured embedder is ${current.embedder} (${current.dimension}d). ` +
+                `Use the original embedder or clear ${this.persistPath} and re-index.`
+            );
+        }
+    }
+
     // Initialize Chroma client
     async initialize() {
         if (this.initialized) return;
         
+        const info = this.loadCollectionInfo();
+        this.checkEmbedderCompatibility(info);
+        if (!info) {
+            this.saveCollectionInfo();
+        }
+        
         try {
             // Using chroma-js client (in-memory for simplicity)
             this.client = new Chroma.Client({
@@ -39,184 +82,144 @@ class VectorMemory {
             
             // Create or get collection
             this.collection = await this.client.getOrCreateCollection({
-                name: this.collectionName
+                name: this.collectionName,
+                metadata: this.embedder.describe()
             });
             
+            if (this.collection.metadata?.embedder) {
+                this.checkEmbedderCompatibility(this.collection.metadata);
+            }
+            
             this.initialized = true;
             console.log('✅ Vector memory initialized');
         } catch (error) {
-            console.error('❌ Failed to initialize vector DB:', error.message);
-            // Fallback to simple embedding
+            if (error.message.includes('was built with')) throw error;
+            console.log(`ℹ️  Chroma unavailable (${error.message}), using embedded ${this.indexType} index`);
             this.initialized = false;
+            this.openIndex();
+            await this.migrateFallbackDocuments();
         }
     }
 
-    // Generate embedding (using simple hash-based for fallback)
-    generateEmbedding(text) {
-        // Simple hash-based embedding for fallback
-        // In production, use OpenAI embeddings or similar
-        const hash = this.simpleHash(text);
-        const embedding = new Array(this.embeddingDim).fill(0);
+    // Generate embedding with the configured embedder
+    async generateEmbedding(text) {
+        return this.embedder.embed(text);
+    }
+
+    // Open the embedded on-disk index used when Chroma isn't available
+    openIndex() {
+        if (this.index) return this.index;
         
-        for (let i = 0; i < this.embeddingDim; i++) {
-            embedding[i] = Math.sin(hash * (i + 1)) * Math.cos(hash * (i + 1));
-        }
+        this.index = new VectorIndex({
+            path: path.join(this.persistPath, 'index'),
+            dimension: this.embeddingDim,
+            metric: this.metric,
+            type: this.indexType
+        });
         
-        // Normalize
-        const mag = Math.sqrt(embedding.reduce((a, b) => a + b * b, 0));
-        return embedding.map(x => x / mag);
+        return this.index;
     }
 
-    simpleHash(text) {
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            const char = text.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash;
+    // One-time import of the old keyword-only documents.json fallback
+    async migrateFallbackDocuments() {
+        const fallbackPath = path.join(this.persistPath, 'documents.json');
+        if (!fs.existsSync(fallbackPath)) return;
+        
+        const docs = JSON.parse(fs.readFileSync(fallbackPath, 'utf-8'));
+        const items = Object.entries(docs)
+            .filter(([id]) => !this.index.has(id))
+            .map(([id, data]) => ({ id, content: data.document, metadata: data.metadata }));
+        
+        if (items.length > 0) {
+            await this.bulkAdd(items);
         }
-        return Math.abs(hash) / 1e10;
+        
+        fs.renameSync(fallbackPath, `${fallbackPath}.migrated`);
+        console.log(`📦 Migrated ${items.length} documents into the vector index`);
     }
 
     // Add knowledge with embedding
     async add(id, document, metadata = {}) {
-        if (!this.initialized) {
-            console.log('⚠️  Vector DB not initialized, using fallback');
-            return this.addFallback(id, document, metadata);
-        }
-
-        try {
-            const embedding = this.generateEmbedding(document);
-            
-            await this.collection.add({
-                ids: [id],
-                embeddings: [embedding],
-                documents: [document],
-                metadatas: [{ ...metadata, id }]
-            });
-            
-            return { success: true, id };
-        } catch (error) {
-            console.error('Vector add error:', error.message);
-            return this.addFallback(id, document, metadata);
-        }
-    }
-
-    // Simple fallback without vector DB
-    addFallback(id, document, metadata) {
-        const fallbackPath = path.join(this.persistPath, 'documents.json');
-        let docs = {};
+        const embedding = await this.generateEmbedding(document);
         
-        if (fs.existsSync(fallbackPath)) {
-            docs = JSON.parse(fs.readFileSync(fallbackPath, 'utf-8'));
+        if (this.initialized) {
+            try {
+                await this.collection.add({
+                    ids: [id],
+                    embeddings: [embedding],
+                    documents: [document],
+                    metadatas: [{ ...metadata, id }]
+                });
+                
+                return { success: true, id };
+            } catch (error) {
+                console.error('Vector add error:', error.message);
+            }
         }
         
-        docs[id] = { document, metadata, addedAt: new Date().toISOString() };
-        fs.writeFileSync(fallbackPath, JSON.stringify(docs, null, 2));
-        
-        return { success: true, id, fallback: true };
+        this.openIndex().add(id, embedding, document, { ...metadata, id });
+        return { success: true, id, backend: 'index' };
     }
 
-    // Semantic search
-    async search(query, nResults = 5) {
-        if (!this.initialized) {
-            return this.searchFallback(query, nResults);
-        }
-
-        try {
-            const queryEmbedding = this.generateEmbedding(query);
-            
-            const results = await this.collection.query({
-                queryEmbeddings: [queryEmbedding],
-                nResults
-            });
-            
-            return {
-                ids: results.ids[0] || [],
-                documents: results.documents[0] || [],
-                distances: results.distances?.[0] || [],
-                metadatas: results.metadatas?.[0] || []
-            };
-        } catch (error) {
-            console.error('Vector search error:', error.message);
-            return this.searchFallback(query, nResults);
-        }
-    }
-
-    // Fallback search (simple keyword)
-    searchFallback(query, nResults) {
-        const fallbackPath = path.join(this.persistPath, 'documents.json');
-        
-        if (!fs.existsSync(fallbackPath)) {
-            return { ids: [], documents: [], distances: [] };
-        }
-        
-        const docs = JSON.parse(fs.readFileSync(fallbackPath, 'utf-8'));
-        const queryLower = query.toLowerCase();
+    // Semantic search, optionally restricted by a Chroma-style metadata filter
+    async search(query, nResults = 5, where = null) {
+        const queryEmbedding = await this.generateEmbedding(query);
         
-        // Score by keyword matching
-        const scored = Object.entries(docs).map(([id, data]) => {
-            const docLower = data.document.toLowerCase();
-            let score = 0;
-            
-            // Count keyword matches
-            const queryWords = queryLower.split(' ');
-            for (const word of queryWords) {
-                if (docLower.includes(word)) score++;
+        if (this.initialized) {
+            try {
+                const results = await this.collection.query({
+                    queryEmbeddings: [queryEmbedding],
+                    nResults,
+                    ...(where ? { where } : {})
+                });
+                
+                return {
+                    ids: results.ids[0] || [],
+                    documents: results.documents[0] || [],
+                    distances: results.distances?.[0] || [],
+                    metadatas: results.metadatas?.[0] || []
+                };
+            } catch (error) {
+                console.error('Vector search error:', error.message);
             }
-            
-            return { id, ...data, score };
-        });
-        
-        // Sort by score and take top n
-        scored.sort((a, b) => b.score - a.score);
-        
-        const results = scored.slice(0, nResults);
+        }
         
+        return this.formatResults(this.openIndex().search(queryEmbedding, { k: nResults, where }));
+    }
+
+    formatResults(matches) {
         return {
-            ids: results.map(r => r.id),
-            documents: results.map(r => r.document),
-            distances: results.map(r => 1 / (r.score + 1)),
-            metadatas: results.map(r => r.metadata)
+            ids: matches.map(m => m.id),
+            documents: matches.map(m => m.document),
+            distances: matches.map(m => m.distance),
+            metadatas: matches.map(m => m.metadata)
         };
     }
 
     // Delete by ID
     async delete(id) {
-        if (!this.initialized) {
-            return this.deleteFallback(id);
-        }
-
-        try {
-            await this.collection.delete({ ids: [id] });
-            return { success: true };
-        } catch (error) {
-            return this.deleteFallback(id);
-        }
-    }
-
-    deleteFallback(id) {
-        const fallbackPath = path.join(this.persistPath, 'documents.json');
-        if (fs.existsSync(fallbackPath)) {
-            const docs = JSON.parse(fs.readFileSync(fallbackPath, 'utf-8'));
-            delete docs[id];
-            fs.writeFileSync(fallbackPath, JSON.stringify(docs, null, 2));
+        if (this.initialized) {
+            try {
+                await this.collection.delete({ ids: [id] });
+                return { success: true };
+            } catch {
+                // Fall through to the local index
+            }
         }
+        
+        this.openIndex().delete(id);
         return { success: true };
     }
 
     // Get collection stats
     async getStats() {
         if (!this.initialized) {
-            const fallbackPath = path.join(this.persistPath, 'documents.json');
-            const count = fs.existsSync(fallbackPath) 
-                ? Object.keys(JSON.parse(fs.readFileSync(fallbackPath, 'utf-8'))).length 
-                : 0;
-            return { count, mode: 'fallback' };
+            return { mode: 'index', ...this.openIndex().getStats(), ...this.embedder.describe() };
         }
 
         try {
             const count = await this.collection.count();
-            return { count, mode: 'chroma' };
+            return { count, mode: 'chroma', ...this.embedder.describe() };
         } catch {
             return { count: 0, mode: 'error' };
         }
@@ -224,6 +227,19 @@ class VectorMemory {
 
     // Similarity search - find related concepts
     async findSimilar(documentId, nResults = 5) {
+        if (!this.initialized) {
+            const stored = this.openIndex().get(documentId);
+            if (!stored) {
+                return { error: 'Document not found' };
+            }
+            
+            // Search with the stored vector and drop the document itself
+            const matches = this.index.search(stored.vector, { k: nResults + 1 })
+                .filter(m => m.id !== documentId)
+                .slice(0, nResults);
+            return this.formatResults(matches);
+        }
+        
         // Get the original document
         const results = await this.collection.get({ ids: [documentId] });
         
@@ -237,34 +253,42 @@ class VectorMemory {
 
     // Bulk add from existing knowledge
     async bulkAdd(knowledgeItems) {
-        const ids = [];
-        const embeddings = [];
-        const documents = [];
-        const metadatas = [];
+        const ids = knowledgeItems.map(item => item.id);
+        const documents = knowledgeItems.map(item => item.content);
+        const metadatas = knowledgeItems.map(item => item.metadata || {});
+        const embeddings = await this.embedder.embedBatch(documents);
 
-        for (const item of knowledgeItems) {
-            ids.push(item.id);
-            embeddings.push(this.generateEmbedding(item.content));
-            documents.push(item.content);
-            metadatas.push(item.metadata || {});
+        if (this.initialized) {
+            try {
+                await this.collection.add({ ids, embeddings, documents, metadatas });
+                return { success: true, count: ids.length };
+            } catch (error) {
+                console.error('Bulk add error:', error.message);
+                return { success: false, error: error.message };
+            }
         }
+        
+        const index = this.openIndex();
+        ids.forEach((id, i) => index.add(id, embeddings[i], documents[i], { ...metadatas[i], id }));
+        index.flush();
+        return { success: true, count: ids.length };
+    }
 
-        try {
-            await this.collection.add({ ids, embeddings, documents, metadatas });
-            return { success: true, count: ids.length };
-        } catch (error) {
-            console.error('Bulk add error:', error.message);
-            return { success: false, error: error.message };
+    // Drop deleted rows from the embedded index (Chroma manages its own storage)
+    async compact() {
+        if (this.initialized) {
+            return { mode: 'chroma', compacted: false };
         }
+
+        const index = this.openIndex();
+        const deleted = index.getStats().deleted;
+        return { mode: 'index', compacted: true, removed: deleted, ...index.compact() };
     }
 
     // Clear all
     async clear() {
         if (!this.initialized) {
-            const fallbackPath = path.join(this.persistPath, 'documents.json');
-            if (fs.existsSync(fallbackPath)) {
-                fs.unlinkSync(fallbackPath);
-            }
+            this.openIndex().clear();
             return { success: true };
         }
 
@@ -275,29 +299,17 @@ class VectorMemory {
             return { success: false };
         }
     }
-}
 
-// OpenAI Embeddings version (for production)
-class OpenAIEmbeddings {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
+    // Persist anything still buffered in memory
+    close() {
+        this.index?.flush();
     }
+}
 
-    async embed(text) {
-        const response = await fetch('https://api.openai.com/v1/embeddings', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify({
-                model: 'text-embedding-3-small',
-                input: text
-            })
-        });
-        
-        const data = await response.json();
-        return data.data[0].embedding;
+// OpenAI Embeddings version (kept for existing imports; see lib/embeddings.js)
+class OpenAIEmbeddings extends OpenAIEmbedder {
+    constructor(apiKey) {
+        super({ apiKey });
     }
 }
 
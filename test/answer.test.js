@@ -0,0 +1,99 @@
+// Question answering over memory: retrieval, context budget, citations and the research queue
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import AnswerAgent, { NOT_ENOUGH_KNOWLEDGE } from '../agents/answer.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+// A long document whose only mention of reranking is in its last section
+const GUIDE = [
+    'Retrieval augmented generation pairs a language model with a search step.',
+    'The retriever finds passages and the generator writes an answer from them.',
+    'Chunking splits long documents so each passage fits the embedding model.',
+    'Cross-encoder reranking reorders retrieved passages by scoring each against the query.'
+].join('\n\n');
+
+describe('AnswerAgent', () => {
+    let dir;
+    let memory;
+    let guide;
+
+    beforeEach(async () => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        ({ parent: guide } = await memory.ingestDocument(
+            { topic: 'RAG guide', text: GUIDE, source: 'https://example.org/rag' },
+            { maxChars: 90 }
+        ));
+        memory.addKnowledge({ topic: 'Sourdough', content: 'Sourdough bread rises with wild yeast.' });
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const agent = (llm) => new AnswerAgent(memory, { llm });
+
+    test('retrieves a long document once with its matched chunks', async () => {
+        const candidates = await agent().retrieve('How does cross-encoder reranking work?');
+
+        expect(candidates.filter(c => c.id === guide.id)).toHaveLength(1);
+        expect(candidates.some(c => c.parentId)).toBe(false);
+        expect(candidates[0]).toMatchObject({ id: guide.id, matchedChunks: [4] });
+        expect(candidates[0].context).toContain('Cross-encoder reranking');
+    });
+
+    test('sends the matched part of the document once and cites its chunks', async () => {
+        const llm = new MockLLMProvider();
+        const prompts = [];
+        const chat = llm.chat.bind(llm);
+        llm.chat = (messages, options) => {
+            prompts.push([].concat(messages).map(m => m.content ?? m).join('\n'));
+            return chat(messages, options);
+        };
+
+        const result = await agent(llm).ask('How does cross-encoder reranking work?', { queue: false });
+
+        expect(result).toMatchObject({ sufficient: true, method: 'llm' });
+        expect(result.answer).toBe(`Mock answer drawn from memory [${guide.id}].`);
+        expect(result.citations).toEqual([{ id: guide.id, topic: 'RAG guide', sources: ['https://example.org/rag'], chunks: [4] }]);
+
+        const prompt = prompts.find(p => p.includes('Answer the question'));
+        expect(prompt.split('Cross-encoder reranking').length - 1).toBe(1);
+        expect(prompt).not.toContain('pairs a language model');
+    });
+
+    test('answers extractively from the matched chunks without an LLM', async () => {
+        const result = await agent(null).ask('How does cross-encoder reranking work?', { queue: false });
+
+        expect(result.method).toBe('extractive');
+        expect(result.answer).toMatch(/^Chunking splits long documents[^[]*Cross-encoder reranking reorders[^[]*\[/);
+        expect(result.answer).not.toContain('[...]');
+        expect(result.citations[0]).toMatchObject({ id: guide.id, chunks: [4] });
+    });
+
+    test('keeps the context within the token budget', () => {
+        const long = { id: 'big', topic: 'Big', content: 'word '.repeat(2000) };
+        const context = agent().buildContext([long, { id: 'next', topic: 'Next', content: 'More.' }], 200);
+
+        expect(context.entries.map(e => e.id)).toEqual(['big']);
+        expect(context.text.endsWith('[...]')).toBe(true);
+        expect(context.tokens).toBeLessThanOrEqual(210);
+    });
+
+    test('queues unanswerable questions for research', async () => {
+        const result = await agent(new MockLLMProvider()).ask('What is the boiling point of tungsten?');
+
+        expect(result).toMatchObject({ answer: NOT_ENOUGH_KNOWLEDGE, sufficient: false, citations: [] });
+        expect(result.queued.topic).toBe('What is the boiling point of tungsten?');
+        expect(memory.getResearchQueue().map(i => i.topic)).toContain('What is the boiling point of tungsten?');
+    });
+
+    test('leaves out rejected entries', async () => {
+        memory.rejectKnowledge(guide.id, 'outdated');
+        const result = await agent(null).ask('How does cross-encoder reranking work?', { queue: false });
+
+        expect(result.sufficient).toBe(false);
+    });
+});
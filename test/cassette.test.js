@@ -0,0 +1,81 @@
+// Research cassettes: record and replay of browser and fetch traffic
+
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import Cassette from '../lib/cassette.js';
+import { tempDir, removeDir } from './helpers.js';
+
+// Fake BrowserAgent whose page is whatever the last act navigated to
+function fakeBrowser() {
+    let page = '';
+    return {
+        act: async (instruction) => {
+            page = `Page for ${instruction}`;
+        },
+        extract: async (instruction) => ({ mainPoints: [instruction] }),
+        getPageContent: async () => page,
+        close: async () => {}
+    };
+}
+
+describe('Cassette', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = path.join(tempDir(), 'cassette');
+    });
+
+    afterEach(() => removeDir(path.dirname(dir)));
+
+    test('replays each task its own page content', async () => {
+        const recorder = new Cassette({ mode: 'record', path: dir }).wrapBrowserAgent(fakeBrowser());
+        for (const task of ['vector databases', 'prompt injection']) {
+            await recorder.act(`Research and learn about: ${task}`);
+            await recorder.getPageContent();
+        }
+
+        const cassette = new Cassette({ mode: 'replay', path: dir });
+        const replay = cassette.replayBrowserAgent();
+        await replay.act('Research and learn about: vector databases');
+        expect(await replay.getPageContent()).toBe('Page for Research and learn about: vector databases');
+        await replay.act('Research and learn about: prompt injection');
+        expect(await replay.getPageContent()).toBe('Page for Research and learn about: prompt injection');
+        expect(cassette.getStats()).toMatchObject({ hits: 4, misses: 0 });
+    });
+
+    test('an unrecorded interaction fails on replay', async () => {
+        new Cassette({ mode: 'record', path: dir });
+        const replay = new Cassette({ mode: 'replay', path: dir }).replayBrowserAgent();
+
+        await expect(replay.act('Research and learn about: nothing')).rejects.toThrow(/Cassette miss/);
+    });
+
+    test('replaying a missing cassette throws instead of creating it', () => {
+        expect(() => new Cassette({ mode: 'replay', path: dir })).toThrow(/Cassette not found/);
+    });
+
+    test('records and replays fetch responses, including bodiless statuses', async () => {
+        const realFetch = globalThis.fetch;
+        globalThis.fetch = async (url) => url.endsWith('/empty')
+            ? new Response(null, { status: 204 })
+            : new Response('<title>Hello</title>', { status: 200, headers: { 'content-type': 'text/html' } });
+
+        try {
+            const recorder = new Cassette({ mode: 'record', path: dir });
+            await recorder.fetch('https://example.org/page');
+            await recorder.fetch('https://example.org/empty');
+        } finally {
+            globalThis.fetch = realFetch;
+        }
+
+        const replay = new Cassette({ mode: 'replay', path: dir });
+        const page = await replay.fetch('https://example.org/page');
+        expect(page.status).toBe(200);
+        expect(await page.text()).toBe('<title>Hello</title>');
+        expect(page.headers.get('content-type')).toBe('text/html');
+
+        const empty = await replay.fetch('https://example.org/empty');
+        expect(empty.status).toBe(204);
+        expect(await empty.text()).toBe('');
+    });
+});
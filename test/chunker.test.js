@@ -0,0 +1,61 @@
+// Document chunking: strategies, size limits and offsets back into the source text
+
+import { describe, test, expect } from '@jest/globals';
+import { chunkText } from '../lib/chunker.js';
+
+const GUIDE = [
+    '# Guide',
+    'Intro paragraph about the guide.',
+    '## Setup',
+    'Install the package.',
+    '',
+    'Then configure it.',
+    '## Usage',
+    'Run the command.'
+].join('\n');
+
+// Every chunk's text is exactly the slice its offsets point at
+function expectOffsets(text, chunks) {
+    chunks.forEach(c => expect(text.slice(c.start, c.end)).toBe(c.text));
+}
+
+describe('chunkText', () => {
+    test('paragraph strategy packs whole paragraphs up to maxChars', () => {
+        const text = 'First paragraph here.\n\nSecond paragraph here.\n\nThird one.';
+        const chunks = chunkText(text, { maxChars: 45 });
+
+        expect(chunks.map(c => c.text)).toEqual(['First paragraph here.\n\nSecond paragraph here.', 'Third one.']);
+        expectOffsets(text, chunks);
+        expect(chunkText(text)).toHaveLength(1);
+    });
+
+    test('splits an oversized paragraph at sentences, then hard-cuts', () => {
+        const text = `Short sentence. ${'x'.repeat(50)}`;
+        const chunks = chunkText(text, { maxChars: 20 });
+
+        expect(chunks.every(c => c.text.length <= 20)).toBe(true);
+        expect(chunks[0].text).toBe('Short sentence.');
+        expectOffsets(text, chunks);
+    });
+
+    test('heading strategy keeps the heading path of each section', () => {
+        const chunks = chunkText(GUIDE, { strategy: 'heading' });
+
+        expect(chunks.map(c => c.heading)).toEqual(['Guide', 'Guide > Setup', 'Guide > Usage']);
+        expect(chunks[1].text).toBe('## Setup\nInstall the package.\n\nThen configure it.');
+        expectOffsets(GUIDE, chunks);
+    });
+
+    test('token strategy overlaps word windows', () => {
+        const text = 'one two three four five six seven';
+        const chunks = chunkText(text, { strategy: 'token', maxTokens: 4, overlap: 1 });
+
+        expect(chunks.map(c => c.text)).toEqual(['one two three four', 'four five six seven']);
+        expectOffsets(text, chunks);
+    });
+
+    test('blank text has no chunks and unknown strategies throw', () => {
+        expect(chunkText('  \n\n  ')).toEqual([]);
+        expect(() => chunkText('text', { strategy: 'sentence' })).toThrow(/Unknown chunking strategy/);
+    });
+});
@@ -0,0 +1,110 @@
+// Contradiction detection: claim rules, links on both entries, hand-off and resolution
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import { ContradictionDetector, claimsConflict } from '../lib/contradictions.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('claimsConflict', () => {
+    test('flags negations and differing figures of the same statement', () => {
+        expect(claimsConflict('Rust supports garbage collection by default.', 'Rust does not support garbage collection by default.')).toBe('negation');
+        expect(claimsConflict('The GPT-4 context window holds 8192 tokens.', 'The GPT-4 context window holds 32768 tokens.')).toBe('number');
+    });
+
+    test('leaves agreeing and unrelated sentences alone', () => {
+        expect(claimsConflict('Rust supports pattern matching on enums.', 'Rust supports pattern matching on enums.')).toBeNull();
+        expect(claimsConflict('Rust supports pattern matching on enums.', 'Sourdough bread rises slowly overnight.')).toBeNull();
+        expect(claimsConflict('Rust is fast.', 'Rust is not fast.')).toBeNull();
+    });
+});
+
+describe('ContradictionDetector.check', () => {
+    let dir;
+    let memory;
+    let reviews;
+    let feedbackLoop;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        reviews = [];
+        feedbackLoop = {
+            pending: [],
+            queueForReview(item) {
+                const queued = { id: `review-${reviews.length + 1}`, ...item };
+                reviews.push(queued);
+                this.pending.push(queued);
+                return queued;
+            }
+        };
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const pair = () => [
+        memory.addKnowledge({ topic: 'Rust memory management', content: 'Rust does not use a garbage collector for memory management.' }),
+        memory.addKnowledge({ topic: 'Rust memory management basics', content: 'Rust uses a garbage collector for memory management.' })
+    ];
+
+    test('links both entries and queues the pair for review', async () => {
+        const [a, b] = pair();
+        memory.addKnowledge({ topic: 'Rust memory management tips', content: 'Ownership rules decide when values are dropped.' });
+        const detector = new ContradictionDetector(memory, { feedbackLoop });
+
+        const result = await detector.check(b.id);
+
+        expect(result.checked).toBe(2);
+        expect(result.contradictions).toHaveLength(1);
+        expect(result.contradictions[0]).toMatchObject({ id: a.id, method: 'rules', resolution: { type: 'review', id: 'review-1' } });
+        expect(result.contradictions[0].conflicts[0].kind).toBe('negation');
+        expect(memory.getKnowledge(a.id).links).toEqual([expect.objectContaining({ type: 'contradicts', target: b.id })]);
+        expect(memory.getKnowledge(b.id).links).toEqual([expect.objectContaining({ type: 'contradicts', target: a.id })]);
+        expect(reviews[0]).toMatchObject({ type: 'contradiction', knowledgeId: b.id, contradiction: { ids: [b.id, a.id] } });
+
+        // Already linked pairs aren't compared again
+        expect((await detector.check(b.id)).contradictions).toEqual([]);
+    });
+
+    test('lists the pair open until an entry is rejected or the review is answered', async () => {
+        const [a, b] = pair();
+        const detector = new ContradictionDetector(memory, { feedbackLoop });
+        await detector.check(b.id);
+
+        expect(detector.list()).toEqual([expect.objectContaining({ ids: [a.id, b.id], status: 'open' })]);
+
+        feedbackLoop.pending = [];
+        expect(detector.list()).toEqual([]);
+        expect(detector.list({ status: 'resolved' })[0].resolvedBy).toEqual({ type: 'review', id: 'review-1' });
+
+        memory.rejectKnowledge(b.id, 'wrong');
+        expect(detector.list({ status: 'all', id: a.id })[0].resolvedBy).toEqual({ type: 'rejected', id: b.id });
+    });
+
+    test('schedules a debate when asked to', async () => {
+        const [a, b] = pair();
+        const tasks = [];
+        const learningLoop = { addTask: (task) => (tasks.push(task), { id: 'task-1', ...task }) };
+        const detector = new ContradictionDetector(memory, { learningLoop });
+
+        const result = await detector.check(b.id, { resolution: 'debate' });
+
+        expect(result.contradictions[0].resolution).toEqual({ type: 'debate', id: 'task-1' });
+        expect(tasks[0]).toMatchObject({ type: 'debate', frequency: 'once', options: { entryIds: [b.id, a.id] } });
+        await expect(detector.check(a.id, { resolution: 'vote' })).rejects.toThrow(/Unknown contradiction resolution/);
+    });
+
+    test('lets an LLM judge the pair when one is configured', async () => {
+        const [, b] = pair();
+        const llm = new MockLLMProvider({
+            rules: [{ match: 'list the claims where they contradict', response: { contradicts: false, conflicts: [] } }]
+        });
+        const detector = new ContradictionDetector(memory, { llm });
+
+        const result = await detector.check(b.id);
+        expect(result.checked).toBe(1);
+        expect(result.contradictions).toEqual([]);
+    });
+});
@@ -0,0 +1,127 @@
+// Duplicate handling on ingest (skip, merge, revision, new) and the dedupe sweep over a store
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { contentHash, mergeContent } from '../lib/dedupe.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const RUST = 'Rust guarantees memory safety without a garbage collector.';
+const BORROWS = 'The borrow checker enforces ownership rules at compile time.';
+
+describe('ingestKnowledge', () => {
+    let dir;
+    let memory;
+    let original;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        original = memory.addKnowledge({ topic: 'Rust', content: RUST, tags: ['lang'], source: 'https://rust-lang.org' });
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const count = () => memory.storage.read('knowledge').entries.length;
+    // The same finding reformatted, plus a new paragraph
+    const repeat = { topic: 'Rust', content: `  rust guarantees memory safety\nwithout a garbage collector.\n\n${BORROWS}`, tags: ['safety'], source: 'https://doc.rust-lang.org' };
+
+    test('new content is added', async () => {
+        const result = await memory.ingestKnowledge({ topic: 'Go', content: 'Go schedules goroutines onto OS threads.' });
+
+        expect(result.action).toBe('added');
+        expect(count()).toBe(2);
+    });
+
+    test('skip keeps the existing entry untouched', async () => {
+        const result = await memory.ingestKnowledge({ topic: 'Rust', content: 'RUST guarantees memory safety   without a garbage collector.' }, { policy: 'skip' });
+
+        expect(result).toMatchObject({ action: 'skipped', duplicateOf: original.id, match: 'exact', similarity: 1 });
+        expect(result.entry.revision).toBe(1);
+        expect(count()).toBe(1);
+    });
+
+    test('merge folds new paragraphs, tags and sources into the existing entry', async () => {
+        const result = await memory.ingestKnowledge(repeat, { threshold: 0.5 });
+
+        expect(result).toMatchObject({ action: 'merged', duplicateOf: original.id, match: 'similar' });
+        const merged = memory.getKnowledge(original.id);
+        expect(merged.content).toBe(`${RUST}\n\n${BORROWS}`);
+        expect(merged.tags).toEqual(expect.arrayContaining(['lang', 'safety']));
+        expect(merged.source).toEqual(['https://rust-lang.org', 'https://doc.rust-lang.org']);
+        expect(merged).toMatchObject({ duplicateCount: 1, revision: 2 });
+        expect(count()).toBe(1);
+    });
+
+    test('revision replaces the content as a new revision', async () => {
+        const result = await memory.ingestKnowledge(repeat, { policy: 'revision', threshold: 0.5 });
+
+        expect(result.action).toBe('revised');
+        expect(memory.getKnowledge(original.id)).toMatchObject({ content: repeat.content, revision: 2 });
+        expect(memory.getHistory(original.id).at(-1).reason).toMatch(/^newer research \(similar duplicate/);
+        expect(count()).toBe(1);
+    });
+
+    test('new always adds and unknown policies are refused', async () => {
+        expect((await memory.ingestKnowledge({ topic: 'Rust', content: RUST }, { policy: 'new' })).action).toBe('added');
+        expect(count()).toBe(2);
+        await expect(memory.ingestKnowledge({ topic: 'Rust', content: RUST }, { policy: 'upsert' }))
+            .rejects.toThrow(/Unknown dedupe policy: upsert \(expected skip, merge, revision, new\)/);
+    });
+
+    test('identical text under another topic is not a duplicate', async () => {
+        const result = await memory.ingestKnowledge({ topic: 'Memory safety', content: RUST });
+
+        expect(result.action).toBe('added');
+        expect(count()).toBe(2);
+        expect((await memory.ingestKnowledge({ topic: ' rust ', content: RUST })).action).toBe('merged');
+    });
+
+    test('rejected entries and syntheses are not duplicates', async () => {
+        memory.rejectKnowledge(original.id, 'outdated');
+        memory.addKnowledge({ topic: 'Rust', content: BORROWS, isSynthesis: true });
+
+        expect(await memory.findDuplicates(RUST, { topic: 'Rust' })).toEqual([]);
+        expect(await memory.findDuplicates(BORROWS, { topic: 'Rust' })).toEqual([]);
+    });
+});
+
+describe('MemorySystem.dedupe', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('merges copies into the oldest entry and re-targets links', async () => {
+        const keep = memory.addKnowledge({ topic: 'Rust', content: RUST });
+        const copy = memory.addKnowledge({ topic: 'Rust', content: RUST.toUpperCase(), tags: ['safety'] });
+        const other = memory.addKnowledge({ topic: 'Memory safety', content: RUST });
+        const citing = memory.addKnowledge({ topic: 'Rust summary', content: 'Safe and fast.', links: [{ type: 'derived-from', target: copy.id }] });
+
+        const preview = await memory.dedupe({ dryRun: true });
+        expect(preview).toMatchObject({ removed: 0, dryRun: true, groups: [{ keep: keep.id, duplicates: [{ id: copy.id, match: 'exact' }] }] });
+        expect(memory.getKnowledge(copy.id)).toBeTruthy();
+
+        const result = await memory.dedupe();
+
+        expect(result.removed).toBe(1);
+        expect(memory.getKnowledge(copy.id)).toBeUndefined();
+        expect(memory.getKnowledge(other.id)).toBeTruthy();
+        expect(memory.getKnowledge(keep.id)).toMatchObject({ content: RUST, mergedFrom: [copy.id], duplicateCount: 1 });
+        expect(memory.getLinks(citing.id, 'derived-from').map(l => l.target)).toEqual([keep.id]);
+    });
+});
+
+describe('dedupe helpers', () => {
+    test('hashes ignore case and whitespace and merging adds only new paragraphs', () => {
+        expect(contentHash('A  b\nC')).toBe(contentHash('a b c'));
+        expect(mergeContent('one\n\ntwo', 'TWO\n\nthree')).toBe('one\n\ntwo\n\nthree');
+        expect(mergeContent('one', 'one')).toBe('one');
+    });
+});
@@ -0,0 +1,101 @@
+// Embedding backends: selection, the local hashing model, remote batching and the collection guard
+
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { HashingEmbedder, OpenAIEmbedder, AzureEmbedder, createEmbedder } from '../lib/embeddings.js';
+import { VectorMemory } from '../lib/vector-memory.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const cosine = (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0);
+
+describe('createEmbedder', () => {
+    test('selects embedders from strings, configs and instances', () => {
+        expect(createEmbedder()).toBeInstanceOf(HashingEmbedder);
+        expect(createEmbedder('local').describe()).toEqual({ embedder: 'local-hashing', dimension: 512 });
+
+        const openai = createEmbedder('openai:text-embedding-3-large');
+        expect(openai).toBeInstanceOf(OpenAIEmbedder);
+        expect(openai.describe()).toEqual({ embedder: 'openai:text-embedding-3-large', dimension: 1536 });
+
+        const azure = createEmbedder({ provider: 'azure', endpoint: 'https://res.openai.azure.com/', deployment: 'embed', apiKey: 'k' });
+        expect(azure).toBeInstanceOf(AzureEmbedder);
+        expect(azure.endpoint()).toBe('https://res.openai.azure.com/openai/deployments/embed/embeddings?api-version=2024-10-21');
+
+        const custom = { name: 'custom', dimension: 3, embed: async () => [1, 0, 0] };
+        expect(createEmbedder(custom)).toBe(custom);
+        expect(() => createEmbedder('word2vec')).toThrow(/Unknown embedder: word2vec/);
+    });
+});
+
+describe('HashingEmbedder', () => {
+    test('is deterministic, unit length and closer for related text', () => {
+        const embedder = new HashingEmbedder({ dimension: 256 });
+        const a = embedder.embedSync('Rust ownership and borrowing rules');
+        const b = embedder.embedSync('The borrowing rules of Rust ownership');
+        const c = embedder.embedSync('Sourdough bread rises slowly overnight');
+
+        expect(a).toHaveLength(256);
+        expect(embedder.embedSync('Rust ownership and borrowing rules')).toEqual(a);
+        expect(cosine(a, a)).toBeCloseTo(1);
+        expect(cosine(a, b)).toBeGreaterThan(cosine(a, c));
+        expect(embedder.embedSync('the and of')).toEqual(new Array(256).fill(0));
+    });
+});
+
+describe('OpenAIEmbedder', () => {
+    let fetchSpy;
+    let requests;
+
+    beforeEach(() => {
+        requests = [];
+        fetchSpy = jest.spyOn(globalThis, 'fetch').mockImplementation(async (url, init) => {
+            const body = JSON.parse(init.body);
+            requests.push({ url, body, headers: init.headers });
+            const input = [].concat(body.input);
+            // Returned out of order, as the API is allowed to
+            const data = input.map((text, index) => ({ index, embedding: [text.length, index, 1] })).reverse();
+            return { ok: true, json: async () => ({ data }) };
+        });
+    });
+
+    afterEach(() => fetchSpy.mockRestore());
+
+    test('batches requests and keeps the input order', async () => {
+        const embedder = new OpenAIEmbedder({ apiKey: 'key', baseUrl: 'http://localhost:11434/v1', model: 'nomic', dimension: 3, batchSize: 2 });
+
+        const vectors = await embedder.embedBatch(['a', 'bb', 'ccc']);
+
+        expect(vectors).toEqual([[1, 0, 1], [2, 1, 1], [3, 0, 1]]);
+        expect(requests.map(r => r.body.input)).toEqual([['a', 'bb'], ['ccc']]);
+        expect(requests[0].url).toBe('http://localhost:11434/v1/embeddings');
+        expect(requests[0].headers.Authorization).toBe('Bearer key');
+    });
+
+    test('rejects vectors of the wrong dimension', async () => {
+        const embedder = new OpenAIEmbedder({ apiKey: 'key', dimension: 1536 });
+
+        await expect(embedder.embed('text')).rejects.toThrow(/returned 3-d vectors, expected 1536/);
+    });
+});
+
+describe('VectorMemory embedder guard', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('records the embedder and refuses a collection built with another one', async () => {
+        await new VectorMemory({ persistPath: dir, embedder: { provider: 'hashing', dimension: 64 } }).initialize();
+
+        const reopened = new VectorMemory({ persistPath: dir, embedder: { provider: 'hashing', dimension: 64 } });
+        expect(reopened.loadCollectionInfo()).toMatchObject({ embedder: 'local-hashing', dimension: 64 });
+        await expect(reopened.initialize()).resolves.toBeUndefined();
+
+        const mismatched = new VectorMemory({ persistPath: dir, embedder: 'hashing' });
+        await expect(mismatched.initialize()).rejects.toThrow(/was built with local-hashing \(64d\) but the configured embedder is local-hashing \(512d\)/);
+    });
+});
@@ -0,0 +1,102 @@
+// Knowledge export: the Markdown wiki, JSONL, CSV and Obsidian formats, filters and custom formats
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { Exporter, createExporter, registerExporter, slugify } from '../lib/exporters.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('exporters', () => {
+    let dir;
+    let out;
+    let memory;
+    let rag;
+    let notes;
+
+    beforeEach(() => {
+        dir = tempDir();
+        out = path.join(dir, 'export');
+        memory = new MemorySystem(path.join(dir, 'memory'));
+        rag = memory.addKnowledge({
+            topic: 'RAG pipelines',
+            content: 'Retrieval with a reranker, then "grounded" generation.',
+            source: ['https://example.com/rag', 'browser']
+        });
+        memory.verifyKnowledge(rag.id);
+        notes = memory.addKnowledge({ topic: 'RAG notes', content: 'Chunk size matters.', tags: ['Field Notes'], links: [{ type: 'derived-from', target: rag.id }] });
+        const wrong = memory.addKnowledge({ topic: 'RAG myths', content: 'Retrieval is never needed.' });
+        memory.rejectKnowledge(wrong.id, 'wrong');
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const read = (relative) => fs.readFileSync(path.join(out, relative), 'utf-8');
+
+    test('wiki: taxonomy folders, an index and relative links both ways', () => {
+        const result = memory.exportKnowledgeTo('wiki', out, { filters: {} });
+
+        expect(result).toMatchObject({ format: 'wiki', count: 2 });
+        expect(result.files.map(f => path.relative(out, f)).sort()).toEqual(['ai/llm/rag/rag-notes.md', 'ai/llm/rag/rag-pipelines.md', 'index.md']);
+
+        const page = read('ai/llm/rag/rag-pipelines.md');
+        expect(page).toContain('# RAG pipelines\n\n- **ID:** ' + rag.id + '\n- **Verified:** yes');
+        expect(page).toContain('## Sources\n\n- <https://example.com/rag>');
+        expect(page).toContain('## Used by\n\n- [RAG notes](rag-notes.md)');
+        expect(read('ai/llm/rag/rag-notes.md')).toContain('## Derived from\n\n- [RAG pipelines](rag-pipelines.md)');
+        expect(read('index.md')).toContain('## ai/llm/rag\n\n- [RAG notes](ai/llm/rag/rag-notes.md)\n- [RAG pipelines](ai/llm/rag/rag-pipelines.md) ✅');
+    });
+
+    test('jsonl: one entry per line, revisions only with history', () => {
+        memory.exportKnowledgeTo('jsonl', out, { filters: {} });
+        const lines = read('knowledge.jsonl').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines.map(e => e.topic)).toEqual(['RAG pipelines', 'RAG notes']);
+        expect(lines[0].revisions).toBeUndefined();
+
+        memory.exportKnowledgeTo('jsonl', out, { filters: {}, history: true });
+        expect(JSON.parse(read('knowledge.jsonl').split('\n')[0]).revisions).toHaveLength(1);
+    });
+
+    test('csv: fixed columns, joined lists and quoted cells', () => {
+        memory.exportKnowledgeTo('csv', out, { filters: { verified: true } });
+        const rows = read('knowledge.csv').split('\r\n');
+
+        expect(rows[0]).toBe('id,topic,taxonomy,tags,verified,source,timestamp,updatedAt,revision,content');
+        expect(rows[1]).toMatch(new RegExp(`^${rag.id},RAG pipelines,rag,ai; llm; rag,true,https://example.com/rag; browser,`));
+        expect(rows[1].endsWith(',1,"Retrieval with a reranker, then ""grounded"" generation."')).toBe(true);
+        expect(rows).toHaveLength(3);
+    });
+
+    test('obsidian: front matter, nested taxonomy tags and wikilinks', () => {
+        memory.exportKnowledgeTo('obsidian', out, { filters: {} });
+        const note = read('ai/llm/rag/RAG notes.md');
+
+        expect(note).toContain(`---\nid: "${notes.id}"\naliases: ["RAG notes"]\ntags: ["ai/llm/rag", "field-notes"]\nverified: false\n`);
+        expect(note).toContain('## Links\n\nderived-from:: [[RAG pipelines]]');
+        expect(read('ai/llm/rag/RAG pipelines.md')).toContain('sources:: https://example.com/rag\nused-by:: [[RAG notes]]');
+    });
+
+    test('an unfiltered export keeps rejected entries; a filtered one can opt back in', () => {
+        expect(memory.exportKnowledge()).toHaveLength(3);
+        expect(memory.exportKnowledgeTo('jsonl', out, { filters: {}, includeRejected: true }).count).toBe(3);
+    });
+
+    test('formats can be registered and unknown ones are refused', () => {
+        class TopicsExporter extends Exporter {
+            export(entries, outDir) {
+                const files = [];
+                this.writeFile(outDir, 'topics.txt', entries.map(e => e.topic).join('\n'), files);
+                return { files };
+            }
+        }
+        registerExporter('topics', TopicsExporter);
+
+        memory.exportKnowledgeTo('topics', out, { filters: {} });
+        expect(read('topics.txt')).toBe('RAG pipelines\nRAG notes');
+        expect(() => createExporter('pdf')).toThrow(/Unknown export format: pdf \(expected wiki, markdown, jsonl, csv, obsidian, topics\)/);
+        expect(slugify('  Ünïcode & Co!  ')).toBe('n-code-co');
+    });
+});
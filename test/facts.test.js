@@ -0,0 +1,124 @@
+// Entities and facts: pattern and LLM extraction, the shared fact table, queries and fact checks
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { VerificationAgent } from '../agents/index.js';
+import { FactExtractor, entityKey } from '../lib/facts.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const LANGCHAIN = 'LangChain is a framework for building LLM applications. It supports reciprocal rank fusion. LangChain was developed by Harrison Chase.';
+
+describe('FactExtractor', () => {
+    test('pattern rules find known entities and subject-predicate-object facts', () => {
+        const extraction = new FactExtractor().extractSync({ topic: 'LangChain', content: `${LANGCHAIN} CVE-2023-1234 affects old releases.` });
+
+        expect(extraction.method).toBe('patterns');
+        expect(extraction.facts.map(f => [f.subject, f.predicate, f.object])).toEqual([
+            ['LangChain', 'is-a', 'framework for building LLM applications'],
+            ['LangChain', 'supports', 'reciprocal rank fusion'],
+            ['LangChain', 'developed-by', 'Harrison Chase'],
+            ['CVE-2023-1234', 'affects', 'old releases']
+        ]);
+        expect(extraction.entities).toEqual(expect.arrayContaining([
+            { name: 'LangChain', type: 'tool' },
+            { name: 'reciprocal rank fusion', type: 'technique' },
+            { name: 'CVE-2023-1234', type: 'cve' }
+        ]));
+        expect(entityKey('Hugging-Face.')).toBe(entityKey('hugging face'));
+    });
+
+    test('an LLM extraction is normalized and falls back to patterns when it fails', async () => {
+        const answers = [
+            { entities: [{ name: 'FAISS', type: 'tool' }, { name: 'faiss', type: 'tool' }], facts: [{ subject: 'FAISS', predicate: 'Developed By', object: 'Meta', confidence: 3 }] },
+            new Error('rate limited')
+        ];
+        const llm = { json: async () => { const a = answers.shift(); if (a instanceof Error) throw a; return a; } };
+        const extractor = new FactExtractor({ llm });
+
+        expect(await extractor.extract({ topic: 'FAISS', content: 'FAISS by Meta.' })).toEqual({
+            entities: [{ name: 'FAISS', type: 'tool' }],
+            facts: [{ subject: 'FAISS', predicate: 'developed-by', object: 'Meta', confidence: 1 }],
+            method: 'llm'
+        });
+        expect((await extractor.extract({ topic: 'LangChain', content: LANGCHAIN })).method).toBe('patterns');
+    });
+});
+
+describe('fact table', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const extracted = async (topic, content) => {
+        const entry = memory.addKnowledge({ topic, content });
+        await memory.extractFacts(entry.id);
+        return entry;
+    };
+
+    test('one record per fact across entries, unlinked when entries go', async () => {
+        const first = await extracted('LangChain', LANGCHAIN);
+        const second = await extracted('LangChain history', 'LangChain was developed by Harrison Chase.');
+
+        const [developed] = memory.queryFacts({ predicate: 'developed-by' });
+        expect(developed).toMatchObject({ subject: 'LangChain', object: 'Harrison Chase', entryIds: [first.id, second.id], verified: null, subjectType: 'tool' });
+        expect(memory.getEntities({ name: 'langchain' })[0]).toMatchObject({ type: 'tool', factCount: 3 });
+
+        // Re-extraction replaces the entry's own contribution
+        memory.updateKnowledge(first.id, { content: 'LangChain supports reciprocal rank fusion.' });
+        await memory.extractFacts(first.id);
+        expect(memory.queryFacts({ subject: 'langchain' }).map(f => f.predicate).sort()).toEqual(['developed-by', 'supports']);
+        expect(memory.getFact(developed.id).entryIds).toEqual([second.id]);
+
+        memory.removeKnowledge(second.id);
+        expect(memory.getFact(developed.id)).toBeUndefined();
+    });
+
+    test('queries combine filters', async () => {
+        const entry = await extracted('Vulnerabilities', 'CVE-2023-1234 affects LangChain agents. LangChain uses Chroma.');
+
+        expect(memory.queryFacts({ type: 'cve' }).map(f => f.object)).toEqual(['LangChain agents']);
+        expect(memory.queryFacts({ entity: 'chroma' }).map(f => f.predicate)).toEqual(['uses']);
+        expect(memory.queryFacts({ entryId: entry.id, text: 'agents' })).toHaveLength(1);
+        expect(memory.queryFacts({ predicate: 'aff', verified: null })).toHaveLength(1);
+        expect(memory.queryFacts({ verified: true })).toEqual([]);
+        expect(memory.queryFacts({ limit: 1 })).toHaveLength(1);
+    });
+
+    test('fact checks look for support and for exact single-valued conflicts', async () => {
+        const entry = await extracted('LangChain', LANGCHAIN);
+        const rival = memory.addKnowledge({ topic: 'LangChain origins', content: 'Some say LangChain came from OpenAI.' });
+        memory.storeFacts(rival.id, {
+            entities: [],
+            facts: [
+                { subject: 'LangChain', predicate: 'developed-by', object: 'OpenAI', confidence: 0.5 },
+                // Neither a different subject nor a predicate containing developed-by is a conflict
+                { subject: 'LangChain community', predicate: 'developed-by', object: 'volunteers', confidence: 0.5 },
+                { subject: 'LangChain', predicate: 'developed-by-team', object: 'contributors', confidence: 0.5 }
+            ]
+        });
+        const agent = new VerificationAgent(memory);
+        const [supports] = memory.queryFacts({ entryId: entry.id, predicate: 'supports' });
+        const [developed] = memory.queryFacts({ entryId: entry.id, predicate: 'developed-by' });
+
+        const passed = await agent.verifyFact(supports.id);
+        expect(passed).toMatchObject({ passed: true, support: 1, conflicts: [] });
+
+        const conflicted = await agent.verifyFact(developed.id);
+        expect(conflicted.passed).toBe(false);
+        expect(conflicted.conflicts).toEqual([{ id: expect.any(String), object: 'OpenAI' }]);
+
+        // Results live on the fact records and stay out of the evaluation scores
+        expect(memory.getFact(supports.id)).toMatchObject({ verified: true, verification: { passed: true, checkedAt: expect.any(String) } });
+        expect(memory.getFact(developed.id).verified).toBe(false);
+        expect(memory.storage.read('evaluation').scores).toEqual([]);
+        await expect(agent.verifyFact('missing')).rejects.toThrow(/Unknown fact: missing/);
+    });
+});
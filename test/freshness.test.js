@@ -0,0 +1,112 @@
+// Knowledge freshness: TTL classes, stale-entry priority, re-research and the staleness summary
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { FreshnessPolicy } from '../lib/freshness.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+describe('FreshnessPolicy', () => {
+    const policy = new FreshnessPolicy();
+
+    test('classifies entries by topic and tag keywords, first class first', () => {
+        expect(policy.classify({ topic: 'Latest LLM release' })).toEqual({ class: 'news', ttlDays: 3 });
+        expect(policy.classify({ topic: 'Agent frameworks' })).toEqual({ class: 'fast-moving', ttlDays: 30 });
+        expect(policy.classify({ topic: 'Sorting', tags: ['algorithms'] })).toEqual({ class: 'reference', ttlDays: 365 });
+        expect(policy.classify({ topic: 'Sourdough bread' })).toEqual({ class: 'default', ttlDays: 90 });
+        // Whole words only: "maintain" is not "ai"
+        expect(policy.classify({ topic: 'How to maintain bread starters' }).class).toBe('default');
+    });
+
+    test('scores staleness as age over TTL', () => {
+        const entry = { topic: 'Agent frameworks', timestamp: daysAgo(60), freshness: { lastConfirmed: daysAgo(15) } };
+
+        expect(policy.staleness(entry)).toBeCloseTo(0.5, 2);
+        expect(policy.staleness({ ...entry, freshness: undefined })).toBeCloseTo(2, 2);
+        expect(new FreshnessPolicy({ defaultTtlDays: 10 }).staleness({ topic: 'Bread', timestamp: daysAgo(5) })).toBeCloseTo(0.5, 2);
+    });
+});
+
+describe('stale knowledge', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    // A research entry last confirmed `days` ago
+    const researched = (topic, days, fields = {}) => {
+        const entry = memory.addKnowledge({ topic, content: `${topic} findings.`, researchMethod: 'llm', ...fields });
+        return memory.updateKnowledge(entry.id, { freshness: { ...entry.freshness, lastConfirmed: daysAgo(days) } });
+    };
+
+    test('lists research entries past their TTL, valuable ones first', () => {
+        const bread = researched('Sourdough bread', 180);
+        const agents = researched('Agent frameworks', 45);
+        const verified = researched('Rust ownership', 100);
+        memory.verifyKnowledge(verified.id);
+        researched('Sorting algorithms', 100);
+        memory.addKnowledge({ topic: 'Imported notes', content: 'Old notes.' });
+        const rejected = researched('Vector databases', 200);
+        memory.rejectKnowledge(rejected.id, 'wrong');
+
+        const stale = memory.getStaleEntries();
+
+        // bread 2.0 × 1, verified 1.11 × 1.5, agents 1.5 × 1; references, imports and rejects never show
+        expect(stale.map(e => e.topic)).toEqual(['Sourdough bread', 'Rust ownership', 'Agent frameworks']);
+        expect(stale[0]).toMatchObject({ id: bread.id, value: 1 });
+        expect(stale[1].value).toBe(1.5);
+        expect(stale[2].staleness).toBeCloseTo(1.5, 2);
+        expect(memory.getStaleEntries({ limit: 1 }).map(e => e.id)).toEqual([bread.id]);
+        expect(memory.getStaleEntries({ minStaleness: 0 }).map(e => e.id)).toContain(agents.id);
+    });
+
+    test('a refresh with new facts revises the entry and invalidates dependents', () => {
+        const entry = researched('Agent frameworks', 45);
+        const summary = memory.addKnowledge({ topic: 'Agents summary', content: 'Briefly.', links: [{ type: 'derived-from', target: entry.id }] });
+
+        const result = memory.refreshKnowledge(entry.id, { summary: 'Agent frameworks findings.\nNew orchestration tools.', sources: ['https://example.com/agents'] });
+
+        expect(result).toMatchObject({ id: entry.id, changed: true, added: 1, removed: 0 });
+        const refreshed = memory.getKnowledge(entry.id);
+        expect(refreshed).toMatchObject({ revision: 2, source: ['https://example.com/agents'] });
+        expect(refreshed.refreshes).toEqual([expect.objectContaining({ changed: true, added: 1 })]);
+        expect(memory.freshness.staleness(refreshed)).toBeLessThan(0.01);
+        expect(memory.getKnowledge(summary.id).invalidated).toMatchObject({ by: entry.id, reason: 're-research changed the facts' });
+    });
+
+    test('unchanged findings only renew the confirmation date', () => {
+        const entry = researched('Agent frameworks', 45);
+
+        expect(memory.refreshKnowledge(entry.id, { summary: '  agent frameworks FINDINGS. ' })).toMatchObject({ changed: false });
+        expect(memory.refreshKnowledge(entry.id, { summary: '' })).toMatchObject({ changed: false });
+
+        const refreshed = memory.getKnowledge(entry.id);
+        expect(refreshed.content).toBe('Agent frameworks findings.');
+        expect(refreshed.refreshes).toHaveLength(2);
+        expect(memory.getStaleEntries()).toEqual([]);
+        expect(memory.refreshKnowledge('missing', { summary: 'x' })).toBeNull();
+    });
+
+    test('summarizes staleness across research entries', () => {
+        researched('Sourdough bread', 180);
+        researched('Agent frameworks', 15);
+
+        expect(memory.getStalenessSummary()).toEqual({
+            staleCount: 1,
+            averageStaleness: 1.25,
+            stalest: [
+                { id: expect.any(String), topic: 'Sourdough bread', class: 'default', staleness: 2 },
+                { id: expect.any(String), topic: 'Agent frameworks', class: 'fast-moving', staleness: 0.5 }
+            ]
+        });
+    });
+});
@@ -0,0 +1,84 @@
+// Gap detection: read-only curriculum, gap sources and opt-in clustering
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { TaskGenerator } from '../agents/index.js';
+import { DEFAULT_CURRICULUM } from '../lib/gap-detector.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('GapDetector', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const curriculumFile = () => path.join(dir, 'curriculum.json');
+
+    test('reading gaps and stats never writes the curriculum', () => {
+        expect(memory.gapDetector.loadCurriculum()).toEqual(DEFAULT_CURRICULUM);
+        memory.getStats();
+        memory.detectGaps({ clusters: true });
+
+        expect(fs.existsSync(curriculumFile())).toBe(false);
+    });
+
+    test('initCurriculum writes the defaults once and keeps edits', () => {
+        expect(memory.gapDetector.initCurriculum()).toEqual({ created: true, path: curriculumFile() });
+
+        const edited = { domains: [{ topic: 'graph databases', weight: 1, target: 1 }] };
+        fs.writeFileSync(curriculumFile(), JSON.stringify(edited));
+        expect(memory.gapDetector.initCurriculum().created).toBe(false);
+        expect(memory.detectGaps().map(g => g.topic)).toEqual(['graph databases']);
+    });
+
+    test('finds related-topic and rejected gaps', () => {
+        fs.writeFileSync(curriculumFile(), JSON.stringify({ domains: [] }));
+        memory.addKnowledge({ topic: 'Vector search', content: 'Nearest neighbour search.', relatedTopics: ['product quantization'] });
+        const wrong = memory.addKnowledge({ topic: 'Quantum sorting', content: 'Sorting in constant time.' });
+        memory.rejectKnowledge(wrong.id, 'wrong');
+
+        const gaps = memory.detectGaps();
+        expect(gaps.find(g => g.topic === 'Quantum sorting')).toMatchObject({ source: 'rejected' });
+        expect(gaps.find(g => g.topic === 'product quantization')).toMatchObject({ source: 'related-topic' });
+    });
+
+    test('clusters entries only when sparse clusters are asked for', () => {
+        fs.writeFileSync(curriculumFile(), JSON.stringify({ domains: [] }));
+        const topics = ['HNSW graphs', 'HNSW layers', 'HNSW search', 'HNSW inserts', 'IVF lists', 'Sourdough starters', 'Tomato growing'];
+        topics.forEach(topic => memory.addKnowledge({ topic, content: `${topic} explained in some detail.` }));
+        const cluster = jest.spyOn(memory.gapDetector, 'cluster');
+
+        memory.getStats();
+        memory.identifyGaps();
+        expect(cluster).not.toHaveBeenCalled();
+
+        memory.detectGaps({ clusters: true });
+        memory.detectGaps({ clusters: true });
+        expect(cluster).toHaveBeenCalledTimes(1);
+    });
+
+    test('task generation skips gap detection when queued research fills every slot', () => {
+        fs.writeFileSync(curriculumFile(), JSON.stringify({ domains: [{ topic: 'graph databases', weight: 1, target: 1 }] }));
+        memory.queueResearch('Rust lifetimes');
+        memory.queueResearch('Go generics');
+        const generator = new TaskGenerator(memory);
+        const detect = jest.spyOn(memory.gapDetector, 'detectGaps');
+        const cluster = jest.spyOn(memory.gapDetector, 'cluster');
+
+        expect(generator.generateTasks(2).map(t => t.reason)).toEqual(['queued', 'queued']);
+        expect(detect).not.toHaveBeenCalled();
+        expect(cluster).not.toHaveBeenCalled();
+
+        expect(generator.generateTasks(4).map(t => t.task)).toEqual(['Rust lifetimes', 'Go generics', 'graph databases', expect.any(String)]);
+        expect(detect).toHaveBeenCalledWith({ limit: 2, clusters: true });
+    });
+});
@@ -0,0 +1,26 @@
+// Shared test helpers: throwaway directories and a quiet console
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest, beforeAll, afterAll } from '@jest/globals';
+
+// A fresh directory under the OS temp dir
+function tempDir(prefix = 'magnitude-test-') {
+    return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Silence the pipeline's progress logging for the current test file
+function quietConsole() {
+    const spies = [];
+    beforeAll(() => {
+        spies.push(...['log', 'warn', 'error'].map(level => jest.spyOn(console, level).mockImplementation(() => {})));
+    });
+    afterAll(() => spies.forEach(spy => spy.mockRestore()));
+}
+
+export { tempDir, removeDir, quietConsole };
@@ -0,0 +1,141 @@
+// Hybrid search: BM25, rank fusion, metadata filters and MemorySystem.query
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { BM25Index, reciprocalRankFusion, matchesKnowledgeFilter, paginate } from '../lib/hybrid-search.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('BM25Index', () => {
+    const index = new BM25Index([
+        { id: 'a', topic: 'Python', content: 'Python is a programming language with dynamic typing.' },
+        { id: 'b', topic: 'Rust', content: 'Rust is a systems programming language focused on safety.' },
+        { id: 'c', topic: 'Cooking', content: 'Sourdough bread uses wild yeast.', tags: ['python'] }
+    ]);
+
+    test('ranks entries by term relevance', () => {
+        const results = index.search('python programming');
+        expect(results[0].id).toBe('a');
+        expect(results.map(r => r.id)).toEqual(expect.arrayContaining(['a', 'b', 'c']));
+        expect(index.search('quantum')).toEqual([]);
+    });
+
+    test('restricts results to allowed ids', () => {
+        expect(index.search('programming', new Set(['b'])).map(r => r.id)).toEqual(['b']);
+    });
+});
+
+describe('reciprocalRankFusion', () => {
+    test('favours ids ranked well in several lists', () => {
+        const fused = reciprocalRankFusion([['a', 'b', 'c'], ['b', 'c', 'a'], ['b']]);
+        expect(fused[0].id).toBe('b');
+        expect(fused.map(r => r.id)).toHaveLength(3);
+    });
+});
+
+describe('matchesKnowledgeFilter', () => {
+    const entry = {
+        verified: true,
+        tags: ['Security', 'llm'],
+        taxonomy: ['ai/safety'],
+        source: ['https://owasp.org/top10'],
+        timestamp: '2026-01-31T18:30:00.000Z'
+    };
+
+    test('checks flags, tags, taxonomy and source', () => {
+        expect(matchesKnowledgeFilter(entry, { verified: true, tags: ['security'] })).toBe(true);
+        expect(matchesKnowledgeFilter(entry, { verified: false })).toBe(false);
+        expect(matchesKnowledgeFilter(entry, { tags: ['security', 'rag'] })).toBe(false);
+        expect(matchesKnowledgeFilter(entry, { taxonomy: ['ai/safety', 'ai/rag'] })).toBe(true);
+        expect(matchesKnowledgeFilter(entry, { source: 'OWASP.org' })).toBe(true);
+    });
+
+    test('a date-only until includes that whole day', () => {
+        expect(matchesKnowledgeFilter(entry, { until: '2026-01-31' })).toBe(true);
+        expect(matchesKnowledgeFilter(entry, { until: '2026-01-30' })).toBe(false);
+        expect(matchesKnowledgeFilter(entry, { until: '2026-01-31T12:00:00Z' })).toBe(false);
+        expect(matchesKnowledgeFilter(entry, { since: '2026-01-31', until: '2026-01-31' })).toBe(true);
+    });
+});
+
+describe('paginate', () => {
+    test('slices a page and counts pages', () => {
+        expect(paginate([1, 2, 3, 4, 5], 2, 2)).toEqual({ results: [3, 4], total: 5, page: 2, pageSize: 2, pages: 3 });
+    });
+});
+
+describe('MemorySystem.query', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('leaves out rejected entries unless asked for them', async () => {
+        const kept = memory.addKnowledge({ topic: 'Python typing', content: 'Python supports gradual typing with type hints.' });
+        const rejected = memory.addKnowledge({ topic: 'Python myths', content: 'Python typing is impossible, it never had hints.' });
+        memory.rejectKnowledge(rejected.id, 'wrong');
+
+        const search = await memory.query('python typing', { mode: 'keyword' });
+        expect(search.results.map(r => r.id)).toEqual([kept.id]);
+
+        const all = await memory.query('python typing', { mode: 'keyword', includeRejected: true });
+        expect(all.results.map(r => r.id).sort()).toEqual([kept.id, rejected.id].sort());
+    });
+
+    test('folds chunk hits into their parent document', async () => {
+        const text = [
+            'Python is a programming language created by Guido van Rossum.',
+            'Python code is interpreted and dynamically typed, which makes Python quick to write.',
+            'The Python package index hosts hundreds of thousands of Python libraries.'
+        ].join('\n\n');
+        const parent = memory.addKnowledge({ topic: 'Python', content: text });
+        const chunks = memory.addChunks(parent.id, text, { maxChars: 90 });
+        expect(chunks.length).toBeGreaterThan(1);
+
+        const search = await memory.query('python', { mode: 'keyword' });
+        expect(search.total).toBe(1);
+        expect(search.results[0].id).toBe(parent.id);
+        expect(search.results[0].matchedChunks.length).toBeGreaterThan(0);
+    });
+
+    test('applies filters to chunks through their parent', async () => {
+        const text = 'Vector databases store embeddings.\n\nVector databases answer nearest-neighbour queries quickly.';
+        const parent = memory.addKnowledge({ topic: 'Vector databases', content: 'Overview', tags: ['storage'] });
+        memory.addChunks(parent.id, text, { maxChars: 50 });
+
+        const tagged = await memory.query('nearest neighbour queries', { mode: 'keyword', filters: { tags: ['storage'] } });
+        expect(tagged.results.map(r => r.id)).toEqual([parent.id]);
+
+        const other = await memory.query('nearest neighbour queries', { mode: 'keyword', filters: { tags: ['security'] } });
+        expect(other.total).toBe(0);
+    });
+});
+
+describe('MemorySystem.semanticSearch', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('the keyword fallback keeps filters and leaves out rejected entries when vector search fails', async () => {
+        const kept = memory.addKnowledge({ topic: 'Python typing', content: 'Python supports type hints.', tags: ['lang'] });
+        memory.addKnowledge({ topic: 'Python packaging', content: 'Python wheels are built archives.', tags: ['tooling'] });
+        const rejected = memory.addKnowledge({ topic: 'Python myths', content: 'Python has no type hints.', tags: ['lang'] });
+        memory.rejectKnowledge(rejected.id, 'wrong');
+        memory.vectorMemory = { search: async () => { throw new Error('index unavailable'); } };
+
+        const results = await memory.semanticSearch('python', 5, { tags: ['lang'] });
+        expect(results.map(r => r.id)).toEqual([kept.id]);
+    });
+});
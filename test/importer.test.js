@@ -0,0 +1,108 @@
+// Document import: file formats, chunked parents and re-import of unchanged or changed files
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { DocumentImporter, htmlToText } from '../lib/importer.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const LONG_MARKDOWN = [
+    '# Vector databases',
+    'Vector databases store embeddings and answer nearest-neighbour queries.',
+    '## Indexes',
+    'HNSW builds a layered proximity graph for fast approximate search.',
+    '## Filters',
+    'Metadata filters narrow the candidate set before or after the vector search.'
+].join('\n');
+
+describe('DocumentImporter', () => {
+    let dir;
+    let docs;
+    let memory;
+    let importer;
+
+    beforeEach(() => {
+        dir = tempDir();
+        docs = path.join(dir, 'docs');
+        fs.mkdirSync(docs);
+        memory = new MemorySystem(path.join(dir, 'memory'));
+        importer = new DocumentImporter(memory, { maxChars: 100 });
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const entries = () => memory.getAllKnowledge().entries;
+
+    test('imports a long Markdown file as a parent with heading chunks', async () => {
+        fs.writeFileSync(path.join(docs, 'vectors.md'), LONG_MARKDOWN);
+
+        const stats = await importer.importPath(docs);
+        expect(stats).toMatchObject({ files: 1, documents: 1, added: 1, chunks: 3 });
+
+        const parent = entries().find(e => !e.parentId);
+        expect(parent.topic).toBe('Vector databases');
+        expect(parent.tags).toContain('imported');
+        const chunks = entries().filter(e => e.parentId === parent.id);
+        expect(parent.document.chunkIds).toEqual(chunks.map(c => c.id));
+        expect(chunks.map(c => c.chunk.heading)).toEqual(['Vector databases', 'Vector databases > Indexes', 'Vector databases > Filters']);
+        chunks.forEach(c => expect(LONG_MARKDOWN.slice(c.chunk.start, c.chunk.end)).toBe(c.content));
+    });
+
+    test('stores a short document once, without chunks, and skips it on re-import', async () => {
+        // Two headings would make two chunks under the heading strategy
+        const text = '# Tiny\nOne line.\n## More\nAnother line.';
+        fs.writeFileSync(path.join(docs, 'tiny.md'), text);
+
+        const first = await importer.importPath(docs);
+        expect(first).toMatchObject({ added: 1, chunks: 0 });
+        expect(entries()).toHaveLength(1);
+        expect(entries()[0].content).toBe(text);
+        expect(entries()[0].document).toMatchObject({ chars: text.length, chunkIds: [] });
+
+        const again = await importer.importPath(docs);
+        expect(again).toMatchObject({ skipped: 1, chunks: 0 });
+        expect(entries()).toHaveLength(1);
+    });
+
+    test('a changed file revises its parent and replaces the chunks', async () => {
+        const file = path.join(docs, 'vectors.md');
+        fs.writeFileSync(file, LONG_MARKDOWN);
+        await importer.importPath(file);
+        const oldChunks = entries().filter(e => e.parentId).map(e => e.id);
+
+        fs.writeFileSync(file, `${LONG_MARKDOWN}\n## Benchmarks\nRecall is measured against an exact scan of the data.`);
+        const stats = await importer.importPath(file);
+
+        expect(stats).toMatchObject({ revised: 1, chunks: 4 });
+        expect(entries().filter(e => !e.parentId)).toHaveLength(1);
+        expect(entries().some(e => oldChunks.includes(e.id))).toBe(false);
+    });
+
+    test('reads HTML and JSONL, and reports unsupported files', async () => {
+        fs.writeFileSync(path.join(docs, 'page.html'), '<html><head><title>RRF &amp; BM25</title></head><body><p>Fusion of rankings.</p><script>x()</script></body></html>');
+        fs.writeFileSync(path.join(docs, 'notes.jsonl'), '{"topic": "Chunking", "content": "Split documents.", "tags": ["rag"]}\n\n{"title": "Empty", "content": ""}\n');
+        fs.writeFileSync(path.join(docs, 'paper.pdf'), '%PDF');
+
+        const stats = await importer.importPath(docs);
+        expect(stats).toMatchObject({ files: 2, documents: 2, added: 2 });
+        expect(stats.errors).toEqual([{ file: path.join(docs, 'paper.pdf'), error: expect.stringMatching(/converted to text/) }]);
+
+        const topics = entries().map(e => e.topic).sort();
+        expect(topics).toEqual(['Chunking', 'RRF & BM25']);
+        expect(entries().find(e => e.topic === 'RRF & BM25').content).toBe('Fusion of rankings.');
+        expect(entries().find(e => e.topic === 'Chunking').tags).toEqual(expect.arrayContaining(['imported', 'rag']));
+    });
+
+    test('a missing path throws', async () => {
+        await expect(importer.importPath(path.join(dir, 'nope'))).rejects.toThrow(/No such file or directory/);
+    });
+});
+
+describe('htmlToText', () => {
+    test('drops markup and keeps block structure', () => {
+        expect(htmlToText('<h1>Title</h1><p>One &lt;b&gt;<br>Two</p><!-- c --><style>p{}</style>')).toBe('Title\n\nOne <b>\nTwo');
+    });
+});
@@ -0,0 +1,125 @@
+// Provider layer: JSON shapes, request building and configuration errors
+
+import { describe, test, expect } from '@jest/globals';
+import {
+    OpenAICompatibleProvider,
+    AzureProvider,
+    LocalProvider,
+    createProvider,
+    providerConfigFromEnv,
+    expectedJsonShape,
+    extractJson
+} from '../lib/llm-providers.js';
+
+const ARRAY_PROMPT = `
+Suggest modifications.
+
+Respond in JSON format:
+[
+  { "file": "path/to/file.js", "change": "description" }
+]
+`;
+
+const OBJECT_PROMPT = `
+Summarize this topic.
+
+Respond with JSON:
+{ "mainPoints": ["main facts"] }
+`;
+
+describe('expectedJsonShape', () => {
+    test('detects array and object examples', () => {
+        expect(expectedJsonShape(ARRAY_PROMPT)).toBe('array');
+        expect(expectedJsonShape('Respond with JSON array:\n[{"description": "need"}]')).toBe('array');
+        expect(expectedJsonShape(OBJECT_PROMPT)).toBe('object');
+        expect(expectedJsonShape('No example here')).toBe('object');
+    });
+});
+
+describe('OpenAICompatibleProvider.buildRequest', () => {
+    const provider = new OpenAICompatibleProvider({ apiKey: 'test', model: 'gpt-test' });
+
+    test('forces a JSON object only when an object is expected', () => {
+        const messages = [{ role: 'user', content: 'hi' }];
+        expect(provider.buildRequest(messages, { jsonMode: true, jsonShape: 'object' }).response_format)
+            .toEqual({ type: 'json_object' });
+        expect(provider.buildRequest(messages, { jsonMode: true, jsonShape: 'array' }).response_format)
+            .toBeUndefined();
+        expect(provider.buildRequest(messages, {}).response_format).toBeUndefined();
+    });
+
+    test('json() sends array prompts without json_object mode', async () => {
+        const sent = [];
+        provider.post = async (url, headers, body) => {
+            sent.push(body);
+            return { json: async () => ({ choices: [{ message: { content: '[{"file": "a.js"}]' } }], usage: {} }) };
+        };
+
+        await expect(provider.json(ARRAY_PROMPT)).resolves.toEqual([{ file: 'a.js' }]);
+        expect(sent[0].response_format).toBeUndefined();
+    });
+});
+
+describe('LLMProvider.json', () => {
+    test('unwraps an array the model wrapped in an object', async () => {
+        const llm = new LocalProvider({ response: { modifications: [{ file: 'a.js' }] } });
+        await expect(llm.json(ARRAY_PROMPT)).resolves.toEqual([{ file: 'a.js' }]);
+    });
+
+    test('empty JSON fallback matches the expected shape', async () => {
+        const llm = new LocalProvider();
+        await expect(llm.json(ARRAY_PROMPT)).resolves.toEqual([]);
+        await expect(llm.json(OBJECT_PROMPT)).resolves.toEqual({});
+    });
+
+    test('extractJson reads fenced and embedded JSON', () => {
+        expect(extractJson('Here:\n```json\n{"a": 1}\n```')).toEqual({ a: 1 });
+        expect(extractJson('Result: [1, 2] done')).toEqual([1, 2]);
+        expect(() => extractJson('no json')).toThrow(/valid JSON/);
+    });
+});
+
+describe('AzureProvider configuration', () => {
+    const endpoint = process.env.AZURE_ENDPOINT;
+
+    test('a deployment without an endpoint fails with a configuration error', () => {
+        delete process.env.AZURE_ENDPOINT;
+        try {
+            expect(() => new AzureProvider({ deployment: 'gpt-4o', apiKey: 'k' })).toThrow(/needs an endpoint/);
+            expect(() => createProvider({ provider: 'azure', endpoint: 'not a url', deployment: 'gpt-4o' })).toThrow(/not a valid URL/);
+        } finally {
+            if (endpoint !== undefined) process.env.AZURE_ENDPOINT = endpoint;
+        }
+    });
+
+    test('the browser agent config uses the endpoint resource name', () => {
+        const azure = new AzureProvider({ endpoint: 'https://my-resource.openai.azure.com/', deployment: 'gpt-4o', apiKey: 'k' });
+        expect(azure.toBrowserAgentLlm().options).toMatchObject({ resourceName: 'my-resource', deploymentId: 'gpt-4o' });
+        expect(azure.endpoint()).toContain('https://my-resource.openai.azure.com/openai/deployments/gpt-4o/');
+    });
+});
+
+describe('providerConfigFromEnv', () => {
+    test('builds providers from the env passed in, not process.env', () => {
+        const saved = { ...process.env };
+        delete process.env.AZURE_ENDPOINT;
+        delete process.env.AZURE_API_KEY;
+        try {
+            const config = providerConfigFromEnv({
+                AZURE_API_KEY: 'azure-key',
+                AZURE_ENDPOINT: 'https://injected.openai.azure.com',
+                AZURE_DEPLOYMENT: 'gpt-4o'
+            });
+            expect(config).toMatchObject({ provider: 'azure', endpoint: 'https://injected.openai.azure.com', apiKey: 'azure-key', deployment: 'gpt-4o' });
+
+            const azure = createProvider(config);
+            expect(azure.apiKey).toBe('azure-key');
+            expect(azure.endpoint()).toContain('https://injected.openai.azure.com/openai/deployments/gpt-4o/');
+
+            expect(providerConfigFromEnv({ OPENAI_API_KEY: 'openai-key' })).toMatchObject({ provider: 'openai', apiKey: 'openai-key' });
+            expect(providerConfigFromEnv({})).toBeNull();
+        } finally {
+            process.env = saved;
+        }
+    });
+});
@@ -0,0 +1,103 @@
+// Memory namespaces: layout, isolation, and copying, sharing and syncing entries between them
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { NamespaceManager, namespacePaths, checkNamespace } from '../lib/namespaces.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('namespace paths', () => {
+    test('the default namespace keeps the original layout and named ones live under the root', () => {
+        expect(namespacePaths('default', { baseDir: '/srv' })).toMatchObject({
+            memoryPath: '/srv/memory', feedbackPath: '/srv/feedback', schedulePath: '/srv/schedule.json', collectionName: 'magnitude-knowledge'
+        });
+        expect(namespacePaths('client-a', { baseDir: '/srv' })).toMatchObject({
+            dir: '/srv/namespaces/client-a', memoryPath: '/srv/namespaces/client-a/memory', collectionName: 'magnitude-knowledge-client-a'
+        });
+        expect(() => checkNamespace('../etc')).toThrow(/Invalid namespace "\.\.\/etc"/);
+    });
+});
+
+describe('NamespaceManager', () => {
+    let dir;
+    let namespaces;
+    let work;
+    let personal;
+
+    beforeEach(async () => {
+        dir = tempDir();
+        namespaces = new NamespaceManager({ baseDir: dir, memory: { useVectorMemory: false } });
+        work = await namespaces.open('work');
+        personal = await namespaces.open('default');
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('namespaces are isolated and listed with their entry counts', async () => {
+        work.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+
+        expect(personal.getAllKnowledge().entries).toEqual([]);
+        expect(await namespaces.open('work')).toBe(work);
+        expect(namespaces.list()).toEqual([
+            { name: 'default', path: path.join(dir, 'memory'), entries: 0 },
+            { name: 'work', path: path.join(dir, 'namespaces', 'work', 'memory'), entries: 1 }
+        ]);
+    });
+
+    test('copies are independent, keep verification and bring document chunks', async () => {
+        const rust = work.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+        work.verifyKnowledge(rust.id);
+        const doc = work.addKnowledge({ topic: 'Rust guide', content: 'Ownership.\n\nBorrowing.' });
+        const [chunk] = work.addChunks(doc.id, '# Ownership\n\nEach value has one owner.\n\n# Borrowing\n\nReferences borrow values.', { strategy: 'heading', maxChars: 40 });
+
+        const result = await namespaces.copy('work', 'default', [rust.id, chunk.id, 'missing']);
+
+        expect(result.missing).toEqual(['missing']);
+        expect(result.added).toHaveLength(2);
+        const [copy, guide] = result.added.map(id => personal.getKnowledge(id));
+        expect(copy).toMatchObject({ topic: 'Rust', verified: true, copiedFrom: { namespace: 'work', id: rust.id, revision: 1 } });
+        expect(personal.getHistory(copy.id)[0].author).toBe('namespace');
+        expect(guide.document.chunkIds).toHaveLength(work.getKnowledge(doc.id).document.chunkIds.length);
+        expect(personal.getKnowledge(guide.document.chunkIds[0])).toMatchObject({ parentId: guide.id });
+
+        // Copies don't follow the original, and receiving it again is a no-op
+        work.updateKnowledge(rust.id, { content: 'Rust is memory safe and fast.' });
+        expect(await namespaces.copy('work', 'default', [rust.id])).toMatchObject({ added: [], skipped: [rust.id] });
+        expect(personal.getKnowledge(copy.id).content).toBe('Rust is memory safe.');
+    });
+
+    test('shared mirrors follow their original on sync and on re-share', async () => {
+        const rust = work.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+        const go = work.addKnowledge({ topic: 'Go', content: 'Go has goroutines.' });
+        const { added: [mirrorId, goMirrorId] } = await namespaces.share('work', 'default', [rust.id, go.id]);
+
+        expect(await namespaces.sync('default')).toEqual({ checked: 2, updated: [], missing: [] });
+
+        work.updateKnowledge(rust.id, { content: 'Rust is memory safe and fast.' });
+        work.verifyKnowledge(rust.id);
+        work.removeKnowledge(go.id);
+
+        expect(await namespaces.sync('default')).toEqual({ checked: 2, updated: [mirrorId], missing: [goMirrorId] });
+        expect(personal.getKnowledge(mirrorId)).toMatchObject({
+            content: 'Rust is memory safe and fast.',
+            verified: true,
+            sharedFrom: { namespace: 'work', id: rust.id, revision: 2 }
+        });
+        expect(personal.getHistory(mirrorId).at(-1).reason).toBe('shared entry updated in work');
+
+        work.updateKnowledge(rust.id, { content: 'Rust is fast.' });
+        expect(await namespaces.share('work', 'default', [rust.id])).toMatchObject({ added: [], updated: [mirrorId] });
+    });
+
+    test('rejected entries, the same namespace and unknown modes are refused', async () => {
+        const wrong = work.addKnowledge({ topic: 'Rust myths', content: 'Rust has a garbage collector.' });
+        work.rejectKnowledge(wrong.id, 'wrong');
+
+        expect(await namespaces.copy('work', 'default', [wrong.id])).toMatchObject({ added: [], skipped: [wrong.id] });
+        await expect(namespaces.copy('work', 'work', [wrong.id])).rejects.toThrow(/Source and target namespaces are the same/);
+        expect(() => personal.receiveKnowledge(work, [wrong.id], { mode: 'move' })).toThrow(/Unknown receive mode: move/);
+        expect(fs.existsSync(path.join(dir, 'namespaces', 'work', 'memory'))).toBe(true);
+    });
+});
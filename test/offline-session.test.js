@@ -0,0 +1,135 @@
+// Offline pipeline against MockLLMProvider: session, debate, tool analysis and self-modification
+
+import fs from 'fs';
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import MagnitudeSelfImprover from '../index.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import ToolCreator from '../lib/tool-creator.js';
+import SelfModificationSystem from '../lib/self-modify.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('offline session', () => {
+    const cwd = process.cwd();
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    let dir;
+    let improver;
+
+    beforeAll(async () => {
+        dir = tempDir();
+        // Stray relative paths (backups, default stores) land in the temp dir
+        process.chdir(dir);
+        // A configured real provider must not be picked up offline
+        process.env.ANTHROPIC_API_KEY = 'sk-test-not-used';
+
+        improver = new MagnitudeSelfImprover({
+            offline: true,
+            tasksPerSession: 2,
+            sessionName: 'offline_test',
+            baseDir: dir,
+            projectPath: dir
+        });
+        await improver.initialize();
+    });
+
+    afterAll(() => {
+        process.chdir(cwd);
+        if (apiKey === undefined) delete process.env.ANTHROPIC_API_KEY;
+        else process.env.ANTHROPIC_API_KEY = apiKey;
+        removeDir(dir);
+    });
+
+    test('uses the mock LLM for every agent', () => {
+        expect(improver.llm).toBeInstanceOf(MockLLMProvider);
+        expect(improver.answerAgent.llm).toBe(improver.llm);
+        expect(improver.researchAgent.llm).toBe(improver.llm);
+        expect(improver.debateAgent.proponentLlm).toBe(improver.llm);
+        expect(improver.debateAgent.opponentLlm).toBe(improver.llm);
+    });
+
+    test('runSession researches, verifies and records the session', async () => {
+        await improver.runSession();
+
+        expect(improver.sessionMetrics.tasksCompleted).toBe(2);
+        expect(improver.sessionMetrics.tasksFailed).toBe(0);
+        const stats = improver.memory.getStats();
+        expect(stats.knowledgeCount).toBeGreaterThanOrEqual(2);
+        expect(stats.sessionsCount).toBe(1);
+        expect(improver.llm.getUsage().calls).toBeGreaterThan(0);
+    });
+
+    test('ask answers from memory with the mock instead of the network', async () => {
+        const entry = improver.memory.getAllKnowledge().entries[0];
+        const answer = await improver.ask(entry.topic, { queue: false });
+
+        expect(answer.answer).toContain('Mock answer drawn from memory');
+        expect(answer.citations.length).toBeGreaterThan(0);
+    });
+
+    test('debate runs every round and stores a synthesis', async () => {
+        const result = await improver.runDebate('Offline testing makes agents more reliable', { rounds: 2 });
+
+        expect(result.rounds).toHaveLength(2);
+        expect(result.rounds[0].proponent.argument).toBe('Mock argument in favor.');
+        expect(result.rounds[0].opponent.argument).toBe('Mock argument against.');
+        expect(result.synthesis.conclusion).toBe('Mock conclusion reached offline.');
+        expect(result.entry).toBeTruthy();
+    });
+
+    test('reflection analyzes the session metrics with the mock', async () => {
+        const reflection = await improver.reflectionAgent.analyzeSession(improver.sessionMetrics);
+
+        expect(reflection.whatWorked).toContain('Session completed with mock LLM');
+        expect(reflection.improvements.length).toBeGreaterThan(0);
+    });
+});
+
+describe('offline tools and self-modification', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = tempDir();
+    });
+
+    afterAll(() => removeDir(dir));
+
+    test('ToolCreator.analyzeNeed returns the mock tool spec', async () => {
+        const creator = new ToolCreator({ toolsPath: dir, llm: new MockLLMProvider() });
+        const spec = await creator.analyzeNeed({ description: 'Parse CSV files' });
+
+        expect(spec).toMatchObject({ shouldCreate: true, toolName: 'parse_csv_files', toolType: 'javascript' });
+    });
+
+    test('SelfModificationSystem analyzes a failure without suggesting changes', async () => {
+        const selfMod = new SelfModificationSystem({
+            projectPath: dir,
+            backupPath: `${dir}/backups`,
+            llm: new MockLLMProvider()
+        });
+        const analysis = await selfMod.analyzeFailure({ task: 'research', error: 'Browser timeout after 30s' });
+
+        expect(analysis.canSelfModify).toBe(true);
+        expect(analysis.rootCause).toMatch(/^Mock root cause/);
+        expect(analysis.suggestedChanges).toEqual([]);
+    });
+
+    test('strict mock throws on prompts it has no rule for', async () => {
+        const llm = new MockLLMProvider({ strict: true, useDefaultRules: false });
+
+        await expect(llm.complete('Unscripted prompt')).rejects.toThrow(/No mock fixture or rule/);
+    });
+
+    test('replay leaves a missing fixtures directory alone and recording creates it', async () => {
+        const fixturesPath = `${dir}/fixtures`;
+        const replay = new MockLLMProvider({ fixturesPath });
+        await replay.complete('Analyze this session metrics');
+        expect(fs.existsSync(fixturesPath)).toBe(false);
+
+        const recordFrom = new MockLLMProvider({ defaultResponse: 'Recorded answer.' });
+        const recorder = new MockLLMProvider({ fixturesPath, recordFrom });
+        expect(await recorder.complete('Unscripted prompt')).toBe('Recorded answer.');
+        expect(fs.readdirSync(fixturesPath)).toHaveLength(1);
+        expect(await new MockLLMProvider({ fixturesPath, strict: true, useDefaultRules: false }).complete('Unscripted prompt')).toBe('Recorded answer.');
+    });
+});
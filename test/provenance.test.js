@@ -0,0 +1,89 @@
+// Provenance: source links, lineage, dependents and invalidation when an input is rejected
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import HumanFeedbackLoop from '../lib/human-feedback.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('provenance', () => {
+    let dir;
+    let memory;
+    let paper;
+    let notes;
+    let synthesis;
+    let summary;
+
+    // paper ← synthesis ← summary, and notes ← synthesis
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        paper = memory.addKnowledge({ topic: 'Attention paper', content: 'Transformers use self-attention.', source: ['https://arxiv.org/abs/1706.03762', 'browser'] });
+        notes = memory.addKnowledge({ topic: 'Attention notes', content: 'Attention weighs tokens by relevance.', source: 'https://notes.example.com/attention' });
+        synthesis = memory.addKnowledge({
+            topic: 'Attention synthesis',
+            content: 'Self-attention weighs every token against every other.',
+            isSynthesis: true,
+            links: [{ type: 'derived-from', target: paper.id }, { type: 'derived-from', target: notes.id }]
+        });
+        summary = memory.addKnowledge({ topic: 'Attention summary', content: 'Attention, briefly.' });
+        memory.addLink(summary.id, 'derived-from', synthesis.id);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('web sources become cites-source links and link types are checked', () => {
+        expect(memory.getLinks(paper.id, 'cites-source').map(l => l.target)).toEqual(['https://arxiv.org/abs/1706.03762']);
+        expect(() => memory.addLink(paper.id, 'inspired-by', notes.id)).toThrow(/Unknown link type: inspired-by/);
+
+        // Adding the same link twice keeps one
+        memory.addLink(summary.id, 'derived-from', synthesis.id);
+        expect(memory.getLinks(summary.id, 'derived-from')).toHaveLength(1);
+    });
+
+    test('lineage walks back to the original entries and their sources', () => {
+        const lineage = memory.getLineage(summary.id);
+
+        expect(lineage.nodes.map(n => [n.topic, n.depth])).toEqual([
+            ['Attention summary', 0],
+            ['Attention synthesis', 1],
+            ['Attention paper', 2],
+            ['Attention notes', 2]
+        ]);
+        expect(lineage.nodes[1].isSynthesis).toBe(true);
+        expect(lineage.edges).toContainEqual({ from: synthesis.id, type: 'derived-from', to: paper.id });
+        expect(lineage.sources.sort()).toEqual(['https://arxiv.org/abs/1706.03762', 'https://notes.example.com/attention']);
+        expect(memory.getLineage(summary.id, { maxDepth: 1 }).nodes.map(n => n.depth)).toEqual([0, 1]);
+        expect(memory.getLineage('missing')).toBeNull();
+    });
+
+    test('dependents are found transitively, nearest first', () => {
+        expect(memory.getDependents(paper.id).map(d => [d.topic, d.depth, d.via])).toEqual([
+            ['Attention synthesis', 1, paper.id],
+            ['Attention summary', 2, synthesis.id]
+        ]);
+        expect(memory.getDependents(paper.id, { transitive: false }).map(d => d.id)).toEqual([synthesis.id]);
+    });
+
+    test('rejecting an input invalidates everything derived from it', () => {
+        memory.verifyKnowledge(synthesis.id);
+
+        const result = memory.rejectKnowledge(paper.id, 'retracted');
+
+        expect(result.entry).toMatchObject({ rejected: true, rejectionReason: 'retracted' });
+        expect(result.invalidated).toEqual([synthesis.id, summary.id]);
+        expect(memory.getKnowledge(synthesis.id)).toMatchObject({ verified: false, invalidated: { by: paper.id, reason: 'retracted' } });
+        expect(memory.getKnowledge(notes.id).invalidated).toBeUndefined();
+    });
+
+    test('a rejected review rejects the entry and invalidates its dependents', async () => {
+        const feedback = new HumanFeedbackLoop({ feedbackPath: `${dir}/feedback`, memory });
+        const item = feedback.queueForReview({ type: 'research', knowledgeId: notes.id, content: notes.content });
+
+        await feedback.reject(item.id, 'misread the paper');
+
+        expect(memory.getKnowledge(notes.id)).toMatchObject({ rejected: true, rejectionReason: 'misread the paper' });
+        expect(memory.getKnowledge(summary.id).invalidated).toMatchObject({ by: notes.id });
+    });
+});
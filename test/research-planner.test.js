@@ -0,0 +1,86 @@
+// Research planner: sub-questions, coverage, budgets and the report
+
+import { describe, test, expect } from '@jest/globals';
+import { ResearchPlanner, DEFAULT_BUDGET } from '../lib/research-planner.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import { quietConsole } from './helpers.js';
+
+quietConsole();
+
+// Findings that answer each template question about vector databases
+const ANSWERS = {
+    'What is vector databases?': 'Vector databases store embeddings for similarity search.',
+    'How does vector databases work?': 'Vector databases work by building an HNSW graph over the embeddings.',
+    'What is vector databases used for?': 'Vector databases are used for semantic search and RAG applications.',
+    'What are the limitations of vector databases?': 'A limitation of vector databases is that recall drops under heavy filtering.'
+};
+
+const step = (answers = ANSWERS) => async (question) => ({
+    summary: answers[question] || `Research on: ${question}`,
+    sources: [`https://example.org/${encodeURIComponent(question)}`],
+    placeholder: !answers[question]
+});
+
+describe('ResearchPlanner', () => {
+    test('plans template sub-questions without an LLM', async () => {
+        const questions = await new ResearchPlanner({ maxQuestions: 3 }).plan('vector databases');
+
+        expect(questions.map(q => q.question)).toEqual([
+            'What is vector databases?',
+            'How does vector databases work?',
+            'What is vector databases used for?'
+        ]);
+        expect(questions[0]).toMatchObject({ id: 'q1', answered: false, attempts: 0, findings: [] });
+    });
+
+    test('plans with the LLM when one is configured', async () => {
+        const llm = new MockLLMProvider({
+            rules: [{ match: 'Break this research task', response: { questions: ['What is HNSW?', 'How is recall measured?'] } }]
+        });
+        const questions = await new ResearchPlanner({ llm }).plan('vector databases');
+
+        expect(questions.map(q => q.question)).toEqual(['What is HNSW?', 'How is recall measured?']);
+    });
+
+    test('stops once enough sub-questions are answered', async () => {
+        const planner = new ResearchPlanner();
+        const report = await planner.run('vector databases', step());
+
+        expect(report.stopReason).toBe('coverage');
+        expect(report.answered).toBeGreaterThanOrEqual(3);
+        expect(report.coverage).toBeGreaterThanOrEqual(0.75);
+        expect(report.used.steps).toBe(3);
+        // One page per cited URL when a step doesn't count its pages
+        expect(report.used.pages).toBe(3);
+        expect(report.sources).toHaveLength(3);
+        expect(report.budget).toEqual(DEFAULT_BUDGET);
+    });
+
+    test('stops at the step budget and leaves the rest open', async () => {
+        const planner = new ResearchPlanner({ budget: { steps: 2 } });
+        const report = await planner.run('vector databases', step());
+
+        expect(report.stopReason).toBe('budget: steps');
+        expect(report.used.steps).toBe(2);
+        expect(report.openQuestions).toEqual(['What is vector databases used for?', 'What are the limitations of vector databases?']);
+    });
+
+    test('placeholder findings answer nothing and the questions are retried', async () => {
+        const planner = new ResearchPlanner({ maxAttempts: 2, budget: { steps: 10 } });
+        const report = await planner.run('vector databases', step({}));
+
+        expect(report.stopReason).toBe('no questions left to try');
+        expect(report.answered).toBe(0);
+        expect(report.used.steps).toBe(8);
+        expect(report.questions.every(q => q.findings.length === 0 && q.attempts === 2)).toBe(true);
+    });
+
+    test('formats a per-question report', async () => {
+        const planner = new ResearchPlanner({ budget: { steps: 2 } });
+        const text = planner.formatReport(await planner.run('vector databases', step()));
+
+        expect(text).toMatch(/^# Research report: vector databases/);
+        expect(text).toContain('## What is vector databases?\n\nVector databases store embeddings');
+        expect(text).toContain('## What are the limitations of vector databases? (open)\n\nNo findings yet.');
+    });
+});
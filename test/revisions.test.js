@@ -0,0 +1,88 @@
+// Knowledge revisions: edits, diffs, rollback and review corrections written back
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import HumanFeedbackLoop from '../lib/human-feedback.js';
+import { diffLines, formatDiff } from '../lib/text-diff.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('knowledge revisions', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const rust = () => memory.addKnowledge({ topic: 'Rust', content: 'Rust is fast.\nRust is safe.', tags: ['lang'] });
+
+    test('an edit adds a revision and un-verifies changed content', () => {
+        const entry = rust();
+        memory.verifyKnowledge(entry.id);
+
+        const updated = memory.updateKnowledge(entry.id, { content: 'Rust is fast.\nRust is memory safe.' }, { author: 'human', reason: 'clarify' });
+
+        expect(updated).toMatchObject({ revision: 2, verified: false });
+        expect(memory.getHistory(entry.id).map(r => [r.revision, r.author, r.reason])).toEqual([
+            [1, 'agent', 'created'],
+            [2, 'human', 'clarify']
+        ]);
+        expect(memory.getKnowledge(entry.id).content).toBe('Rust is fast.\nRust is memory safe.');
+    });
+
+    test('patches without versioned changes keep the revision', () => {
+        const entry = rust();
+
+        memory.updateKnowledge(entry.id, { content: entry.content, quality: 0.9 });
+
+        expect(memory.getKnowledge(entry.id)).toMatchObject({ revision: 1, quality: 0.9 });
+        expect(memory.getHistory(entry.id)).toHaveLength(1);
+        expect(memory.updateKnowledge('missing', { content: 'x' })).toBeNull();
+    });
+
+    test('diffs content lines and changed fields between revisions', () => {
+        const entry = rust();
+        memory.updateKnowledge(entry.id, { topic: 'Rust language', content: 'Rust is fast.\nRust is memory safe.' });
+
+        const diff = memory.diffRevisions(entry.id);
+
+        expect(diff).toMatchObject({ from: 1, to: 2, added: 1, removed: 1 });
+        expect(diff.content).toBe('  Rust is fast.\n- Rust is safe.\n+ Rust is memory safe.');
+        expect(diff.fields).toEqual([{ field: 'topic', before: 'Rust', after: 'Rust language' }]);
+        expect(() => memory.diffRevisions(entry.id, 1, 7)).toThrow(/Revision not found/);
+    });
+
+    test('rollback restores an earlier revision as a new one', () => {
+        const entry = rust();
+        memory.updateKnowledge(entry.id, { topic: 'Rust myths', content: 'Rust is slow.' });
+
+        const restored = memory.rollbackKnowledge(entry.id, 1);
+
+        expect(restored).toMatchObject({ revision: 3, topic: 'Rust', content: 'Rust is fast.\nRust is safe.' });
+        expect(memory.getHistory(entry.id).at(-1)).toMatchObject({ author: 'human', reason: 'rollback to r1' });
+        expect(memory.rollbackKnowledge(entry.id, 9)).toBeNull();
+    });
+
+    test('a review correction becomes a human revision and approval verifies the entry', async () => {
+        const entry = rust();
+        const feedback = new HumanFeedbackLoop({ feedbackPath: `${dir}/feedback`, memory });
+        const item = feedback.queueForReview({ type: 'research', knowledgeId: entry.id, content: entry.content });
+
+        const result = await feedback.correct(item.id, 'Rust is fast and memory safe.', 'merged the two claims');
+
+        expect(result.knowledge).toMatchObject({ revision: 2, content: 'Rust is fast and memory safe.', verified: true });
+        expect(memory.getHistory(entry.id).at(-1)).toMatchObject({ author: 'human', reason: 'merged the two claims' });
+    });
+});
+
+describe('diffLines', () => {
+    test('keeps common lines and orders removals before additions', () => {
+        expect(formatDiff(diffLines('a\nb\nc', 'a\nx\nc\nd'))).toBe('  a\n- b\n+ x\n  c\n+ d');
+        expect(diffLines('', 'a')).toEqual([{ type: 'add', line: 'a' }]);
+    });
+});
@@ -0,0 +1,172 @@
+// Search providers and research through them: normalized results, source ranking, blocked
+// domains, the no-result fallbacks and planned research
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import ResearchAgent from '../agents/research.js';
+import { FakeSearchProvider, LocalIndexProvider, createSearchProvider, searchConfigFromEnv } from '../lib/search-providers.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const page = (url, text) => ({ url, title: `Page at ${url}`, snippet: text.slice(0, 60), content: text });
+
+// One result per domain, in the order a search engine returned them
+const RESULTS = [
+    page('https://medium.com/@someone/vector-databases', 'Vector databases are a hot topic and this post explains them loosely.'),
+    page('https://www.reddit.com/r/db/vector-databases', 'Vector databases are overrated, says a thread with no sources at all.'),
+    page('https://arxiv.org/abs/vector-databases', 'Vector databases index embeddings with graphs such as HNSW for nearest-neighbour search.'),
+    page('https://docs.example.org/vector-databases', 'Vector databases answer similarity queries over embeddings stored with metadata.')
+];
+
+describe('search providers', () => {
+    test('normalizes results: drops repeats and URL-less ones, trims text and numbers the rest', async () => {
+        const search = new FakeSearchProvider({
+            results: {
+                'vector databases': [
+                    { url: 'https://a.example/1', title: '  Vector\n databases ', snippet: 'First\t result' },
+                    { title: 'No URL' },
+                    { url: 'https://a.example/1', title: 'Repeat' },
+                    { url: 'https://b.example/2' }
+                ]
+            }
+        });
+
+        expect(await search.search('  Vector Databases ')).toEqual([
+            { url: 'https://a.example/1', title: 'Vector databases', snippet: 'First result', rank: 1, provider: 'fake' },
+            { url: 'https://b.example/2', title: 'https://b.example/2', snippet: '', rank: 2, provider: 'fake' }
+        ]);
+        expect(search.queries).toEqual(['Vector Databases']);
+        expect(await search.search('anything else')).toEqual([]);
+        expect(await search.search('vector databases', { limit: 1 })).toHaveLength(1);
+    });
+
+    test('builds providers from strings, configs, instances and functions', () => {
+        expect(createSearchProvider(null)).toBeNull();
+        expect(createSearchProvider('searxng:http://localhost:9999/')).toMatchObject({ name: 'searxng', baseUrl: 'http://localhost:9999' });
+        expect(createSearchProvider('local:./pages')).toMatchObject({ name: 'local', path: './pages', offline: true });
+        expect(createSearchProvider({ provider: 'brave', apiKey: 'key' })).toMatchObject({ name: 'brave', apiKey: 'key' });
+
+        const fake = new FakeSearchProvider();
+        expect(createSearchProvider(fake)).toBe(fake);
+        expect(createSearchProvider(() => [])).toBeInstanceOf(FakeSearchProvider);
+        expect(() => createSearchProvider('altavista')).toThrow(/Unknown search provider: altavista/);
+
+        expect(searchConfigFromEnv({ MAGNITUDE_SEARCH: 'duckduckgo', BRAVE_API_KEY: 'key' })).toBe('duckduckgo');
+        expect(searchConfigFromEnv({ BRAVE_API_KEY: 'key' })).toEqual({ provider: 'brave', apiKey: 'key' });
+        expect(searchConfigFromEnv({})).toBeNull();
+    });
+
+    test('the local index ranks pages by BM25 and returns their text', async () => {
+        const search = new LocalIndexProvider({
+            pages: [
+                { url: 'file:///pages/bread.md', title: 'Sourdough', text: 'Sourdough bread rises with wild yeast.' },
+                { url: 'file:///pages/hnsw.md', title: 'HNSW', text: 'HNSW graphs answer nearest-neighbour queries over embeddings.' }
+            ]
+        });
+
+        const results = await search.search('nearest-neighbour embeddings');
+        expect(results.map(r => r.url)).toEqual(['file:///pages/hnsw.md']);
+        expect(results[0].content).toContain('HNSW graphs');
+    });
+});
+
+describe('ResearchAgent with a search provider', () => {
+    let dir;
+    let memory;
+    let fetched;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        fetched = [];
+    });
+
+    afterEach(() => removeDir(dir));
+
+    // Pages answer with their URL as text; anything in `missing` is a 404
+    const fakeFetch = (missing = []) => async (url) => {
+        fetched.push(url);
+        const ok = !missing.some(m => url.includes(m));
+        return { ok, headers: { get: () => 'text/plain' }, text: async () => `Fetched text about vector databases from ${url}.` };
+    };
+
+    const agent = (options) => new ResearchAgent(memory, { searchPages: 2, ...options });
+
+    test('reads preferred and better-rated domains first and drops blocked ones', async () => {
+        memory.sources.prefer('docs.example.org');
+        memory.sources.block('reddit.com');
+        const search = new FakeSearchProvider({ results: { '*': RESULTS } });
+
+        const { findings, result } = await agent({ offline: true, search }).research('vector databases');
+
+        expect(search.queries).toEqual(['vector databases']);
+        expect(findings.sources).toEqual(['https://docs.example.org/vector-databases', 'https://arxiv.org/abs/vector-databases']);
+        expect(findings).toMatchObject({ pages: 2, placeholder: false, tags: ['web-search', 'search:fake'] });
+        expect(findings.summary).toContain('similarity queries over embeddings');
+        expect(findings.summary).not.toContain('overrated');
+        expect(result.source).not.toContain('https://www.reddit.com/r/db/vector-databases');
+        expect(result.researchMethod).toBe('web_search');
+    });
+
+    test('fetches result pages online and falls back to snippets when none can be read', async () => {
+        const results = RESULTS.map(({ content, ...rest }) => rest);
+        const online = agent({ search: new FakeSearchProvider({ results: { '*': results } }) });
+        online.fetch = fakeFetch(['arxiv.org']);
+
+        const findings = await online.performResearch('vector databases');
+        // arxiv.org is rated highest but can't be fetched; the next two by rating are read instead
+        expect(fetched).toEqual([
+            'https://arxiv.org/abs/vector-databases',
+            'https://docs.example.org/vector-databases',
+            'https://medium.com/@someone/vector-databases'
+        ]);
+        expect(findings.pages).toBe(2);
+
+        fetched = [];
+        online.fetch = fakeFetch(['']);
+        const snippets = await online.performResearch('vector databases');
+        expect(fetched).toHaveLength(4);
+        expect(snippets).toMatchObject({ quality: 0.4, placeholder: false });
+        expect(snippets.sources).toEqual(['https://arxiv.org/abs/vector-databases', 'https://docs.example.org/vector-databases']);
+        expect(snippets.summary).toContain('Page at https://arxiv.org/abs/vector-databases\nVector databases index embeddings');
+    });
+
+    test('with no results, online research guesses pages and offline research asks the LLM', async () => {
+        memory.sources.block('github.com');
+        const search = new FakeSearchProvider({ results: {} });
+
+        const online = agent({ search });
+        online.fetch = fakeFetch();
+        const guessed = await online.performResearch('vector databases');
+        expect(fetched).toEqual(['https://en.wikipedia.org/wiki/vector_databases']);
+        expect(guessed).toMatchObject({ sources: ['https://en.wikipedia.org/wiki/vector_databases'], tags: ['web-fetch'], method: 'web_fetch' });
+
+        const offline = await agent({ offline: true, search, llm: new MockLLMProvider() }).performResearch('vector databases');
+        expect(offline).toMatchObject({ tags: ['llm-research'], method: 'llm' });
+        expect(search.queries).toEqual(['vector databases', 'vector databases']);
+    });
+
+    test('planned research sends each sub-question to the provider', async () => {
+        const answers = {
+            'what is vector databases?': 'Vector databases are databases that store embeddings for similarity search.',
+            'how does vector databases work?': 'Vector databases work by indexing embeddings in graphs and searching the nearest neighbours.'
+        };
+        const search = new FakeSearchProvider({
+            results: (query) => answers[query.toLowerCase()]
+                ? [page(`https://docs.example.org/${encodeURIComponent(query)}`, answers[query.toLowerCase()])]
+                : []
+        });
+
+        const { findings, result } = await agent({ offline: true, search })
+            .research('vector databases', { planning: { maxQuestions: 2 } });
+
+        expect(search.queries).toEqual(['What is vector databases?', 'How does vector databases work?']);
+        expect(findings.report).toMatchObject({ answered: 2, stopReason: 'coverage' });
+        expect(findings.sources).toHaveLength(2);
+        expect(findings.summary).toContain('## How does vector databases work?');
+        expect(result.researchReport.questions.every(q => q.answered)).toBe(true);
+        expect(result.researchMethod).toBe('planned');
+    });
+});
@@ -0,0 +1,111 @@
+// Memory snapshots: round-trips through both storage backends, checksum failures, exact restores
+// and diffs
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { readSnapshot, verifySnapshot } from '../lib/snapshot.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const readArchive = (file) => JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString('utf-8'));
+const writeArchive = (file, archive) => fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(archive)));
+
+describe.each(['log', 'json'])('snapshots with the %s backend', (backend) => {
+    let dir;
+    let storagePath;
+    let feedbackPath;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        storagePath = path.join(dir, 'memory');
+        feedbackPath = path.join(dir, 'feedback');
+        memory = new MemorySystem(storagePath, { storage: backend });
+        fs.mkdirSync(feedbackPath);
+        fs.writeFileSync(path.join(feedbackPath, 'queue.json'), '{"items":[]}');
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('restores documents and files exactly, deleting anything added since', async () => {
+        const rust = memory.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+        memory.recordSession({ tasksCompleted: 1 });
+        const { file, manifest } = memory.snapshot({ label: 'before edits', dirs: { feedback: feedbackPath } });
+
+        expect(path.basename(file)).toMatch(/^snapshot-.*-before_edits\.json\.gz$/);
+        expect(manifest).toMatchObject({ label: 'before edits', storageBackend: backend, roots: ['memory', 'feedback'] });
+        expect(manifest.documents.knowledge.counts).toEqual({ entries: 1 });
+        expect(Object.keys(manifest.files)).toEqual(expect.arrayContaining(['memory/taxonomy.json', 'feedback/queue.json']));
+
+        memory.updateKnowledge(rust.id, { content: 'Rust is slow.' });
+        memory.addKnowledge({ topic: 'Go', content: 'Go has goroutines.' });
+        fs.writeFileSync(path.join(storagePath, 'notes.txt'), 'scratch');
+        fs.writeFileSync(path.join(feedbackPath, 'reviewed.json'), '{}');
+        fs.writeFileSync(path.join(storagePath, 'taxonomy.json'), JSON.stringify({ nodes: [{ id: 'only' }] }));
+        memory.taxonomy.load();
+
+        const result = await memory.restoreSnapshot(file, { dirs: { feedback: feedbackPath } });
+
+        expect(result.manifest.label).toBe('before edits');
+        expect(memory.getAllKnowledge().entries.map(e => [e.topic, e.content])).toEqual([['Rust', 'Rust is memory safe.']]);
+        expect(memory.getMetrics()).toMatchObject({ totalTasks: 1, sessions: [expect.objectContaining({ tasksCompleted: 1 })] });
+        expect(fs.existsSync(path.join(storagePath, 'notes.txt'))).toBe(false);
+        expect(fs.readdirSync(feedbackPath)).toEqual(['queue.json']);
+        expect(memory.taxonomy.get('rag')).toBeTruthy();
+
+        // The state just replaced was saved first, so the restore can be undone
+        const undo = readSnapshot(result.backup);
+        expect(undo.manifest.label).toBe('pre-restore');
+        expect(undo.documents.knowledge.entries.map(e => e.topic)).toEqual(['Rust', 'Go']);
+        expect(undo.files['memory/notes.txt']).toBe(Buffer.from('scratch').toString('base64'));
+    });
+
+    test('a corrupted archive is refused and the store is left alone', async () => {
+        memory.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+        const { file } = memory.snapshot();
+        memory.addKnowledge({ topic: 'Go', content: 'Go has goroutines.' });
+
+        const archive = readArchive(file);
+        archive.documents.knowledge.entries[0].content = 'Rust is slow.';
+        archive.files['memory/taxonomy.json'] = Buffer.from('{}').toString('base64');
+        writeArchive(file, archive);
+
+        expect(verifySnapshot(archive)).toEqual(['document knowledge checksum mismatch', 'file memory/taxonomy.json checksum mismatch']);
+        await expect(memory.restoreSnapshot(file)).rejects.toThrow(/failed verification: document knowledge checksum mismatch/);
+        expect(memory.getAllKnowledge().entries.map(e => e.topic)).toEqual(['Rust', 'Go']);
+        expect(memory.listSnapshots()).toHaveLength(1);
+
+        archive.manifest.label = 'tampered';
+        writeArchive(file, archive);
+        expect(() => readSnapshot(file)).toThrow(/manifest checksum mismatch/);
+
+        fs.writeFileSync(file, 'not gzip');
+        expect(() => readSnapshot(file)).toThrow(/Could not read snapshot/);
+    });
+
+    test('diffs a snapshot against the live store', () => {
+        const rust = memory.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.' });
+        const go = memory.addKnowledge({ topic: 'Go', content: 'Go has goroutines.' });
+        const { file } = memory.snapshot();
+
+        memory.updateKnowledge(rust.id, { content: 'Rust is memory safe and fast.' });
+        memory.removeKnowledge(go.id);
+        const zig = memory.addKnowledge({ topic: 'Zig', content: 'Zig has comptime.' });
+        fs.writeFileSync(path.join(storagePath, 'notes.txt'), 'scratch');
+
+        const diff = memory.diffSnapshots(file);
+
+        expect(diff.documents.knowledge).toEqual({ changed: true, counts: { entries: [2, 2] } });
+        expect(diff.documents.metrics.changed).toBe(false);
+        expect(diff.knowledge).toEqual({
+            added: [{ id: zig.id, topic: 'Zig', revision: 1 }],
+            removed: [{ id: go.id, topic: 'Go', revision: 1 }],
+            changed: [{ id: rust.id, topic: 'Rust', revision: 2, fromRevision: 1 }]
+        });
+        expect(diff.files.added).toEqual(['memory/notes.txt']);
+    });
+});
@@ -0,0 +1,132 @@
+// Source reliability: registry keys and priors, ratings learned from outcomes, preferred and
+// blocked domains, and research order
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import HumanFeedbackLoop from '../lib/human-feedback.js';
+import VerificationAgent from '../agents/verification.js';
+import ResearchAgent from '../agents/research.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('SourceRegistry', () => {
+    let dir;
+    let memory;
+    let sources;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        sources = memory.sources;
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('keys sources by domain, file or label and starts them from a prior', () => {
+        expect(sources.key('https://www.ArXiv.org/abs/1234')).toBe('arxiv.org');
+        expect(sources.key('file:///notes/rag.md')).toBe('file');
+        expect(sources.key('mock://fixture')).toBe('mock');
+        expect(sources.key(' Browser ')).toBe('browser');
+
+        expect(sources.rate('https://cs.arxiv.org/abs/1')).toBe(0.9);
+        expect(sources.rate('https://cs.stanford.edu/paper')).toBe(0.85);
+        expect(sources.rate('https://example.com/post')).toBe(0.55);
+        expect(sources.rate('file:///notes/rag.md')).toBe(0.6);
+        expect(sources.rate('browser')).toBe(0.2);
+        expect(sources.list()).toEqual([]);
+    });
+
+    test('ratings learn from outcomes, once per distinct key, with reviews counting double', () => {
+        const [arxiv, browser] = sources.record(['https://arxiv.org/a', 'https://arxiv.org/b', 'browser', null], 'verified');
+
+        expect(arxiv).toMatchObject({ key: 'arxiv.org', positive: 1, negative: 0, counts: { verified: 1 } });
+        expect(arxiv.rating).toBeCloseTo((0.9 * 4 + 1) / 5);
+        expect(browser.key).toBe('browser');
+
+        sources.record('https://example.com/a', 'failed');
+        expect(sources.rate('https://example.com/b')).toBeCloseTo((0.55 * 4) / 5);
+        sources.record('https://example.com/a', 'rejected');
+        expect(sources.get('example.com')).toMatchObject({ positive: 0, negative: 3, counts: { failed: 1, rejected: 1 } });
+        sources.record('https://example.com/a', 'corrected');
+        expect(sources.get('example.com')).toMatchObject({ positive: 1, negative: 3.5 });
+
+        expect(sources.list().map(s => s.key)).toEqual(['arxiv.org', 'example.com', 'browser']);
+        expect(sources.record([], 'verified')).toEqual([]);
+        expect(() => sources.record('browser', 'liked')).toThrow(/Unknown source outcome: liked/);
+    });
+
+    test('preferred and blocked marks cover subdomains and can be cleared', () => {
+        sources.record('https://reddit.com/r/a', 'verified');
+        sources.block('reddit.com', 'forum chatter');
+        sources.prefer('https://www.example.com');
+
+        expect(sources.get('reddit.com')).toMatchObject({ status: 'blocked', note: 'forum chatter', positive: 1 });
+        expect(sources.isBlocked('https://old.reddit.com/r/b')).toBe(true);
+        expect(sources.get('https://blog.example.com/x').status).toBe('preferred');
+        expect(sources.blockedDomains()).toEqual(['reddit.com']);
+        expect(sources.preferredDomains()).toEqual(['example.com']);
+
+        sources.unmark('reddit.com');
+        expect(sources.isBlocked('https://old.reddit.com/r/b')).toBe(false);
+        expect(sources.get('reddit.com').positive).toBe(1);
+        expect(() => sources.setStatus('reddit.com', 'trusted')).toThrow(/Unknown source status: trusted/);
+    });
+
+    test('ranking drops blocked domains and puts preferred ones first, then by rating', () => {
+        sources.block('reddit.com');
+        sources.prefer('example.com');
+
+        expect(sources.rank([
+            'https://medium.com/a',
+            'https://reddit.com/b',
+            'https://arxiv.org/c',
+            'https://blog.example.com/d',
+            'https://nature.com/e'
+        ])).toEqual(['https://blog.example.com/d', 'https://arxiv.org/c', 'https://nature.com/e', 'https://medium.com/a']);
+    });
+});
+
+describe('learning from verification, review and research', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('verification records an outcome only when it changes', async () => {
+        const entry = memory.addKnowledge({ topic: 'Rust', content: 'Rust is memory safe.', source: 'https://example.com/rust' });
+        const verifier = new VerificationAgent(memory);
+
+        const first = await verifier.verify(entry.id, { llm: false });
+        await verifier.verify(entry.id, { llm: false });
+
+        const outcome = first.passed ? 'verified' : 'failed';
+        expect(memory.sources.get('example.com').counts).toEqual({ [outcome]: 1 });
+    });
+
+    test('review outcomes rate the entry\'s sources', async () => {
+        const entry = memory.addKnowledge({ topic: 'Rust', content: 'Rust has a garbage collector.', source: 'https://medium.com/rust' });
+        const feedback = new HumanFeedbackLoop({ feedbackPath: `${dir}/feedback`, memory });
+        const item = feedback.queueForReview({ type: 'research', knowledgeId: entry.id, content: entry.content });
+
+        await feedback.reject(item.id, 'wrong');
+
+        expect(memory.sources.get('medium.com')).toMatchObject({ negative: 2, counts: { rejected: 1 } });
+        expect(memory.sources.rate('medium.com')).toBeLessThan(0.45);
+    });
+
+    test('research drops blocked sources and names marked domains in its prompts', () => {
+        memory.sources.block('reddit.com');
+        memory.sources.prefer('arxiv.org');
+        const agent = new ResearchAgent(memory, { offline: true });
+
+        expect(agent.screenSources({ sources: ['https://reddit.com/r/x', 'https://example.com/a', 'https://arxiv.org/b'] }).sources)
+            .toEqual(['https://arxiv.org/b', 'https://example.com/a']);
+        expect(agent.sourceGuidance()).toBe('\nPrefer sources from: arxiv.org.\nDo not use sources from: reddit.com.');
+    });
+});
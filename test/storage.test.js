@@ -0,0 +1,192 @@
+// Storage engine: operations, frozen shared documents, log replay and compaction
+
+import fs from 'fs';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { createStorage, applyOps } from '../lib/storage.js';
+import MemorySystem from '../lib/memory.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const DEFAULTS = { knowledge: { entries: [], lastUpdated: null }, metrics: { totalTasks: 0 } };
+
+describe('applyOps', () => {
+    test('copies only the document, arrays and records it touches', () => {
+        const before = applyOps({}, [{ op: 'replace', value: { entries: [{ id: 'a', n: 1 }, { id: 'b', n: 2 }], other: [{ id: 'x' }] } }]);
+        const after = applyOps(before, [{ op: 'patch', path: 'entries', id: 'b', value: { n: 3 } }]);
+
+        expect(after).not.toBe(before);
+        expect(after.entries[0]).toBe(before.entries[0]);
+        expect(after.other).toBe(before.other);
+        expect(after.entries[1]).toEqual({ id: 'b', n: 3 });
+        expect(before.entries[1]).toEqual({ id: 'b', n: 2 });
+    });
+
+    test('rejects unknown operations', () => {
+        expect(() => applyOps({}, [{ op: 'bogus' }])).toThrow(/Unknown storage operation/);
+    });
+});
+
+describe.each(['json', 'log'])('%s storage', (backend) => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const open = (options = {}) => createStorage(backend, { storagePath: dir, defaults: DEFAULTS, ...options });
+
+    test('applies operations and persists them', () => {
+        const storage = open();
+        storage.apply('knowledge', [
+            { op: 'push', path: 'entries', value: { id: 'a', topic: 'A' } },
+            { op: 'push', path: 'entries', value: { id: 'b', topic: 'B' } },
+            { op: 'set', path: 'lastUpdated', value: 'now' }
+        ]);
+        storage.apply('knowledge', [
+            { op: 'patch', path: 'entries', id: 'a', value: { verified: true } },
+            { op: 'remove', path: 'entries', id: 'b' }
+        ]);
+        storage.apply('metrics', [{ op: 'inc', path: 'totalTasks', value: 2 }]);
+
+        const reopened = open();
+        expect(reopened.read('knowledge')).toEqual({ entries: [{ id: 'a', topic: 'A', verified: true }], lastUpdated: 'now' });
+        expect(reopened.read('metrics').totalTasks).toBe(2);
+    });
+
+    test('hands out frozen documents without freezing the caller\'s values', () => {
+        const storage = open();
+        const entry = { id: 'a', tags: ['x'] };
+        const doc = storage.apply('knowledge', [{ op: 'push', path: 'entries', value: entry }]);
+
+        entry.tags.push('y');
+        expect(Object.isFrozen(entry)).toBe(false);
+        expect(storage.read('knowledge').entries[0].tags).toEqual(['x']);
+
+        expect(Object.isFrozen(doc.entries[0].tags)).toBe(true);
+        expect(() => storage.read('knowledge').entries.push({ id: 'b' })).toThrow(TypeError);
+        expect(Object.isFrozen(storage.read('metrics'))).toBe(true);
+    });
+
+    test('writing a read document back stores a copy', () => {
+        const storage = open();
+        storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }]);
+
+        storage.write('knowledge', storage.read('knowledge'));
+        storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'b' } }]);
+        expect(open().read('knowledge').entries.map(e => e.id)).toEqual(['a', 'b']);
+    });
+
+    test('withLock is re-entrant within a process', () => {
+        const storage = open();
+        const result = storage.withLock('knowledge', () => storage.withLock('knowledge', () => {
+            storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }]);
+            return 'done';
+        }));
+
+        expect(result).toBe('done');
+        expect(fs.readdirSync(dir).some(f => f.endsWith('.lock'))).toBe(false);
+    });
+
+    test('waits for another live process\'s lock and breaks a dead one\'s', () => {
+        const storage = open({ lockTimeout: 100 });
+        fs.writeFileSync(`${dir}/knowledge.lock`, JSON.stringify({ pid: process.ppid, at: Date.now() }));
+        expect(() => storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }])).toThrow(/Timed out waiting for lock on knowledge/);
+
+        fs.writeFileSync(`${dir}/knowledge.lock`, JSON.stringify({ pid: 2 ** 22 + 1, at: Date.now() }));
+        storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }]);
+        expect(storage.read('knowledge').entries).toEqual([{ id: 'a' }]);
+    });
+});
+
+describe('log storage', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const open = (options = {}) => createStorage('log', { storagePath: dir, defaults: DEFAULTS, ...options });
+
+    test('reads share untouched records between versions', () => {
+        const storage = open();
+        storage.apply('knowledge', [
+            { op: 'push', path: 'entries', value: { id: 'a' } },
+            { op: 'push', path: 'entries', value: { id: 'b' } }
+        ]);
+
+        const before = storage.read('knowledge');
+        expect(storage.read('knowledge')).toBe(before);
+
+        storage.apply('knowledge', [{ op: 'patch', path: 'entries', id: 'b', value: { n: 1 } }]);
+        const after = storage.read('knowledge');
+        expect(after.entries[0]).toBe(before.entries[0]);
+        expect(before.entries[1]).toEqual({ id: 'b' });
+        expect(after.entries[1]).toEqual({ id: 'b', n: 1 });
+    });
+
+    test('picks up operations appended by another writer', () => {
+        const first = open();
+        const second = open();
+        first.read('knowledge');
+
+        second.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }]);
+        expect(first.read('knowledge').entries.map(e => e.id)).toEqual(['a']);
+    });
+
+    test('compacts the log into a snapshot without losing operations', () => {
+        const storage = open({ compactEvery: 3 });
+        for (const id of ['a', 'b', 'c', 'd']) {
+            storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id } }]);
+        }
+
+        const snapshot = JSON.parse(fs.readFileSync(storage.snapshotFile('knowledge'), 'utf-8'));
+        expect(snapshot.generation).toBe(1);
+        expect(open().read('knowledge').entries.map(e => e.id)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('skips a torn trailing line and terminates it on the next write', () => {
+        const storage = open();
+        storage.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'a' } }]);
+        fs.appendFileSync(storage.logFile('knowledge'), '{"generation":0,"ops":[{"op":"pu');
+
+        const reopened = open();
+        expect(reopened.read('knowledge').entries.map(e => e.id)).toEqual(['a']);
+        reopened.apply('knowledge', [{ op: 'push', path: 'entries', value: { id: 'b' } }]);
+        expect(open().read('knowledge').entries.map(e => e.id)).toEqual(['a', 'b']);
+    });
+});
+
+describe('MemorySystem.compact', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('compacts every document the memory keeps, and the vector index', async () => {
+        const memory = new MemorySystem(dir);
+        await memory.initializeVectorMemory();
+        memory.addKnowledge({ topic: 'Rust', content: 'Rust has no garbage collector.' });
+
+        const result = await memory.compact();
+
+        expect(result.backend).toBe('log');
+        expect(result.documents).toEqual(expect.arrayContaining(['knowledge', 'metrics', 'evaluation']));
+        result.documents.forEach(name => expect(fs.readFileSync(memory.storage.logFile(name), 'utf-8')).toBe(''));
+        expect(result.vectors).toMatchObject({ mode: 'index', compacted: true });
+        expect(new MemorySystem(dir).getAllKnowledge().entries.map(e => e.topic)).toEqual(['Rust']);
+    });
+
+    test('the JSON backend has no documents to compact', async () => {
+        fs.writeFileSync(`${dir}/knowledge.json`, JSON.stringify({ entries: [], lastUpdated: null }));
+
+        expect(await new MemorySystem(dir).compact()).toEqual({ backend: 'json', documents: [], vectors: null });
+    });
+});
@@ -0,0 +1,111 @@
+// Topic taxonomy: the tree, keyword and LLM tagging, retagging and lookups by node
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import { Taxonomy, AutoTagger, DEFAULT_TAXONOMY } from '../lib/taxonomy.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+describe('Taxonomy', () => {
+    const taxonomy = new Taxonomy(null);
+
+    test('walks the default tree', () => {
+        expect(taxonomy.roots).toEqual(DEFAULT_TAXONOMY.nodes.map(n => n.id));
+        expect(taxonomy.path('rag')).toBe('ai/llm/rag');
+        expect(taxonomy.get('rag')).toMatchObject({ parent: 'llm', depth: 2 });
+        expect(taxonomy.subtree('llm')).toEqual(['llm', 'prompt-engineering', 'rag']);
+        expect(taxonomy.subtree('nowhere')).toEqual([]);
+        expect(taxonomy.mostSpecific(['ai', 'llm', 'rag', 'security'])).toEqual(['rag', 'security']);
+    });
+
+    test('writes the default tree once and refuses duplicate ids', () => {
+        const dir = tempDir();
+        const file = path.join(dir, 'taxonomy.json');
+        try {
+            new Taxonomy(file);
+            expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual(DEFAULT_TAXONOMY);
+
+            fs.writeFileSync(file, JSON.stringify({ nodes: [{ id: 'a', children: [{ id: 'a' }] }] }));
+            expect(() => new Taxonomy(file)).toThrow(/Duplicate taxonomy node id: a/);
+        } finally {
+            removeDir(dir);
+        }
+    });
+});
+
+describe('AutoTagger', () => {
+    const taxonomy = new Taxonomy(null);
+
+    test('keyword rules file entries under the most specific nodes, with ancestors as tags', () => {
+        const tagger = new AutoTagger(taxonomy);
+
+        expect(tagger.tagSync({ topic: 'RAG pipelines', content: 'Retrieval with a reranker before the language model.' })).toEqual({
+            taxonomy: ['rag'],
+            tags: ['ai', 'llm', 'rag'],
+            method: 'keywords'
+        });
+        // A single body mention is below the minimum score
+        expect(tagger.tagSync({ topic: 'Sourdough', content: 'Bread, not software.' }).taxonomy).toEqual([]);
+    });
+
+    test('an LLM picks nodes, falling back to keywords when it fails or picks none', async () => {
+        const answers = [{ nodes: ['agents', 'made-up'] }, { nodes: [] }, new Error('rate limited')];
+        const llm = { json: async () => { const a = answers.shift(); if (a instanceof Error) throw a; return a; } };
+        const tagger = new AutoTagger(taxonomy, { llm });
+        const entry = { topic: 'Prompt injection', content: 'Prompt injection attacks smuggle instructions into prompts.' };
+
+        expect(await tagger.tag(entry)).toEqual({ taxonomy: ['agents'], tags: ['ai', 'agents'], method: 'llm' });
+        expect(await tagger.tag(entry)).toMatchObject({ method: 'keywords', taxonomy: expect.arrayContaining(['prompt-engineering']) });
+        expect((await tagger.tag(entry)).method).toBe('keywords');
+    });
+});
+
+describe('MemorySystem taxonomy', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('new entries are tagged unless already classified, and found by node subtree', () => {
+        const rag = memory.addKnowledge({ topic: 'RAG pipelines', content: 'Retrieval with a reranker.', tags: ['notes'] });
+        const filed = memory.addKnowledge({ topic: 'Untitled', content: 'Misc.', taxonomy: ['agents'] });
+        const rejected = memory.addKnowledge({ topic: 'RAG myths', content: 'Retrieval is never needed.' });
+        memory.rejectKnowledge(rejected.id, 'wrong');
+
+        expect(rag).toMatchObject({ taxonomy: ['rag'], tags: ['notes', 'ai', 'llm', 'rag'] });
+        expect(filed.tags).toBeUndefined();
+        expect(memory.getByTaxonomy('ai').map(e => e.id)).toEqual([rag.id, filed.id]);
+        expect(memory.getByTaxonomy('llm').map(e => e.id)).toEqual([rag.id]);
+        expect(memory.expandFilters({ taxonomy: 'llm' }).taxonomy).toEqual(['llm', 'prompt-engineering', 'rag']);
+        expect(() => memory.expandFilters({ taxonomy: 'cooking' })).toThrow(/Unknown taxonomy node: cooking/);
+    });
+
+    test('retagging after a taxonomy edit refiles entries as a revision', async () => {
+        const entry = memory.addKnowledge({ topic: 'Sourdough starters', content: 'Wild yeast and flour.' });
+        expect(entry.taxonomy).toEqual([]);
+
+        fs.writeFileSync(path.join(dir, 'taxonomy.json'), JSON.stringify({
+            nodes: [{ id: 'food', label: 'Food', keywords: ['bread'], children: [{ id: 'baking', keywords: ['sourdough', 'yeast'] }] }]
+        }));
+        memory.taxonomy.load();
+
+        expect(await memory.retagKnowledge()).toEqual({ checked: 1, changed: 1 });
+        expect(memory.getKnowledge(entry.id)).toMatchObject({ taxonomy: ['baking'], tags: ['food', 'baking'], revision: 2 });
+        expect(memory.getHistory(entry.id).at(-1).reason).toBe('retagged (keywords)');
+        expect(await memory.retagKnowledge()).toEqual({ checked: 1, changed: 0 });
+
+        expect(memory.getTaxonomyStats()).toEqual([
+            { id: 'food', path: 'food', label: 'Food', depth: 0, count: 0, total: 1 },
+            { id: 'baking', path: 'food/baking', label: 'baking', depth: 1, count: 1, total: 1 },
+            { id: 'uncategorized', path: 'uncategorized', label: 'Uncategorized', depth: 0, count: 0, total: 0 }
+        ]);
+    });
+});
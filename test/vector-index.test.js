@@ -0,0 +1,233 @@
+// Embedded vector index: search, filters, persistence and crash-safe compaction
+
+import fs from 'fs';
+import path from 'path';
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { VectorIndex, matchesFilter } from '../lib/vector-index.js';
+import { VectorMemory } from '../lib/vector-memory.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const DIMENSION = 8;
+
+// Deterministic, distinct vectors: item i points mostly along axis i % DIMENSION
+function vectorFor(i) {
+    return Array.from({ length: DIMENSION }, (_, d) => (d === i % DIMENSION ? 1 : 0.05 * ((i + d) % 3) + (d === 0 ? i * 0.001 : 0)));
+}
+
+function fill(index, count) {
+    for (let i = 0; i < count; i++) {
+        index.add(`doc-${i}`, vectorFor(i), `document ${i}`, { group: i % 2 === 0 ? 'even' : 'odd', n: i });
+    }
+}
+
+describe.each(['flat', 'hnsw'])('VectorIndex (%s)', (type) => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const open = (options = {}) => new VectorIndex({ path: dir, dimension: DIMENSION, type, ...options });
+
+    test('finds the nearest rows and applies metadata filters', () => {
+        const index = open();
+        fill(index, 20);
+
+        const [best] = index.search(vectorFor(3), { k: 3 });
+        expect(best.id).toBe('doc-3');
+        expect(best.document).toBe('document 3');
+
+        const odd = index.search(vectorFor(3), { k: 5, where: { group: 'odd' } });
+        expect(odd).toHaveLength(5);
+        expect(odd.every(r => r.metadata.group === 'odd')).toBe(true);
+
+        const few = index.search(vectorFor(3), { k: 5, where: { n: { $in: [2, 4] } } });
+        expect(few.map(r => r.id).sort()).toEqual(['doc-2', 'doc-4']);
+    });
+
+    test('reloads rows and deletions from disk', () => {
+        const index = open();
+        fill(index, 10);
+        index.delete('doc-3');
+        index.flush();
+
+        const reopened = open();
+        expect(reopened.count).toBe(9);
+        expect(reopened.has('doc-3')).toBe(false);
+        expect(reopened.get('doc-4').metadata).toEqual({ group: 'even', n: 4 });
+    });
+
+    test('returns k results even when most rows are deleted', () => {
+        const index = open({ compactRatio: false });
+        fill(index, 200);
+        for (let i = 0; i < 190; i++) index.delete(`doc-${i}`);
+
+        const results = index.search(vectorFor(1), { k: 8 });
+        expect(results).toHaveLength(8);
+        expect(results.every(r => Number(r.id.split('-')[1]) >= 190)).toBe(true);
+    });
+
+    test('compaction drops deleted rows and keeps search results', () => {
+        const index = open();
+        fill(index, 30);
+        for (let i = 0; i < 30; i += 3) index.delete(`doc-${i}`);
+        const before = index.search(vectorFor(5), { k: 5 }).map(r => r.id);
+
+        expect(index.compact()).toEqual({ count: 20 });
+        expect(index.getStats().deleted).toBe(0);
+        // Rebuilt HNSW graphs may order equally close rows differently
+        const after = index.search(vectorFor(5), { k: 5 }).map(r => r.id);
+        expect(after[0]).toBe(before[0]);
+        expect(after).toHaveLength(5);
+
+        const reopened = open();
+        expect(reopened.count).toBe(20);
+        expect(reopened.search(vectorFor(5), { k: 5 }).map(r => r.id)).toEqual(after);
+        expect(fs.readdirSync(dir).filter(f => f.includes('compact'))).toEqual([]);
+    });
+
+    test('a crash before the commit marker keeps the old index', () => {
+        const index = open();
+        fill(index, 12);
+        index.delete('doc-0');
+        index.flush();
+
+        // Staged files written, process dies before the marker
+        index.stageCompaction();
+
+        const reopened = open();
+        expect(reopened.count).toBe(11);
+        expect(reopened.has('doc-0')).toBe(false);
+        expect(reopened.get('doc-5').document).toBe('document 5');
+        expect(fs.readdirSync(dir).filter(f => f.includes('compact'))).toEqual([]);
+    });
+
+    test('a crash after the commit marker finishes the swap on load', () => {
+        const index = open();
+        fill(index, 12);
+        index.delete('doc-0');
+        index.flush();
+
+        const files = index.stageCompaction();
+        index.writeCompactionMarker(files);
+        // Process dies after moving only the first file
+        fs.renameSync(`${files[0]}.compact.tmp`, files[0]);
+
+        const reopened = open();
+        expect(reopened.count).toBe(11);
+        expect(reopened.getStats().deleted).toBe(0);
+        expect(reopened.get('doc-5').document).toBe('document 5');
+        expect(reopened.search(vectorFor(5), { k: 1 })[0].id).toBe('doc-5');
+        expect(fs.existsSync(path.join(dir, 'compact.json'))).toBe(false);
+    });
+});
+
+describe('VectorIndex shared between processes', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = tempDir();
+    });
+
+    afterEach(() => removeDir(dir));
+
+    // Separate instances stand in for separate processes: each only knows what it has read
+    const open = (options = {}) => new VectorIndex({ path: dir, dimension: DIMENSION, type: 'hnsw', ...options });
+
+    test('writers pick up each other\'s rows instead of reusing row numbers', () => {
+        const daemon = open();
+        const cli = open();
+
+        daemon.add('doc-0', vectorFor(0), 'document 0');
+        cli.add('doc-1', vectorFor(1), 'document 1');
+        daemon.add('doc-2', vectorFor(2), 'document 2');
+        cli.delete('doc-0');
+        daemon.flush();
+
+        expect(daemon.get('doc-2')).toMatchObject({ document: 'document 2' });
+        expect(daemon.search(vectorFor(1), { k: 1 })[0].id).toBe('doc-1');
+
+        const reopened = open();
+        expect(reopened.count).toBe(2);
+        expect(reopened.has('doc-0')).toBe(false);
+        expect(reopened.get('doc-1').vector).toEqual(daemon.get('doc-1').vector);
+        expect(reopened.get('doc-2').document).toBe('document 2');
+    });
+
+    test('a compaction in one process is reloaded by the other before it writes', () => {
+        const daemon = open();
+        fill(daemon, 12);
+        daemon.delete('doc-0');
+
+        const cli = open();
+        cli.compact();
+        daemon.add('doc-12', vectorFor(12), 'document 12');
+
+        const reopened = open();
+        expect(reopened.count).toBe(12);
+        expect(reopened.getStats().deleted).toBe(0);
+        expect(reopened.get('doc-12').document).toBe('document 12');
+        expect(reopened.get('doc-5').document).toBe('document 5');
+    });
+
+    test('waits for a live lock holder and breaks a dead one\'s lock', () => {
+        const index = open({ lockTimeout: 100 });
+        const lockFile = path.join(dir, 'index.lock');
+
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: process.ppid, at: Date.now() }));
+        expect(() => index.add('doc-0', vectorFor(0))).toThrow(/Timed out waiting for lock on vector index/);
+        expect(index.count).toBe(0);
+
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, at: Date.now() }));
+        index.add('doc-0', vectorFor(0));
+        expect(index.count).toBe(1);
+        expect(fs.existsSync(lockFile)).toBe(false);
+    });
+
+    test('compacts by itself once enough rows are deleted', () => {
+        const index = open({ compactMinDeleted: 10 });
+        fill(index, 20);
+        for (let i = 0; i < 9; i++) index.delete(`doc-${i}`);
+        expect(index.getStats().deleted).toBe(9);
+
+        index.delete('doc-9');
+        expect(index.getStats()).toMatchObject({ count: 10, deleted: 0 });
+        expect(open().count).toBe(10);
+    });
+});
+
+describe('VectorMemory.compact', () => {
+    test('drops deleted rows from the embedded index', async () => {
+        const dir = tempDir();
+        try {
+            const vectors = new VectorMemory({ persistPath: dir, embedder: { provider: 'hashing', dimension: 64 } });
+            await vectors.initialize();
+            await vectors.add('a', 'Rust ownership rules');
+            await vectors.add('b', 'Sourdough bread');
+            // Re-embedding an entry deletes and re-adds it
+            await vectors.delete('a');
+            await vectors.add('a', 'Rust ownership and borrowing rules');
+
+            expect(await vectors.compact()).toEqual({ mode: 'index', compacted: true, removed: 1, count: 2 });
+            expect((await vectors.getStats()).deleted).toBe(0);
+            expect((await vectors.search('borrowing rules', 1)).ids).toEqual(['a']);
+        } finally {
+            removeDir(dir);
+        }
+    });
+});
+
+describe('matchesFilter', () => {
+    test('supports Chroma-style operators', () => {
+        const metadata = { topic: 'rag', score: 0.8, tags: 'a,b' };
+        expect(matchesFilter(metadata, { topic: 'rag' })).toBe(true);
+        expect(matchesFilter(metadata, { score: { $gte: 0.5, $lt: 0.9 } })).toBe(true);
+        expect(matchesFilter(metadata, { $or: [{ topic: 'x' }, { tags: { $contains: 'b' } }] })).toBe(true);
+        expect(matchesFilter(metadata, { $and: [{ topic: 'rag' }, { score: { $gt: 0.9 } }] })).toBe(false);
+        expect(() => matchesFilter(metadata, { score: { $bogus: 1 } })).toThrow(/Unknown filter operator/);
+    });
+});
@@ -0,0 +1,152 @@
+// Verification: evidence signals, placeholder flags and task quality
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import MemorySystem from '../lib/memory.js';
+import MockLLMProvider from '../lib/mock-llm.js';
+import VerificationAgent from '../agents/verification.js';
+import ResearchAgent from '../agents/research.js';
+import { tempDir, removeDir, quietConsole } from './helpers.js';
+
+quietConsole();
+
+const ANNEALING = 'Simulated annealing explores a search space by accepting worse solutions with falling probability. '
+    + 'The cooling schedule controls how quickly the acceptance probability drops during the search.';
+
+describe('VerificationAgent', () => {
+    let dir;
+    let memory;
+    let verifier;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+        verifier = new VerificationAgent(memory);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    const lastEvaluation = () => memory.storage.read('evaluation').evaluations.at(-1);
+
+    test('passes a corroborated entry with independent web sources', async () => {
+        const entry = memory.addKnowledge({
+            topic: 'Simulated annealing',
+            content: ANNEALING,
+            source: ['https://en.wikipedia.org/wiki/Simulated_annealing', 'https://example.edu/annealing', 'https://optimization.org/sa']
+        });
+        memory.addKnowledge({
+            topic: 'Annealing notes',
+            content: 'Simulated annealing explores a search space and accepts worse solutions with a falling probability. '
+                + 'Its cooling schedule controls how quickly the acceptance probability drops.',
+            source: 'https://notes.example.com/annealing'
+        });
+
+        const result = await verifier.verify(entry.id, { llm: false });
+
+        expect(result.verification.corroboration.score).toBe(1);
+        expect(result.verification.consistency).toMatchObject({ score: 1, issues: [] });
+        expect(result.passed).toBe(true);
+        expect(memory.getKnowledge(entry.id).verified).toBe(true);
+        expect(lastEvaluation()).toMatchObject({ knowledgeId: entry.id, type: 'verification', passed: true });
+    });
+
+    test('judges placeholders by their flag, not their wording', () => {
+        const real = { content: ANNEALING };
+        expect(verifier.consistency(real).issues).toEqual([]);
+        expect(verifier.consistency({ content: 'Mock finding: a fixture someone wrote by hand.' }).issues).toEqual([]);
+
+        const flagged = verifier.consistency({ content: 'Detailed-looking text.', placeholder: true });
+        expect(flagged.issues).toEqual(['placeholder content instead of findings']);
+        expect(flagged.score).toBeLessThan(1);
+    });
+
+    test('task quality scores substance from the placeholder flag', async () => {
+        await verifier.evaluateTaskQuality('simulated annealing', { topic: 'Simulated annealing', content: ANNEALING });
+        const real = lastEvaluation().details.substance;
+        expect(real.score).toBeGreaterThan(0.1);
+        expect(real.explanation).toMatch(/content terms/);
+
+        await verifier.evaluateTaskQuality('simulated annealing', { topic: 'Simulated annealing', content: ANNEALING }, {
+            findings: { quality: 0.2, placeholder: true }
+        });
+        expect(lastEvaluation().details.substance).toEqual({ score: 0.1, explanation: 'placeholder content' });
+    });
+});
+
+describe('placeholder research', () => {
+    let dir;
+    let memory;
+
+    beforeEach(() => {
+        dir = tempDir();
+        memory = new MemorySystem(dir);
+    });
+
+    afterEach(() => removeDir(dir));
+
+    test('the scripted mock answer is stored as a placeholder entry', async () => {
+        const agent = new ResearchAgent(memory, { offline: true, llm: new MockLLMProvider() });
+        const { result, findings } = await agent.research('graph databases');
+
+        expect(findings.placeholder).toBe(true);
+        expect(result.placeholder).toBe(true);
+
+        const verification = await new VerificationAgent(memory).verify(result.id, { llm: false });
+        expect(verification.passed).toBe(false);
+        expect(verification.verification.consistency.issues).toContain('placeholder content instead of findings');
+    });
+
+    test('real LLM findings are not placeholders, whatever they say', async () => {
+        const llm = new MockLLMProvider({
+            rules: [{
+                match: 'Research and learn about:',
+                // A placeholder field in the answer itself carries no weight
+                response: { mainPoints: ['Simulated annealing is a probabilistic optimization technique.'], sources: [], placeholder: true }
+            }]
+        });
+        const { result, findings } = await new ResearchAgent(memory, { offline: true, llm }).research('simulated annealing');
+
+        expect(findings.placeholder).toBe(false);
+        expect(result).toMatchObject({ researchMethod: 'llm' });
+        expect(result.placeholder).toBeUndefined();
+    });
+
+    test('the provider flags canned responses', async () => {
+        const mock = new MockLLMProvider({ rules: [{ match: 'Custom prompt', response: { ok: true } }] });
+
+        expect(await mock.jsonResponse('Research and learn about: x\n{ "mainPoints": [] }')).toMatchObject({ placeholder: true });
+        expect(await mock.jsonResponse('Unmatched prompt {}')).toEqual({ data: {}, placeholder: true });
+        expect(await mock.jsonResponse('Custom prompt {}')).toEqual({ data: { ok: true }, placeholder: false });
+        expect(await mock.json('Custom prompt {}')).toEqual({ ok: true });
+    });
+
+    test('entries record the research method actually used', async () => {
+        const offline = await new ResearchAgent(memory, { offline: true }).research('graph databases');
+        expect(offline.result).toMatchObject({ researchMethod: 'offline', placeholder: true });
+
+        const online = new ResearchAgent(memory);
+        online.fetch = async (url) => ({ ok: true, headers: { get: () => 'text/plain' }, text: async () => `Tabu search notes from ${url}.` });
+        const fetched = await online.research('tabu search');
+        expect(fetched.result).toMatchObject({ researchMethod: 'web_fetch' });
+        expect(fetched.result.placeholder).toBeUndefined();
+    });
+
+    test('placeholders never merge into real entries, and real findings replace placeholders', async () => {
+        const real = memory.addKnowledge({ topic: 'Simulated annealing', content: ANNEALING });
+        const skipped = await memory.ingestKnowledge({ topic: 'Simulated annealing', content: `${ANNEALING}\n\nMock finding.`, placeholder: true }, { threshold: 0.5 });
+        expect(skipped).toMatchObject({ action: 'skipped', duplicateOf: real.id });
+        expect(memory.getKnowledge(real.id).content).toBe(ANNEALING);
+
+        const stub = memory.addKnowledge({ topic: 'Tabu search', content: 'Research on: Tabu search', placeholder: true });
+        const merged = await memory.ingestKnowledge({ topic: 'Tabu search', content: 'Tabu search forbids recently visited moves.' }, { threshold: 0.2 });
+        expect(merged).toMatchObject({ action: 'merged', duplicateOf: stub.id });
+        expect(memory.getKnowledge(stub.id)).toMatchObject({ content: 'Tabu search forbids recently visited moves.', placeholder: false });
+    });
+
+    test('a placeholder re-research leaves the content alone', () => {
+        const entry = memory.addKnowledge({ topic: 'Simulated annealing', content: ANNEALING, researchMethod: 'web_browser' });
+
+        const refresh = memory.refreshKnowledge(entry.id, { summary: 'Research on: Simulated annealing', placeholder: true });
+        expect(refresh.changed).toBe(false);
+        expect(memory.getKnowledge(entry.id).content).toBe(ANNEALING);
+    });
+});